@@ -0,0 +1,11 @@
+module.exports = {
+  moduleNameMapper: {
+    "^@/(.*)$": "<rootDir>/$1",
+    "^~/(.*)$": "<rootDir>/$1",
+  },
+  moduleFileExtensions: ["js", "json"],
+  transform: {
+    "^.+\\.js$": "babel-jest",
+  },
+  testEnvironment: "node",
+};
@@ -0,0 +1,52 @@
+/**
+ * Offline Shell Module
+ * After `nuxt generate`, lists the files the service worker (static/service-worker.js) precaches in
+ * offline-manifest.json and stamps the worker with a hash of their content. A deploy that changes any
+ * of them so changes the worker, which browsers then install as an update.
+ * Models and videos are left out; they are downloaded on request, see utils/offlineDownloads.js.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const WORKER_FILE = "service-worker.js";
+const MANIFEST_FILE = "offline-manifest.json";
+const VERSION_PLACEHOLDER = "__CONTENT_VERSION__";
+
+// Large media, source maps and host files are not part of the shell
+const SKIPPED_FILES = /\.(vtk|vtp|mp4|webm|map)$|(^|\/)\.|^404\.html$/i;
+// Single files larger than this are left to the network
+const MAX_FILE_BYTES = 8 * 1024 * 1024;
+
+function listFiles(dir, root = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file, root) : [path.relative(root, file).split(path.sep).join("/")];
+  });
+}
+
+function writeOfflineShell(distPath) {
+  const files = listFiles(distPath)
+    .filter(file => file !== WORKER_FILE && file !== MANIFEST_FILE && !SKIPPED_FILES.test(file))
+    .filter(file => fs.statSync(path.join(distPath, file)).size <= MAX_FILE_BYTES)
+    .sort();
+
+  const hash = crypto.createHash("sha256");
+  files.forEach((file) => {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(distPath, file)));
+  });
+  const version = hash.digest("hex").slice(0, 16);
+
+  fs.writeFileSync(path.join(distPath, MANIFEST_FILE), JSON.stringify({ version, files }));
+  const workerPath = path.join(distPath, WORKER_FILE);
+  fs.writeFileSync(workerPath, fs.readFileSync(workerPath, "utf8").replace(VERSION_PLACEHOLDER, version));
+  console.log(`[OfflineShell] Precaching ${files.length} files, content version ${version}`);
+}
+
+export default function offlineShell() {
+  this.nuxt.hook("generate:done", (generator) => {
+    writeOfflineShell(generator.distPath);
+  });
+}
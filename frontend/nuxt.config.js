@@ -1,19 +1,23 @@
 import colors from "vuetify/es5/util/colors";
 const serveStatic = require("serve-static");
 const path = require("path");
+const topics = require("./assets/data/topics.json");
+
+// App root on the host, also the scope of the offline service worker (static/service-worker.js)
+const appBase = process.env.DEPLOY_ENV === "GH_PAGES" ? "/pregnancy-app/" : "/";
 
 const routerBase =
   process.env.DEPLOY_ENV === "GH_PAGES"
     ? {
         router: {
-          base: "/pregnancy-app/",
+          base: appBase,
         },
       }
     : {
         router: {
           mode: "hash",
           // mode: "history",
-          base: "/",
+          base: appBase,
         },
       };
 
@@ -30,6 +34,7 @@ export default {
         type: "image/x-icon",
         href: "/pregnancy-app/favicon2.ico",
       },
+      { rel: "manifest", href: `${appBase}manifest.webmanifest` },
       {
         rel: "stylesheet",
         href: "https://fonts.googleapis.com/css2?family=Bad+Script&family=Raleway:wght@100;300&display=swap",
@@ -49,6 +54,7 @@ export default {
           "An ABI Generic Web App Template",
       },
       { name: "format-detection", content: "telephone=no" },
+      { name: "theme-color", content: "#000000" },
       {
         name: "keywords",
         content:
@@ -93,6 +99,7 @@ export default {
     "@/plugins/topics",
     "@/plugins/current-content",
     { src: "~/plugins/copper.js", ssr: false, mode: 'client' },
+    { src: "~/plugins/offline.js", ssr: false, mode: 'client' },
   ],
 
   // Auto import components: https://go.nuxtjs.dev/config-components
@@ -110,6 +117,8 @@ export default {
   buildModules: [
     // https://go.nuxtjs.dev/vuetify
     "@nuxtjs/vuetify",
+    // Precache list and content version for the offline service worker
+    "~/modules/offlineShell",
   ],
 
   // Modules: https://go.nuxtjs.dev/config-modules
@@ -143,11 +152,20 @@ export default {
 
   // Build Configuration: https://go.nuxtjs.dev/config-build
   build: {
-    extend(config) {
+    extend(config, { isClient }) {
       config.module.rules.push({
         test: /\.md$/i,
         use: "raw-loader",
       });
+      // Bundle *.worker.js files as Web Workers (VTK parsing runs off the main thread)
+      if (isClient) {
+        config.module.rules.push({
+          test: /\.worker\.js$/i,
+          use: { loader: "worker-loader" },
+          exclude: /node_modules/,
+        });
+        config.output.globalObject = "this";
+      }
     },
     loaders: {
       sass: {
@@ -165,24 +183,13 @@ export default {
   ...routerBase,
   generate: {
     dir: "build",
-    //todo: modify routes afterwards
+    // One page per subtopic slug, plus pages no link leads to
     routes: [
-      // Modify these routes, when you config your routes for app
-      "/ultrasound-model",
-      "/pregnancy-changes",
-      "/pregnancy-placenta",
-      "/pregnancy-baby",
-      "/conditions",
-      "/conditions/fetal",
-      "/conditions/birth",
-      "/conditions/care",
-      "/ultrasound",
-      "/ultrasound/ultrasound-model",
-      "/clinical",
-      "/clinical/mid-wife",
-      "/clinical/when-care-changes",
+      ...Object.values(topics).flatMap(topic =>
+        Object.values(topic.subTopics || {}).map(subTopic => `/${subTopic.slug}`)
+      ),
       "/about",
-      
+      "/author",
     ],
   },
 };
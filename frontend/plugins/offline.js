@@ -0,0 +1,83 @@
+import Vue from "vue";
+
+/**
+ * Offline support: registers the service worker (static/service-worker.js) in generated production builds and
+ * tracks the connection and any new version of the app waiting to take over. Exposed as this.$offline:
+ * - state: reactive {online, controlled (the service worker serves this page), updateReady}
+ * - applyUpdate(): switch to the waiting version and reload
+ */
+export default ({ app }, inject) => {
+  const state = Vue.observable({
+    online: navigator.onLine,
+    controlled: false,
+    updateReady: false,
+  });
+  let registration = null;
+  let updating = false;
+
+  window.addEventListener("online", () => {
+    state.online = true;
+    // Deploys made while offline are found as soon as the connection returns
+    if (registration) registration.update().catch(() => {});
+  });
+  window.addEventListener("offline", () => {
+    state.online = false;
+  });
+
+  if ("serviceWorker" in navigator && process.env.NODE_ENV === "production") {
+    const base = app.router.options.base || "/";
+    state.controlled = !!navigator.serviceWorker.controller;
+
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      state.controlled = true;
+      if (updating) window.location.reload();
+    });
+
+    // Only `nuxt generate` writes the list of files the worker precaches (modules/offlineShell.js);
+    // without it, as under `nuxt start`, the worker could not install. A page the worker already
+    // controls came from a build with the list, and may be offline
+    const manifestCheck = navigator.serviceWorker.controller
+      ? Promise.resolve({ ok: true })
+      : fetch(`${base}offline-manifest.json`, { method: "HEAD", cache: "no-store" });
+    manifestCheck
+      .then((response) => {
+        if (!response.ok) {
+          console.info("[Offline] No offline manifest in this build, offline support is off");
+          return null;
+        }
+        return navigator.serviceWorker.register(`${base}service-worker.js`, { scope: base });
+      })
+      .then((registered) => {
+        if (!registered) return;
+        registration = registered;
+        // A version installed on an earlier visit may be waiting already
+        if (registered.waiting && navigator.serviceWorker.controller) {
+          state.updateReady = true;
+        }
+        registered.addEventListener("updatefound", () => {
+          const worker = registered.installing;
+          worker.addEventListener("statechange", () => {
+            // With no controller this is the first install, not an update
+            if (worker.state === "installed" && navigator.serviceWorker.controller) {
+              state.updateReady = true;
+            }
+          });
+        });
+      })
+      .catch((error) => {
+        console.warn("[Offline] Service worker registration failed:", error);
+      });
+  }
+
+  inject("offline", {
+    state,
+    applyUpdate() {
+      if (!registration || !registration.waiting) {
+        window.location.reload();
+        return;
+      }
+      updating = true;
+      registration.waiting.postMessage({ type: "skip-waiting" });
+    },
+  });
+};
@@ -0,0 +1,119 @@
+/**
+ * Offline Service Worker
+ * Keeps the app usable in clinics with patchy connectivity:
+ * - the app shell (pages, scripts with the bundled topics and markdown, styles, view and annotation
+ *   JSONs) is precached from offline-manifest.json, which modules/offlineShell.js writes on generate
+ * - models and videos are only kept once downloaded from the offline menu, see utils/offlineDownloads.js
+ * Everything cached is served before the network, except conditional requests (the model cache asking
+ * whether a file changed, see utils/modelCache.js), which go to the network while online. A deploy with changed content changes CONTENT_VERSION,
+ * so the browser installs this worker again; it then waits until the page asks it to take over
+ * (the update prompt, see plugins/offline.js).
+ */
+
+// Replaced with a hash of the precached files on generate
+const CONTENT_VERSION = '__CONTENT_VERSION__';
+
+const SHELL_CACHE = `shell-${CONTENT_VERSION}`;
+const DOWNLOAD_CACHE = 'offline-downloads'; // Same name in utils/offlineDownloads.js
+const MANIFEST_FILE = 'offline-manifest.json';
+
+// Resolve a path against the app root this worker controls (e.g. /pregnancy-app/)
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+async function precacheShell() {
+  const response = await fetch(scopeUrl(MANIFEST_FILE), { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Offline manifest missing: HTTP ${response.status}`);
+  }
+  const manifest = await response.json();
+  const cache = await caches.open(SHELL_CACHE);
+  // Bypass the HTTP cache so a new version is never stored with files of the old one
+  await cache.addAll(manifest.files.map(file => new Request(scopeUrl(file), { cache: 'reload' })));
+}
+
+async function removeOldShells() {
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+    .map(name => caches.delete(name)));
+}
+
+// Cached page for a navigation: the route's own page when generated, else the app's entry page
+async function matchPage(cache, url) {
+  const path = url.pathname.endsWith('/') ? url.pathname : `${url.pathname}/`;
+  const candidates = [url.href, `${url.origin}${path}index.html`, scopeUrl('200.html'), scopeUrl('index.html')];
+  for (const candidate of candidates) {
+    const response = await cache.match(candidate, { ignoreSearch: true });
+    if (response) return response;
+  }
+  return null;
+}
+
+// Media elements ask for byte ranges; answer them from a whole cached file
+async function sliceRange(request, response) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range') || '');
+  if (!match) {
+    return response;
+  }
+  const blob = await response.blob();
+  const start = match[1] === '' ? Math.max(0, blob.size - Number(match[2])) : Number(match[1]);
+  const end = match[1] !== '' && match[2] !== '' ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  if (start > end || start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  const headers = new Headers(response.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
+
+async function respond(request) {
+  const url = new URL(request.url);
+  const shell = await caches.open(SHELL_CACHE);
+
+  if (request.mode === 'navigate') {
+    return (await matchPage(shell, url)) || fetch(request);
+  }
+
+  // Revalidations must reach the server, or a downloaded copy would always vouch for itself
+  const conditional = request.headers.has('If-None-Match') || request.headers.has('If-Modified-Since');
+  if (conditional && self.navigator.onLine) {
+    try {
+      return await fetch(request);
+    } catch (error) {
+      // Connection dropped: fall back to the cached copy below
+    }
+  }
+
+  const cached = await shell.match(request, { ignoreVary: true }) ||
+    await (await caches.open(DOWNLOAD_CACHE)).match(request, { ignoreSearch: true, ignoreVary: true });
+  if (cached) {
+    return sliceRange(request, cached);
+  }
+  return fetch(request);
+}
+
+self.addEventListener('install', (event) => {
+  // No skipWaiting: an update waits for the page's prompt so open pages keep one consistent version
+  event.waitUntil(precacheShell());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(removeOldShells().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+  event.respondWith(respond(request));
+});
@@ -0,0 +1,62 @@
+import { parseAnnotationSet, translate } from '@/utils/annotations';
+
+function parse(annotations, fields = {}) {
+  return parseAnnotationSet({ version: 1, name: 'NoInfarct', annotations, ...fields }, 'test.json');
+}
+
+describe('parseAnnotationSet', () => {
+  test('reads text, descriptions and anchors', () => {
+    const set = parse([
+      { id: 'cord', vessel: 'arterial:inlet', text: { en: 'Cord insertion', mi: 'Te iho' } },
+      { id: 'stem', vessel: 'venous-2:120', text: 'Stem villus', description: 'A larger branch' },
+      { position: [0, 0.1, -1], text: { en: 'Chorionic plate' } }
+    ], { coordinates: 'normalized' });
+    expect(set.name).toBe('NoInfarct');
+    expect(set.annotations).toEqual([
+      { id: 'cord', text: { en: 'Cord insertion', mi: 'Te iho' }, description: null, anchor: { type: 'inlet', layer: 'arterial' } },
+      { id: 'stem', text: { en: 'Stem villus' }, description: { en: 'A larger branch' }, anchor: { type: 'segment', layer: 'venous-2', segmentIndex: 120 } },
+      { id: 'annotation-3', text: { en: 'Chorionic plate' }, description: null, anchor: { type: 'position', position: [0, 0.1, -1], coordinates: 'normalized' } }
+    ]);
+  });
+
+  test('rejects an id used twice', () => {
+    expect(() => parse([
+      { id: 'cord', vessel: 'arterial:inlet', text: 'Cord' },
+      { id: 'cord', vessel: 'venous:inlet', text: 'Cord' }
+    ])).toThrow('Invalid test.json: annotation id "cord" is used twice');
+  });
+
+  test('rejects a position given together with a vessel', () => {
+    expect(() => parse([{ id: 'cord', position: [0, 0, 0], vessel: 'arterial:inlet', text: 'Cord' }]))
+      .toThrow('annotation "cord" gives both a "position" and a "vessel"; use one');
+  });
+
+  test('rejects a malformed description', () => {
+    expect(() => parse([{ id: 'cord', vessel: 'arterial:inlet', text: 'Cord', description: { en: 'Fine', mi: 3 } }]))
+      .toThrow('annotation "cord" has a malformed "description"');
+    expect(() => parse([{ id: 'cord', vessel: 'arterial:inlet', text: 'Cord', description: '  ' }]))
+      .toThrow('malformed "description"');
+  });
+
+  test('rejects missing text and bad anchors', () => {
+    expect(() => parse([{ id: 'cord', vessel: 'arterial:inlet' }])).toThrow('annotation "cord" needs a "text" string');
+    expect(() => parse([{ id: 'cord', vessel: 'arterial:first', text: 'Cord' }])).toThrow('needs a "position" or a "vessel"');
+    expect(() => parse([{ id: 'cord', position: [0, 0], text: 'Cord' }])).toThrow('needs a [x, y, z] "position"');
+    expect(() => parse([], { coordinates: 'screen' })).toThrow('unknown coordinates "screen"');
+    expect(() => parseAnnotationSet({})).toThrow('Invalid annotation set: expected an object with an "annotations" array');
+  });
+});
+
+describe('translate', () => {
+  const text = { mi: 'Te iho', de: 'Nabelschnur', en: 'Umbilical cord' };
+
+  test('uses the first preferred language with a translation', () => {
+    expect(translate(text, ['fr', 'de', 'mi'])).toBe('Nabelschnur');
+  });
+
+  test('falls back to English, then to the first translation', () => {
+    expect(translate(text, ['fr'])).toBe('Umbilical cord');
+    expect(translate({ mi: 'Te iho', de: 'Nabelschnur' }, ['fr'])).toBe('Te iho');
+    expect(translate(null, ['en'])).toBe('');
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  buildColorLegend,
+  normalizeScalar,
+  parseArrayUnit,
+  resolveColorScale,
+  sampleColorMap,
+  scalarToColor
+} from '@/utils/colorMaps';
+
+describe('resolveColorScale', () => {
+  test('converts the data range to display units', () => {
+    const colorScale = resolveColorScale([0, 1333.22], undefined, 'Pa');
+    expect(colorScale.unit).toBe('mmHg');
+    expect(colorScale.max).toBeCloseTo(10);
+    expect(colorScale.clamped).toBe(false);
+  });
+
+  test('clamps to the given range in display units', () => {
+    const colorScale = resolveColorScale([0, 100], { colorMap: 'viridis', scale: 'linear', clampMin: 20, clampMax: 60 });
+    expect(colorScale).toMatchObject({ min: 20, max: 60, dataMin: 0, dataMax: 100, clamped: true });
+  });
+
+  test('ignores an empty or inverted clamp range', () => {
+    const colorScale = resolveColorScale([0, 100], { colorMap: 'viridis', scale: 'linear', clampMin: 60, clampMax: 20 });
+    expect(colorScale).toMatchObject({ min: 0, max: 100, clamped: false });
+  });
+
+  test('falls back to linear when log scaling has no positive minimum', () => {
+    expect(resolveColorScale([0, 100], { colorMap: 'viridis', scale: 'log', clampMin: null, clampMax: null }))
+      .toMatchObject({ scale: 'linear', logUnavailable: true });
+    expect(resolveColorScale([0, 100], { colorMap: 'viridis', scale: 'log', clampMin: 1, clampMax: null }))
+      .toMatchObject({ scale: 'log', logUnavailable: false, clamped: true });
+  });
+
+  test('falls back to the default colour map', () => {
+    expect(resolveColorScale([0, 1], { colorMap: 'rainbow', scale: 'linear' }).colorMap).toBe('legacy');
+  });
+});
+
+describe('normalizeScalar', () => {
+  const linear = resolveColorScale([0, 100], { colorMap: 'legacy', scale: 'linear', clampMin: 20, clampMax: 60 });
+  const log = resolveColorScale([1, 1000], { colorMap: 'legacy', scale: 'log', clampMin: null, clampMax: null });
+
+  test('places values linearly and clamps outside the range', () => {
+    expect(normalizeScalar(40, linear)).toBe(0.5);
+    expect(normalizeScalar(0, linear)).toBe(0);
+    expect(normalizeScalar(100, linear)).toBe(1);
+  });
+
+  test('places values by their logarithm on a log scale', () => {
+    expect(normalizeScalar(10, log)).toBeCloseTo(1 / 3);
+    expect(normalizeScalar(100, log)).toBeCloseTo(2 / 3);
+    expect(normalizeScalar(0, log)).toBe(0);
+  });
+
+  test('puts every value mid-scale for a flat range', () => {
+    expect(normalizeScalar(5, resolveColorScale([5, 5]))).toBe(0.5);
+  });
+});
+
+describe('scalarToColor', () => {
+  test('converts file units before mapping', () => {
+    const colorScale = resolveColorScale([0, 2666.44], { colorMap: 'legacy', scale: 'linear', clampMin: 0, clampMax: 20 }, 'Pa');
+    const middle = scalarToColor(1333.22, colorScale);
+    sampleColorMap('legacy', 0.5).forEach((value, c) => expect(middle[c]).toBeCloseTo(value));
+  });
+
+  test('samples the end stops at the ends of the scale', () => {
+    const expectColor = (rgb, hex) => [hex >> 16, (hex >> 8) & 255, hex & 255].forEach((value, c) => expect(rgb[c] * 255).toBeCloseTo(value));
+    expectColor(sampleColorMap('legacy', -1), 0x3bb345);
+    expectColor(sampleColorMap('legacy', 2), 0x8f1f00);
+  });
+});
+
+describe('buildColorLegend', () => {
+  test('spaces log ticks geometrically', () => {
+    const colorScale = resolveColorScale([1, 1000], { colorMap: 'viridis', scale: 'log', clampMin: null, clampMax: null });
+    const legend = buildColorLegend(colorScale, 'flow', 4);
+    legend.ticks.forEach((tick, i) => expect(tick.value).toBeCloseTo([1, 10, 100, 1000][i]));
+    expect(legend.ticks.map(tick => tick.position)).toEqual([0, 1 / 3, 2 / 3, 1]);
+    expect(legend.gradient).toMatch(/^linear-gradient\(to right, rgb\(68, 1, 84\) 0\.0%/);
+  });
+});
+
+describe('parseArrayUnit', () => {
+  test('reads bracketed and suffixed units', () => {
+    expect(parseArrayUnit('pressure (Pa)')).toBe('Pa');
+    expect(parseArrayUnit('pressure[mmHg]')).toBe('mmHg');
+    expect(parseArrayUnit('pressure_kPa')).toBe('kPa');
+    expect(parseArrayUnit('radius')).toBeNull();
+  });
+});
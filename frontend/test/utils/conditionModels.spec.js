@@ -0,0 +1,73 @@
+import { getModelLayers, getModelSize, resolveConditionModel } from '@/utils/conditionModels';
+
+const manifest = {
+  defaultModel: 'normal',
+  baseModelSize: 400,
+  conditionPriority: ['pe', 'fgr', 'sga'],
+  layers: {
+    healthyArterial: { layer: 'arterial', file: 'arterial.vtk' },
+    smallArterial: { layer: 'arterial', file: 'small-arterial.vtk' }
+  },
+  models: {
+    normal: { label: 'Normal', layers: ['healthyArterial'] },
+    sga: { label: 'SGA', layers: ['smallArterial'], scale: 0.8 },
+    fgr: { label: 'FGR', layers: ['smallArterial'] },
+    pe: { label: 'Pre-eclampsia', layers: ['healthyArterial'] },
+    sgaPe: { label: 'SGA with pre-eclampsia', layers: ['smallArterial'] }
+  },
+  combinations: [{ conditions: ['sga', 'pe'], model: 'sgaPe' }]
+};
+
+describe('resolveConditionModel', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('shows the default model without conditions or with only normal', () => {
+    expect(resolveConditionModel([], manifest)).toMatchObject({ modelKey: 'normal', match: 'default', reason: null });
+    expect(resolveConditionModel(['normal'], manifest).modelKey).toBe('normal');
+  });
+
+  test('shows a single condition\'s model, ignoring normal beside it', () => {
+    expect(resolveConditionModel(['normal', 'sga', 'sga'], manifest)).toMatchObject({ modelKey: 'sga', match: 'single' });
+  });
+
+  test('uses a combination that matches the conditions exactly, in any order', () => {
+    const resolution = resolveConditionModel(['pe', 'sga'], manifest);
+    expect(resolution).toMatchObject({ modelKey: 'sgaPe', match: 'combination', reason: null });
+    expect(resolution.model.label).toBe('SGA with pre-eclampsia');
+  });
+
+  test('falls back to the highest priority condition when no combination matches exactly', () => {
+    expect(resolveConditionModel(['sga', 'fgr'], manifest)).toEqual({
+      modelKey: 'fgr',
+      model: manifest.models.fgr,
+      match: 'priority',
+      reason: 'No combined model for SGA + FGR; showing the FGR model (highest priority condition).'
+    });
+    expect(resolveConditionModel(['sga', 'pe', 'fgr'], manifest)).toMatchObject({ modelKey: 'pe', match: 'priority' });
+  });
+
+  test('skips conditions without a model', () => {
+    expect(resolveConditionModel(['sga', 'gdm'], manifest)).toMatchObject({ modelKey: 'sga', match: 'single' });
+    expect(resolveConditionModel(['gdm'], manifest)).toMatchObject({
+      modelKey: 'normal',
+      match: 'default',
+      reason: 'No model is defined for gdm; showing the normal placenta.'
+    });
+    expect(console.warn).toHaveBeenCalledWith('[ConditionModels] No model defined for conditions:', ['gdm']);
+  });
+});
+
+describe('getModelLayers and getModelSize', () => {
+  test('expand layer keys and scale the base size', () => {
+    expect(getModelLayers(manifest.models.sga, manifest)).toEqual([{ layer: 'arterial', file: 'small-arterial.vtk' }]);
+    expect(() => getModelLayers({ layers: ['scarred'] }, manifest)).toThrow('Unknown layer "scarred"');
+    expect(getModelSize(manifest.models.sga, manifest)).toBeCloseTo(320);
+    expect(getModelSize(manifest.models.normal, manifest)).toBe(400);
+  });
+});
@@ -0,0 +1,17 @@
+import { computeCentile, toGestationalAge } from '@/utils/dopplerCentiles';
+
+describe('computeCentile', () => {
+  test('matches the usage example', () => {
+    const result = computeCentile('umbilicalPI', 1.35, toGestationalAge(30, 2));
+    expect(result.centile).toBeCloseTo(96.7, 1);
+    expect(result.zScore).toBeCloseTo(1.84, 2);
+    expect(result.reference.clamped).toBe(false);
+  });
+
+  test('puts the median at the 50th centile', () => {
+    const { reference } = computeCentile('umbilicalPI', 1, 30);
+    const result = computeCentile('umbilicalPI', reference.p50, 30);
+    expect(result.centile).toBeCloseTo(50, 5);
+    expect(result.zScore).toBeCloseTo(0, 5);
+  });
+});
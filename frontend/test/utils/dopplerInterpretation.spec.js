@@ -0,0 +1,33 @@
+import { interpretDopplerMetrics } from '@/utils/dopplerInterpretation';
+
+describe('interpretDopplerMetrics', () => {
+  test('matches the usage example', () => {
+    const interpretation = interpretDopplerMetrics({ umbilicalPI: 1.35, uterinePI: 0.9 }, 30.3);
+    expect(interpretation.riskLevel).toBe('moderate');
+    expect(interpretation.metrics.uterinePI.value).toBe(0.9);
+  });
+
+  test('uses a directly entered uterinePI when there are no left and right values', () => {
+    const interpretation = interpretDopplerMetrics({ uterinePI: 1.4 }, 30.3);
+    expect(interpretation.metrics.uterinePI.value).toBe(1.4);
+    expect(interpretation.riskLevel).toBe('high');
+  });
+
+  test('prefers a directly entered cpr over the one derived from MCA and UA PI', () => {
+    const interpretation = interpretDopplerMetrics({ umbilicalPI: 1, mcaPI: 1.8, cpr: 1 }, 30.3);
+    expect(interpretation.metrics.cpr.value).toBe(1);
+    expect(interpretation.metrics.cpr.status).toBe('low');
+  });
+
+  test('derives cpr and uterinePI when they are not entered', () => {
+    const interpretation = interpretDopplerMetrics({
+      umbilicalPI: 1,
+      mcaPI: 1.8,
+      uterineLeftPI: 0.8,
+      uterineRightPI: 1,
+      uterinePI: null
+    }, 30.3);
+    expect(interpretation.metrics.cpr.value).toBeCloseTo(1.8, 5);
+    expect(interpretation.metrics.uterinePI.value).toBeCloseTo(0.9, 5);
+  });
+});
@@ -0,0 +1,67 @@
+import { computeIndices, synthesizeDopplerWaveform, waveformOptionsFromMetrics } from '@/utils/dopplerWaveform';
+
+describe('synthesizeDopplerWaveform', () => {
+  test.each([
+    ['umbilical', 1.1, 0.68],
+    ['umbilical', 1.6, 0.85],
+    ['uterine', 0.8, 0.5],
+    ['uterine', 1.4, 0.7]
+  ])('matches the target PI and RI of the %s artery (PI %s, RI %s)', (vessel, pi, ri) => {
+    const waveform = synthesizeDopplerWaveform({ vessel, pi, ri });
+    expect(waveform.adjusted).toBe(false);
+    expect(waveform.indices.pi).toBeCloseTo(pi, 3);
+    expect(waveform.indices.ri).toBeCloseTo(ri, 3);
+  });
+
+  test('derives RI from PI alone', () => {
+    const waveform = synthesizeDopplerWaveform({ pi: 1.2 });
+    expect(waveform.indices.pi).toBeCloseTo(1.2, 3);
+    expect(waveform.indices.ri).toBeGreaterThan(0.6);
+    expect(waveform.indices.ri).toBeLessThan(0.85);
+  });
+
+  test('spans the requested cycles at the heart rate', () => {
+    const waveform = synthesizeDopplerWaveform({ heartRate: 120, cycles: 2, samplesPerCycle: 50, psv: 60 });
+    expect(waveform.duration).toBeCloseTo(1);
+    expect(waveform.velocity).toHaveLength(100);
+    expect(waveform.time[50]).toBeCloseTo(0.5);
+    expect(waveform.indices.psv).toBeCloseTo(60);
+  });
+
+  test('drops end-diastolic velocity to zero or below for absent or reversed flow', () => {
+    const absent = synthesizeDopplerWaveform({ pi: 1.8, endDiastolicFlow: 'absent' });
+    expect(absent.indices.edv).toBe(0);
+    expect(absent.indices.ri).toBe(1);
+    expect(absent.indices.sd).toBeNull();
+
+    const reversed = synthesizeDopplerWaveform({ pi: 2.2, endDiastolicFlow: 'reversed' });
+    expect(reversed.indices.edv).toBeLessThan(0);
+    expect(reversed.indices.pi).toBeCloseTo(2.2, 3);
+  });
+
+  test('flags a PI the waveform shape cannot reach', () => {
+    const waveform = synthesizeDopplerWaveform({ pi: 0.2, ri: 0.9 });
+    expect(waveform.adjusted).toBe(true);
+    expect(waveform.indices.ri).toBeCloseTo(0.9, 3);
+  });
+});
+
+describe('computeIndices', () => {
+  test('computes PI, RI and S/D from one cycle', () => {
+    expect(computeIndices([20, 60, 40, 20])).toEqual({ psv: 60, edv: 20, vmean: 35, pi: 40 / 35, ri: 40 / 60, sd: 3 });
+  });
+});
+
+describe('waveformOptionsFromMetrics', () => {
+  test('prefers the umbilical artery when an umbilical value is entered', () => {
+    expect(waveformOptionsFromMetrics({ umbilicalPI: 1.3, uterineLeftPI: 1, fetalHeartRate: 150 })).toEqual({
+      vessel: 'umbilical', pi: 1.3, ri: null, heartRate: 150, endDiastolicFlow: 'present'
+    });
+  });
+
+  test('averages the uterine PIs and notches when only uterine values are entered', () => {
+    expect(waveformOptionsFromMetrics({ uterineLeftPI: 1, uterineRightPI: 1.4, uterineNotchRight: true })).toEqual({
+      vessel: 'uterine', pi: 1.2, ri: null, heartRate: null, notch: true
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import FlowParticles, { buildFlowNetwork, findFlowArray } from '@/utils/flowParticles';
+
+// Inlet 0 feeds branch point 1, which splits into 2 and 3; the flow into 3 is half that into 2:
+//
+//   0 --- 1 --- 2
+//          \
+//           3
+function tree(flow = [4, 4, 4, 0], arrayName = 'flow') {
+  return {
+    pointPositions: new Float32Array([0, 0, 0, 1, 0, 0, 2, 1, 0, 2, -1, 0]),
+    parentIndices: new Int32Array([-1, 0, 1, 1]),
+    radiusData: new Float32Array(0),
+    arrays: [{ name: arrayName, association: 'point', numComponents: 1, values: new Float32Array(flow) }]
+  };
+}
+
+// Segments a particle continues into from `segment`, over evenly spread random draws
+function countChoices(network, segment, draws = 600) {
+  const counts = {};
+  let draw = 0;
+  jest.spyOn(Math, 'random').mockImplementation(() => (draw++ + 0.5) / draws);
+  for (let i = 0; i < draws; i++) {
+    const next = FlowParticles.prototype.chooseNext.call({ network }, segment);
+    counts[next] = (counts[next] || 0) + 1;
+  }
+  return counts;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findFlowArray', () => {
+  test('prefers velocity, then flow, then flux point data', () => {
+    const arrays = [
+      { name: 'Flux', association: 'point' },
+      { name: 'velocity', association: 'cell' },
+      { name: 'Blood flow (ml/s)', association: 'point' }
+    ];
+    expect(findFlowArray(arrays).name).toBe('Blood flow (ml/s)');
+    expect(findFlowArray([arrays[0]]).name).toBe('Flux');
+    expect(findFlowArray([arrays[1]])).toBeNull();
+  });
+});
+
+describe('buildFlowNetwork', () => {
+  test('runs segments away from the inlet by default', () => {
+    const network = buildFlowNetwork(tree());
+    expect(network.segmentCount).toBe(3);
+    expect(Array.from(network.start)).toEqual([0, 1, 1]);
+    expect(Array.from(network.end)).toEqual([1, 2, 3]);
+    expect(Array.from(network.next)).toEqual([1, 2]);
+    expect(Array.from(network.nextOffsets)).toEqual([0, 2, 2, 2]);
+    expect(Array.from(network.previous)).toEqual([0, 0]);
+    expect(network.flowArray).toBe('flow');
+    expect(network.pathLength).toBeCloseTo(1 + Math.SQRT2);
+  });
+
+  test('runs segments towards the inlet for venous flow', () => {
+    const network = buildFlowNetwork(tree(), true);
+    expect(Array.from(network.start)).toEqual([1, 2, 3]);
+    expect(Array.from(network.end)).toEqual([0, 1, 1]);
+    // Both branches drain into the segment to the inlet, which leaves the tree
+    expect(Array.from(network.next)).toEqual([0, 0]);
+    expect(Array.from(network.nextOffsets)).toEqual([0, 0, 1, 2]);
+    expect(Array.from(network.previous)).toEqual([1, 2]);
+    expect(Array.from(network.previousOffsets)).toEqual([0, 2, 2, 2]);
+  });
+
+  test('weights branches by their flow and sets speeds relative to the mean', () => {
+    const network = buildFlowNetwork(tree());
+    expect(Array.from(network.weight)).toEqual([4, 4, 2]);
+    const meanSpeed = (4 + 4 * Math.SQRT2 + 2 * Math.SQRT2) / (1 + 2 * Math.SQRT2);
+    expect(network.speed[0]).toBeCloseTo(4 / meanSpeed);
+    expect(network.speed[2]).toBeCloseTo(2 / meanSpeed);
+  });
+
+  test('moves uniformly without flow data', () => {
+    const network = buildFlowNetwork({ ...tree(), arrays: [] });
+    expect(network.flowArray).toBeNull();
+    expect(Array.from(network.speed)).toEqual([1, 1, 1]);
+  });
+});
+
+describe('FlowParticles.chooseNext', () => {
+  test('chooses a child branch in proportion to its flow', () => {
+    expect(countChoices(buildFlowNetwork(tree()), 0)).toEqual({ 1: 400, 2: 200 });
+    expect(countChoices(buildFlowNetwork(tree([4, 4, 2, 2])), 0)).toEqual({ 1: 300, 2: 300 });
+  });
+
+  test('continues into the only next segment, and leaves the tree at its end', () => {
+    const network = buildFlowNetwork(tree(), true);
+    expect(countChoices(network, 2, 10)).toEqual({ 0: 10 });
+    expect(FlowParticles.prototype.chooseNext.call({ network }, 0)).toBe(-1);
+  });
+});
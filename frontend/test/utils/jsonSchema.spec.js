@@ -0,0 +1,94 @@
+import modelSchema from '@/assets/data/schemas/model.schema.json';
+import topicsSchema from '@/assets/data/schemas/topics.schema.json';
+import videosSchema from '@/assets/data/schemas/videos.schema.json';
+import { formatSchemaErrors, joinSchemaPath, validateSchema } from '@/utils/jsonSchema';
+
+const SCHEMAS = [topicsSchema, modelSchema, videosSchema];
+
+function subTopic(fields = {}) {
+  return {
+    slug: 'pregnancy-changes',
+    title: 'Changes',
+    heading: 'How your body changes',
+    icon: 'mdi-human-pregnant',
+    dataFile: 'pregnancy-changes',
+    category: 'success',
+    model: { name: 'NoInfarct' },
+    ...fields
+  };
+}
+
+function topics(sub = subTopic()) {
+  return {
+    pregnancy: { title: 'Pregnancy', heading: 'Pregnancy', icon: 'mdi-human-pregnant', subTopics: { changes: sub } }
+  };
+}
+
+describe('validateSchema', () => {
+  test('accepts valid topics', () => {
+    expect(validateSchema(topics(), topicsSchema, { schemas: SCHEMAS })).toEqual([]);
+  });
+
+  test('names the exact path of a missing field', () => {
+    const { icon, ...withoutIcon } = subTopic();
+    expect(validateSchema(topics(withoutIcon), topicsSchema, { schemas: SCHEMAS })).toEqual([
+      { path: 'pregnancy.subTopics.changes.icon', message: 'is required' }
+    ]);
+  });
+
+  test('reports wrong types, patterns, enums and unknown fields by path', () => {
+    const errors = validateSchema(topics(subTopic({ title: 3, slug: 'Bad Slug', category: 'info', colour: 'red' })), topicsSchema, { schemas: SCHEMAS });
+    expect(formatSchemaErrors(errors)).toEqual([
+      'pregnancy.subTopics.changes.slug: "Bad Slug" must match ^[a-z0-9]+(-[a-z0-9]+)*$',
+      'pregnancy.subTopics.changes.title: must be string, not number',
+      'pregnancy.subTopics.changes.category: must be one of "success", "warning", "error"',
+      'pregnancy.subTopics.changes.colour: is not a known field'
+    ]);
+  });
+
+  test('follows a $ref into the model schema by $id', () => {
+    const errors = validateSchema(topics(subTopic({ model: { label: 'Infarct', scale: 0 } })), topicsSchema, { schemas: SCHEMAS });
+    expect(errors).toEqual([
+      { path: 'pregnancy.subTopics.changes.model.name', message: 'is required' },
+      { path: 'pregnancy.subTopics.changes.model.scale', message: 'must be greater than 0' }
+    ]);
+  });
+
+  test('resolves "#/definitions" refs against the schema holding them', () => {
+    const model = { name: 'Infarct', layers: ['healthyArterial', { layer: 'arterial', file: 'tree.stl' }] };
+    expect(validateSchema(topics(subTopic({ model })), topicsSchema, { schemas: SCHEMAS })).toEqual([
+      { path: 'pregnancy.subTopics.changes.model.layers[1].file', message: '"tree.stl" must match \\.(vtk|vtp)$' }
+    ]);
+  });
+
+  test('validates videos against their own schema', () => {
+    expect(validateSchema({ healthy: { heading: 'Healthy', link: 'videos/healthy.mp4' } }, videosSchema)).toEqual([]);
+    expect(validateSchema({ healthy: { heading: 'Healthy', link: 'videos/healthy.avi' } }, videosSchema)).toEqual([
+      { path: 'healthy.link', message: '"videos/healthy.avi" must match \\.(mp4|webm)$' }
+    ]);
+  });
+
+  test('throws on a $ref to an unknown schema', () => {
+    expect(() => validateSchema(topics(), topicsSchema)).toThrow('Unknown schema "model.schema.json"');
+  });
+
+  test('reports the closest oneOf alternative of the value\'s type', () => {
+    const model = { name: 'Infarct', layers: [{ layer: 'arterial' }, 4] };
+    expect(formatSchemaErrors(validateSchema(model, modelSchema))).toEqual([
+      'layers[0].file: is required',
+      'layers[1]: number is not an allowed form here'
+    ]);
+  });
+
+  test('prefixes the given path', () => {
+    expect(validateSchema({}, modelSchema, { path: 'model' })).toEqual([{ path: 'model.name', message: 'is required' }]);
+  });
+});
+
+describe('joinSchemaPath', () => {
+  test('joins properties with dots and items with brackets', () => {
+    expect(joinSchemaPath('', 'topics')).toBe('topics');
+    expect(joinSchemaPath('topics', 'pregnancy')).toBe('topics.pregnancy');
+    expect(joinSchemaPath('layers', 1)).toBe('layers[1]');
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  buildVisibleIndex,
+  computeLesionMask,
+  parseLesionSet,
+  resolveLesions,
+  serializeLesionSet,
+  toFileCoordinates
+} from '@/utils/lesions';
+
+// A corner of a cube as a closed tetrahedron: inside where x, y, z >= 0 and x + y + z <= 2
+const tetrahedron = {
+  id: 'corner',
+  type: 'mesh',
+  vertices: [[0, 0, 0], [2, 0, 0], [0, 2, 0], [0, 0, 2]],
+  faces: [[0, 2, 1], [0, 1, 3], [0, 3, 2], [1, 2, 3]]
+};
+
+// Trees centred on (10, 20, 30) and 100 file units across
+const frame = { center: [10, 20, 30], size: 100 };
+
+function points(...list) {
+  return new Float32Array(list.flat());
+}
+
+describe('parseLesionSet', () => {
+  test('fills in ids, labels and defaults', () => {
+    const set = parseLesionSet({ lesions: [{ type: 'sphere', center: [0, 0, 0], radius: 1 }] });
+    expect(set).toMatchObject({ version: 1, label: 'Lesions', coordinates: 'file', vesselEffect: 'dim' });
+    expect(set.lesions[0]).toEqual({ id: 'lesion-1', label: 'Lesion 1', type: 'sphere', center: [0, 0, 0], radius: 1 });
+  });
+
+  test('rejects malformed lesions', () => {
+    const parse = lesion => () => parseLesionSet({ lesions: [lesion] }, 'set.json');
+    expect(parse({ id: 'a', type: 'sphere', center: [0, 0], radius: 1 })).toThrow('Invalid set.json: sphere "a" needs a [x, y, z] center');
+    expect(parse({ ...tetrahedron, faces: tetrahedron.faces.slice(1) })).toThrow('at least four triangular faces');
+    expect(parse({ ...tetrahedron, faces: [...tetrahedron.faces.slice(1), [0, 1, 4]] })).toThrow('has a face that is not three vertex indices');
+    expect(parse({ id: 'a', type: 'box' })).toThrow('lesion "a" has unknown type "box"');
+    expect(() => parseLesionSet({ lesions: [], vesselEffect: 'blur' })).toThrow('unknown vesselEffect "blur"');
+  });
+});
+
+describe('computeLesionMask', () => {
+  test('marks points inside or on a sphere', () => {
+    const lesions = resolveLesions(parseLesionSet({ lesions: [{ type: 'sphere', center: [1, 1, 1], radius: 2 }] }), frame);
+    const mask = computeLesionMask(points([1, 1, 1], [3, 1, 1], [3.01, 1, 1], [2.2, 2.2, 2.2]), lesions);
+    expect(Array.from(mask)).toEqual([1, 1, 0, 0]);
+  });
+
+  test('marks points inside a closed mesh', () => {
+    const lesions = resolveLesions(parseLesionSet({ lesions: [tetrahedron] }), frame);
+    expect(lesions[0].bounds).toEqual({ min: [0, 0, 0], max: [2, 2, 2] });
+    const mask = computeLesionMask(points(
+      [0.3, 0.3, 0.3], // inside
+      [1, 0.5, 0.4], // inside, near the slanted face
+      [1, 1, 1], // in the bounding box but beyond the slanted face
+      [-1, 0.5, 0.5], // in front of the mesh along the ray
+      [0.5, 0.5, 3] // outside the bounding box
+    ), lesions);
+    expect(Array.from(mask)).toEqual([1, 1, 0, 0, 0]);
+  });
+
+  test('marks a point inside any of several lesions', () => {
+    const set = parseLesionSet({ lesions: [tetrahedron, { type: 'sphere', center: [10, 0, 0], radius: 1 }] });
+    expect(Array.from(computeLesionMask(points([0.3, 0.3, 0.3], [10, 0.5, 0], [5, 0, 0]), resolveLesions(set, frame)))).toEqual([1, 1, 0]);
+    expect(Array.from(computeLesionMask(points([0, 0, 0]), []))).toEqual([0]);
+  });
+});
+
+describe('normalized coordinates', () => {
+  const set = parseLesionSet({
+    coordinates: 'normalized',
+    lesions: [{ id: 'a', type: 'sphere', center: [0.1, 0, -0.2], radius: 0.05 }, { ...tetrahedron, vertices: [[0, 0, 0], [0.02, 0, 0], [0, 0.02, 0], [0, 0, 0.02]] }]
+  });
+
+  test('are placed relative to the centre and largest dimension of the trees', () => {
+    const [sphere, mesh] = resolveLesions(set, frame);
+    expect(sphere.center).toEqual([20, 20, 10]);
+    expect(sphere.radius).toBe(5);
+    expect(mesh.vertices[1]).toEqual([12, 20, 30]);
+    expect(mesh.bounds).toEqual({ min: [10, 20, 30], max: [12, 22, 32] });
+    expect(Array.from(computeLesionMask(points([24, 20, 10], [26, 20, 10], [10.3, 20.3, 30.3]), [sphere, mesh]))).toEqual([1, 0, 1]);
+  });
+
+  test('convert to file coordinates for saving', () => {
+    const saved = serializeLesionSet(toFileCoordinates(set, frame));
+    expect(saved.coordinates).toBe('file');
+    expect(saved.lesions[0]).toEqual({ id: 'a', label: 'Lesion 1', type: 'sphere', center: [20, 20, 10], radius: 5 });
+    expect(saved.lesions[1].bounds).toBeUndefined();
+  });
+});
+
+describe('buildVisibleIndex', () => {
+  const mask = new Uint8Array([0, 1, 0]);
+
+  test('drops triangles and lines touching a point inside a lesion', () => {
+    const pointIndices = new Uint32Array([0, 0, 2, 1, 2, 2]);
+    expect(Array.from(buildVisibleIndex(mask, pointIndices, 'tubes', new Uint32Array([0, 1, 2, 1, 2, 3])))).toEqual([0, 1, 2]);
+    expect(Array.from(buildVisibleIndex(mask, pointIndices, 'lines'))).toEqual([0, 1, 4, 5]);
+    expect(Array.from(buildVisibleIndex(mask, pointIndices, 'points'))).toEqual([0, 1, 2, 4, 5]);
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  buildDetailIndices,
+  describeTubeSegments,
+  getBuildSegments,
+  nextAutoLevel
+} from '@/utils/levelOfDetail';
+
+// Inlet 0 feeds branch point 1, which splits into a long terminal vessel to 2 and a short one to 3:
+//
+//   0 --- 1 ------ 2
+//          \
+//           3
+// Tubes are built with 4 sides: segment s runs between the rings in segmentRings, and each segment
+// has three joint or cap indices after the 3 * 4 * 6 wall indices.
+function branchedLayer() {
+  const fullIndex = new Uint32Array(3 * 4 * 6 + 9);
+  fullIndex.set([100, 101, 102, 110, 111, 112, 120, 121, 122], 72);
+  return {
+    segmentPoints: new Uint32Array([0, 1, 1, 2, 1, 3]),
+    segmentRings: new Uint32Array([0, 4, 4, 8, 4, 12]),
+    segmentExtras: new Uint32Array([72, 75, 78, 81]),
+    radialSegments: 4,
+    fullIndex,
+    radiusData: new Float32Array([3, 2, 1, 0.5]),
+    parentIndices: new Int32Array([-1, 0, 1, 1]),
+    pointPositions: new Float32Array([0, 0, 0, 1, 0, 0, 3, 0, 0, 1, 0.5, 0])
+  };
+}
+
+describe('describeTubeSegments', () => {
+  test('measures each terminal vessel from its branch point', () => {
+    const segments = describeTubeSegments(branchedLayer());
+    expect(segments.segmentCount).toBe(3);
+    expect(Array.from(segments.segmentRadius)).toEqual([3, 2, 2]);
+    expect(Array.from(segments.terminalLength)).toEqual([0, 2, 0.5]);
+  });
+
+  test('never counts an unbranched run to the inlet as terminal', () => {
+    const segments = describeTubeSegments({
+      ...branchedLayer(),
+      segmentPoints: new Uint32Array([0, 1, 1, 2]),
+      segmentRings: new Uint32Array([0, 4, 4, 8]),
+      segmentExtras: new Uint32Array([48, 48, 48]),
+      fullIndex: new Uint32Array(48),
+      radiusData: new Float32Array([1, 1, 1]),
+      parentIndices: new Int32Array([-1, 0, 1]),
+      pointPositions: new Float32Array([0, 0, 0, 0.01, 0, 0, 0.02, 0, 0])
+    });
+    expect(Array.from(segments.terminalLength)).toEqual([0, 0]);
+    expect(buildDetailIndices(segments, { cullLength: 100 }).culledCount).toBe(0);
+  });
+});
+
+describe('buildDetailIndices', () => {
+  const segments = describeTubeSegments(branchedLayer());
+
+  test('keeps every built side by default', () => {
+    const { triangles, tubeCount, lineCount, culledCount } = buildDetailIndices(segments, {});
+    expect([tubeCount, lineCount, culledCount]).toEqual([3, 0, 0]);
+    expect(triangles.length).toBe(3 * 4 * 6 + 9);
+    expect(Array.from(triangles.subarray(0, 6))).toEqual([4, 0, 1, 5, 4, 1]);
+    expect(Array.from(triangles.subarray(72))).toEqual([100, 101, 102, 110, 111, 112, 120, 121, 122]);
+  });
+
+  test('draws fewer sides from an even subset of each ring', () => {
+    const { triangles } = buildDetailIndices(segments, { radialSegments: 3 });
+    expect(triangles.length).toBe(3 * 3 * 6 + 9);
+    // Ring vertices 0, 1 and 3 of 4, wrapping back to 0
+    const firstWall = Array.from(triangles.subarray(0, 18));
+    expect(firstWall).toEqual([
+      4, 0, 1, 5, 4, 1,
+      5, 1, 3, 7, 5, 3,
+      7, 3, 0, 4, 7, 0
+    ]);
+  });
+
+  test('never draws fewer than three sides or more than were built', () => {
+    expect(buildDetailIndices(segments, { radialSegments: 2 }).triangles.length).toBe(3 * 3 * 6 + 9);
+    expect(buildDetailIndices(segments, { radialSegments: 12 }).triangles.length).toBe(3 * 4 * 6 + 9);
+  });
+
+  test('draws segments thinner than minRadius as lines between their rings, without their extras', () => {
+    const { triangles, lines, tubeCount, lineCount } = buildDetailIndices(segments, { minRadius: 2.5 });
+    expect([tubeCount, lineCount]).toEqual([1, 2]);
+    expect(Array.from(lines)).toEqual([4, 8, 4, 12]);
+    expect(triangles.length).toBe(4 * 6 + 3);
+    expect(Array.from(triangles.subarray(24))).toEqual([100, 101, 102]);
+  });
+
+  test('culls terminal vessels shorter than cullLength', () => {
+    const { triangles, tubeCount, culledCount } = buildDetailIndices(segments, { cullLength: 1 });
+    expect([tubeCount, culledCount]).toEqual([2, 1]);
+    expect(Array.from(triangles.subarray(48))).toEqual([100, 101, 102, 110, 111, 112]);
+  });
+
+  test('keeps the index type of the full index', () => {
+    const small = describeTubeSegments({ ...branchedLayer(), fullIndex: Uint16Array.from(branchedLayer().fullIndex) });
+    expect(buildDetailIndices(small, {}).triangles).toBeInstanceOf(Uint16Array);
+  });
+});
+
+describe('getBuildSegments', () => {
+  test('builds as many sides in auto as in high', () => {
+    expect(getBuildSegments('low')).toBeLessThan(getBuildSegments('medium'));
+    expect(getBuildSegments('auto')).toBe(getBuildSegments('high'));
+    expect(getBuildSegments('unknown')).toBe(getBuildSegments('high'));
+  });
+});
+
+describe('nextAutoLevel', () => {
+  test('steps down below 24 frames per second', () => {
+    expect(nextAutoLevel('high', 23.9)).toBe('medium');
+    expect(nextAutoLevel('medium', 10)).toBe('low');
+    expect(nextAutoLevel('low', 5)).toBe('low');
+  });
+
+  test('steps up from 50 frames per second', () => {
+    expect(nextAutoLevel('low', 50)).toBe('medium');
+    expect(nextAutoLevel('medium', 60)).toBe('high');
+    expect(nextAutoLevel('high', 120)).toBe('high');
+  });
+
+  test('stays in between', () => {
+    expect(nextAutoLevel('medium', 24)).toBe('medium');
+    expect(nextAutoLevel('medium', 49.9)).toBe('medium');
+  });
+});
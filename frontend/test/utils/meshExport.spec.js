@@ -0,0 +1,145 @@
+import { buildGLB, buildSTL } from '@/utils/meshExport';
+
+// One triangle in the z = 0 plane, wound counter-clockwise seen from +z
+function triangleMesh(fields = {}) {
+  return {
+    name: 'arterial',
+    mode: 'triangles',
+    positions: new Float32Array([0, 0, 0, 2, 0, 0, 0, 2, 0]),
+    normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]),
+    colors: null,
+    indices: new Uint32Array([0, 1, 2]),
+    color: [1, 0, 0],
+    opacity: 1,
+    ...fields
+  };
+}
+
+const lineMesh = {
+  name: 'centreline',
+  mode: 'lines',
+  positions: new Float32Array([0, 0, 0, 0, 0, 5]),
+  normals: null,
+  colors: null,
+  indices: null,
+  color: [0, 0, 1],
+  opacity: 0.5
+};
+
+// Header and chunks of a .glb file
+function readGLB(buffer) {
+  const view = new DataView(buffer);
+  const jsonLength = view.getUint32(12, true);
+  const binOffset = 20 + jsonLength;
+  return {
+    magic: view.getUint32(0, true),
+    version: view.getUint32(4, true),
+    length: view.getUint32(8, true),
+    jsonLength,
+    jsonType: view.getUint32(16, true),
+    jsonText: new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)),
+    binLength: view.getUint32(binOffset, true),
+    binType: view.getUint32(binOffset + 4, true),
+    bin: new Uint8Array(buffer, binOffset + 8)
+  };
+}
+
+describe('buildGLB', () => {
+  test('writes the GLB header and two 4-byte aligned chunks', () => {
+    const buffer = buildGLB([triangleMesh(), lineMesh], { generator: 'test' });
+    const glb = readGLB(buffer);
+    expect(glb.magic).toBe(0x46546C67);
+    expect(glb.version).toBe(2);
+    expect(glb.length).toBe(buffer.byteLength);
+    expect(glb.jsonType).toBe(0x4E4F534A);
+    expect(glb.binType).toBe(0x004E4942);
+    expect(glb.jsonLength % 4).toBe(0);
+    expect(glb.binLength % 4).toBe(0);
+    expect(glb.bin.length).toBe(glb.binLength);
+    expect(20 + glb.jsonLength + 8 + glb.binLength).toBe(buffer.byteLength);
+
+    // The JSON chunk is padded with spaces, which JSON.parse ignores
+    expect(glb.jsonText).toMatch(/} *$/);
+    expect(JSON.parse(glb.jsonText).asset).toEqual({ version: '2.0', generator: 'test' });
+  });
+
+  test('pads the JSON chunk to a multiple of 4 bytes whatever its length', () => {
+    const lengths = ['a', 'ab', 'abc', 'abcd'].map((name) => {
+      const glb = readGLB(buildGLB([triangleMesh({ name })]));
+      expect(glb.jsonLength % 4).toBe(0);
+      expect(glb.jsonText.trimEnd().length).toBeGreaterThan(glb.jsonLength - 4);
+      return glb.jsonLength;
+    });
+    expect(new Set(lengths).size).toBeGreaterThan(1);
+  });
+
+  test('describes each array with an aligned buffer view and accessor', () => {
+    const glb = readGLB(buildGLB([triangleMesh(), lineMesh]));
+    const gltf = JSON.parse(glb.jsonText);
+    expect(gltf.bufferViews.every(view => view.byteOffset % 4 === 0)).toBe(true);
+    expect(gltf.buffers).toEqual([{ byteLength: glb.binLength }]);
+
+    const [triangles, lines] = gltf.meshes.map(mesh => mesh.primitives[0]);
+    expect(triangles.mode).toBe(4);
+    expect(lines.mode).toBe(1);
+    expect(lines.indices).toBeUndefined();
+    expect(lines.attributes.NORMAL).toBeUndefined();
+
+    const indices = gltf.accessors[triangles.indices];
+    expect(indices).toMatchObject({ componentType: 5125, count: 3, type: 'SCALAR' });
+    const position = gltf.accessors[triangles.attributes.POSITION];
+    expect(position).toMatchObject({ componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [2, 2, 0] });
+
+    const view = gltf.bufferViews[indices.bufferView];
+    expect(Array.from(new Uint32Array(glb.bin.slice(view.byteOffset, view.byteOffset + view.byteLength).buffer))).toEqual([0, 1, 2]);
+  });
+
+  test('uses white materials under vertex colours and blends translucent meshes', () => {
+    const colors = new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    const gltf = JSON.parse(readGLB(buildGLB([triangleMesh({ colors }), lineMesh])).jsonText);
+    expect(gltf.materials[0].pbrMetallicRoughness.baseColorFactor).toEqual([1, 1, 1, 1]);
+    expect(gltf.materials[0].alphaMode).toBe('OPAQUE');
+    expect(gltf.materials[1].pbrMetallicRoughness.baseColorFactor).toEqual([0, 0, 1, 0.5]);
+    expect(gltf.materials[1].alphaMode).toBe('BLEND');
+    expect(gltf.scenes[0].nodes).toEqual([0, 1]);
+  });
+});
+
+describe('buildSTL', () => {
+  test('counts the triangles of triangle meshes only', () => {
+    const unindexed = triangleMesh({ indices: null, positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1]) });
+    const buffer = buildSTL([triangleMesh(), lineMesh, unindexed]);
+    const view = new DataView(buffer);
+    expect(view.getUint32(80, true)).toBe(3);
+    expect(buffer.byteLength).toBe(80 + 4 + 3 * 50);
+    expect(new TextDecoder().decode(new Uint8Array(buffer, 0, 25))).toBe('pregnancy-app vessel tree');
+  });
+
+  test('writes unit facet normals from the winding and the vertices', () => {
+    const mesh = triangleMesh({ indices: new Uint32Array([0, 2, 1]) });
+    const view = new DataView(buildSTL([mesh]));
+    const floats = Array.from({ length: 12 }, (_, i) => view.getFloat32(84 + i * 4, true));
+    expect(floats.slice(0, 3)).toEqual([0, 0, -1]);
+    expect(floats.slice(3)).toEqual([0, 0, 0, 0, 2, 0, 2, 0, 0]);
+  });
+
+  test('writes a zero normal for a degenerate triangle', () => {
+    const mesh = triangleMesh({ indices: new Uint32Array([0, 1, 1]) });
+    const view = new DataView(buildSTL([mesh]));
+    expect([0, 4, 8].map(offset => view.getFloat32(84 + offset, true))).toEqual([0, 0, 0]);
+  });
+
+  test('sets the 0x8000 bit and 5-bit RGB in the attribute word', () => {
+    const red = new DataView(buildSTL([triangleMesh()]));
+    expect(red.getUint16(84 + 48, true)).toBe(0x8000 | (31 << 10));
+
+    // Vertex colours are averaged per face
+    const colors = new Float32Array([0, 1, 0, 0, 1, 0, 0, 0.5, 3]);
+    const mixed = new DataView(buildSTL([triangleMesh({ colors })]));
+    expect(mixed.getUint16(84 + 48, true)).toBe(0x8000 | (26 << 5) | 31);
+  });
+
+  test('returns null without triangles', () => {
+    expect(buildSTL([lineMesh])).toBeNull();
+  });
+});
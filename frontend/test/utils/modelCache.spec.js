@@ -0,0 +1,222 @@
+import 'fake-indexeddb/auto';
+import { webcrypto } from 'crypto';
+import {
+  MODEL_CACHE_FRESH_MS,
+  clearModelCache,
+  fetchModelFile,
+  getModelCacheUsage,
+  loadModelGeometry,
+  revalidateModel,
+  selectEvictions
+} from '@/utils/modelCache';
+
+const URL = 'https://example.org/models/tree.vtk';
+
+// A two-segment vessel tree as a legacy ASCII file; `end` moves its last point to make a changed file
+function vtkFile(end = 2) {
+  return new TextEncoder().encode([
+    '# vtk DataFile Version 3.0',
+    'tree',
+    'ASCII',
+    'DATASET POLYDATA',
+    'POINTS 3 float',
+    `0 0 0 1 0 0 ${end} 0 0`,
+    'LINES 2 6',
+    '2 0 1',
+    '2 1 2',
+    ''
+  ].join('\n'));
+}
+
+// A fetch Response stand-in: `chunks` are streamed through a body reader unless `stream` is false
+function response({ status = 200, chunks = [vtkFile()], headers = {}, stream = true } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const queue = [...chunks];
+  const joined = () => {
+    const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    chunks.reduce((offset, chunk) => (bytes.set(chunk, offset), offset + chunk.length), 0);
+    return bytes.buffer;
+  };
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: status === 304 ? 'Not Modified' : 'OK',
+    headers: { get: name => lowered[name.toLowerCase()] || null },
+    body: stream ? { getReader: () => ({ read: async () => (queue.length ? { done: false, value: queue.shift() } : { done: true }) }) } : null,
+    arrayBuffer: async () => joined()
+  };
+}
+
+function sentHeaders(call = 0) {
+  return global.fetch.mock.calls[call][1].headers;
+}
+
+// Load a model into the cache, then age it past MODEL_CACHE_FRESH_MS so the next load reports it stale
+async function cacheStaleModel(headers) {
+  global.fetch.mockResolvedValueOnce(response({ headers }));
+  await loadModelGeometry(URL);
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now + MODEL_CACHE_FRESH_MS);
+  expect((await loadModelGeometry(URL)).stale).toBe(true);
+  global.fetch.mockClear();
+}
+
+beforeEach(async () => {
+  global.fetch = jest.fn();
+  global.crypto = webcrypto;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await clearModelCache();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  delete global.crypto;
+});
+
+describe('fetchModelFile', () => {
+  test('reports progress per chunk and joins the chunks', async () => {
+    const bytes = vtkFile();
+    const chunks = [bytes.subarray(0, 10), bytes.subarray(10, 40), bytes.subarray(40)];
+    global.fetch.mockResolvedValueOnce(response({ chunks, headers: { 'Content-Length': bytes.length, ETag: '"v1"' } }));
+    const onProgress = jest.fn();
+
+    const { buffer, version } = await fetchModelFile(URL, { onProgress });
+    expect(onProgress.mock.calls).toEqual([[10, bytes.length], [40, bytes.length], [bytes.length, bytes.length]]);
+    expect(new Uint8Array(buffer)).toEqual(bytes);
+    expect(version).toEqual({ etag: '"v1"', lastModified: null });
+  });
+
+  test('grows the buffer past a missing or short Content-Length', async () => {
+    const bytes = vtkFile();
+    global.fetch.mockResolvedValueOnce(response({ chunks: [bytes.subarray(0, 5), bytes.subarray(5)], headers: { 'Content-Length': 5 } }));
+    const onProgress = jest.fn();
+
+    const { buffer } = await fetchModelFile(URL, { onProgress });
+    expect(buffer.byteLength).toBe(bytes.length);
+    expect(new Uint8Array(buffer)).toEqual(bytes);
+    expect(onProgress).toHaveBeenLastCalledWith(bytes.length, 5);
+  });
+
+  test('reports once when the body cannot be streamed', async () => {
+    const bytes = vtkFile();
+    global.fetch.mockResolvedValueOnce(response({ stream: false }));
+    const onProgress = jest.fn();
+
+    await fetchModelFile(URL, { onProgress });
+    expect(onProgress.mock.calls).toEqual([[bytes.length, 0]]);
+  });
+
+  test('sends the cached version back and reports 304 as not modified', async () => {
+    global.fetch.mockResolvedValueOnce(response({ status: 304, chunks: [] }));
+    expect(await fetchModelFile(URL, { version: { etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' } })).toEqual({ notModified: true });
+    expect(sentHeaders()).toEqual({ 'If-None-Match': '"v1"' });
+  });
+
+  test('rejects on an HTTP error', async () => {
+    global.fetch.mockResolvedValueOnce({ ...response(), status: 404, ok: false, statusText: 'Not Found' });
+    await expect(fetchModelFile(URL)).rejects.toThrow('HTTP 404: Not Found');
+  });
+});
+
+describe('selectEvictions', () => {
+  const entries = [
+    { key: 'b', bytes: 30, lastUsed: 2 },
+    { key: 'a', bytes: 50, lastUsed: 1 },
+    { key: 'd', bytes: 10, lastUsed: 4 },
+    { key: 'c', bytes: 20, lastUsed: 3 }
+  ];
+
+  test('keeps everything within the limits', () => {
+    expect(selectEvictions(entries, null, { maxBytes: 110, maxEntries: 4 })).toEqual([]);
+  });
+
+  test('evicts the least recently used until the bytes fit', () => {
+    expect(selectEvictions(entries, null, { maxBytes: 60, maxEntries: 4 })).toEqual(['a']);
+    expect(selectEvictions(entries, null, { maxBytes: 25, maxEntries: 4 })).toEqual(['a', 'b', 'c']);
+  });
+
+  test('evicts the least recently used until the count fits', () => {
+    expect(selectEvictions(entries, null, { maxBytes: 1000, maxEntries: 2 })).toEqual(['a', 'b']);
+  });
+
+  test('never evicts the kept entry', () => {
+    expect(selectEvictions(entries, 'a', { maxBytes: 60, maxEntries: 4 })).toEqual(['b', 'c']);
+  });
+});
+
+describe('loadModelGeometry', () => {
+  test('serves a cached model without a request until it goes stale', async () => {
+    global.fetch.mockResolvedValueOnce(response({ headers: { ETag: '"v1"' } }));
+    const built = await loadModelGeometry(URL);
+    expect(built).toMatchObject({ fromCache: false, stale: false });
+
+    const cached = await loadModelGeometry(URL);
+    expect(cached).toMatchObject({ fromCache: true, stale: false });
+    expect(Array.from(cached.positions)).toEqual(Array.from(built.positions));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect((await getModelCacheUsage()).entries).toBe(1);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + MODEL_CACHE_FRESH_MS);
+    expect(await loadModelGeometry(URL)).toMatchObject({ fromCache: true, stale: true });
+  });
+});
+
+describe('revalidateModel', () => {
+  test('keeps the model on 304 and marks it checked', async () => {
+    await cacheStaleModel({ ETag: '"v1"' });
+    global.fetch.mockResolvedValueOnce(response({ status: 304, chunks: [] }));
+
+    expect(await revalidateModel(URL)).toBe(false);
+    expect(sentHeaders()).toEqual({ 'If-None-Match': '"v1"' });
+    expect((await loadModelGeometry(URL)).stale).toBe(false);
+  });
+
+  test('rebuilds the model when the ETag changed', async () => {
+    await cacheStaleModel({ ETag: '"v1"' });
+    global.fetch.mockResolvedValueOnce(response({ chunks: [vtkFile(5)], headers: { ETag: '"v2"' } }));
+
+    expect(await revalidateModel(URL)).toBe(true);
+    const reloaded = await loadModelGeometry(URL);
+    expect(reloaded).toMatchObject({ fromCache: true, stale: false });
+    expect(Math.max(...reloaded.positions)).toBe(5);
+  });
+
+  test('sends If-Modified-Since and keeps the model for the same date', async () => {
+    const lastModified = 'Mon, 01 Jan 2024 00:00:00 GMT';
+    await cacheStaleModel({ 'Last-Modified': lastModified });
+    global.fetch.mockResolvedValueOnce(response({ chunks: [vtkFile(5)], headers: { 'Last-Modified': lastModified } }));
+
+    expect(await revalidateModel(URL)).toBe(false);
+    expect(sentHeaders()).toEqual({ 'If-Modified-Since': lastModified });
+    expect(Math.max(...(await loadModelGeometry(URL)).positions)).toBe(2);
+  });
+
+  test('compares content hashes when the server gives no stamp', async () => {
+    await cacheStaleModel({});
+    global.fetch.mockResolvedValueOnce(response());
+    expect(await revalidateModel(URL)).toBe(false);
+    expect(sentHeaders()).toEqual({});
+
+    global.fetch.mockResolvedValueOnce(response({ chunks: [vtkFile(5)] }));
+    expect(await revalidateModel(URL)).toBe(true);
+    expect(Math.max(...(await loadModelGeometry(URL)).positions)).toBe(5);
+  });
+
+  test('keeps the model and marks it checked when no hash can be computed', async () => {
+    delete global.crypto;
+    await cacheStaleModel({});
+    global.fetch.mockResolvedValueOnce(response({ chunks: [vtkFile(5)] }));
+
+    expect(await revalidateModel(URL)).toBe(false);
+    const reloaded = await loadModelGeometry(URL);
+    expect(reloaded.stale).toBe(false);
+    expect(Math.max(...reloaded.positions)).toBe(2);
+  });
+
+  test('does nothing for a model that is not cached', async () => {
+    expect(await revalidateModel(URL)).toBe(false);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+import topicsData from '@/assets/data/topics.json';
+import {
+  getContentBySlug,
+  getDefaultSlug,
+  isSubTopicDisabled,
+  isTopicDisabled,
+  validateTopics
+} from '@/utils/topicContent';
+
+const manifest = {
+  defaultModel: 'normal',
+  layers: {
+    healthyArterial: { layer: 'arterial', file: 'arterial.vtk' },
+    healthyVenous: { layer: 'venous', file: 'venous.vtk' }
+  },
+  models: { normal: { layers: ['healthyArterial', 'healthyVenous'] } }
+};
+
+function subTopic(slug, fields = {}) {
+  return {
+    slug,
+    title: 'Title',
+    heading: 'Heading',
+    icon: 'mdi-baby',
+    dataFile: slug,
+    category: 'success',
+    model: { name: 'NoInfarct' },
+    ...fields
+  };
+}
+
+// A topic whose key holds a dash, with a subtopic slug that starts like another topic's key
+const topics = {
+  'labour-birth': {
+    title: 'Labour',
+    heading: 'Labour and birth',
+    icon: 'mdi-baby-carriage',
+    subTopics: { stages: subTopic('labour-birth-stages'), care: subTopic('labour-care') }
+  },
+  labour: {
+    title: 'Labour',
+    heading: 'Labour',
+    icon: 'mdi-baby',
+    subTopics: { signs: subTopic('labour-signs') }
+  }
+};
+
+describe('getContentBySlug', () => {
+  test('finds a subtopic by its slug under a dashed topic key', () => {
+    const content = getContentBySlug(topics, 'labour-birth-stages');
+    expect(content.heading).toBe('Heading');
+    expect(content.parentTopic).toEqual({ key: 'labour-birth', heading: 'Labour and birth', title: 'Labour' });
+  });
+
+  test('matches the slug, not the topic key it starts with', () => {
+    expect(getContentBySlug(topics, 'labour-care').parentTopic.key).toBe('labour-birth');
+    expect(getContentBySlug(topics, 'LABOUR-SIGNS').parentTopic.key).toBe('labour');
+    expect(getContentBySlug(topics, 'labour-birth')).toBeNull();
+  });
+});
+
+describe('getDefaultSlug', () => {
+  test('opens the first subtopic', () => {
+    expect(getDefaultSlug(topics['labour-birth'])).toBe('labour-birth-stages');
+    expect(getDefaultSlug({ subTopics: { first: { title: 'No slug' } } })).toBe('');
+  });
+});
+
+describe('validateTopics', () => {
+  test('accepts the topics of the app', () => {
+    expect(validateTopics(topicsData)).toEqual([]);
+  });
+
+  test('reports a slug used twice, at the second use', () => {
+    const duplicated = { ...topics, labour: { ...topics.labour, subTopics: { signs: subTopic('labour-care') } } };
+    expect(validateTopics(duplicated, { manifest })).toEqual([
+      { path: 'labour.subTopics.signs.slug', message: '"labour-care" is also the slug of labour-birth.subTopics.care' }
+    ]);
+  });
+
+  test('names the exact path of a missing icon', () => {
+    const { icon, ...withoutIcon } = subTopic('labour-signs');
+    expect(validateTopics({ ...topics, labour: { ...topics.labour, subTopics: { signs: withoutIcon } } }, { manifest })).toEqual([
+      { path: 'labour.subTopics.signs.icon', message: 'is required' }
+    ]);
+  });
+
+  test('checks articles and model layers against the files they name', () => {
+    const model = { name: 'NoInfarct', layers: ['healthyArterial', 'scarred'], visibleLayers: ['venous'] };
+    const checked = { labour: { ...topics.labour, subTopics: { signs: subTopic('labour-signs', { model }) } } };
+    expect(validateTopics(checked, { manifest, markdownFiles: ['labour-care'] })).toEqual([
+      { path: 'labour.subTopics.signs.dataFile', message: 'no article labour-signs.md in assets/data/markdown' },
+      { path: 'labour.subTopics.signs.model.layers[1]', message: 'no layer "scarred" in models.json' },
+      { path: 'labour.subTopics.signs.model.visibleLayers[0]', message: '"venous" is not one of the model\'s layers (arterial)' }
+    ]);
+  });
+});
+
+describe('isTopicDisabled', () => {
+  test('disables a topic whose first subtopic fails its schema', () => {
+    const { model, ...withoutModel } = subTopic('labour-signs');
+    expect(isSubTopicDisabled(withoutModel)).toBe(true);
+    expect(isTopicDisabled({ ...topics.labour, subTopics: { signs: withoutModel } })).toBe(true);
+    expect(isTopicDisabled(topics.labour)).toBe(false);
+  });
+
+  test('disables a topic with a bad field of its own', () => {
+    expect(isTopicDisabled({ ...topics.labour, icon: 'baby' })).toBe(true);
+  });
+});
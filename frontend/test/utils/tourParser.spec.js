@@ -0,0 +1,90 @@
+import { parseTour } from '@/utils/tourParser';
+
+const article = [
+  '# The placenta',
+  '',
+  '::tour{title="A walk through the placenta"}',
+  'Blood reaches the baby through the cord.',
+  '',
+  ':::step{view="modelView/noInfarct_view.json" layers="arterial, venous" highlight="umbilical" duration="5"}',
+  'The **umbilical** arteries enter here.',
+  ':::',
+  '',
+  ':::step{view=top colorBy="none" segment="arterial:120"}',
+  'Seen from above.',
+  ':::',
+  'The end.'
+].join('\n');
+
+describe('parseTour', () => {
+  test('strips the directives from the text', () => {
+    const { text, warnings } = parseTour(article);
+    expect(text).toBe('# The placenta\n\nBlood reaches the baby through the cord.\n\n\nThe end.');
+    expect(text).not.toMatch(/:::|::tour/);
+    expect(warnings).toEqual([]);
+  });
+
+  test('reads the title and each step', () => {
+    const { tour } = parseTour(article);
+    expect(tour.title).toBe('A walk through the placenta');
+    expect(tour.steps).toEqual([
+      {
+        caption: 'The **umbilical** arteries enter here.',
+        view: 'modelView/noInfarct_view.json',
+        layers: ['arterial', 'venous'],
+        colorBy: undefined,
+        regions: [{ end: 0, extent: 0.35, intensity: 0.8, color: '#ffd600' }],
+        segment: null,
+        duration: 5
+      },
+      {
+        caption: 'Seen from above.',
+        view: 'top',
+        layers: null,
+        colorBy: null,
+        regions: [],
+        segment: { layer: 'arterial', segmentIndex: 120 },
+        duration: 8
+      }
+    ]);
+  });
+
+  test('has no tour without steps', () => {
+    expect(parseTour('::tour{title="Empty"}\nJust text.')).toEqual({ text: 'Just text.', tour: null, warnings: [] });
+    expect(parseTour(':::step\nCaption\n:::').tour.title).toBe('Guided tour');
+  });
+
+  test('warns with the line number of each bad attribute and skips it', () => {
+    const { tour, warnings } = parseTour([
+      'Intro',
+      ':::step{zoom="2"}',
+      ':::',
+      ':::step{view="sideways"}',
+      ':::',
+      ':::step{highlight="umbilical,cord"}',
+      ':::',
+      ':::step{segment="arterial-120"}',
+      ':::',
+      ':::step{duration="-3"}',
+      ':::'
+    ].join('\n'));
+    expect(warnings).toEqual([
+      'Line 2: unknown step attribute "zoom"',
+      'Line 4: view "sideways" is neither a view JSON file nor one of front, top, side, isometric, closeup, wide, fit',
+      'Line 6: unknown highlight region "cord"; use umbilical or spiral-arteries',
+      'Line 8: segment "arterial-120" should look like "arterial:120"',
+      'Line 10: duration "-3" should be a number of seconds'
+    ]);
+    expect(tour.steps[1].view).toBeNull();
+    expect(tour.steps[2].regions).toHaveLength(1);
+    expect(tour.steps[3].segment).toBeNull();
+    expect(tour.steps[4].duration).toBe(8);
+  });
+
+  test('warns about an unclosed step at the line that opened it and keeps its caption', () => {
+    const { text, tour, warnings } = parseTour('Intro\r\n\r\n:::step{view="front"}\r\nLast caption\r\nstill the caption');
+    expect(warnings).toEqual(['Line 3: step is not closed with ":::"']);
+    expect(text).toBe('Intro');
+    expect(tour.steps[0].caption).toBe('Last caption\nstill the caption');
+  });
+});
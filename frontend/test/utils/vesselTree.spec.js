@@ -0,0 +1,118 @@
+import {
+  alignRadiusHistograms,
+  analyzeVesselTree,
+  buildVesselTree,
+  compareTreeStats,
+  computeStrahlerOrders
+} from '@/utils/vesselTree';
+
+// Inlet 0 feeds branch point 1, which splits into terminal 3 and branch point 2 (terminals 4 and 5):
+//
+//   0 --- 1 --- 2 --- 4
+//          \     \
+//           3     5
+const points = new Float32Array([
+  0, 0, 0,
+  1, 0, 0,
+  2, 1, 0,
+  2, -1, 0,
+  3, 2, 0,
+  3, 1, 0
+]);
+const cellConnections = [[2, 0, 1], [2, 1, 2], [2, 1, 3], [2, 2, 4], [2, 2, 5]];
+const radii = [4, 2, 1.5, 1, 1, 1];
+
+describe('buildVesselTree', () => {
+  test('roots the tree at the widest end point', () => {
+    const tree = buildVesselTree(points, cellConnections, radii);
+    expect(tree.inlet).toBe(0);
+    expect(Array.from(tree.parents)).toEqual([-1, 0, 1, 1, 2, 2]);
+  });
+
+  test('counts one more generation after each branch point', () => {
+    const tree = buildVesselTree(points, cellConnections, radii);
+    expect(Array.from(tree.generations)).toEqual([1, 1, 2, 2, 3, 3]);
+  });
+
+  test('leaves points not connected to the inlet out of the tree', () => {
+    const withIsland = new Float32Array([...points, 10, 10, 10, 11, 10, 10]);
+    const tree = buildVesselTree(withIsland, [...cellConnections, [2, 6, 7]], [...radii, 0.5, 0.5]);
+    expect(tree.visitedCount).toBe(6);
+    expect(tree.depth[6]).toBe(-1);
+    expect(tree.generations[7]).toBe(0);
+  });
+});
+
+describe('computeStrahlerOrders', () => {
+  test('raises the order only where two children share the highest order', () => {
+    const orders = computeStrahlerOrders(buildVesselTree(points, cellConnections, radii));
+    // Terminals are 1; 2 joins two order-1 vessels; 1 joins orders 2 and 1 and keeps 2
+    expect(Array.from(orders)).toEqual([2, 2, 2, 1, 1, 1]);
+  });
+
+  test('reaches order 3 where two order-2 vessels join', () => {
+    // Inlet 0 -> 1, which splits into 2 and 3, each splitting into two terminals
+    const symmetric = new Float32Array([
+      0, 0, 0, 1, 0, 0, 2, 1, 0, 2, -1, 0, 3, 2, 0, 3, 1, 0, 3, -1, 0, 3, -2, 0
+    ]);
+    const cells = [[2, 0, 1], [2, 1, 2], [2, 1, 3], [2, 2, 4], [2, 2, 5], [2, 3, 6], [2, 3, 7]];
+    const orders = computeStrahlerOrders(buildVesselTree(symmetric, cells, [4, 2, 1, 1, 1, 1, 1, 1]));
+    expect(Array.from(orders)).toEqual([3, 3, 2, 2, 1, 1, 1, 1]);
+  });
+});
+
+describe('analyzeVesselTree', () => {
+  test('counts vessels, terminals and vessels per generation and order', () => {
+    const stats = analyzeVesselTree(points, cellConnections, radii);
+    expect(stats.segmentCount).toBe(5);
+    expect(stats.vesselCount).toBe(5);
+    expect(stats.terminalCount).toBe(3);
+    expect(stats.branchPointCount).toBe(2);
+    expect(stats.maxGeneration).toBe(3);
+    expect(stats.maxStrahlerOrder).toBe(2);
+    expect(stats.generationCounts).toEqual([
+      { generation: 1, vessels: 1 },
+      { generation: 2, vessels: 2 },
+      { generation: 3, vessels: 2 }
+    ]);
+    expect(stats.strahlerCounts.map(({ order, vessels }) => ({ order, vessels }))).toEqual([
+      { order: 1, vessels: 3 },
+      { order: 2, vessels: 2 }
+    ]);
+    expect(stats.totalLength).toBeCloseTo(2 + 3 * Math.SQRT2, 5);
+    expect(stats.inletRadius).toBe(4);
+  });
+
+  test('leaves out radius-based values without radius data', () => {
+    const stats = analyzeVesselTree(points, cellConnections);
+    expect(stats.totalVolume).toBeNull();
+    expect(stats.radiusHistogram).toBeNull();
+  });
+});
+
+describe('compareTreeStats', () => {
+  test('gives the change relative to the baseline', () => {
+    const rows = compareTreeStats({ vesselCount: 6 }, { vesselCount: 4 });
+    expect(rows.find(row => row.key === 'vesselCount').change).toBeCloseTo(0.5, 5);
+    expect(rows.find(row => row.key === 'totalLength').change).toBeNull();
+  });
+});
+
+describe('alignRadiusHistograms', () => {
+  test('puts both trees on the same half-octave bins', () => {
+    const current = analyzeVesselTree(points, cellConnections, radii).radiusHistogram;
+    const baseline = analyzeVesselTree(points, cellConnections, radii.map(radius => radius * 2)).radiusHistogram;
+    const bins = alignRadiusHistograms(current, baseline);
+
+    // Segment radii (mean of the ends) are 3, 1.75, 1.5, 1.25, 1.25, and twice that in the baseline
+    expect(bins.map(bin => [bin.current, bin.baseline])).toEqual([[2, 0], [2, 0], [0, 2], [1, 2], [0, 1]]);
+    [1, Math.SQRT2, 2, 2 * Math.SQRT2, 4 * Math.SQRT2].forEach((min, index) => {
+      expect(bins[index].min).toBeCloseTo(min, 5);
+    });
+  });
+
+  test("keeps one tree's bins when there is no baseline", () => {
+    const current = [{ min: 1, max: Math.SQRT2, segments: 3 }];
+    expect(alignRadiusHistograms(current)).toEqual([{ min: 1, max: Math.SQRT2, current: 3, baseline: 0 }]);
+  });
+});
@@ -0,0 +1,83 @@
+import { decodeViewState, encodeViewState, parseViewpoint } from '@/utils/viewState';
+
+const camera = {
+  nearPlane: 0.01,
+  farPlane: 1000,
+  eyePosition: [10.123456789, -2.5, 300],
+  targetPosition: [0, 0, 0],
+  upVector: [0, 1, 0]
+};
+const layers = [
+  { name: 'arterial', visible: true, colorBy: 'pressure (Pa)', opacity: 1 },
+  { name: 'scar, 2; old', visible: false, colorBy: null, opacity: 0.35 }
+];
+const colorScale = { colorMap: 'viridis', scale: 'log', clampMin: 10, clampMax: null };
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('encodeViewState and decodeViewState', () => {
+  test('round-trip the camera, layers and colours', () => {
+    const query = encodeViewState({ camera, layers, colorScale });
+    expect(query.cam).toBe('10.1235,-2.5,300,0,0,0,0,1,0,0.01,1000');
+    expect(query.colors).toBe('viridis,log,10,');
+
+    const state = decodeViewState(query);
+    expect(state.camera).toEqual({ ...camera, eyePosition: [10.1235, -2.5, 300] });
+    expect(state.layers).toEqual(layers);
+    expect(state.colorScale).toEqual(colorScale);
+  });
+
+  test('escape a layer name holding the separators', () => {
+    const query = encodeViewState({ layers: [layers[1]] });
+    expect(query.layers).toBe('scar%2C%202%3B%20old,0,-,0.35');
+    expect(decodeViewState(query).layers[0].name).toBe('scar, 2; old');
+  });
+
+  test('encode only the parts given, and decode nothing from an empty query', () => {
+    expect(Object.keys(encodeViewState({ camera }))).toEqual(['cam']);
+    expect(decodeViewState({})).toBeNull();
+    expect(decodeViewState(encodeViewState({ camera }))).toMatchObject({ layers: null, colorScale: null });
+  });
+
+  test('drop a malformed cam without dropping the other parts', () => {
+    const query = { ...encodeViewState({ layers, colorScale }), cam: '1,2,3' };
+    const state = decodeViewState(query);
+    expect(state.camera).toBeNull();
+    expect(state.layers).toEqual(layers);
+    expect(state.colorScale).toEqual(colorScale);
+    expect(console.warn).toHaveBeenCalledWith('[ViewState] Ignoring malformed "cam" parameter:', '1,2,3');
+  });
+
+  test('drop a cam with a zero up vector', () => {
+    expect(decodeViewState({ cam: '1,1,1,0,0,0,0,0,0,0.1,100' })).toBeNull();
+  });
+
+  test('drop malformed colors without dropping the other parts', () => {
+    const query = { ...encodeViewState({ camera, layers }), colors: 'rainbow,log,,' };
+    const state = decodeViewState(query);
+    expect(state.colorScale).toBeNull();
+    expect(state.camera.upVector).toEqual([0, 1, 0]);
+    expect(state.layers).toHaveLength(2);
+  });
+
+  test('keep the fields a layer leaves out and clamp its opacity', () => {
+    expect(decodeViewState({ layers: 'venous;%E0%A4%A;;arterial,0,,4' }).layers).toEqual([
+      { name: 'venous', visible: true, colorBy: undefined, opacity: undefined },
+      { name: 'arterial', visible: false, colorBy: undefined, opacity: 1 }
+    ]);
+  });
+});
+
+describe('parseViewpoint', () => {
+  test('fills in missing planes and rejects bad vectors', () => {
+    expect(parseViewpoint({ eyePosition: [0, 0, 1], targetPosition: [0, 0, 0], upVector: [0, 1, 0] })).toMatchObject({ nearPlane: 0.1, farPlane: 2000 });
+    expect(() => parseViewpoint({ eyePosition: [0, 0], targetPosition: [0, 0, 0], upVector: [0, 1, 0] }, 'view.json'))
+      .toThrow('Invalid view.json: "eyePosition" must be three numbers');
+  });
+});
@@ -0,0 +1,200 @@
+import { zlibSync } from 'fflate';
+import { detectVTKFormat, parseLegacyVTK, parseVTKBuffer, parseXMLPolyData } from '@/utils/vtkFormats';
+
+// Join text and byte parts into one file
+function fileBytes(...parts) {
+  const chunks = parts.map(part => (typeof part === 'string' ? new TextEncoder().encode(part) : new Uint8Array(part.buffer, part.byteOffset, part.byteLength)));
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  chunks.reduce((offset, chunk) => (bytes.set(chunk, offset), offset + chunk.length), 0);
+  return bytes;
+}
+
+// Values as bytes in either byte order, e.g. typedBytes('Float32', [1, 2], false) for a legacy binary block
+function typedBytes(type, values, littleEndian = true) {
+  const size = { Int32: 4, UInt32: 4, Float32: 4 }[type];
+  const view = new DataView(new ArrayBuffer(values.length * size));
+  values.forEach((value, i) => view[`set${type === 'UInt32' ? 'Uint32' : type}`](i * size, value, littleEndian));
+  return new Uint8Array(view.buffer);
+}
+
+// An uncompressed XML data block: UInt32 byte count header, then the data
+function xmlBlock(type, values) {
+  const data = typedBytes(type, values);
+  return fileBytes(typedBytes('UInt32', [data.length]), data);
+}
+
+const base64 = bytes => Buffer.from(bytes).toString('base64');
+
+// An XML file with two points joined by one line and the line's radius as cell data, from the
+// arrays given as DataArray elements; `appended` leaves the file open after the _ of raw appended data
+function lineFile(arrays, { attrs = '', appended = false } = {}) {
+  return `<?xml version="1.0"?>
+<VTKFile type="PolyData" version="0.1" byte_order="LittleEndian"${attrs}>
+  <PolyData>
+    <Piece NumberOfPoints="2" NumberOfLines="1">
+      <Points>${arrays.points}</Points>
+      <CellData>${arrays.radius}</CellData>
+      <Lines>${arrays.connectivity}${arrays.offsets}</Lines>
+    </Piece>
+  </PolyData>
+${appended ? '  <AppendedData encoding="raw">\n   _' : '</VTKFile>'}`;
+}
+
+// One piece of ascii XML PolyData with a vertex, a line and a triangle, plus any extra sections
+function polyData({ strips = 0, extra = '' } = {}) {
+  return `<?xml version="1.0"?>
+<VTKFile type="PolyData" version="0.1" byte_order="LittleEndian">
+  <PolyData>
+    <Piece NumberOfPoints="3" NumberOfVerts="1" NumberOfLines="1" NumberOfStrips="${strips}" NumberOfPolys="1">
+      <Points>
+        <DataArray type="Float32" NumberOfComponents="3" format="ascii">0 0 0 1 0 0 0 1 0</DataArray>
+      </Points>
+      <CellData>
+        <DataArray type="Float32" Name="radius" format="ascii">9 1 ${strips ? '7 ' : ''}2</DataArray>
+      </CellData>
+      <Lines>
+        <DataArray type="Int32" Name="connectivity" format="ascii">0 1</DataArray>
+        <DataArray type="Int32" Name="offsets" format="ascii">2</DataArray>
+      </Lines>
+      <Polys>
+        <DataArray type="Int32" Name="connectivity" format="ascii">0 1 2</DataArray>
+        <DataArray type="Int32" Name="offsets" format="ascii">3</DataArray>
+      </Polys>
+      ${extra}
+    </Piece>
+  </PolyData>
+</VTKFile>`;
+}
+
+describe('detectVTKFormat', () => {
+  test('tells the three formats apart from the header', () => {
+    expect(detectVTKFormat('# vtk DataFile Version 3.0\ntree\nASCII\n')).toBe('legacy-ascii');
+    expect(detectVTKFormat(fileBytes('# vtk DataFile Version 3.0\ntree\nBINARY\n'))).toBe('legacy-binary');
+    expect(detectVTKFormat('\uFEFF<?xml version="1.0"?><VTKFile>')).toBe('xml');
+    expect(() => detectVTKFormat('solid mesh')).toThrow('Unrecognised VTK file header');
+  });
+});
+
+describe('parseLegacyVTK', () => {
+  test('reads big-endian floats and ints from a BINARY file', () => {
+    const file = fileBytes(
+      '# vtk DataFile Version 3.0\ntree\nBINARY\nDATASET POLYDATA\nPOINTS 3 float\n',
+      typedBytes('Float32', [0, 0, 0, 1.5, 0, 0, 1.5, -2.25, 0], false),
+      '\nLINES 2 6\n',
+      typedBytes('Int32', [2, 0, 1, 2, 1, 2], false),
+      '\nPOINT_DATA 3\nSCALARS radius float 1\nLOOKUP_TABLE default\n',
+      typedBytes('Float32', [3, 2, 1], false),
+      '\n'
+    );
+    const dataset = parseVTKBuffer(file.buffer);
+    expect(dataset.format).toBe('legacy-binary');
+    expect(Array.from(dataset.points)).toEqual([0, 0, 0, 1.5, 0, 0, 1.5, -2.25, 0]);
+    expect(dataset.cellConnections).toEqual([[2, 0, 1], [2, 1, 2]]);
+    expect(Array.from(dataset.pointData.radius.values)).toEqual([3, 2, 1]);
+  });
+
+  test('keeps CELL_DATA aligned with the lines when VERTICES come first', () => {
+    const dataset = parseLegacyVTK([
+      '# vtk DataFile Version 3.0',
+      'tree',
+      'ASCII',
+      'DATASET POLYDATA',
+      'POINTS 3 float',
+      '0 0 0 1 0 0 2 0 0',
+      'VERTICES 2 4',
+      '1 0',
+      '1 2',
+      'LINES 2 6',
+      '2 0 1',
+      '2 1 2',
+      'CELL_DATA 4',
+      'SCALARS flow float 1',
+      'LOOKUP_TABLE default',
+      '9 8 5 4',
+      ''
+    ].join('\n'));
+    expect(dataset.cellConnections).toEqual([[2, 0, 1], [2, 1, 2]]);
+    expect(Array.from(dataset.cellData.flow.values)).toEqual([5, 4]);
+  });
+});
+
+describe('parseXMLPolyData', () => {
+  test('drops vertex cell data and keeps line and polygon cell data in cell order', () => {
+    const dataset = parseXMLPolyData(polyData());
+    expect(dataset.cellConnections).toEqual([[2, 0, 1], [3, 0, 1, 2]]);
+    expect(Array.from(dataset.cellData.radius.values)).toEqual([1, 2]);
+  });
+
+  test('rejects triangle strips', () => {
+    const strips = `<Strips>
+        <DataArray type="Int32" Name="connectivity" format="ascii">0 1 2</DataArray>
+        <DataArray type="Int32" Name="offsets" format="ascii">3</DataArray>
+      </Strips>`;
+    expect(() => parseXMLPolyData(polyData({ strips: 1, extra: strips }))).toThrow('triangle strips');
+  });
+
+  test('decodes inline base64 blocks behind their byte count header', () => {
+    const array = (type, name, values, components = 1) =>
+      `<DataArray type="${type}" Name="${name}" NumberOfComponents="${components}" format="binary">${base64(xmlBlock(type, values))}</DataArray>`;
+    const dataset = parseXMLPolyData(lineFile({
+      points: array('Float32', 'Points', [0, 0, 0, 0.5, 1, 2], 3),
+      radius: array('Float32', 'radius', [0.25]),
+      connectivity: array('Int32', 'connectivity', [0, 1]),
+      offsets: array('Int32', 'offsets', [2])
+    }));
+    expect(Array.from(dataset.points)).toEqual([0, 0, 0, 0.5, 1, 2]);
+    expect(dataset.cellConnections).toEqual([[2, 0, 1]]);
+    expect(Array.from(dataset.cellData.radius.values)).toEqual([0.25]);
+  });
+
+  test('reads raw appended data at each array offset after the _ marker', () => {
+    const blocks = [
+      xmlBlock('Float32', [0, 0, 0, 3, 4, 0]),
+      xmlBlock('Float32', [0.75]),
+      xmlBlock('Int32', [1, 0]),
+      xmlBlock('Int32', [2])
+    ];
+    const offsets = blocks.reduce((list, block, i) => [...list, list[i] + block.length], [0]);
+    const array = (type, name, i, components = 1) =>
+      `<DataArray type="${type}" Name="${name}" NumberOfComponents="${components}" format="appended" offset="${offsets[i]}"/>`;
+    const xml = lineFile({
+      points: array('Float32', 'Points', 0, 3),
+      radius: array('Float32', 'radius', 1),
+      connectivity: array('Int32', 'connectivity', 2),
+      offsets: array('Int32', 'offsets', 3)
+    }, { appended: true });
+    const file = fileBytes(xml, ...blocks, '\n  </AppendedData>\n</VTKFile>\n');
+
+    const dataset = parseVTKBuffer(file.buffer);
+    expect(dataset.format).toBe('xml');
+    expect(Array.from(dataset.points)).toEqual([0, 0, 0, 3, 4, 0]);
+    expect(dataset.cellConnections).toEqual([[2, 1, 0]]);
+    expect(Array.from(dataset.cellData.radius.values)).toEqual([0.75]);
+  });
+
+  test('inflates zlib-compressed blocks', () => {
+    // Compressed blocks base64-encode the header [blocks, block size, last block size, compressed sizes...]
+    // separately from the data
+    const array = (type, name, values, components = 1) => {
+      const data = typedBytes(type, values);
+      const compressed = zlibSync(data);
+      const header = typedBytes('UInt32', [1, data.length, data.length, compressed.length]);
+      return `<DataArray type="${type}" Name="${name}" NumberOfComponents="${components}" format="binary">${base64(header)}${base64(compressed)}</DataArray>`;
+    };
+    const dataset = parseXMLPolyData(lineFile({
+      points: array('Float32', 'Points', [0, 0, 0, 1, 1, 1], 3),
+      radius: array('Float32', 'radius', [2]),
+      connectivity: array('Int32', 'connectivity', [0, 1]),
+      offsets: array('Int32', 'offsets', [2])
+    }, { attrs: ' compressor="vtkZLibDataCompressor"' }));
+    expect(Array.from(dataset.points)).toEqual([0, 0, 0, 1, 1, 1]);
+    expect(dataset.cellConnections).toEqual([[2, 0, 1]]);
+    expect(Array.from(dataset.cellData.radius.values)).toEqual([2]);
+  });
+
+  test('rejects other compressors', () => {
+    const ascii = values => `<DataArray type="Int32" format="ascii">${values}</DataArray>`;
+    const file = lineFile({ points: '', radius: '', connectivity: ascii('0 1'), offsets: ascii('2') }, { attrs: ' compressor="vtkLZ4DataCompressor"' });
+    expect(() => parseXMLPolyData(file)).toThrow('Unsupported VTK XML compressor');
+  });
+});
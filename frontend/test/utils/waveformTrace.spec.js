@@ -0,0 +1,85 @@
+import { synthesizeDopplerWaveform } from '@/utils/dopplerWaveform';
+import { analyzeTrace, computeCycleIndices, parseWaveformTrace } from '@/utils/waveformTrace';
+
+// Twelve samples of a sawtooth, in seconds and cm/s
+const TIME = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.1];
+const VELOCITY = [10, 40, 30, 20, 10, 40, 30, 20, 10, 40, 30, 20];
+
+describe('parseWaveformTrace', () => {
+  test('reads CSV columns by header, converting their units', () => {
+    const rows = TIME.map((t, i) => `${i},${t * 1000},${VELOCITY[i] / 100}`);
+    const trace = parseWaveformTrace(['sample,Time (ms),Velocity (m/s)', ...rows].join('\n'), 'trace.csv');
+    expect(trace.format).toBe('csv');
+    expect(trace.name).toBe('trace.csv');
+    trace.time.forEach((t, i) => expect(t).toBeCloseTo(TIME[i]));
+    trace.velocity.forEach((v, i) => expect(v).toBeCloseTo(VELOCITY[i]));
+  });
+
+  test('uses the first two columns of a TSV without a header, skipping comments', () => {
+    const rows = TIME.map((t, i) => `${t}\t${VELOCITY[i]}\t99`);
+    const trace = parseWaveformTrace(['# exported trace', ...rows].join('\r\n'), 'trace.tsv');
+    expect(trace.time).toEqual(TIME);
+    expect(trace.velocity).toEqual(VELOCITY);
+  });
+
+  test('reads the three JSON layouts', () => {
+    const arrays = parseWaveformTrace(JSON.stringify({ time: TIME, velocity: VELOCITY, units: { velocity: 'mm/s' } }), 'trace.json');
+    expect(arrays.format).toBe('json');
+    arrays.velocity.forEach((v, i) => expect(v).toBeCloseTo(VELOCITY[i] / 10));
+
+    const samples = parseWaveformTrace(JSON.stringify(TIME.map((t, i) => ({ t, v: VELOCITY[i] }))));
+    expect(samples.velocity).toEqual(VELOCITY);
+
+    const sampled = parseWaveformTrace(JSON.stringify({ velocity: VELOCITY, sampleRate: 10, units: { time: 'ms' } }));
+    expect(sampled.time[11]).toBeCloseTo(1.1);
+  });
+
+  test('reads a spectral envelope export from its sample interval or rate', () => {
+    const values = VELOCITY.map(String);
+    const byInterval = parseWaveformTrace(['SampleInterval = 100', 'TimeUnit = ms', 'VelocityUnit = m/s', ...values].join('\n'), 'envelope.txt');
+    expect(byInterval.format).toBe('envelope');
+    expect(byInterval.time[11]).toBeCloseTo(1.1);
+    expect(byInterval.velocity[1]).toBe(4000);
+
+    const byRate = parseWaveformTrace(['SampleRate: 10', 'TimeUnit: ms', ...values].join('\n'));
+    expect(byRate.time[11]).toBeCloseTo(1.1);
+  });
+
+  test('rejects short, unordered and badly unitted traces', () => {
+    expect(() => parseWaveformTrace('0,1\n1,2\n2,3')).toThrow('at least 10');
+    const backwards = TIME.map((t, i) => `${1.1 - t},${VELOCITY[i]}`).join('\n');
+    expect(() => parseWaveformTrace(backwards)).toThrow('Trace times must increase');
+    expect(() => parseWaveformTrace(JSON.stringify({ velocity: VELOCITY, sampleRate: 10, units: { velocity: 'km/h' } })))
+      .toThrow('Unknown velocity unit "km/h"');
+    expect(() => parseWaveformTrace(JSON.stringify({ velocity: VELOCITY }))).toThrow('needs a "time" array or a "sampleRate"');
+  });
+});
+
+describe('computeCycleIndices', () => {
+  test('computes the indices of one cycle from its time-averaged velocity', () => {
+    const cycle = computeCycleIndices(TIME, VELOCITY, 0, 4);
+    expect(cycle).toMatchObject({ startIndex: 0, endIndex: 4, psvIndex: 1, psv: 40, edv: 10, sd: 4 });
+    // Trapezoid area 0.5 * (50 + 70 + 50 + 30) / 10 = 10 over 0.4 s
+    expect(cycle.vmean).toBeCloseTo(25);
+    expect(cycle.pi).toBeCloseTo(30 / 25);
+    expect(cycle.ri).toBeCloseTo(0.75);
+    expect(cycle.heartRate).toBeCloseTo(150);
+  });
+});
+
+describe('analyzeTrace', () => {
+  test('finds each cycle of a waveform and recovers its indices', () => {
+    const waveform = synthesizeDopplerWaveform({ pi: 1.2, ri: 0.7, heartRate: 120, cycles: 6, samplesPerCycle: 200 });
+    const { cycles, averages } = analyzeTrace(waveform);
+    expect(cycles).toHaveLength(4);
+    expect(averages.heartRate).toBeCloseTo(120, 0);
+    expect(averages.pi).toBeCloseTo(1.2, 1);
+    expect(averages.ri).toBeCloseTo(0.7, 2);
+  });
+
+  test('gives null averages when no full cycle is found', () => {
+    const { cycles, averages } = analyzeTrace({ time: TIME.slice(0, 6), velocity: VELOCITY.slice(0, 6) });
+    expect(cycles).toEqual([]);
+    expect(averages.pi).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Model Annotations
+ * Text labels pinned to points of a model, e.g. the umbilical cord insertion or the chorionic plate,
+ * so lay readers can find their way around the trees. Free of Three.js; VTKLoader places the
+ * anchors in the scene and Model.vue draws the labels over it.
+ *
+ * Annotation set JSON (see static/annotations/):
+ * {
+ *   "version": 1,
+ *   "name": "NoInfarct",
+ *   "coordinates": "normalized",   // or "file"; applies to "position" anchors
+ *   "annotations": [
+ *     { "id": "cord-insertion", "vessel": "arterial:inlet", "text": { "en": "Umbilical cord insertion", "mi": "..." } },
+ *     { "id": "stem-villus", "vessel": "arterial:120", "text": "Stem villus artery", "description": "..." },
+ *     { "id": "chorionic-plate", "position": [0, 0.1, 0], "text": { "en": "Chorionic plate" } }
+ *   ]
+ * }
+ * Anchors:
+ * - position: a point, in file or normalized coordinates as for lesion sets (see utils/lesions.js)
+ * - vessel:   "layer:segmentIndex" for the middle of a segment (the index shown by the segment inspector),
+ *             or "layer:inlet" for the layer's umbilical cord insertion
+ * Text and description are a string or translations by language code; a label falls back to
+ * English, then to its first translation.
+ *
+ * Usage:
+ * import { parseAnnotationSet, translate, getPreferredLanguages } from '@/utils/annotations'
+ * const annotationSet = parseAnnotationSet(json, 'noInfarct_annotations.json')
+ * const label = translate(annotationSet.annotations[0].text, getPreferredLanguages())
+ */
+
+const FALLBACK_LANGUAGE = 'en';
+
+/**
+ * Validate an annotation set read from JSON
+ * @param {Object} json - Parsed JSON
+ * @param {string} source - File name or URL, for error messages (default: 'annotation set')
+ * @returns {Object} - {version, name, annotations: [{id, text, description, anchor}]}, with anchors as
+ *                     {type: 'position', position, coordinates} | {type: 'segment', layer, segmentIndex} | {type: 'inlet', layer}
+ *                     and text and description as {[language]: string} (description null when not given)
+ * @throws {Error} - When the set is malformed
+ */
+export function parseAnnotationSet(json, source = 'annotation set') {
+  const fail = (message) => {
+    throw new Error(`Invalid ${source}: ${message}`);
+  };
+  if (!json || typeof json !== 'object' || !Array.isArray(json.annotations)) {
+    fail('expected an object with an "annotations" array');
+  }
+
+  const coordinates = json.coordinates || 'file';
+  if (coordinates !== 'file' && coordinates !== 'normalized') {
+    fail(`unknown coordinates "${coordinates}"`);
+  }
+
+  const ids = new Set();
+  const annotations = json.annotations.map((annotation, i) => {
+    const id = annotation.id || `annotation-${i + 1}`;
+    if (ids.has(id)) {
+      fail(`annotation id "${id}" is used twice`);
+    }
+    ids.add(id);
+
+    const text = parseTranslations(annotation.text);
+    if (!text) {
+      fail(`annotation "${id}" needs a "text" string or translations such as {"en": "..."}`);
+    }
+    const description = annotation.description === undefined ? null : parseTranslations(annotation.description);
+    if (description === null && annotation.description !== undefined) {
+      fail(`annotation "${id}" has a malformed "description"`);
+    }
+
+    return { id, text, description, anchor: parseAnchor(annotation, id, coordinates, fail) };
+  });
+
+  return {
+    version: json.version || 1,
+    name: json.name || null,
+    annotations
+  };
+}
+
+/**
+ * Pick the translation of a text for the first preferred language that has one
+ * @param {Object} translations - {[language]: string}, e.g. an annotation's text
+ * @param {string[]} languages - Language codes in order of preference, e.g. ['mi', 'en']
+ * @returns {string} - The translation, else the English text, else the first one given
+ */
+export function translate(translations, languages = []) {
+  if (!translations) return '';
+
+  const language = [...languages, FALLBACK_LANGUAGE].find(code => translations[code]);
+  return language ? translations[language] : Object.values(translations)[0];
+}
+
+/**
+ * The browser's preferred languages as base codes, e.g. ['mi', 'en'] for 'mi-NZ, en-NZ'
+ * @returns {string[]}
+ */
+export function getPreferredLanguages() {
+  if (typeof navigator === 'undefined') {
+    return [FALLBACK_LANGUAGE];
+  }
+  const tags = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+  const codes = tags.filter(Boolean).map(tag => tag.toLowerCase().split('-')[0]);
+  return Array.from(new Set(codes));
+}
+
+function parseTranslations(value) {
+  if (typeof value === 'string') {
+    return value.trim() ? { [FALLBACK_LANGUAGE]: value } : null;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+  const entries = Object.entries(value).filter(([, text]) => typeof text === 'string' && text.trim());
+  if (entries.length === 0 || entries.length !== Object.keys(value).length) {
+    return null;
+  }
+  return Object.fromEntries(entries);
+}
+
+function parseAnchor(annotation, id, coordinates, fail) {
+  if (annotation.position !== undefined && annotation.vessel !== undefined) {
+    fail(`annotation "${id}" gives both a "position" and a "vessel"; use one`);
+  }
+
+  if (annotation.position !== undefined) {
+    const { position } = annotation;
+    if (!Array.isArray(position) || position.length !== 3 || !position.every(Number.isFinite)) {
+      fail(`annotation "${id}" needs a [x, y, z] "position"`);
+    }
+    return { type: 'position', position: position.slice(), coordinates };
+  }
+
+  const match = typeof annotation.vessel === 'string' ? annotation.vessel.match(/^([\w-]+):(inlet|\d+)$/) : null;
+  if (!match) {
+    return fail(`annotation "${id}" needs a "position" or a "vessel" such as "arterial:120" or "arterial:inlet"`);
+  }
+  return match[2] === 'inlet' ?
+    { type: 'inlet', layer: match[1] } :
+    { type: 'segment', layer: match[1], segmentIndex: Number(match[2]) };
+}
@@ -0,0 +1,232 @@
+/**
+ * Colour Maps
+ * Maps scalar data (e.g. blood pressure) to colours and describes the mapping as a legend.
+ * Free of Three.js so it can run in the VTK worker.
+ *
+ * A colour scale is chosen with settings {colorMap, scale: 'linear'|'log', clampMin, clampMax}
+ * (clamps in display units, null for the data range) and resolved against a data range with
+ * resolveColorScale. Values in a file's own unit (e.g. Pa) are converted to the display unit
+ * (mmHg) before mapping, so clamps and legend ticks are always in display units.
+ *
+ * Usage:
+ * import { resolveColorScale, scalarToColor, buildColorLegend } from '@/utils/colorMaps'
+ * const colorScale = resolveColorScale([min, max], { colorMap: 'viridis', scale: 'log' }, 'Pa')
+ * scalarToColor(value, colorScale, rgb) // rgb -> [r, g, b] in 0-1
+ * const legend = buildColorLegend(colorScale, 'pressure')
+ */
+
+function hexToRGB(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+}
+
+// Evenly spaced colour stops from low to high values
+export const COLOR_MAPS = {
+  legacy: {
+    label: 'Green-Orange-Red',
+    stops: ['#3bb345', '#faed00', '#8f1f00'].map(hexToRGB)
+  },
+  viridis: {
+    label: 'Viridis',
+    stops: ['#440154', '#472c7a', '#3b518b', '#2c718e', '#21908d', '#27ad81', '#5cc863', '#aadc32', '#fde725'].map(hexToRGB)
+  },
+  // ColorBrewer PuOr, purple (low) to orange (high); distinguishable with common colour-vision deficiencies
+  puor: {
+    label: 'Purple-Orange (colour-blind safe)',
+    stops: ['#2d004b', '#542788', '#8073ac', '#b2abd2', '#d8daeb', '#f7f7f7', '#fee0b6', '#fdb863', '#e08214', '#b35806', '#7f3b08'].map(hexToRGB)
+  }
+};
+
+export const DEFAULT_COLOR_SCALE = {
+  colorMap: 'legacy',
+  scale: 'linear',
+  clampMin: null,
+  clampMax: null
+};
+
+// File units converted for display: unit -> {unit shown, factor from the file unit}
+const UNIT_CONVERSIONS = {
+  pa: { unit: 'mmHg', factor: 1 / 133.322 },
+  kpa: { unit: 'mmHg', factor: 7.50062 },
+  mmhg: { unit: 'mmHg', factor: 1 }
+};
+
+/**
+ * List the colour maps for a dropdown
+ * @returns {Array<Object>} - [{text, value}]
+ */
+export function getColorMapOptions() {
+  return Object.keys(COLOR_MAPS).map(value => ({ text: COLOR_MAPS[value].label, value }));
+}
+
+/**
+ * Read a unit from a data array name, e.g. 'pressure (Pa)', 'pressure[mmHg]' or 'pressure_kPa'
+ * @param {string} name - Array name
+ * @returns {string|null} - Unit, or null when the name has none
+ */
+export function parseArrayUnit(name) {
+  const bracketed = name.match(/[([]\s*([^)\]]+?)\s*[)\]]\s*$/);
+  if (bracketed) {
+    return bracketed[1];
+  }
+  const suffix = name.match(/_(pa|kpa|mmhg)$/i);
+  return suffix ? suffix[1] : null;
+}
+
+/**
+ * Get the display unit for values stored in a file unit
+ * @param {string|null} unit - File unit, e.g. 'Pa'
+ * @returns {Object} - {unit: display unit or null, factor: multiplier from the file unit}
+ */
+export function getDisplayUnit(unit) {
+  if (!unit) {
+    return { unit: null, factor: 1 };
+  }
+  return UNIT_CONVERSIONS[unit.toLowerCase()] || { unit, factor: 1 };
+}
+
+/**
+ * Resolve colour scale settings against a data range
+ * Log scaling needs a positive minimum; otherwise the scale falls back to linear.
+ * @param {Array<number>} range - [min, max] of the data in its file unit
+ * @param {Object} settings - {colorMap, scale, clampMin, clampMax}, see DEFAULT_COLOR_SCALE
+ * @param {string|null} unit - File unit of the data (default: none)
+ * @returns {Object} - {colorMap, scale, min, max, dataMin, dataMax, unit, factor, clamped, logUnavailable};
+ *                     min/max/dataMin/dataMax in display units
+ */
+export function resolveColorScale(range, settings = DEFAULT_COLOR_SCALE, unit = null) {
+  const display = getDisplayUnit(unit);
+  const dataMin = range[0] * display.factor;
+  const dataMax = range[1] * display.factor;
+
+  let min = isNumber(settings.clampMin) ? settings.clampMin : dataMin;
+  let max = isNumber(settings.clampMax) ? settings.clampMax : dataMax;
+  if (!(max > min)) {
+    // Ignore a clamp range that is empty or inverted
+    min = dataMin;
+    max = dataMax;
+  }
+
+  const logUnavailable = settings.scale === 'log' && !(min > 0);
+  return {
+    colorMap: COLOR_MAPS[settings.colorMap] ? settings.colorMap : DEFAULT_COLOR_SCALE.colorMap,
+    scale: settings.scale === 'log' && !logUnavailable ? 'log' : 'linear',
+    min,
+    max,
+    dataMin,
+    dataMax,
+    unit: display.unit,
+    factor: display.factor,
+    clamped: min > dataMin || max < dataMax,
+    logUnavailable
+  };
+}
+
+/**
+ * Position of a display-unit value on a resolved colour scale
+ * @param {number} value - Value in display units
+ * @param {Object} colorScale - Resolved colour scale
+ * @returns {number} - 0-1, clamped
+ */
+export function normalizeScalar(value, colorScale) {
+  const { min, max, scale } = colorScale;
+  if (!(max > min)) {
+    return 0.5;
+  }
+  const t = scale === 'log' ?
+    Math.log(Math.max(value, min) / min) / Math.log(max / min) :
+    (value - min) / (max - min);
+  return Math.min(1, Math.max(0, t));
+}
+
+/**
+ * Map a data value in its file unit to a colour
+ * @param {number} value - Data value
+ * @param {Object} colorScale - Resolved colour scale
+ * @param {Array} out - Optional array to write [r, g, b] into
+ * @returns {Array} - [r, g, b] in 0-1
+ */
+export function scalarToColor(value, colorScale, out = [0, 0, 0]) {
+  return sampleColorMap(colorScale.colorMap, normalizeScalar(value * colorScale.factor, colorScale), out);
+}
+
+/**
+ * Sample a colour map, interpolating linearly between its stops
+ * @param {string} name - Colour map key
+ * @param {number} t - Position 0-1
+ * @param {Array} out - Optional array to write [r, g, b] into
+ * @returns {Array} - [r, g, b] in 0-1
+ */
+export function sampleColorMap(name, t, out = [0, 0, 0]) {
+  const stops = (COLOR_MAPS[name] || COLOR_MAPS[DEFAULT_COLOR_SCALE.colorMap]).stops;
+  const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  const f = position - index;
+  for (let c = 0; c < 3; c++) {
+    out[c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * f;
+  }
+  return out;
+}
+
+/**
+ * Describe a resolved colour scale for display as a legend
+ * Ticks are evenly spaced along the bar, so on a log scale their values grow geometrically.
+ * @param {Object} colorScale - Resolved colour scale
+ * @param {string} name - Name of the mapped data array
+ * @param {number} tickCount - Number of ticks including both ends (default: 5)
+ * @returns {Object} - {name, unit, min, max, dataMin, dataMax, scale, colorMap, clamped, logUnavailable,
+ *                      gradient: CSS linear-gradient, ticks: [{value, label, position: 0-1}]}
+ */
+export function buildColorLegend(colorScale, name, tickCount = 5) {
+  const { min, max, scale } = colorScale;
+  const rgb = [0, 0, 0];
+
+  const gradientStops = [];
+  const gradientSamples = 16;
+  for (let i = 0; i < gradientSamples; i++) {
+    const t = i / (gradientSamples - 1);
+    sampleColorMap(colorScale.colorMap, t, rgb);
+    const [r, g, b] = rgb.map(value => Math.round(value * 255));
+    gradientStops.push(`rgb(${r}, ${g}, ${b}) ${(t * 100).toFixed(1)}%`);
+  }
+
+  const ticks = [];
+  for (let i = 0; i < tickCount; i++) {
+    const position = i / (tickCount - 1);
+    const value = scale === 'log' ?
+      min * Math.pow(max / min, position) :
+      min + (max - min) * position;
+    ticks.push({ value, label: formatScalar(value, max - min), position });
+  }
+
+  return {
+    name,
+    unit: colorScale.unit,
+    min,
+    max,
+    dataMin: colorScale.dataMin,
+    dataMax: colorScale.dataMax,
+    scale,
+    colorMap: colorScale.colorMap,
+    clamped: colorScale.clamped,
+    logUnavailable: colorScale.logUnavailable,
+    gradient: `linear-gradient(to right, ${gradientStops.join(', ')})`,
+    ticks
+  };
+}
+
+/**
+ * Format a value with precision suited to the span of the scale
+ * @param {number} value - Value to format
+ * @param {number} span - Width of the scale
+ * @returns {string}
+ */
+export function formatScalar(value, span) {
+  const magnitude = Math.abs(span) > 0 ? Math.floor(Math.log10(Math.abs(span))) : 0;
+  const decimals = Math.min(4, Math.max(0, 1 - magnitude));
+  return value.toFixed(decimals);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
@@ -0,0 +1,143 @@
+/**
+ * Condition Model Resolver
+ * Maps pregnancy condition selections (ConditionSelector keys) to the 3D model described
+ * in assets/data/models.json.
+ *
+ * Resolution order:
+ * 1. No conditions (or only 'normal') -> the default model
+ * 2. A single condition -> that condition's model
+ * 3. Several conditions matching a combination exactly -> the combination's model
+ * 4. Any other combination -> the model of the highest-priority condition, with a reason
+ *
+ * Usage:
+ * import { resolveConditionModel } from '@/utils/conditionModels'
+ * const { modelKey, model, reason } = resolveConditionModel(['sga', 'pe'])
+ *
+ * Topic pages describe their own model in topics.json, see resolveTopicModel.
+ */
+
+import modelManifest from '@/assets/data/models.json';
+
+/**
+ * Resolve a condition selection to a single model descriptor
+ * @param {string[]} selectedConditions - Condition keys, e.g. ['sga', 'pe']
+ * @param {Object} manifest - Model manifest (default: assets/data/models.json)
+ * @returns {Object} - {modelKey, model, match: 'default'|'single'|'combination'|'priority', reason}
+ */
+export function resolveConditionModel(selectedConditions = [], manifest = modelManifest) {
+  // 'normal' carries no geometry change when combined with other conditions
+  const conditions = Array.from(new Set(selectedConditions)).filter(key => key !== 'normal');
+
+  if (conditions.length === 0) {
+    return createResolution(manifest, manifest.defaultModel, 'default', null);
+  }
+
+  const unknown = conditions.filter(key => !manifest.models[key]);
+  if (unknown.length > 0) {
+    console.warn('[ConditionModels] No model defined for conditions:', unknown);
+  }
+  const known = conditions.filter(key => manifest.models[key]);
+
+  if (known.length === 0) {
+    return createResolution(manifest, manifest.defaultModel, 'default',
+      `No model is defined for ${unknown.join(', ')}; showing the normal placenta.`);
+  }
+
+  if (known.length === 1) {
+    return createResolution(manifest, known[0], 'single', null);
+  }
+
+  const combination = (manifest.combinations || []).find(entry =>
+    entry.conditions.length === known.length &&
+    entry.conditions.every(key => known.includes(key))
+  );
+  if (combination) {
+    return createResolution(manifest, combination.model, 'combination', null);
+  }
+
+  // No model for this exact combination: use the most severe condition and say so
+  const priority = manifest.conditionPriority || [];
+  const ranked = [...known].sort((a, b) => rankOf(priority, a) - rankOf(priority, b));
+  const chosen = ranked[0];
+  return createResolution(manifest, chosen, 'priority',
+    `No combined model for ${known.map(key => key.toUpperCase()).join(' + ')}; ` +
+    `showing the ${manifest.models[chosen].label} model (highest priority condition).`);
+}
+
+/**
+ * Expand a model's layer references into full layer descriptors
+ * @param {Object} model - Model descriptor from the manifest
+ * @param {Object} manifest - Model manifest (default: assets/data/models.json)
+ * @returns {Object[]} - [{layer, file, displayName, color, opacity}]
+ */
+export function getModelLayers(model, manifest = modelManifest) {
+  return model.layers.map((layerKey) => {
+    const layer = manifest.layers[layerKey];
+    if (!layer) {
+      throw new Error(`Unknown layer "${layerKey}" in model manifest`);
+    }
+    return layer;
+  });
+}
+
+/**
+ * Get the target model size for a model, applying its scale factor
+ * @param {Object} model - Model descriptor from the manifest
+ * @param {Object} manifest - Model manifest (default: assets/data/models.json)
+ * @returns {number} - Model size in scene units
+ */
+export function getModelSize(model, manifest = modelManifest) {
+  return (manifest.baseModelSize || 420) * (model.scale || 1);
+}
+
+/**
+ * Resolve a topic's model descriptor (the `model` block of a subtopic in assets/data/topics.json)
+ * Fields left out fall back to the default model, so `{ "name": "NoInfarct" }` shows the healthy tree.
+ * Layers are manifest layer keys or inline layer descriptors with at least `layer` and `file`.
+ * @param {Object} descriptor - {name, label, layers, visibleLayers, scale, colorBy, view, lesions, annotations}
+ * @param {Object} manifest - Model manifest (default: assets/data/models.json)
+ * @returns {Object} - {name, label, layers: [{...layer, visible}], modelSize,
+ *                      colorBy (null for single colours), view, lesions, annotations}
+ */
+export function resolveTopicModel(descriptor, manifest = modelManifest) {
+  if (!descriptor || !descriptor.name) {
+    throw new Error('Topic model descriptor needs a "name"');
+  }
+  const fallback = manifest.models[manifest.defaultModel];
+
+  const layers = (descriptor.layers || fallback.layers).map((entry, index) => {
+    if (typeof entry === 'string') {
+      return getModelLayers({ layers: [entry] }, manifest)[0];
+    }
+    if (!entry.layer || !entry.file) {
+      throw new Error(`Layer ${index} of topic model "${descriptor.name}" needs "layer" and "file"`);
+    }
+    return { displayName: entry.layer, color: '#ff2222', opacity: 0.9, units: {}, ...entry };
+  });
+  const visibleLayers = descriptor.visibleLayers || layers.map(layer => layer.layer);
+
+  return {
+    name: descriptor.name,
+    label: descriptor.label || (layers.length === 1 ? layers[0].displayName : fallback.label),
+    layers: layers.map(layer => ({ ...layer, visible: visibleLayers.includes(layer.layer) })),
+    modelSize: getModelSize(descriptor, manifest),
+    colorBy: descriptor.colorBy !== undefined ? descriptor.colorBy : 'pressure',
+    view: descriptor.view || fallback.view,
+    lesions: descriptor.lesions || null,
+    annotations: descriptor.annotations || null
+  };
+}
+
+function rankOf(priority, key) {
+  const index = priority.indexOf(key);
+  return index === -1 ? priority.length : index;
+}
+
+function createResolution(manifest, modelKey, match, reason) {
+  return {
+    modelKey,
+    model: manifest.models[modelKey],
+    match,
+    reason
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Doppler Reference Centiles
+ * Gestational-age-specific centiles and z-scores for Doppler indices, using the versioned
+ * reference tables in assets/data/dopplerReferences.json.
+ *
+ * Each table row gives the 5th, 50th and 95th centile at one gestational week. Values between
+ * rows are interpolated linearly. Z-scores use a split normal distribution: the spread below
+ * the median comes from the 5th centile and the spread above it from the 95th, so skewed
+ * indices such as PI are handled without a log transform.
+ *
+ * Usage:
+ * import { computeCentile, toGestationalAge } from '@/utils/dopplerCentiles'
+ * const result = computeCentile('umbilicalPI', 1.35, toGestationalAge(30, 2))
+ * // result.centile -> 96.7, result.zScore -> 1.84
+ */
+
+import referenceData from '@/assets/data/dopplerReferences.json';
+
+// z-scores of the 95th and 99th centiles of a standard normal distribution
+export const Z_95 = 1.6449;
+export const Z_99 = 2.3263;
+
+/**
+ * List the metrics that have reference data
+ * @param {Object} references - Reference data (default: assets/data/dopplerReferences.json)
+ * @returns {string[]} - Metric keys, e.g. ['umbilicalRI', 'umbilicalPI', ...]
+ */
+export function getMetricKeys(references = referenceData) {
+  return Object.keys(references.metrics);
+}
+
+/**
+ * Convert weeks and days to decimal gestational weeks
+ * @param {number} weeks - Completed weeks
+ * @param {number} days - Additional days (0-6, default: 0)
+ * @returns {number|null} - Gestational age in weeks, or null when weeks is missing
+ */
+export function toGestationalAge(weeks, days = 0) {
+  if (typeof weeks !== 'number' || !isFinite(weeks)) {
+    return null;
+  }
+  const extraDays = typeof days === 'number' && isFinite(days) ? days : 0;
+  return weeks + extraDays / 7;
+}
+
+/**
+ * Format decimal gestational weeks as "30+2"
+ * @param {number} gestationalAge - Gestational age in weeks
+ * @returns {string} - Weeks+days
+ */
+export function formatGestationalAge(gestationalAge) {
+  const totalDays = Math.round(gestationalAge * 7);
+  return `${Math.floor(totalDays / 7)}+${totalDays % 7}`;
+}
+
+/**
+ * Get the reference definition of a metric
+ * @param {string} metricKey - Metric key, e.g. 'umbilicalPI'
+ * @param {Object} references - Reference data (default: assets/data/dopplerReferences.json)
+ * @returns {Object|null} - {label, vessel, index, region, abnormal, source, fallbackRange?, centiles}
+ */
+export function getMetricReference(metricKey, references = referenceData) {
+  return references.metrics[metricKey] || null;
+}
+
+/**
+ * Get the 5th, 50th and 95th centiles of a metric at a gestational age
+ * Ages outside the table are clamped to its first or last row and flagged.
+ * @param {string} metricKey - Metric key
+ * @param {number} gestationalAge - Gestational age in weeks
+ * @param {Object} references - Reference data (default: assets/data/dopplerReferences.json)
+ * @returns {Object|null} - {p5, p50, p95, clamped}, or null when the metric has no centile table
+ */
+export function getReferenceCentiles(metricKey, gestationalAge, references = referenceData) {
+  const metric = getMetricReference(metricKey, references);
+  if (!metric || !metric.centiles || metric.centiles.length === 0) {
+    return null;
+  }
+
+  const rows = metric.centiles;
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  if (gestationalAge <= first[0]) {
+    return { p5: first[1], p50: first[2], p95: first[3], clamped: gestationalAge < first[0] };
+  }
+  if (gestationalAge >= last[0]) {
+    return { p5: last[1], p50: last[2], p95: last[3], clamped: gestationalAge > last[0] };
+  }
+
+  const upper = rows.findIndex(row => row[0] >= gestationalAge);
+  const lowerRow = rows[upper - 1];
+  const upperRow = rows[upper];
+  const t = (gestationalAge - lowerRow[0]) / (upperRow[0] - lowerRow[0]);
+  const lerp = column => lowerRow[column] + (upperRow[column] - lowerRow[column]) * t;
+  return { p5: lerp(1), p50: lerp(2), p95: lerp(3), clamped: false };
+}
+
+/**
+ * Split-normal z-score of a value against reference centiles
+ * @param {number} value - Measured value
+ * @param {Object} centiles - {p5, p50, p95}
+ * @returns {number} - z-score
+ */
+export function splitNormalZScore(value, { p5, p50, p95 }) {
+  const sigma = value < p50 ? (p50 - p5) / Z_95 : (p95 - p50) / Z_95;
+  return sigma > 0 ? (value - p50) / sigma : 0;
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17, error < 7.5e-8)
+ * @param {number} z - z-score
+ * @returns {number} - Probability 0-1
+ */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Compute the centile and z-score of a measurement for its gestational age
+ * @param {string} metricKey - Metric key
+ * @param {number} value - Measured value
+ * @param {number} gestationalAge - Gestational age in weeks
+ * @param {Object} references - Reference data (default: assets/data/dopplerReferences.json)
+ * @returns {Object|null} - {metricKey, value, gestationalAge, zScore, centile (0-100), reference: {p5, p50, p95, clamped}},
+ *                          or null when the metric has no centile table
+ */
+export function computeCentile(metricKey, value, gestationalAge, references = referenceData) {
+  const reference = getReferenceCentiles(metricKey, gestationalAge, references);
+  if (!reference) {
+    return null;
+  }
+  const zScore = splitNormalZScore(value, reference);
+  return {
+    metricKey,
+    value,
+    gestationalAge,
+    zScore,
+    centile: normalCdf(zScore) * 100,
+    reference
+  };
+}
+
+/**
+ * Get the full centile curves of a metric for charting
+ * @param {string} metricKey - Metric key
+ * @param {Object} references - Reference data (default: assets/data/dopplerReferences.json)
+ * @returns {Object|null} - {label, source, p5: [[ga, value]], p50: [...], p95: [...]}
+ */
+export function getCentileCurves(metricKey, references = referenceData) {
+  const metric = getMetricReference(metricKey, references);
+  if (!metric || !metric.centiles || metric.centiles.length === 0) {
+    return null;
+  }
+  return {
+    label: metric.label,
+    source: metric.source ? references.sources[metric.source] : null,
+    p5: metric.centiles.map(row => [row[0], row[1]]),
+    p50: metric.centiles.map(row => [row[0], row[2]]),
+    p95: metric.centiles.map(row => [row[0], row[3]])
+  };
+}
+
+/**
+ * Format a centile as an ordinal, e.g. 92 -> "92nd"; extremes are shown as "<1st" / ">99th"
+ * @param {number} centile - Centile 0-100
+ * @returns {string} - Ordinal centile
+ */
+export function formatCentile(centile) {
+  if (centile < 1) {
+    return '<1st';
+  }
+  if (centile > 99) {
+    return '>99th';
+  }
+  const rounded = Math.round(centile);
+  const lastTwo = rounded % 100;
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[rounded % 10] || 'th');
+  return `${rounded}${suffix}`;
+}
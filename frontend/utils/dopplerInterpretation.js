@@ -0,0 +1,368 @@
+/**
+ * Doppler Interpretation
+ * Turns ultrasound Doppler measurements into an interpretation object: a risk level per
+ * metric, the vessel region each metric describes, and the tree regions to highlight on
+ * the 3D placenta.
+ *
+ * With a gestational age, each metric is compared against its reference centiles
+ * (see utils/dopplerCentiles.js); without one, metrics that have a fixed fallback range
+ * are compared against that instead.
+ *
+ * Derived indices are computed from the entered measurements before interpretation:
+ * CPR = MCA PI / UA PI, UCR = UA PI / MCA PI, and mean uterine PI = (left + right) / 2.
+ * An index entered directly (e.g. uterinePI from the report) is used as given instead.
+ *
+ * Usage:
+ * import { interpretDopplerMetrics } from '@/utils/dopplerInterpretation'
+ * const interpretation = interpretDopplerMetrics({ umbilicalPI: 1.35, uterinePI: 0.9 }, 30.3)
+ * // interpretation.riskLevel -> 'moderate'
+ *
+ * Deviation is measured in reference-range widths outside the range (5th-95th centile, or the
+ * fallback range), so a value one full range width above the upper limit has a deviation of +1.
+ */
+
+import {
+  Z_99,
+  computeCentile,
+  formatCentile,
+  formatGestationalAge,
+  getMetricKeys,
+  getMetricReference
+} from '@/utils/dopplerCentiles';
+
+// Tree regions by normalised depth from the inlet: 0 = cord insertion, 1 = terminal branches
+export const TREE_REGIONS = {
+  umbilical: {
+    label: 'Umbilical end',
+    description: 'where the umbilical cord arteries enter the placenta',
+    end: 0,
+    extent: 0.35
+  },
+  'spiral-arteries': {
+    label: 'Spiral artery end',
+    description: 'the small terminal branches that meet the mother\'s spiral arteries',
+    end: 1,
+    extent: 0.35
+  }
+};
+
+// Highlight colours: yellow when a value is abnormal in its clinically important direction, cyan otherwise
+const CONCERN_COLOR = '#ffd600';
+const OTHER_COLOR = '#4dd0e1';
+
+// Highlight intensity for bilateral uterine artery notching
+const NOTCHING_INTENSITY = 0.5;
+
+// Deviation at or beyond which a fallback-range metric is high risk (half a range width outside)
+const HIGH_RISK_DEVIATION = 0.5;
+
+const RISK_ORDER = ['low', 'moderate', 'high'];
+
+/**
+ * Compute the derived Doppler indices from entered measurements
+ * @param {Object} metrics - Measured values, e.g. {mcaPI, umbilicalPI, uterineLeftPI, uterineRightPI}
+ * @returns {Object} - {cpr, ucr, uterinePI}; an index is null when its inputs are missing
+ */
+export function deriveDopplerIndices(metrics = {}) {
+  const mcaPI = toNumber(metrics.mcaPI);
+  const umbilicalPI = toNumber(metrics.umbilicalPI);
+  const uterineLeftPI = toNumber(metrics.uterineLeftPI);
+  const uterineRightPI = toNumber(metrics.uterineRightPI);
+
+  return {
+    cpr: mcaPI !== null && umbilicalPI ? mcaPI / umbilicalPI : null,
+    ucr: mcaPI && umbilicalPI !== null ? umbilicalPI / mcaPI : null,
+    uterinePI: uterineLeftPI !== null && uterineRightPI !== null ? (uterineLeftPI + uterineRightPI) / 2 : null
+  };
+}
+
+/**
+ * Interpret a single metric against its reference centiles or fallback range
+ * @param {string} key - Metric key from the reference data, e.g. 'umbilicalPI'
+ * @param {number} value - Measured value
+ * @param {number|null} gestationalAge - Gestational age in weeks, null if unknown
+ * @returns {Object|null} - {key, label, value, range, status: 'normal'|'high'|'low'|'unknown', deviation,
+ *                           riskLevel, region, centile, zScore, finding}, or null for an unknown key or missing value
+ */
+export function interpretMetric(key, value, gestationalAge = null) {
+  const reference = getMetricReference(key);
+  if (!reference || typeof value !== 'number' || !isFinite(value)) {
+    return null;
+  }
+
+  const centileResult = gestationalAge !== null ? computeCentile(key, value, gestationalAge) : null;
+  let range = null;
+  if (centileResult) {
+    range = { min: centileResult.reference.p5, max: centileResult.reference.p95 };
+  } else if (reference.fallbackRange) {
+    range = reference.fallbackRange;
+  }
+
+  const result = {
+    key,
+    label: reference.label,
+    value,
+    range,
+    status: 'unknown',
+    deviation: 0,
+    riskLevel: 'low',
+    region: reference.region,
+    centile: centileResult ? centileResult.centile : null,
+    zScore: centileResult ? centileResult.zScore : null,
+    derived: !!reference.derived,
+    explanation: null,
+    finding: `${reference.label}: ${value.toFixed(2)} (add gestational age to compare with reference centiles)`
+  };
+  if (!range) {
+    return result;
+  }
+
+  // One-sided fallback ranges (cut-offs such as CPR >= 1.08) measure deviation relative to the cut-off
+  const hasMin = typeof range.min === 'number';
+  const hasMax = typeof range.max === 'number';
+  const width = hasMin && hasMax ? range.max - range.min : Math.abs(hasMin ? range.min : range.max);
+  result.status = 'normal';
+  if (hasMax && value > range.max) {
+    result.status = 'high';
+    result.deviation = (value - range.max) / width;
+  } else if (hasMin && value < range.min) {
+    result.status = 'low';
+    result.deviation = (value - range.min) / width;
+  }
+
+  // Only the clinically important direction (usually raised resistance) counts towards risk
+  if (result.status === reference.abnormal) {
+    const severe = centileResult
+      ? Math.abs(centileResult.zScore) >= Z_99
+      : Math.abs(result.deviation) >= HIGH_RISK_DEVIATION;
+    result.riskLevel = severe ? 'high' : 'moderate';
+  }
+
+  const name = reference.formula ? `${reference.label} [${reference.formula}]` : reference.label;
+  if (centileResult) {
+    const ageText = formatGestationalAge(gestationalAge);
+    const clampedText = centileResult.reference.clamped ? ', outside the reference table so its nearest week was used' : '';
+    result.finding = `${name}: ${value.toFixed(2)} (${formatCentile(centileResult.centile)} centile ` +
+      `for ${ageText} weeks, z = ${centileResult.zScore.toFixed(2)}${clampedText})`;
+  } else {
+    const centileHint = reference.centiles.length > 0 ? 'add gestational age for centiles' : 'fixed range, not gestation-specific';
+    result.finding = `${name}: ${value.toFixed(2)} (${describeRangeStatus(result.status, range)}; ${centileHint})`;
+  }
+
+  if (reference.explanations && reference.explanations[result.status]) {
+    result.explanation = reference.explanations[result.status];
+    result.finding += `. ${result.explanation}`;
+  }
+  return result;
+}
+
+/**
+ * Interpret uterine artery notching (an early diastolic notch in the waveform)
+ * @param {boolean} left - Notch seen in the left uterine artery
+ * @param {boolean} right - Notch seen in the right uterine artery
+ * @returns {Object|null} - Result shaped like interpretMetric's, or null when neither side is notched
+ */
+export function interpretNotching(left, right) {
+  if (!left && !right) {
+    return null;
+  }
+  const bilateral = !!(left && right);
+  const side = left ? 'left' : 'right';
+  const explanation = bilateral
+    ? 'A notch on both sides suggests the spiral arteries have not fully widened, which is linked to preeclampsia and growth restriction.'
+    : 'A notch on one side only is common and on its own is not usually a concern.';
+
+  return {
+    key: 'uterineNotching',
+    label: 'Uterine artery notching',
+    value: bilateral ? 'bilateral' : side,
+    range: null,
+    status: bilateral ? 'high' : 'normal',
+    deviation: 0,
+    riskLevel: bilateral ? 'moderate' : 'low',
+    region: 'spiral-arteries',
+    centile: null,
+    zScore: null,
+    derived: false,
+    highlightIntensity: NOTCHING_INTENSITY,
+    explanation,
+    finding: `Uterine artery notching: ${bilateral ? 'both sides' : `${side} side only`}. ${explanation}`
+  };
+}
+
+/**
+ * Interpret umbilical artery end-diastolic flow
+ * @param {string} flow - 'present', 'absent' or 'reversed'
+ * @returns {Object|null} - Result shaped like interpretMetric's, or null when flow is present
+ */
+export function interpretEndDiastolicFlow(flow) {
+  if (flow !== 'absent' && flow !== 'reversed') {
+    return null;
+  }
+  const explanation = flow === 'absent'
+    ? 'No forward flow at the end of each heartbeat means resistance in the placenta is very high.'
+    : 'Blood briefly flows backwards at the end of each heartbeat, a sign of severely raised resistance in the placenta.';
+
+  return {
+    key: 'umbilicalEDF',
+    label: 'Umbilical artery end-diastolic flow',
+    value: flow,
+    range: null,
+    status: 'high',
+    deviation: 0,
+    riskLevel: 'high',
+    region: 'umbilical',
+    centile: null,
+    zScore: null,
+    derived: false,
+    highlightIntensity: 1,
+    explanation,
+    finding: `Umbilical artery end-diastolic flow: ${flow}. ${explanation}`
+  };
+}
+
+/**
+ * Interpret all entered Doppler metrics
+ * @param {Object} metrics - Measured values keyed by metric key, plus uterineLeftPI/uterineRightPI,
+ *                           uterineNotchLeft/uterineNotchRight and umbilicalEDF; null, empty and non-numeric values are skipped
+ * @param {number|null} gestationalAge - Gestational age in weeks, null if unknown
+ * @returns {Object} - {riskLevel: 'low'|'moderate'|'high', status: 'normal'|'abnormal', gestationalAge,
+ *                      metrics: {key: result}, findings: string[], highlights: [...], summary}
+ */
+export function interpretDopplerMetrics(metrics = {}, gestationalAge = null) {
+  // A derived index only fills in for a value the caller did not enter directly
+  const values = { ...metrics };
+  Object.entries(deriveDopplerIndices(metrics)).forEach(([key, value]) => {
+    if (value !== null && toNumber(metrics[key]) === null) {
+      values[key] = value;
+    }
+  });
+  const results = {};
+  getMetricKeys().forEach((key) => {
+    const result = interpretMetric(key, values[key], gestationalAge);
+    if (result) {
+      results[key] = result;
+    }
+  });
+
+  [
+    interpretEndDiastolicFlow(metrics.umbilicalEDF),
+    interpretNotching(metrics.uterineNotchLeft, metrics.uterineNotchRight)
+  ].forEach((result) => {
+    if (result) {
+      results[result.key] = result;
+    }
+  });
+
+  const entered = Object.values(results);
+  const abnormal = entered.filter(result => result.status === 'high' || result.status === 'low');
+  const riskLevel = entered.reduce((highest, result) =>
+    RISK_ORDER.indexOf(result.riskLevel) > RISK_ORDER.indexOf(highest) ? result.riskLevel : highest, 'low');
+
+  let summary = 'All measured parameters within reference ranges';
+  if (entered.length === 0) {
+    summary = 'No measurements entered';
+  } else if (abnormal.length > 0) {
+    summary = 'Some measurements outside reference ranges detected';
+  } else if (entered.some(result => result.status === 'unknown')) {
+    summary = 'Enter gestational age to compare all measurements with reference centiles';
+  }
+
+  return {
+    riskLevel,
+    status: abnormal.length > 0 ? 'abnormal' : 'normal',
+    gestationalAge,
+    metrics: results,
+    findings: entered.map(result => result.finding),
+    // Fetal vessels (MCA, ductus venosus) have no region on the placental tree
+    highlights: mergeHighlights(abnormal.filter(result => result.region).map(createHighlight)),
+    summary
+  };
+}
+
+/**
+ * Describe the tree region to highlight for an out-of-range metric
+ * Intensity grows with the deviation and is full at half a range width outside the range.
+ * @param {Object} result - Metric result from interpretMetric or interpretNotching
+ * @returns {Object} - {region, label, description, metric, end, extent, intensity, color, text}
+ */
+function createHighlight(result) {
+  const region = TREE_REGIONS[result.region];
+  // Risk is only raised when a value is out of range in its clinically important direction
+  const concerning = result.riskLevel !== 'low';
+  const intensity = result.highlightIntensity !== undefined
+    ? result.highlightIntensity
+    : Math.min(1, Math.abs(result.deviation) / HIGH_RISK_DEVIATION);
+  const valueText = typeof result.value === 'number' ? ` ${result.value.toFixed(2)}` : '';
+  const direction = result.status === 'high' ? 'higher' : 'lower';
+  return {
+    region: result.region,
+    label: region.label,
+    description: region.description,
+    metric: result.key,
+    end: region.end,
+    extent: region.extent,
+    intensity,
+    color: concerning ? CONCERN_COLOR : OTHER_COLOR,
+    text: `${describeHighlightCause(result, valueText, direction)}, shown at the ${region.label.toLowerCase()}: ${region.description}.`
+  };
+}
+
+/**
+ * Keep the strongest highlight per tree region, so RI, PI and S/D of one vessel do not stack
+ * @param {Array<Object>} highlights - Highlights from createHighlight
+ * @returns {Array<Object>} - One highlight per region
+ */
+function mergeHighlights(highlights) {
+  const byRegion = {};
+  highlights.forEach((highlight) => {
+    const current = byRegion[highlight.region];
+    if (!current || highlight.intensity > current.intensity) {
+      byRegion[highlight.region] = highlight;
+    }
+  });
+  return Object.values(byRegion);
+}
+
+/**
+ * Describe what caused a highlight, e.g. "Umbilical artery PI 1.45 is higher than expected"
+ * @param {Object} result - Metric result
+ * @param {string} valueText - Formatted numeric value with a leading space, or ''
+ * @param {string} direction - 'higher' or 'lower'
+ * @returns {string} - Cause text
+ */
+function describeHighlightCause(result, valueText, direction) {
+  if (result.key === 'uterineNotching') {
+    return 'Uterine artery notching on both sides';
+  }
+  if (result.key === 'umbilicalEDF') {
+    return `${result.value === 'absent' ? 'Absent' : 'Reversed'} umbilical artery end-diastolic flow`;
+  }
+  return `${result.label}${valueText} is ${direction} than expected`;
+}
+
+/**
+ * Read a form value as a number
+ * @param {*} value - Entered value
+ * @returns {number|null} - The number, or null for empty or non-numeric input
+ */
+function toNumber(value) {
+  return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+/**
+ * Describe where a value lies relative to a reference range, which may be a one-sided cut-off
+ * @param {string} status - 'normal', 'high' or 'low'
+ * @param {Object} range - {min?, max?}
+ * @returns {string} - e.g. "above reference range 0.50-0.70" or "below the 1.08 cut-off"
+ */
+function describeRangeStatus(status, range) {
+  const hasMin = typeof range.min === 'number';
+  const hasMax = typeof range.max === 'number';
+  if (hasMin && hasMax) {
+    const statusText = { normal: 'within', high: 'above', low: 'below' }[status];
+    return `${statusText} reference range ${range.min.toFixed(2)}-${range.max.toFixed(2)}`;
+  }
+  const cutOff = (hasMin ? range.min : range.max).toFixed(2);
+  return status === 'normal' ? `meets the ${cutOff} cut-off` : `${status === 'high' ? 'above' : 'below'} the ${cutOff} cut-off`;
+}
@@ -0,0 +1,259 @@
+/**
+ * Doppler Waveform Synthesiser
+ * Generates a maximum-velocity envelope for the umbilical or uterine artery that matches a
+ * target pulsatility index (PI), resistance index (RI) and heart rate.
+ *
+ * Each cardiac cycle rises smoothly from the end-diastolic velocity (EDV) to the peak systolic
+ * velocity (PSV), then decays exponentially back to the EDV. RI fixes the EDV
+ * (EDV = PSV * (1 - RI)); PI fixes the mean velocity (Vmean = (PSV - EDV) / PI), which is met by
+ * solving for the decay rate. Absent end-diastolic flow sets EDV to zero and reversed flow makes
+ * it negative; an early diastolic notch is a short dip just after the systolic peak.
+ *
+ * Usage:
+ * import { synthesizeDopplerWaveform } from '@/utils/dopplerWaveform'
+ * const waveform = synthesizeDopplerWaveform({ vessel: 'umbilical', pi: 1.1, ri: 0.68, heartRate: 140 })
+ * // waveform.velocity -> [cm/s ...], waveform.time -> [s ...], waveform.indices -> {psv, edv, vmean, pi, ri, sd}
+ */
+
+// Typical values per vessel: fetal heart rate drives the umbilical artery, maternal heart rate the uterine artery
+export const VESSEL_DEFAULTS = {
+  umbilical: {
+    label: 'Umbilical artery',
+    psv: 45,        // Peak systolic velocity, cm/s
+    heartRate: 140, // Fetal, bpm
+    pi: 1.0,
+    ri: 0.65,
+    riseFraction: 0.14 // Fraction of the cycle spent in systolic upstroke
+  },
+  uterine: {
+    label: 'Uterine artery',
+    psv: 80,
+    heartRate: 75, // Maternal, bpm
+    pi: 0.8,
+    ri: 0.5,
+    riseFraction: 0.1
+  }
+};
+
+// Reversed end-diastolic flow reaches this fraction of PSV below zero
+const REVERSED_EDV_FRACTION = 0.15;
+
+// Early diastolic notch: centre after the systolic peak, width and depth as fractions of the cycle and PSV - EDV
+const NOTCH_OFFSET = 0.12;
+const NOTCH_WIDTH = 0.035;
+const NOTCH_DEPTH = 0.3;
+
+// Decay rates searched when matching the target PI; negative rates give a rounded, well-filled diastole
+const MIN_DECAY = -12;
+const MAX_DECAY = 60;
+
+// Typical mean of the normalised cycle shape, used to relate RI and PI when only one is known
+const TYPICAL_SHAPE_MEAN = 0.47;
+
+/**
+ * Synthesise a Doppler velocity waveform
+ * @param {Object} options - Waveform options
+ * @param {string} options.vessel - 'umbilical' or 'uterine' (default: 'umbilical')
+ * @param {number} options.pi - Target pulsatility index (default: vessel typical)
+ * @param {number} options.ri - Target resistance index (default: derived from PI, or vessel typical)
+ * @param {number} options.heartRate - Heart rate in bpm (default: vessel typical)
+ * @param {number} options.psv - Peak systolic velocity in cm/s (default: vessel typical)
+ * @param {string} options.endDiastolicFlow - 'present', 'absent' or 'reversed' (default: 'present')
+ * @param {boolean} options.notch - Add an early diastolic notch (default: false)
+ * @param {number} options.cycles - Number of cardiac cycles (default: 3)
+ * @param {number} options.samplesPerCycle - Samples per cycle (default: 100)
+ * @returns {Object} - {vessel, time: number[] (s), velocity: number[] (cm/s), heartRate, duration (s),
+ *                      indices: {psv, edv, vmean, pi, ri, sd}, adjusted: boolean}
+ */
+export function synthesizeDopplerWaveform(options = {}) {
+  const vessel = VESSEL_DEFAULTS[options.vessel] ? options.vessel : 'umbilical';
+  const defaults = VESSEL_DEFAULTS[vessel];
+  const heartRate = positiveOr(options.heartRate, defaults.heartRate);
+  const psv = positiveOr(options.psv, defaults.psv);
+  const endDiastolicFlow = options.endDiastolicFlow || 'present';
+  const notch = !!options.notch;
+  const cycles = Math.max(1, Math.round(options.cycles || 3));
+  const samplesPerCycle = Math.max(20, Math.round(options.samplesPerCycle || 100));
+
+  // With neither index given, use the vessel's typical waveform
+  const pi = positiveOr(options.pi, isNumber(options.ri) ? null : defaults.pi);
+
+  // RI sets the end-diastolic velocity; absent/reversed flow overrides it
+  let ri = positiveOr(options.ri, null);
+  if (endDiastolicFlow === 'absent') {
+    ri = 1;
+  } else if (endDiastolicFlow === 'reversed') {
+    ri = 1 + REVERSED_EDV_FRACTION;
+  } else if (ri === null) {
+    ri = estimateRI(pi);
+  }
+
+  // Work on a unit cycle with PSV = 1 and EDV = 1 - RI, then scale to cm/s
+  const edvUnit = 1 - ri;
+  const shape = decay => createCycleShape(samplesPerCycle, defaults.riseFraction, decay, notch);
+
+  // Mean of the shape needed to hit the target PI: Vmean = EDV + RI * mean(shape) = RI / PI
+  let decay = 1;
+  let adjusted = false;
+  if (pi !== null) {
+    const targetMean = (ri / pi - edvUnit) / ri;
+    const result = solveDecay(shape, targetMean);
+    decay = result.decay;
+    adjusted = !result.exact;
+  }
+
+  const cycleShape = shape(decay);
+  const period = 60 / heartRate;
+  const time = [];
+  const velocity = [];
+  for (let c = 0; c < cycles; c++) {
+    for (let i = 0; i < samplesPerCycle; i++) {
+      time.push((c * samplesPerCycle + i) * period / samplesPerCycle);
+      velocity.push(psv * (edvUnit + ri * cycleShape[i]));
+    }
+  }
+
+  return {
+    vessel,
+    time,
+    velocity,
+    heartRate,
+    duration: cycles * period,
+    indices: computeIndices(velocity.slice(0, samplesPerCycle)),
+    adjusted
+  };
+}
+
+/**
+ * Compute PSV, EDV, mean velocity, PI, RI and S/D from one cardiac cycle of velocities
+ * @param {number[]} cycle - Velocities over exactly one cycle, starting at end diastole
+ * @returns {Object} - {psv, edv, vmean, pi, ri, sd}; sd is null when EDV is zero or negative
+ */
+export function computeIndices(cycle) {
+  const psv = Math.max(...cycle);
+  const edv = cycle[cycle.length - 1];
+  const vmean = cycle.reduce((sum, value) => sum + value, 0) / cycle.length;
+  return {
+    psv,
+    edv,
+    vmean,
+    pi: vmean !== 0 ? (psv - edv) / vmean : null,
+    ri: psv !== 0 ? (psv - edv) / psv : null,
+    sd: edv > 0 ? psv / edv : null
+  };
+}
+
+/**
+ * Choose waveform options from the ultrasound tool's metrics
+ * Shows the umbilical artery when any umbilical value is entered, otherwise the uterine artery
+ * when any uterine value is entered, otherwise a typical umbilical waveform.
+ * @param {Object} metrics - Tool metrics (umbilicalPI, umbilicalRI, umbilicalEDF, fetalHeartRate,
+ *                           uterineLeftPI, uterineRightPI, uterineRI, uterineNotchLeft/Right, maternalHeartRate)
+ * @returns {Object} - Options for synthesizeDopplerWaveform
+ */
+export function waveformOptionsFromMetrics(metrics = {}) {
+  const umbilical = ['umbilicalPI', 'umbilicalRI'].some(key => isNumber(metrics[key])) ||
+    (metrics.umbilicalEDF && metrics.umbilicalEDF !== 'present');
+  const uterinePIs = [metrics.uterineLeftPI, metrics.uterineRightPI].filter(isNumber);
+  const uterine = uterinePIs.length > 0 || isNumber(metrics.uterineRI) ||
+    metrics.uterineNotchLeft || metrics.uterineNotchRight;
+
+  if (!umbilical && uterine) {
+    return {
+      vessel: 'uterine',
+      pi: uterinePIs.length > 0 ? uterinePIs.reduce((sum, value) => sum + value, 0) / uterinePIs.length : null,
+      ri: isNumber(metrics.uterineRI) ? metrics.uterineRI : null,
+      heartRate: isNumber(metrics.maternalHeartRate) ? metrics.maternalHeartRate : null,
+      notch: !!(metrics.uterineNotchLeft || metrics.uterineNotchRight)
+    };
+  }
+
+  return {
+    vessel: 'umbilical',
+    pi: isNumber(metrics.umbilicalPI) ? metrics.umbilicalPI : null,
+    ri: isNumber(metrics.umbilicalRI) ? metrics.umbilicalRI : null,
+    heartRate: isNumber(metrics.fetalHeartRate) ? metrics.fetalHeartRate : null,
+    endDiastolicFlow: metrics.umbilicalEDF || 'present'
+  };
+}
+
+/**
+ * Build one normalised cardiac cycle (0 at end diastole, 1 at peak systole)
+ * @param {number} samples - Samples per cycle
+ * @param {number} rise - Fraction of the cycle spent rising to peak systole
+ * @param {number} decay - Exponential decay rate through diastole
+ * @param {boolean} notch - Add an early diastolic notch
+ * @returns {Float64Array} - Shape values
+ */
+function createCycleShape(samples, rise, decay, notch) {
+  const shape = new Float64Array(samples);
+  const tail = Math.exp(-decay);
+  for (let i = 0; i < samples; i++) {
+    // The last sample is end diastole
+    const t = (i + 1) / samples;
+    let value;
+    if (t <= rise) {
+      value = 0.5 * (1 - Math.cos(Math.PI * t / rise));
+    } else if (Math.abs(decay) < 1e-6) {
+      value = 1 - (t - rise) / (1 - rise);
+    } else {
+      value = (Math.exp(-decay * (t - rise) / (1 - rise)) - tail) / (1 - tail);
+    }
+    if (notch) {
+      const offset = (t - rise - NOTCH_OFFSET) / NOTCH_WIDTH;
+      value -= NOTCH_DEPTH * value * Math.exp(-offset * offset);
+    }
+    shape[i] = value;
+  }
+  // Exactly zero at end diastole, so absent flow really is zero
+  shape[samples - 1] = 0;
+  return shape;
+}
+
+/**
+ * Find the decay rate whose cycle shape has the target mean (the mean falls as decay grows)
+ * @param {Function} shape - Builds a cycle shape for a decay rate
+ * @param {number} targetMean - Target mean of the shape
+ * @returns {Object} - {decay, exact: false when the target had to be clamped to what the shape can reach}
+ */
+function solveDecay(shape, targetMean) {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const highest = mean(shape(MIN_DECAY));
+  const lowest = mean(shape(MAX_DECAY));
+  if (!(targetMean < highest)) {
+    return { decay: MIN_DECAY, exact: false };
+  }
+  if (!(targetMean > lowest)) {
+    return { decay: MAX_DECAY, exact: false };
+  }
+
+  let low = MIN_DECAY;
+  let high = MAX_DECAY;
+  for (let i = 0; i < 40; i++) {
+    const middle = (low + high) / 2;
+    if (mean(shape(middle)) > targetMean) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return { decay: (low + high) / 2, exact: true };
+}
+
+/**
+ * Estimate RI from PI when only PI is known, assuming a typically shaped cycle
+ * From PI = RI / (1 - RI + RI * mean): RI = 1 / (1 / PI - mean + 1)
+ * @param {number} pi - Pulsatility index
+ * @returns {number} - Resistance index
+ */
+function estimateRI(pi) {
+  return 1 / (1 / pi - TYPICAL_SHAPE_MEAN + 1);
+}
+
+function positiveOr(value, fallback) {
+  return isNumber(value) && value > 0 ? value : fallback;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
@@ -0,0 +1,383 @@
+/**
+ * Flow Particles
+ * Animates particles along the segments of a vessel tree to show blood flow.
+ * Particles move at a speed set by the layer's flow or velocity data and scaled each frame
+ * by a pulse factor, so following the Doppler waveform playhead shows systole and diastole
+ * travelling through the tree.
+ *
+ * buildFlowNetwork is free of Three.js; FlowParticles draws the particles as THREE.Points
+ * in the layer's file coordinates, so they belong in the same group as the layer's mesh.
+ *
+ * Usage:
+ * import FlowParticles, { buildFlowNetwork } from '@/utils/flowParticles'
+ * const network = buildFlowNetwork(layer)
+ * const particles = new FlowParticles(THREE, network, { count: 3000, size: 4 })
+ * root.add(particles.object)
+ * particles.update(dt, pulse) // every frame; pulse is the flow velocity relative to its cycle mean
+ */
+
+import { getTupleValue } from '@/utils/vtkGeometry';
+
+// Point data arrays used for particle speed, in order of preference (matched case-insensitively)
+const FLOW_ARRAY_NAMES = ['velocity', 'flow', 'flux'];
+
+// Seconds for a particle at the tree's mean speed and a pulse of 1 to travel the longest inlet path
+const TRAVERSAL_SECONDS = 4;
+
+// Relative segment speeds are kept within this range so slow vessels still move and fast ones stay visible
+const MIN_RELATIVE_SPEED = 0.05;
+const MAX_RELATIVE_SPEED = 5;
+
+/**
+ * Find the point data array that sets particle speed
+ * @param {Array<Object>} arrays - Described data arrays of a layer (see vtkGeometry.describeDataArrays)
+ * @returns {Object|null} - The array, or null when the layer has no flow or velocity data
+ */
+export function findFlowArray(arrays) {
+  const pointArrays = arrays.filter(array => array.association === 'point');
+  for (const name of FLOW_ARRAY_NAMES) {
+    const array = pointArrays.find(item => item.name.toLowerCase().includes(name));
+    if (array) {
+      return array;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the directed segment network particles travel along
+ * Every point except the inlet ends one segment, joining it to its parent. Arterial blood flows
+ * away from the umbilical cord insertion; venous blood flows towards it (towardsInlet).
+ * Segment speed is the velocity array where there is one, otherwise flow divided by the vessel
+ * cross-section (or flow alone without radius data), otherwise uniform; it is relative to the
+ * length-weighted mean. At a branch, particles choose a child in proportion to its flow.
+ * @param {Object} tree - Tree data of a layer
+ * @param {Float32Array} tree.pointPositions - Point coordinates
+ * @param {Int32Array} tree.parentIndices - Parent point per point, -1 for the inlet (see vesselTree.buildVesselTree)
+ * @param {ArrayLike<number>} tree.radiusData - Radius per point (may be empty)
+ * @param {Array<Object>} tree.arrays - Described data arrays of the layer
+ * @param {boolean} towardsInlet - Whether flow runs towards the inlet (default: false)
+ * @returns {Object} - {segmentCount, pointPositions, start, end, length, speed, weight, next/nextOffsets,
+ *                      previous/previousOffsets, cumulativeLength, totalLength, pathLength,
+ *                      flowArray: name of the array used or null}
+ */
+export function buildFlowNetwork(tree, towardsInlet = false) {
+  const { pointPositions, parentIndices, radiusData } = tree;
+  const numPoints = parentIndices.length;
+  const hasRadius = radiusData && radiusData.length === numPoints;
+  const flowArray = findFlowArray(tree.arrays || []);
+  const isVelocity = flowArray && flowArray.name.toLowerCase().includes('velocity');
+
+  // Segment s ends at the point segmentPoints[s]; pointSegment is the reverse lookup
+  const pointSegment = new Int32Array(numPoints).fill(-1);
+  const segmentPoints = [];
+  for (let i = 0; i < numPoints; i++) {
+    if (parentIndices[i] >= 0) {
+      pointSegment[i] = segmentPoints.length;
+      segmentPoints.push(i);
+    }
+  }
+  const segmentCount = segmentPoints.length;
+
+  // Children of each point in compressed form
+  const childOffsets = new Uint32Array(numPoints + 1);
+  for (let i = 0; i < numPoints; i++) {
+    if (parentIndices[i] >= 0) {
+      childOffsets[parentIndices[i] + 1]++;
+    }
+  }
+  for (let i = 0; i < numPoints; i++) {
+    childOffsets[i + 1] += childOffsets[i];
+  }
+  const children = new Uint32Array(childOffsets[numPoints]);
+  const fill = childOffsets.slice(0, numPoints);
+  for (let i = 0; i < numPoints; i++) {
+    if (parentIndices[i] >= 0) {
+      children[fill[parentIndices[i]]++] = i;
+    }
+  }
+
+  const start = new Uint32Array(segmentCount);
+  const end = new Uint32Array(segmentCount);
+  const length = new Float32Array(segmentCount);
+  const speed = new Float32Array(segmentCount);
+  const weight = new Float32Array(segmentCount);
+  let totalLength = 0;
+  let weightedSpeed = 0;
+
+  const pointValue = index => (flowArray ? Math.abs(getTupleValue(flowArray, index)) : 1);
+  for (let s = 0; s < segmentCount; s++) {
+    const child = segmentPoints[s];
+    const parent = parentIndices[child];
+    start[s] = towardsInlet ? child : parent;
+    end[s] = towardsInlet ? parent : child;
+
+    const dx = pointPositions[child * 3] - pointPositions[parent * 3];
+    const dy = pointPositions[child * 3 + 1] - pointPositions[parent * 3 + 1];
+    const dz = pointPositions[child * 3 + 2] - pointPositions[parent * 3 + 2];
+    length[s] = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    const value = (pointValue(child) + pointValue(parent)) / 2;
+    const radius = hasRadius ? (radiusData[child] + radiusData[parent]) / 2 : 0;
+    const area = Math.PI * radius * radius;
+    if (isVelocity || !flowArray) {
+      speed[s] = value;
+      weight[s] = hasRadius ? value * area : value;
+    } else {
+      speed[s] = area > 0 ? value / area : value;
+      weight[s] = value;
+    }
+    totalLength += length[s];
+    weightedSpeed += speed[s] * length[s];
+  }
+
+  const meanSpeed = totalLength > 0 ? weightedSpeed / totalLength : 0;
+  const cumulativeLength = new Float64Array(segmentCount);
+  let running = 0;
+  for (let s = 0; s < segmentCount; s++) {
+    const relative = meanSpeed > 0 ? speed[s] / meanSpeed : 1;
+    speed[s] = Math.min(MAX_RELATIVE_SPEED, Math.max(MIN_RELATIVE_SPEED, relative));
+    running += length[s];
+    cumulativeLength[s] = running;
+  }
+
+  // Downstream and upstream neighbours of each segment
+  const segmentsAt = point => Array.from(children.subarray(childOffsets[point], childOffsets[point + 1]), c => pointSegment[c]);
+  const parentSegment = point => (pointSegment[point] >= 0 ? [pointSegment[point]] : []);
+  const next = toCompressed(segmentCount, s => (towardsInlet ? parentSegment(end[s]) : segmentsAt(end[s])));
+  const previous = toCompressed(segmentCount, s => (towardsInlet ? segmentsAt(start[s]) : parentSegment(start[s])));
+
+  return {
+    segmentCount,
+    pointPositions,
+    start,
+    end,
+    length,
+    speed,
+    weight,
+    next: next.values,
+    nextOffsets: next.offsets,
+    previous: previous.values,
+    previousOffsets: previous.offsets,
+    cumulativeLength,
+    totalLength,
+    pathLength: longestInletPath(segmentPoints, parentIndices, length, pointSegment),
+    flowArray: flowArray ? flowArray.name : null
+  };
+}
+
+export default class FlowParticles {
+  /**
+   * Create particles spread evenly along a flow network
+   * @param {Object} THREE - Three.js library instance
+   * @param {Object} network - Network from buildFlowNetwork
+   * @param {Object} options - Display options
+   * @param {number} options.count - Number of particles (default: 2000)
+   * @param {number} options.size - Particle size in scene units (default: 4)
+   * @param {number} options.color - Hex colour (default: 0xffffff)
+   */
+  constructor(THREE, network, options = {}) {
+    const { count = 2000, size = 4, color = 0xffffff } = options;
+    this.network = network;
+    this.count = network.segmentCount > 0 ? count : 0;
+    // File units per second at relative speed 1 and a pulse of 1
+    this.baseSpeed = network.pathLength / TRAVERSAL_SECONDS;
+    this.segments = new Int32Array(this.count);
+    this.offsets = new Float32Array(this.count); // Position along the segment, 0 (start) - 1 (end)
+    this.positions = new Float32Array(this.count * 3);
+
+    for (let p = 0; p < this.count; p++) {
+      this.respawn(p);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    const attribute = new THREE.BufferAttribute(this.positions, 3);
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', attribute);
+    const material = new THREE.PointsMaterial({
+      color,
+      size,
+      sizeAttenuation: true,
+      transparent: true,
+      opacity: 0.85,
+      blending: THREE.AdditiveBlending,
+      // Drawn over the vessel walls, which would otherwise hide particles inside opaque tubes
+      depthTest: false,
+      depthWrite: false
+    });
+    this.object = new THREE.Points(geometry, material);
+    this.object.name = 'flow-particles';
+    this.object.renderOrder = 20;
+    // Positions change every frame, so the bounding sphere is never up to date
+    this.object.frustumCulled = false;
+    this.writePositions();
+  }
+
+  /**
+   * Advance the particles
+   * A negative pulse (reversed flow, e.g. reversed end-diastolic flow) moves them back upstream.
+   * @param {number} dt - Seconds since the last update
+   * @param {number} pulse - Flow velocity relative to its mean over the cardiac cycle (default: 1)
+   */
+  update(dt, pulse = 1) {
+    const { length, speed } = this.network;
+    for (let p = 0; p < this.count; p++) {
+      let segment = this.segments[p];
+      let distance = this.baseSpeed * speed[segment] * pulse * dt;
+      let offset = this.offsets[p] + distance / Math.max(length[segment], 1e-6);
+
+      // Carry the remaining distance over into neighbouring segments
+      while (offset > 1 || offset < 0) {
+        const forward = offset > 1;
+        distance = (forward ? offset - 1 : -offset) * length[segment];
+        const neighbour = forward ? this.chooseNext(segment) : this.choosePrevious(segment);
+        if (neighbour < 0) {
+          if (forward) {
+            // Left the tree at a terminal branch (or at the inlet for venous flow)
+            segment = this.respawn(p);
+            offset = this.offsets[p];
+          } else {
+            offset = 0;
+          }
+          break;
+        }
+        segment = neighbour;
+        const step = distance / Math.max(length[segment], 1e-6);
+        offset = forward ? step : 1 - step;
+      }
+
+      this.segments[p] = segment;
+      this.offsets[p] = offset;
+    }
+    this.writePositions();
+  }
+
+  /**
+   * Place a particle at a random position, uniformly along the length of the tree
+   * @param {number} p - Particle index
+   * @returns {number} - Its new segment
+   */
+  respawn(p) {
+    const { cumulativeLength, totalLength, length } = this.network;
+    const target = Math.random() * totalLength;
+    let low = 0;
+    let high = cumulativeLength.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulativeLength[mid] < target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.segments[p] = low;
+    this.offsets[p] = length[low] > 0 ? 1 - (cumulativeLength[low] - target) / length[low] : 0;
+    return low;
+  }
+
+  // Downstream segment to continue into, chosen in proportion to flow; -1 at the end of the tree
+  chooseNext(segment) {
+    const { next, nextOffsets, weight } = this.network;
+    const first = nextOffsets[segment];
+    const last = nextOffsets[segment + 1];
+    if (last - first <= 1) {
+      return last > first ? next[first] : -1;
+    }
+    let total = 0;
+    for (let i = first; i < last; i++) {
+      total += weight[next[i]];
+    }
+    let pick = Math.random() * total;
+    for (let i = first; i < last; i++) {
+      pick -= weight[next[i]];
+      if (pick <= 0) {
+        return next[i];
+      }
+    }
+    return next[last - 1];
+  }
+
+  // Upstream segment to move back into; -1 at the start of the tree
+  choosePrevious(segment) {
+    const { previous, previousOffsets } = this.network;
+    const first = previousOffsets[segment];
+    const last = previousOffsets[segment + 1];
+    if (last === first) {
+      return -1;
+    }
+    return previous[first + Math.floor(Math.random() * (last - first))];
+  }
+
+  writePositions() {
+    const { start, end } = this.network;
+    const points = this.network.pointPositions;
+    for (let p = 0; p < this.count; p++) {
+      const segment = this.segments[p];
+      const t = this.offsets[p];
+      const a = start[segment] * 3;
+      const b = end[segment] * 3;
+      for (let c = 0; c < 3; c++) {
+        this.positions[p * 3 + c] = points[a + c] + (points[b + c] - points[a + c]) * t;
+      }
+    }
+    if (this.object) {
+      this.object.geometry.attributes.position.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Change the particle size
+   * @param {number} size - Size in scene units
+   */
+  setSize(size) {
+    this.object.material.size = size;
+  }
+
+  /**
+   * Free the particles' GPU resources; remove the object from its parent first
+   */
+  dispose() {
+    this.object.geometry.dispose();
+    this.object.material.dispose();
+  }
+}
+
+// Adjacency lists in compressed form: entries of item i are values[offsets[i]..offsets[i + 1]]
+function toCompressed(count, listFor) {
+  const lists = [];
+  const offsets = new Uint32Array(count + 1);
+  for (let i = 0; i < count; i++) {
+    const list = listFor(i);
+    lists.push(list);
+    offsets[i + 1] = offsets[i] + list.length;
+  }
+  const values = new Uint32Array(offsets[count]);
+  lists.forEach((list, i) => values.set(list, offsets[i]));
+  return { values, offsets };
+}
+
+// Longest path length from the inlet to any point
+function longestInletPath(segmentPoints, parentIndices, length, pointSegment) {
+  const distance = new Float64Array(parentIndices.length).fill(-1);
+  let longest = 0;
+  const distanceTo = (point) => {
+    // Walk up to the nearest point with a known distance, then fill in on the way back
+    const chain = [];
+    let current = point;
+    while (current >= 0 && distance[current] < 0) {
+      chain.push(current);
+      current = parentIndices[current];
+    }
+    let total = current >= 0 ? distance[current] : 0;
+    for (let i = chain.length - 1; i >= 0; i--) {
+      const segment = pointSegment[chain[i]];
+      total += segment >= 0 ? length[segment] : 0;
+      distance[chain[i]] = total;
+    }
+    return distance[point];
+  };
+  segmentPoints.forEach((point) => {
+    longest = Math.max(longest, distanceTo(point));
+  });
+  return longest;
+}
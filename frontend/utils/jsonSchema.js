@@ -0,0 +1,194 @@
+/**
+ * JSON Schema Validator
+ * Checks content files against the JSON schemas of assets/data/schemas, reporting every field that
+ * is wrong by its path, e.g. "pregnancy.subTopics.changes.icon: is required".
+ * Covers the draft-07 keywords those schemas use: type, enum, pattern, minLength, minimum, maximum,
+ * exclusiveMinimum, required, properties, additionalProperties, propertyNames, minProperties, items,
+ * minItems, oneOf and $ref (to "#/definitions/..." or to another schema's $id).
+ *
+ * Usage:
+ * import { validateSchema, formatSchemaErrors } from '@/utils/jsonSchema'
+ * const errors = validateSchema(topics, topicsSchema, { schemas: [modelSchema] })
+ * // errors -> [{path: 'pregnancy.subTopics.changes.icon', message: 'is required'}]
+ */
+
+// Message of a value of the wrong type, see checkValue
+const TYPE_ERROR = /^must be [\w ]+, not \w+$/;
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON schema
+ * @param {Object} options - Validation options
+ * @param {Array<Object>} options.schemas - Other schemas that $ref may name by $id
+ * @param {string} options.path - Path of the value, prefixed to every error path (default: none)
+ * @returns {Array<Object>} - [{path, message}], empty when the value is valid
+ */
+export function validateSchema(value, schema, { schemas = [], path = '' } = {}) {
+  const registry = {};
+  [schema, ...schemas].forEach((entry) => {
+    if (entry.$id) registry[entry.$id] = entry;
+  });
+  const errors = [];
+  checkValue(value, schema, path, { root: schema, registry }, errors);
+  return errors;
+}
+
+/**
+ * One line per error, e.g. "videos.healthy.link: must match \.(mp4|webm)$"
+ * @param {Array<Object>} errors - From validateSchema
+ * @returns {string[]}
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path || '(root)'}: ${error.message}`);
+}
+
+/**
+ * Path of a property or array item below a path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or item index
+ * @returns {string} - e.g. 'topics.pregnancy' or 'layers[1]'
+ */
+export function joinSchemaPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return typeOf(value) === type;
+}
+
+// Follow a $ref to its schema; context.root becomes the schema holding the target
+function resolveRef(ref, context) {
+  const [id, pointer] = ref.split('#');
+  const root = id ? context.registry[id] : context.root;
+  if (!root) {
+    throw new Error(`Unknown schema "${id}" in $ref`);
+  }
+  const target = (pointer || '').split('/').filter(Boolean).reduce((node, key) => node && node[key], root);
+  if (!target) {
+    throw new Error(`Unresolved $ref "${ref}"`);
+  }
+  return { schema: target, context: { ...context, root } };
+}
+
+function checkValue(value, schema, path, context, errors) {
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, context);
+    checkValue(value, resolved.schema, path, resolved.context, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, not ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (schema.oneOf) {
+    checkOneOf(value, schema.oneOf, path, context, errors);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `"${value}" must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, joinSchemaPath(path, index), context, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    checkObject(value, schema, path, context, errors);
+  }
+}
+
+function checkObject(value, schema, path, context, errors) {
+  const keys = Object.keys(value);
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    errors.push({ path, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+  }
+  (schema.required || []).forEach((key) => {
+    if (value[key] === undefined) {
+      errors.push({ path: joinSchemaPath(path, key), message: 'is required' });
+    }
+  });
+
+  const properties = schema.properties || {};
+  keys.forEach((key) => {
+    const keyPath = joinSchemaPath(path, key);
+    if (schema.propertyNames) {
+      const nameErrors = [];
+      checkValue(key, schema.propertyNames, keyPath, context, nameErrors);
+      nameErrors.forEach(error => errors.push({ path: keyPath, message: `key ${error.message}` }));
+    }
+    if (properties[key]) {
+      checkValue(value[key], properties[key], keyPath, context, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: keyPath, message: 'is not a known field' });
+    } else if (typeof schema.additionalProperties === 'object') {
+      checkValue(value[key], schema.additionalProperties, keyPath, context, errors);
+    }
+  });
+}
+
+// Exactly one alternative must match; otherwise report the errors of the closest one
+function checkOneOf(value, alternatives, path, context, errors) {
+  const results = alternatives.map((alternative) => {
+    const found = [];
+    checkValue(value, alternative, path, context, found);
+    return found;
+  });
+  const matching = results.filter(found => found.length === 0).length;
+  if (matching === 1) {
+    return;
+  }
+  if (matching > 1) {
+    errors.push({ path, message: 'matches more than one allowed form' });
+    return;
+  }
+  // Alternatives of another type say nothing useful; report the closest one of the value's type
+  const typed = results.filter(found => !found.some(error => error.path === path && TYPE_ERROR.test(error.message)));
+  if (typed.length === 0) {
+    errors.push({ path, message: `${typeOf(value)} is not an allowed form here` });
+    return;
+  }
+  typed.reduce((best, found) => (found.length < best.length ? found : best)).forEach(error => errors.push(error));
+}
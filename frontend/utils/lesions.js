@@ -0,0 +1,285 @@
+/**
+ * Placental Lesions
+ * Infarct regions as data: lesion sets are JSON files listing spherical or closed-mesh volumes,
+ * drawn as translucent regions over the vessel trees. Vessels inside a lesion are dimmed or hidden.
+ * Free of Three.js; VTKLoader draws the lesions and applies their effect on the vessels.
+ *
+ * Lesion set JSON (see static/lesions/):
+ * {
+ *   "version": 1,
+ *   "name": "SmallInfarct",
+ *   "label": "Small infarct",
+ *   "coordinates": "normalized",   // or "file"
+ *   "vesselEffect": "dim",         // "dim", "hide" or "none"
+ *   "lesions": [
+ *     { "id": "infarct-1", "label": "Marginal infarct", "type": "sphere", "center": [0.2, 0.1, 0], "radius": 0.1 },
+ *     { "id": "infarct-2", "type": "mesh", "vertices": [[x, y, z], ...], "faces": [[0, 1, 2], ...] }
+ *   ]
+ * }
+ * File coordinates are those of the vessel tree files. Normalized coordinates are relative to the
+ * loaded trees' bounds: the origin at their centre and 1 equal to their largest dimension, so a set
+ * can be written without knowing the file coordinates. Mesh lesions must be closed surfaces.
+ *
+ * Usage:
+ * import { parseLesionSet, resolveLesions, computeLesionMask } from '@/utils/lesions'
+ * const lesionSet = parseLesionSet(json, 'smallInfarct.json')
+ * const lesions = resolveLesions(lesionSet, { center: [x, y, z], size: maxDimension })
+ * const mask = computeLesionMask(layer.pointPositions, lesions) // 1 for points inside a lesion
+ */
+
+export const LESION_EFFECTS = ['dim', 'hide', 'none'];
+
+// Colour that dimmed vessels fade towards, and how far (0-1)
+const DIM_COLOR = [0.25, 0.22, 0.2];
+const DIM_AMOUNT = 0.75;
+
+/**
+ * Validate a lesion set read from JSON
+ * @param {Object} json - Parsed JSON
+ * @param {string} source - File name or URL, for error messages (default: 'lesion set')
+ * @returns {Object} - {version, name, label, description, coordinates, vesselEffect,
+ *                      lesions: [{id, label, type: 'sphere', center, radius} | {id, label, type: 'mesh', vertices, faces}]}
+ * @throws {Error} - When the set is malformed
+ */
+export function parseLesionSet(json, source = 'lesion set') {
+  const fail = (message) => {
+    throw new Error(`Invalid ${source}: ${message}`);
+  };
+  if (!json || typeof json !== 'object' || !Array.isArray(json.lesions)) {
+    fail('expected an object with a "lesions" array');
+  }
+
+  const coordinates = json.coordinates || 'file';
+  if (coordinates !== 'file' && coordinates !== 'normalized') {
+    fail(`unknown coordinates "${coordinates}"`);
+  }
+  const vesselEffect = json.vesselEffect || 'dim';
+  if (!LESION_EFFECTS.includes(vesselEffect)) {
+    fail(`unknown vesselEffect "${vesselEffect}"`);
+  }
+
+  const lesions = json.lesions.map((lesion, i) => {
+    const id = lesion.id || `lesion-${i + 1}`;
+    const label = lesion.label || `Lesion ${i + 1}`;
+    if (lesion.type === 'sphere') {
+      if (!isVector(lesion.center) || !(lesion.radius > 0)) {
+        fail(`sphere "${id}" needs a [x, y, z] center and a positive radius`);
+      }
+      return { id, label, type: 'sphere', center: lesion.center.slice(), radius: lesion.radius };
+    }
+    if (lesion.type === 'mesh') {
+      const { vertices, faces } = lesion;
+      if (!Array.isArray(vertices) || !vertices.every(isVector) || !Array.isArray(faces) || faces.length < 4) {
+        fail(`mesh "${id}" needs [x, y, z] vertices and at least four triangular faces`);
+      }
+      if (!faces.every(face => Array.isArray(face) && face.length === 3 && face.every(v => Number.isInteger(v) && v >= 0 && v < vertices.length))) {
+        fail(`mesh "${id}" has a face that is not three vertex indices`);
+      }
+      return { id, label, type: 'mesh', vertices: vertices.map(v => v.slice()), faces: faces.map(f => f.slice()) };
+    }
+    return fail(`lesion "${id}" has unknown type "${lesion.type}"`);
+  });
+
+  return {
+    version: json.version || 1,
+    name: json.name || null,
+    label: json.label || json.name || 'Lesions',
+    description: json.description || null,
+    coordinates,
+    vesselEffect,
+    lesions
+  };
+}
+
+/**
+ * Convert a lesion set's lesions to file coordinates and prepare them for inside tests
+ * @param {Object} lesionSet - Set from parseLesionSet
+ * @param {Object} frame - Bounds of the loaded trees in file coordinates: {center: [x, y, z], size: largest dimension}
+ * @returns {Array<Object>} - Lesions in file coordinates; meshes gain a bounding box {min, max}
+ */
+export function resolveLesions(lesionSet, frame) {
+  const normalized = lesionSet.coordinates === 'normalized';
+  const toFile = point => (normalized ? point.map((value, c) => frame.center[c] + value * frame.size) : point.slice());
+
+  return lesionSet.lesions.map((lesion) => {
+    if (lesion.type === 'sphere') {
+      return { ...lesion, center: toFile(lesion.center), radius: normalized ? lesion.radius * frame.size : lesion.radius };
+    }
+    const vertices = lesion.vertices.map(toFile);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    vertices.forEach((vertex) => {
+      for (let c = 0; c < 3; c++) {
+        min[c] = Math.min(min[c], vertex[c]);
+        max[c] = Math.max(max[c], vertex[c]);
+      }
+    });
+    return { ...lesion, vertices, bounds: { min, max } };
+  });
+}
+
+/**
+ * Express a lesion set in file coordinates, e.g. before editing or saving it
+ * @param {Object} lesionSet - Set from parseLesionSet
+ * @param {Object} frame - Bounds of the loaded trees, see resolveLesions
+ * @returns {Object} - The same set with coordinates 'file'
+ */
+export function toFileCoordinates(lesionSet, frame) {
+  const lesions = resolveLesions(lesionSet, frame).map(({ bounds, ...lesion }) => lesion);
+  return { ...lesionSet, coordinates: 'file', lesions };
+}
+
+/**
+ * Test whether a point lies inside a resolved lesion
+ * Meshes use ray casting: a point is inside when a ray from it crosses the surface an odd number of times.
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {number} z - Point z
+ * @param {Object} lesion - Lesion from resolveLesions
+ * @returns {boolean}
+ */
+export function isPointInLesion(x, y, z, lesion) {
+  if (lesion.type === 'sphere') {
+    const dx = x - lesion.center[0];
+    const dy = y - lesion.center[1];
+    const dz = z - lesion.center[2];
+    return dx * dx + dy * dy + dz * dz <= lesion.radius * lesion.radius;
+  }
+
+  const { min, max } = lesion.bounds;
+  if (x < min[0] || y < min[1] || z < min[2] || x > max[0] || y > max[1] || z > max[2]) {
+    return false;
+  }
+  // Ray along +x: count faces whose triangle contains (y, z) with the crossing beyond x.
+  // The ray is nudged off the exact point so it does not pass through shared edges and count them twice.
+  const span = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  y += span * 1.3e-7;
+  z += span * 1.7e-7;
+  let crossings = 0;
+  for (const [a, b, c] of lesion.faces) {
+    const p0 = lesion.vertices[a];
+    const p1 = lesion.vertices[b];
+    const p2 = lesion.vertices[c];
+    const d = (p1[1] - p0[1]) * (p2[2] - p0[2]) - (p2[1] - p0[1]) * (p1[2] - p0[2]);
+    if (d === 0) {
+      continue;
+    }
+    const u = ((y - p0[1]) * (p2[2] - p0[2]) - (p2[1] - p0[1]) * (z - p0[2])) / d;
+    const v = ((p1[1] - p0[1]) * (z - p0[2]) - (y - p0[1]) * (p1[2] - p0[2])) / d;
+    if (u < 0 || v < 0 || u + v > 1) {
+      continue;
+    }
+    const crossingX = p0[0] + u * (p1[0] - p0[0]) + v * (p2[0] - p0[0]);
+    if (crossingX > x) {
+      crossings++;
+    }
+  }
+  return crossings % 2 === 1;
+}
+
+/**
+ * Mark the tree points inside any lesion
+ * @param {Float32Array} pointPositions - Point coordinates of a layer
+ * @param {Array<Object>} lesions - Lesions from resolveLesions
+ * @returns {Uint8Array} - 1 for points inside a lesion, 0 otherwise
+ */
+export function computeLesionMask(pointPositions, lesions) {
+  const numPoints = pointPositions.length / 3;
+  const mask = new Uint8Array(numPoints);
+  if (lesions.length === 0) {
+    return mask;
+  }
+  for (let i = 0; i < numPoints; i++) {
+    const x = pointPositions[i * 3];
+    const y = pointPositions[i * 3 + 1];
+    const z = pointPositions[i * 3 + 2];
+    if (lesions.some(lesion => isPointInLesion(x, y, z, lesion))) {
+      mask[i] = 1;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Fade the vertex colours of vessels inside lesions
+ * @param {Float32Array} colors - RGB colours to modify in place (3 floats per vertex)
+ * @param {Uint8Array} mask - Lesion mask per point, from computeLesionMask
+ * @param {Uint32Array} pointIndices - Dataset point index of each vertex
+ * @returns {Float32Array} - The modified colours
+ */
+export function applyLesionDimming(colors, mask, pointIndices) {
+  for (let v = 0; v < pointIndices.length; v++) {
+    if (mask[pointIndices[v]]) {
+      for (let c = 0; c < 3; c++) {
+        colors[v * 3 + c] += (DIM_COLOR[c] - colors[v * 3 + c]) * DIM_AMOUNT;
+      }
+    }
+  }
+  return colors;
+}
+
+/**
+ * Build a draw index that leaves out vessels inside lesions
+ * Tubes drop every triangle touching a point inside; lines drop segments with either end inside.
+ * @param {Uint8Array} mask - Lesion mask per point, from computeLesionMask
+ * @param {Uint32Array} pointIndices - Dataset point index of each vertex
+ * @param {string} kind - Geometry kind: 'tubes', 'lines' or 'points'
+ * @param {Uint32Array|null} baseIndex - The geometry's own index (tubes, or lines drawn over tube vertices), or null
+ * @returns {Uint32Array} - Vertex indices to draw
+ */
+export function buildVisibleIndex(mask, pointIndices, kind, baseIndex = null) {
+  const visible = [];
+  if (kind === 'tubes') {
+    for (let i = 0; i < baseIndex.length; i += 3) {
+      const a = baseIndex[i];
+      const b = baseIndex[i + 1];
+      const c = baseIndex[i + 2];
+      if (!mask[pointIndices[a]] && !mask[pointIndices[b]] && !mask[pointIndices[c]]) {
+        visible.push(a, b, c);
+      }
+    }
+  } else if (kind === 'lines') {
+    const count = baseIndex ? baseIndex.length : pointIndices.length;
+    for (let i = 0; i < count; i += 2) {
+      const a = baseIndex ? baseIndex[i] : i;
+      const b = baseIndex ? baseIndex[i + 1] : i + 1;
+      if (!mask[pointIndices[a]] && !mask[pointIndices[b]]) {
+        visible.push(a, b);
+      }
+    }
+  } else {
+    for (let v = 0; v < pointIndices.length; v++) {
+      if (!mask[pointIndices[v]]) {
+        visible.push(v);
+      }
+    }
+  }
+  return Uint32Array.from(visible);
+}
+
+/**
+ * Write a lesion set in its JSON file form
+ * @param {Object} lesionSet - Set from parseLesionSet (or edited)
+ * @returns {Object} - Plain object ready for JSON.stringify
+ */
+export function serializeLesionSet(lesionSet) {
+  const round = value => Math.round(value * 1e4) / 1e4;
+  return {
+    version: lesionSet.version || 1,
+    name: lesionSet.name,
+    label: lesionSet.label,
+    ...(lesionSet.description ? { description: lesionSet.description } : {}),
+    coordinates: lesionSet.coordinates,
+    vesselEffect: lesionSet.vesselEffect,
+    lesions: lesionSet.lesions.map((lesion) => {
+      if (lesion.type === 'sphere') {
+        return { id: lesion.id, label: lesion.label, type: 'sphere', center: lesion.center.map(round), radius: round(lesion.radius) };
+      }
+      return { id: lesion.id, label: lesion.label, type: 'mesh', vertices: lesion.vertices.map(v => v.map(round)), faces: lesion.faces };
+    })
+  };
+}
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(v => typeof v === 'number' && isFinite(v));
+}
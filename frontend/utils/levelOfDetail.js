@@ -0,0 +1,200 @@
+/**
+ * Tube Level of Detail
+ * Chooses how much of a tube layer to build and draw for each performance mode, so the full vessel
+ * tree stays interactive on tablets and phones. Tubes are built with the sides of the mode (see
+ * getBuildSegments), so 'low' and 'medium' also save vertices; within that, each level is only a
+ * new draw index over the same vertices:
+ * - fewer sides: every ring keeps an evenly spread subset of its vertices; joints and caps stay
+ *   whole, covering the narrower tube ends
+ * - thin vessels as lines: segments thinner on screen than the level's line diameter are drawn
+ *   as one line each, along the tube wall (less than a pixel from its axis at that size), without
+ *   their joints and caps
+ * - culling: at low detail, short terminal vessels are left out
+ * Free of Three.js; VTKLoader picks the level and applies the indices.
+ *
+ * Usage:
+ * import { DETAIL_LEVELS, getBuildSegments, describeTubeSegments, buildDetailIndices } from '@/utils/levelOfDetail'
+ * const built = buildVTKGeometry(dataset, { useCylinderGeometry: true, radialSegments: getBuildSegments('low') })
+ * const segments = describeTubeSegments(layer)
+ * const { triangles, lines } = buildDetailIndices(segments, { radialSegments: 6, minRadius: 0.02, cullLength: 0 })
+ */
+
+/**
+ * Detail settings by performance mode ('auto' moves between these, see nextAutoLevel):
+ * - buildSegments: sides tubes are built with in this mode
+ * - radialSegments: sides per tube drawn, at most as many as were built; null for all of them
+ * - lineDiameter: on-screen diameter in CSS pixels below which a segment is drawn as a line
+ * - terminalCull: terminal vessels shorter than this fraction of the model size are left out
+ */
+export const DETAIL_LEVELS = {
+  high: { buildSegments: 10, radialSegments: null, lineDiameter: 1, terminalCull: 0 },
+  medium: { buildSegments: 6, radialSegments: 6, lineDiameter: 1.5, terminalCull: 0 },
+  low: { buildSegments: 4, radialSegments: 4, lineDiameter: 2.5, terminalCull: 0.02 }
+};
+
+// Detail levels from least to most, the steps 'auto' takes
+export const AUTO_DETAIL_ORDER = ['low', 'medium', 'high'];
+
+// Frame rates (per second) at which 'auto' steps down or up one level
+const AUTO_MIN_FPS = 24;
+const AUTO_RAISE_FPS = 50;
+
+/**
+ * Sides to build tubes with in a performance mode
+ * 'auto' builds as many as 'high', since it may step up to it without reloading.
+ * @param {string} mode - 'high', 'medium', 'low' or 'auto'
+ * @returns {number}
+ */
+export function getBuildSegments(mode) {
+  return (DETAIL_LEVELS[mode] || DETAIL_LEVELS.high).buildSegments;
+}
+
+/**
+ * Per-segment sizes of a tube layer, computed once per load
+ * A terminal vessel is the unbranched run from a branch point to a terminal end; runs that reach
+ * the inlet without branching are never counted as terminal.
+ * @param {Object} layer - Tube layer record: {segmentPoints, segmentRings, segmentExtras, radialSegments,
+ *                         fullIndex, radiusData, parentIndices, pointPositions}
+ * @returns {Object} - {segmentCount, radialSegments (as built), segmentRings, segmentExtras, fullIndex,
+ *                      segmentRadius: Float32Array (wider end), terminalLength: Float32Array (length of the
+ *                      terminal vessel holding the segment, 0 when not terminal)}
+ */
+export function describeTubeSegments(layer) {
+  const { segmentPoints, segmentRings, segmentExtras, radialSegments, fullIndex, radiusData, parentIndices, pointPositions } = layer;
+  const segmentCount = segmentPoints.length / 2;
+  const numPoints = parentIndices.length;
+
+  const childCounts = new Uint32Array(numPoints);
+  for (let i = 0; i < numPoints; i++) {
+    if (parentIndices[i] >= 0) childCounts[parentIndices[i]]++;
+  }
+
+  // Length of the terminal vessel ending at or passing through each point, keyed by its distal point
+  const runLength = new Float32Array(numPoints);
+  for (let leaf = 0; leaf < numPoints; leaf++) {
+    if (childCounts[leaf] !== 0 || parentIndices[leaf] < 0) continue;
+
+    let length = 0;
+    let point = leaf;
+    while (parentIndices[point] >= 0 && childCounts[point] <= 1) {
+      length += pointDistance(pointPositions, point, parentIndices[point]);
+      point = parentIndices[point];
+    }
+    if (parentIndices[point] < 0 && childCounts[point] <= 1) continue; // Reached the inlet unbranched
+
+    for (let run = leaf; run !== point; run = parentIndices[run]) {
+      runLength[run] = length;
+    }
+  }
+
+  const segmentRadius = new Float32Array(segmentCount);
+  const terminalLength = new Float32Array(segmentCount);
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const a = segmentPoints[segment * 2];
+    const b = segmentPoints[segment * 2 + 1];
+    // Same fallback radius as buildTubeArrays
+    segmentRadius[segment] = Math.max(radiusData[a] || 0.1, radiusData[b] || 0.1);
+    const distal = parentIndices[a] === b ? a : b;
+    terminalLength[segment] = runLength[distal];
+  }
+
+  return { segmentCount, radialSegments, segmentRings, segmentExtras, fullIndex, segmentRadius, terminalLength };
+}
+
+/**
+ * Build the draw indices of a tube layer at one level of detail
+ * @param {Object} segments - From describeTubeSegments
+ * @param {Object} settings - {radialSegments: sides per tube (null for all built), minRadius: segments
+ *                            thinner than this are drawn as lines, cullLength: terminal vessels shorter
+ *                            than this are left out (0 keeps all); lengths in file units}
+ * @returns {Object} - {triangles, lines: index arrays (pairs of vertices) over the tube vertices,
+ *                      tubeCount, lineCount, culledCount}; triangles keep the layout of buildTubeArrays,
+ *                      walls first, so picked triangles still start on their segment's second ring
+ */
+export function buildDetailIndices(segments, { radialSegments = null, minRadius = 0, cullLength = 0 }) {
+  const { segmentCount, segmentRadius, terminalLength, segmentRings, segmentExtras, fullIndex } = segments;
+  const built = segments.radialSegments;
+  const sides = Math.max(3, Math.min(built, radialSegments || built));
+
+  // Ring vertices kept, spread evenly around the built ring
+  const ring = new Uint32Array(sides);
+  for (let j = 0; j < sides; j++) {
+    ring[j] = Math.round((j * built) / sides) % built;
+  }
+
+  // 0: culled, 1: line, 2: tube
+  const shown = new Uint8Array(segmentCount);
+  let tubeCount = 0;
+  let lineCount = 0;
+  let extraCount = 0;
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const terminal = terminalLength[segment];
+    if (cullLength > 0 && terminal > 0 && terminal < cullLength) continue;
+    if (segmentRadius[segment] < minRadius) {
+      shown[segment] = 1;
+      lineCount++;
+    } else {
+      shown[segment] = 2;
+      tubeCount++;
+      extraCount += segmentExtras[segment + 1] - segmentExtras[segment];
+    }
+  }
+
+  const IndexArray = fullIndex.constructor;
+  const triangles = new IndexArray(tubeCount * sides * 6 + extraCount);
+  const lines = new IndexArray(lineCount * 2);
+  let triangle = 0;
+  let line = 0;
+
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const from = segmentRings[segment * 2];
+    const to = segmentRings[segment * 2 + 1];
+    if (shown[segment] === 1) {
+      lines[line++] = from;
+      lines[line++] = to;
+    } else if (shown[segment] === 2) {
+      for (let j = 0; j < sides; j++) {
+        const current = ring[j];
+        const next = ring[(j + 1) % sides];
+        triangles[triangle++] = to + current;
+        triangles[triangle++] = from + current;
+        triangles[triangle++] = from + next;
+        triangles[triangle++] = to + next;
+        triangles[triangle++] = to + current;
+        triangles[triangle++] = from + next;
+      }
+    }
+  }
+  for (let segment = 0; segment < segmentCount; segment++) {
+    if (shown[segment] === 2) {
+      triangles.set(fullIndex.subarray(segmentExtras[segment], segmentExtras[segment + 1]), triangle);
+      triangle += segmentExtras[segment + 1] - segmentExtras[segment];
+    }
+  }
+
+  return { triangles, lines, tubeCount, lineCount, culledCount: segmentCount - tubeCount - lineCount };
+}
+
+/**
+ * The level 'auto' should move to after measuring a frame rate
+ * @param {string} level - Current level: 'low', 'medium' or 'high'
+ * @param {number} fps - Measured frames per second
+ * @returns {string} - One level down when the view is slow, one up when it is smooth, else the same level
+ */
+export function nextAutoLevel(level, fps) {
+  const index = AUTO_DETAIL_ORDER.indexOf(level);
+  if (fps < AUTO_MIN_FPS && index > 0) {
+    return AUTO_DETAIL_ORDER[index - 1];
+  }
+  if (fps >= AUTO_RAISE_FPS && index < AUTO_DETAIL_ORDER.length - 1) {
+    return AUTO_DETAIL_ORDER[index + 1];
+  }
+  return level;
+}
+
+function pointDistance(positions, a, b) {
+  const dx = positions[a * 3] - positions[b * 3];
+  const dy = positions[a * 3 + 1] - positions[b * 3 + 1];
+  const dz = positions[a * 3 + 2] - positions[b * 3 + 2];
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
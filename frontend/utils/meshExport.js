@@ -0,0 +1,218 @@
+/**
+ * Mesh Export
+ * Writes the vessel trees as binary glTF (.glb) or binary STL files, for 3D printing or for
+ * import into other 3D tools. Free of Three.js; VTKLoader.getExportMeshes collects the arrays.
+ *
+ * Meshes are given as:
+ * { name, mode: 'triangles'|'lines'|'points', positions: Float32Array, normals: Float32Array|null,
+ *   colors: Float32Array|null (RGB 0-1 per vertex), indices: Uint32Array|null, color: [r, g, b], opacity }
+ *
+ * - glTF keeps every mesh as its own node, with vertex colours as COLOR_0 and the single colour
+ *   and opacity as its material.
+ * - STL holds triangles only, so line and point meshes are left out. Colours are written per face
+ *   (the average of its vertices) in the VisCAM/SolidView convention: 5 bits each of red, green
+ *   and blue in the attribute word, top bit set. Tools that ignore colour read a plain STL.
+ *
+ * Coordinates are written as given; VTKLoader passes the trees' file coordinates.
+ *
+ * Usage:
+ * import { buildGLB, buildSTL } from '@/utils/meshExport'
+ * const glb = buildGLB(loader.getExportMeshes()) // ArrayBuffer
+ * const stl = buildSTL(loader.getExportMeshes()) // ArrayBuffer, null when there are no triangles
+ */
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+const GLB_CHUNK_BIN = 0x004E4942; // 'BIN\0'
+const GL_MODES = { points: 0, lines: 1, triangles: 4 };
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+const STL_HEADER_BYTES = 80;
+const STL_TRIANGLE_BYTES = 50;
+
+/**
+ * Write meshes as a binary glTF 2.0 file
+ * @param {Array<Object>} meshes - Meshes, see the module description
+ * @param {Object} options - {generator: name recorded in the file (default: 'pregnancy-app')}
+ * @returns {ArrayBuffer} - The .glb file
+ */
+export function buildGLB(meshes, { generator = 'pregnancy-app' } = {}) {
+  const gltf = {
+    asset: { version: '2.0', generator },
+    scene: 0,
+    scenes: [{ nodes: [] }],
+    nodes: [],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: []
+  };
+  const chunks = [];
+  let byteLength = 0;
+
+  // Each array gets its own buffer view, aligned to 4 bytes
+  const addAccessor = (array, type, target, extra = {}) => {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+    chunks.push(bytes);
+    byteLength += bytes.length;
+    const padding = (4 - (byteLength % 4)) % 4;
+    if (padding > 0) {
+      chunks.push(new Uint8Array(padding));
+      byteLength += padding;
+    }
+
+    const components = { SCALAR: 1, VEC3: 3 }[type];
+    gltf.accessors.push({
+      bufferView: gltf.bufferViews.length - 1,
+      componentType: array instanceof Uint32Array ? GL_UNSIGNED_INT : GL_FLOAT,
+      count: array.length / components,
+      type,
+      ...extra
+    });
+    return gltf.accessors.length - 1;
+  };
+
+  meshes.forEach((mesh) => {
+    if (mesh.positions.length === 0) return;
+
+    const attributes = { POSITION: addAccessor(mesh.positions, 'VEC3', GL_ARRAY_BUFFER, computeBounds(mesh.positions)) };
+    if (mesh.normals && mesh.mode === 'triangles') {
+      attributes.NORMAL = addAccessor(mesh.normals, 'VEC3', GL_ARRAY_BUFFER);
+    }
+    if (mesh.colors) {
+      attributes.COLOR_0 = addAccessor(mesh.colors, 'VEC3', GL_ARRAY_BUFFER);
+    }
+    const primitive = { attributes, mode: GL_MODES[mesh.mode], material: gltf.materials.length };
+    if (mesh.indices) {
+      primitive.indices = addAccessor(mesh.indices, 'SCALAR', GL_ELEMENT_ARRAY_BUFFER);
+    }
+
+    // Vertex colours multiply the base colour, so coloured meshes use white
+    const base = mesh.colors ? [1, 1, 1] : mesh.color;
+    gltf.materials.push({
+      name: mesh.name,
+      pbrMetallicRoughness: { baseColorFactor: [...base, mesh.opacity], metallicFactor: 0, roughnessFactor: 0.6 },
+      alphaMode: mesh.opacity < 1 ? 'BLEND' : 'OPAQUE',
+      doubleSided: true
+    });
+    gltf.meshes.push({ name: mesh.name, primitives: [primitive] });
+    gltf.nodes.push({ name: mesh.name, mesh: gltf.meshes.length - 1 });
+    gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+  });
+  gltf.buffers.push({ byteLength });
+
+  const json = new TextEncoder().encode(JSON.stringify(gltf));
+  const jsonLength = Math.ceil(json.length / 4) * 4;
+  const total = 12 + 8 + jsonLength + 8 + byteLength;
+  const output = new ArrayBuffer(total);
+  const view = new DataView(output);
+  const bytes = new Uint8Array(output);
+
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  bytes.set(json, 20);
+  // The JSON chunk is padded with spaces
+  bytes.fill(0x20, 20 + json.length, 20 + jsonLength);
+
+  let offset = 20 + jsonLength;
+  view.setUint32(offset, byteLength, true);
+  view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+  offset += 8;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * Write the triangle meshes as a binary STL file
+ * @param {Array<Object>} meshes - Meshes, see the module description; line and point meshes are skipped
+ * @param {Object} options - {header: text for the 80-byte header (default: 'pregnancy-app vessel tree')}
+ * @returns {ArrayBuffer|null} - The .stl file, or null when no mesh has triangles
+ */
+export function buildSTL(meshes, { header = 'pregnancy-app vessel tree' } = {}) {
+  const triangleMeshes = meshes.filter(mesh => mesh.mode === 'triangles' && mesh.positions.length > 0);
+  const triangleCount = triangleMeshes.reduce((count, mesh) =>
+    count + (mesh.indices ? mesh.indices.length : mesh.positions.length / 3) / 3, 0);
+  if (triangleCount === 0) {
+    return null;
+  }
+
+  const output = new ArrayBuffer(STL_HEADER_BYTES + 4 + triangleCount * STL_TRIANGLE_BYTES);
+  const view = new DataView(output);
+  const headerBytes = new TextEncoder().encode(header).subarray(0, STL_HEADER_BYTES);
+  new Uint8Array(output).set(headerBytes);
+  view.setUint32(STL_HEADER_BYTES, triangleCount, true);
+
+  let offset = STL_HEADER_BYTES + 4;
+  const corners = [0, 0, 0];
+  triangleMeshes.forEach((mesh) => {
+    const { positions, indices, colors } = mesh;
+    const count = indices ? indices.length : positions.length / 3;
+    for (let i = 0; i < count; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        corners[k] = indices ? indices[i + k] : i + k;
+      }
+      writeFacetNormal(view, offset, positions, corners);
+      for (let k = 0; k < 3; k++) {
+        const vertex = corners[k] * 3;
+        for (let c = 0; c < 3; c++) {
+          view.setFloat32(offset + 12 + k * 12 + c * 4, positions[vertex + c], true);
+        }
+      }
+      view.setUint16(offset + 48, encodeFaceColor(colors, corners, mesh.color), true);
+      offset += STL_TRIANGLE_BYTES;
+    }
+  });
+  return output;
+}
+
+function computeBounds(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], positions[i + c]);
+      max[c] = Math.max(max[c], positions[i + c]);
+    }
+  }
+  return { min, max };
+}
+
+// Unit normal of a triangle from its corners' winding; zero for degenerate triangles
+function writeFacetNormal(view, offset, positions, [a, b, c]) {
+  const ux = positions[b * 3] - positions[a * 3];
+  const uy = positions[b * 3 + 1] - positions[a * 3 + 1];
+  const uz = positions[b * 3 + 2] - positions[a * 3 + 2];
+  const vx = positions[c * 3] - positions[a * 3];
+  const vy = positions[c * 3 + 1] - positions[a * 3 + 1];
+  const vz = positions[c * 3 + 2] - positions[a * 3 + 2];
+  const nx = uy * vz - uz * vy;
+  const ny = uz * vx - ux * vz;
+  const nz = ux * vy - uy * vx;
+  const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+  view.setFloat32(offset, nx / length, true);
+  view.setFloat32(offset + 4, ny / length, true);
+  view.setFloat32(offset + 8, nz / length, true);
+}
+
+function encodeFaceColor(colors, corners, fallback) {
+  const rgb = [0, 0, 0];
+  for (let c = 0; c < 3; c++) {
+    rgb[c] = colors ?
+      (colors[corners[0] * 3 + c] + colors[corners[1] * 3 + c] + colors[corners[2] * 3 + c]) / 3 :
+      fallback[c];
+  }
+  const [r, g, b] = rgb.map(value => Math.round(Math.min(1, Math.max(0, value)) * 31));
+  return 0x8000 | (r << 10) | (g << 5) | b;
+}
@@ -0,0 +1,430 @@
+/**
+ * Model Cache
+ * Loads model files into geometry arrays (see buildVTKGeometry) and keeps the arrays in IndexedDB,
+ * so a model seen before is shown without being downloaded, parsed or built again.
+ *
+ * Entries are keyed by file URL and the build options that shape the geometry, and stamped with the
+ * file's ETag or Last-Modified date. A cached model is returned straight away, without a request. Once
+ * it has gone unchecked for MODEL_CACHE_FRESH_MS it is marked stale, and the caller revalidates it in
+ * the background with revalidateModel: the stamp is sent back, so an unchanged file costs one empty
+ * 304 response, and only a changed file is downloaded and built again for the next load. When the
+ * server gives neither stamp, the SHA-256 of the content is kept instead; where that cannot be
+ * computed either, the cached model is kept as it is. Colours are not stored: they follow the
+ * colouring asked for on each load. The least recently used entries are evicted once the cache
+ * outgrows its limits.
+ * Free of Three.js and the DOM, so it runs in the VTK worker as well as on the main thread.
+ *
+ * Usage:
+ * import { loadModelGeometry, revalidateModel, getModelCacheUsage } from '@/utils/modelCache'
+ * const built = await loadModelGeometry(url, { useCylinderGeometry: true, radialSegments: 10 }, onProgress)
+ * if (built.stale) revalidateModel(url, { useCylinderGeometry: true, radialSegments: 10 })
+ * const { entries, bytes } = await getModelCacheUsage()
+ */
+
+import { parseVTKBuffer } from '@/utils/vtkFormats';
+import { DEFAULT_RADIAL_SEGMENTS, buildVTKGeometry, colorBuiltGeometry } from '@/utils/vtkGeometry';
+
+const DATABASE_NAME = 'vtk-model-cache';
+const DATABASE_VERSION = 1;
+const MODEL_STORE = 'models';  // Key -> geometry arrays
+const ENTRY_STORE = 'entries'; // Key -> {key, url, version, bytes, lastUsed, checkedAt}, read without loading models
+
+// Bump when the output of buildVTKGeometry changes, so geometry cached by an older build is not reused
+const CACHE_FORMAT = 1;
+
+// Eviction limits; the least recently used models go first
+export const MODEL_CACHE_MAX_BYTES = 256 * 1024 * 1024;
+export const MODEL_CACHE_MAX_ENTRIES = 12;
+
+// How long a cached model is used without asking the server whether its file changed
+export const MODEL_CACHE_FRESH_MS = 30 * 60 * 1000;
+
+let databasePromise = null;
+
+/**
+ * Whether models can be cached in this context (IndexedDB exists in browsers and their workers)
+ * @returns {boolean}
+ */
+export function isModelCacheAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Cache key of a model file built with some options
+ * @param {string} url - Absolute file URL
+ * @param {Object} options - Options for buildVTKGeometry; only those shaping the geometry count
+ * @returns {string}
+ */
+export function getModelCacheKey(url, options = {}) {
+  const shape = options.useCylinderGeometry ? `tubes-${options.radialSegments || DEFAULT_RADIAL_SEGMENTS}` : 'lines';
+  return `${url}#${CACHE_FORMAT}:${shape}`;
+}
+
+/**
+ * Take a model's geometry from the cache, or download, parse and build its file
+ * A cached model is used without a request; check `stale` on the result and call revalidateModel
+ * afterwards to pick up a changed file on the next load.
+ * @param {string} url - Absolute file URL
+ * @param {Object} options - Options for buildVTKGeometry, plus cache: false to neither read nor write the cache
+ * @param {Function} onProgress - Called with (message, percent): 10-30% download, 30-70% parse, 70-95% build
+ * @returns {Promise<Object>} - Geometry arrays as from buildVTKGeometry, plus fromCache: boolean and
+ *                              stale: true when the cached copy is due to be checked against the server
+ */
+export async function loadModelGeometry(url, options = {}, onProgress = null) {
+  const report = onProgress || (() => {});
+  const { cache = true, ...buildOptions } = options;
+  const useCache = cache && isModelCacheAvailable();
+  const key = getModelCacheKey(url, buildOptions);
+
+  let cached = null;
+  if (useCache) {
+    try {
+      cached = await readCachedModel(key);
+    } catch (error) {
+      console.warn("[ModelCache] Could not read the model cache:", error);
+    }
+  }
+
+  if (cached) {
+    report("Loading cached model...", 95);
+    updateEntry(key, { lastUsed: Date.now() }).catch(error => console.warn("[ModelCache] Could not update the model cache:", error));
+    return {
+      ...cached.geometry,
+      ...colorBuiltGeometry(cached.geometry, buildOptions),
+      fromCache: true,
+      stale: Date.now() - (cached.checkedAt || 0) >= MODEL_CACHE_FRESH_MS
+    };
+  }
+
+  report("Downloading file...", 10);
+  const { buffer, version } = await fetchModelFile(url, {
+    onProgress: (received, total) => {
+      report(`Downloading file... ${formatDownloadSize(received, total)}`, 10 + (total ? Math.min(1, received / total) * 20 : 0));
+    }
+  });
+  if (useCache && !version.etag && !version.lastModified) {
+    version.hash = await hashBuffer(buffer);
+  }
+  const built = buildModel(buffer, buildOptions, report);
+  if (useCache) {
+    await cacheModel(key, url, version, built);
+  }
+  return { ...built, fromCache: false, stale: false };
+}
+
+/**
+ * Check a cached model's file against the server, and rebuild the cached geometry if the file changed
+ * Meant to run in the background after loadModelGeometry returned a stale model; the geometry already
+ * shown is left alone, and the next load gets the new version.
+ * @param {string} url - Absolute file URL
+ * @param {Object} options - The options given to loadModelGeometry
+ * @returns {Promise<boolean>} - Whether the file had changed
+ */
+export async function revalidateModel(url, options = {}) {
+  const { cache = true, ...buildOptions } = options;
+  if (!cache || !isModelCacheAvailable()) {
+    return false;
+  }
+  const key = getModelCacheKey(url, buildOptions);
+  const entry = await readEntry(key);
+  if (!entry) {
+    return false;
+  }
+
+  const download = await fetchModelFile(url, { version: entry.version });
+  if (!download.notModified) {
+    const { buffer, version } = download;
+    if (!version.etag && !version.lastModified) {
+      version.hash = await hashBuffer(buffer);
+    }
+    // Without a stamp or a hash (no Web Crypto off HTTPS) a change cannot be told, so keep the model
+    const known = version.etag || version.lastModified || version.hash;
+    if (known && !isSameVersion(entry.version, version)) {
+      await cacheModel(key, url, version, buildModel(buffer, buildOptions, () => {}));
+      return true;
+    }
+  }
+  await updateEntry(key, { checkedAt: Date.now() });
+  return false;
+}
+
+/**
+ * Download a model file, streaming the body to report byte progress
+ * @param {string} url - File URL
+ * @param {Object} options - Download options
+ * @param {Object} options.version - Version of a cached copy ({etag, lastModified}); the server answers
+ *                                   304 Not Modified while the file still matches it
+ * @param {Function} options.onProgress - Called with (bytes received, total bytes or 0 when unknown)
+ * @returns {Promise<Object>} - {notModified: true}, or {buffer: ArrayBuffer, version: {etag, lastModified}}
+ */
+export async function fetchModelFile(url, { version = null, onProgress = null } = {}) {
+  const headers = {};
+  if (version && version.etag) {
+    headers['If-None-Match'] = version.etag;
+  } else if (version && version.lastModified) {
+    headers['If-Modified-Since'] = version.lastModified;
+  }
+
+  const response = await fetch(url, { headers });
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const buffer = await readResponseBody(response, onProgress);
+  return {
+    buffer,
+    version: { etag: response.headers.get('ETag'), lastModified: response.headers.get('Last-Modified') }
+  };
+}
+
+/**
+ * Number and total size of the cached models
+ * @returns {Promise<Object>} - {entries, bytes}
+ */
+export async function getModelCacheUsage() {
+  if (!isModelCacheAvailable()) {
+    return { entries: 0, bytes: 0 };
+  }
+  const entries = await readEntries(await openDatabase());
+  return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0) };
+}
+
+/**
+ * Remove every cached model
+ * @returns {Promise<void>}
+ */
+export async function clearModelCache() {
+  if (!isModelCacheAvailable()) {
+    return;
+  }
+  const database = await openDatabase();
+  const transaction = database.transaction([MODEL_STORE, ENTRY_STORE], 'readwrite');
+  transaction.objectStore(MODEL_STORE).clear();
+  transaction.objectStore(ENTRY_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Choose the entries to evict: the least recently used first, until the rest fit the limits
+ * @param {Array<Object>} entries - Cache entries: [{key, bytes, lastUsed}]
+ * @param {string} keep - Key never evicted, the model just stored (default: none)
+ * @param {Object} limits - {maxBytes, maxEntries} (default: MODEL_CACHE_MAX_BYTES and MODEL_CACHE_MAX_ENTRIES)
+ * @returns {string[]} - Keys to remove, least recently used first
+ */
+export function selectEvictions(entries, keep = null, { maxBytes = MODEL_CACHE_MAX_BYTES, maxEntries = MODEL_CACHE_MAX_ENTRIES } = {}) {
+  const sorted = [...entries].sort((a, b) => a.lastUsed - b.lastUsed);
+  let bytes = sorted.reduce((sum, entry) => sum + entry.bytes, 0);
+  let count = sorted.length;
+  const evicted = [];
+  for (const entry of sorted) {
+    if (bytes <= maxBytes && count <= maxEntries) {
+      break;
+    }
+    if (entry.key === keep) continue;
+    evicted.push(entry.key);
+    bytes -= entry.bytes;
+    count--;
+  }
+  return evicted;
+}
+
+/**
+ * Read a response body, reporting progress as chunks arrive
+ * Content-Length is the compressed size when the server gzips, so it only sizes the first buffer.
+ * @param {Response} response - Fetch response
+ * @param {Function} onProgress - Called with (bytes received, total bytes or 0 when unknown)
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readResponseBody(response, onProgress) {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body || !response.body.getReader) {
+    const buffer = await response.arrayBuffer();
+    if (onProgress) onProgress(buffer.byteLength, total);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  let bytes = new Uint8Array(total || 1024 * 1024);
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    if (received + value.length > bytes.length) {
+      const grown = new Uint8Array(Math.max(bytes.length * 2, received + value.length));
+      grown.set(bytes.subarray(0, received));
+      bytes = grown;
+    }
+    bytes.set(value, received);
+    received += value.length;
+    if (onProgress) onProgress(received, total);
+  }
+  return received === bytes.length ? bytes.buffer : bytes.slice(0, received).buffer;
+}
+
+// e.g. "3.2 of 12.5 MB", or "3.2 MB" when the size is not known
+function formatDownloadSize(received, total) {
+  const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+  return total && received <= total ? `${megabytes(received)} of ${megabytes(total)} MB` : `${megabytes(received)} MB`;
+}
+
+// Hex SHA-256 of a buffer, or null where Web Crypto is unavailable (pages not served over HTTPS)
+async function hashBuffer(buffer) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return null;
+  }
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Parse and build a downloaded file, reporting progress in the 30-95% band
+function buildModel(buffer, buildOptions, report) {
+  report("File downloaded, parsing data...", 30);
+  const dataset = parseVTKBuffer(buffer, (fraction) => {
+    report("Parsing VTK data...", 30 + fraction * 40);
+  });
+
+  report("Building geometry...", 70);
+  return buildVTKGeometry(dataset, {
+    ...buildOptions,
+    onProgress: (fraction) => {
+      report("Building geometry...", 70 + fraction * 25);
+    }
+  });
+}
+
+// Store built geometry without its colours, which are recomputed on every load
+async function cacheModel(key, url, version, built) {
+  const { colors, colorBy, ...geometry } = built;
+  try {
+    await writeCachedModel(key, url, version, geometry);
+  } catch (error) {
+    console.warn("[ModelCache] Could not cache the model:", error);
+  }
+}
+
+// Whether two file versions are known to match, by ETag, Last-Modified date or content hash
+function isSameVersion(a, b) {
+  return ['etag', 'lastModified', 'hash'].some(field => !!a[field] && a[field] === b[field]);
+}
+
+// Bytes held by the typed arrays of built geometry
+function measureGeometry(geometry) {
+  const buffers = new Set();
+  Object.values(geometry).forEach((value) => {
+    if (ArrayBuffer.isView(value)) buffers.add(value.buffer);
+  });
+  (geometry.arrays || []).forEach(array => buffers.add(array.values.buffer));
+  return Array.from(buffers).reduce((sum, buffer) => sum + buffer.byteLength, 0);
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(MODEL_STORE)) {
+          database.createObjectStore(MODEL_STORE);
+        }
+        if (!database.objectStoreNames.contains(ENTRY_STORE)) {
+          database.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => {
+        const database = request.result;
+        // Step aside when another tab opens a newer version of the database
+        database.onversionchange = () => {
+          database.close();
+          databasePromise = null;
+        };
+        resolve(database);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Model cache transaction aborted'));
+  });
+}
+
+function readEntries(database) {
+  return requestResult(database.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).getAll());
+}
+
+// A cached model and the version of the file it was built from, or null
+async function readCachedModel(key) {
+  const database = await openDatabase();
+  const transaction = database.transaction([MODEL_STORE, ENTRY_STORE], 'readonly');
+  const [entry, geometry] = await Promise.all([
+    requestResult(transaction.objectStore(ENTRY_STORE).get(key)),
+    requestResult(transaction.objectStore(MODEL_STORE).get(key))
+  ]);
+  return entry && geometry ? { version: entry.version, checkedAt: entry.checkedAt, geometry } : null;
+}
+
+async function readEntry(key) {
+  const database = await openDatabase();
+  return requestResult(database.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).get(key));
+}
+
+// Store built geometry, replacing any older version of the same file, then evict down to the limits
+async function writeCachedModel(key, url, version, geometry) {
+  const bytes = measureGeometry(geometry);
+  if (bytes > MODEL_CACHE_MAX_BYTES) {
+    return;
+  }
+  const database = await openDatabase();
+  const transaction = database.transaction([MODEL_STORE, ENTRY_STORE], 'readwrite');
+  transaction.objectStore(MODEL_STORE).put(geometry, key);
+  transaction.objectStore(ENTRY_STORE).put({ key, url, version, bytes, lastUsed: Date.now(), checkedAt: Date.now() });
+  await transactionDone(transaction);
+  await evictModels(database, key);
+}
+
+// Set fields of an entry, e.g. {lastUsed} when its model is loaded
+async function updateEntry(key, fields) {
+  const database = await openDatabase();
+  const transaction = database.transaction(ENTRY_STORE, 'readwrite');
+  const store = transaction.objectStore(ENTRY_STORE);
+  const entry = await requestResult(store.get(key));
+  if (entry) {
+    store.put({ ...entry, ...fields });
+  }
+  await transactionDone(transaction);
+}
+
+// Remove the least recently used models, except `keep`, until the cache is within its limits
+async function evictModels(database, keep) {
+  const evicted = selectEvictions(await readEntries(database), keep);
+  if (evicted.length === 0) {
+    return;
+  }
+
+  const transaction = database.transaction([MODEL_STORE, ENTRY_STORE], 'readwrite');
+  evicted.forEach((key) => {
+    transaction.objectStore(MODEL_STORE).delete(key);
+    transaction.objectStore(ENTRY_STORE).delete(key);
+  });
+  await transactionDone(transaction);
+}
@@ -0,0 +1,128 @@
+/**
+ * Offline Downloads
+ * Opt-in copies of the media the offline service worker does not precache: the VTK models and the
+ * videos. Each pack is stored in the Cache API, where static/service-worker.js serves it when there
+ * is no network.
+ * View, annotation and lesion JSONs are small and already part of the precached app shell.
+ *
+ * Usage:
+ * import { getOfflinePacks, getOfflinePackStatus, downloadOfflinePack } from '@/utils/offlineDownloads'
+ * const packs = getOfflinePacks('https://example.org/pregnancy-app/')
+ * const { stored, total } = await getOfflinePackStatus(packs[0])
+ * await downloadOfflinePack(packs[0], (received, file, files) => ...)
+ */
+
+import modelManifest from '@/assets/data/models.json';
+import topics from '@/assets/data/topics.json';
+import videos from '@/assets/data/videos.json';
+
+export const DOWNLOAD_CACHE = 'offline-downloads'; // Same name in static/service-worker.js
+
+/**
+ * Whether downloads can be kept for offline use: the Cache API and a service worker to serve them
+ * @returns {boolean}
+ */
+export function isOfflineDownloadSupported() {
+  return typeof caches !== 'undefined' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * The packs that can be downloaded for offline use
+ * @param {string} appBase - Absolute URL of the app root, e.g. 'https://example.org/pregnancy-app/'
+ * @param {Object} manifest - Model manifest (default: assets/data/models.json)
+ * @returns {Array<Object>} - [{key: 'models'|'videos', label, description, urls: absolute file URLs}]
+ */
+export function getOfflinePacks(appBase, manifest = modelManifest) {
+  // Files of the manifest layers and of layers topics describe inline
+  const modelFiles = Object.values(manifest.layers).map(layer => layer.file);
+  Object.values(topics).forEach((topic) => {
+    Object.values(topic.subTopics || {}).forEach((subTopic) => {
+      const layers = (subTopic.model && subTopic.model.layers) || [];
+      layers.filter(entry => typeof entry === 'object' && entry.file).forEach(entry => modelFiles.push(entry.file));
+    });
+  });
+
+  const resolve = file => new URL(file.replace(/^\//, ''), appBase).href;
+  return [
+    {
+      key: 'models',
+      label: '3D models',
+      description: 'Placental vessel trees shown with the topics and conditions',
+      urls: Array.from(new Set(modelFiles.map(resolve)))
+    },
+    {
+      key: 'videos',
+      label: 'Videos',
+      description: 'Explainer videos linked from the articles',
+      urls: Array.from(new Set(Object.values(videos).map(video => resolve(video.link))))
+    }
+  ];
+}
+
+/**
+ * How much of a pack is stored
+ * @param {Object} pack - Pack from getOfflinePacks
+ * @returns {Promise<Object>} - {stored: files stored, total: files in the pack}
+ */
+export async function getOfflinePackStatus(pack) {
+  const cache = await caches.open(DOWNLOAD_CACHE);
+  const matches = await Promise.all(pack.urls.map(url => cache.match(url)));
+  return { stored: matches.filter(Boolean).length, total: pack.urls.length };
+}
+
+/**
+ * Download the files of a pack not stored yet
+ * Files are fetched one at a time, so a poor connection is not split between several large downloads.
+ * Files stored before a failure are kept; downloading again fetches only the rest.
+ * @param {Object} pack - Pack from getOfflinePacks
+ * @param {Function} onProgress - Called with (bytes received of the current file, file number from 1, file count)
+ * @returns {Promise<void>}
+ */
+export async function downloadOfflinePack(pack, onProgress = null) {
+  const cache = await caches.open(DOWNLOAD_CACHE);
+  const missing = [];
+  for (const url of pack.urls) {
+    if (!(await cache.match(url))) missing.push(url);
+  }
+
+  for (let i = 0; i < missing.length; i++) {
+    const response = await fetch(missing[i], { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Could not download ${missing[i].split('/').pop()}: HTTP ${response.status}`);
+    }
+    let received = 0;
+    if (onProgress) onProgress(0, i + 1, missing.length);
+    await cache.put(missing[i], countBytes(response, (bytes) => {
+      received += bytes;
+      if (onProgress) onProgress(received, i + 1, missing.length);
+    }));
+  }
+}
+
+/**
+ * Remove a pack's stored files
+ * @param {Object} pack - Pack from getOfflinePacks
+ * @returns {Promise<void>}
+ */
+export async function removeOfflinePack(pack) {
+  const cache = await caches.open(DOWNLOAD_CACHE);
+  await Promise.all(pack.urls.map(url => cache.delete(url)));
+}
+
+// The same response, calling onBytes as its body streams into the cache
+function countBytes(response, onBytes) {
+  if (!response.body || typeof TransformStream === 'undefined') {
+    return response;
+  }
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      onBytes(chunk.length);
+      controller.enqueue(chunk);
+    }
+  });
+  return new Response(response.body.pipeThrough(counter), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Scene Capture
+ * Still images and turntable videos of the model view for patient letters and teaching slides.
+ * VTKLoader.renderSnapshot gives the render; this module bakes the colour legend into it and
+ * records the canvas with MediaRecorder while the camera turns.
+ *
+ * Usage:
+ * import { addLegendToSnapshot, canvasToBlob, recordCanvas } from '@/utils/sceneCapture'
+ * const png = await canvasToBlob(addLegendToSnapshot(loader.renderSnapshot(2), loader.getColorLegend()))
+ * const recording = recordCanvas(renderer.domElement, 8000, progress => loader.showOrbitedView(start, progress * 2 * Math.PI))
+ * const webm = await recording.done // null when cancelled
+ */
+
+import { sampleColorMap } from '@/utils/colorMaps';
+
+// WebM codecs in order of preference; browsers support different subsets
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_FRAME_RATE = 30;
+const VIDEO_BITS_PER_SECOND = 8000000;
+
+/**
+ * The WebM type this browser can record, if any
+ * @returns {string|null}
+ */
+export function getVideoType() {
+  if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined' ||
+      !HTMLCanvasElement.prototype.captureStream) {
+    return null;
+  }
+  return VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Draw a colour legend over the bottom left of a snapshot
+ * Sizes follow the snapshot's width, so the legend reads the same at any resolution.
+ * @param {HTMLCanvasElement} canvas - Snapshot, see VTKLoader.renderSnapshot; drawn on in place
+ * @param {Object|null} legend - Legend from VTKLoader.getColorLegend; nothing is drawn when null
+ * @returns {HTMLCanvasElement} - The same canvas
+ */
+export function addLegendToSnapshot(canvas, legend) {
+  if (!legend) {
+    return canvas;
+  }
+  const context = canvas.getContext('2d');
+  const unit = canvas.width / 1000;
+  const margin = 24 * unit;
+  const padding = 12 * unit;
+  const barWidth = 280 * unit;
+  const barHeight = 14 * unit;
+  const fontSize = 13 * unit;
+  const panelWidth = barWidth + padding * 2;
+  const panelHeight = padding * 2 + fontSize * 2.6 + barHeight;
+  const left = margin;
+  const top = canvas.height - margin - panelHeight;
+
+  // Dark panel so the legend reads on any background
+  context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  context.fillRect(left, top, panelWidth, panelHeight);
+
+  context.fillStyle = '#ffffff';
+  context.font = `${fontSize}px sans-serif`;
+  context.textBaseline = 'top';
+  const title = legend.unit ? `${legend.name} (${legend.unit})` : legend.name;
+  context.fillText(legend.scale === 'log' ? `${title}, log scale` : title, left + padding, top + padding);
+
+  const barTop = top + padding + fontSize * 1.3;
+  const gradient = context.createLinearGradient(left + padding, 0, left + padding + barWidth, 0);
+  const rgb = [0, 0, 0];
+  for (let i = 0; i <= 16; i++) {
+    sampleColorMap(legend.colorMap, i / 16, rgb);
+    const [r, g, b] = rgb.map(value => Math.round(value * 255));
+    gradient.addColorStop(i / 16, `rgb(${r}, ${g}, ${b})`);
+  }
+  context.fillStyle = gradient;
+  context.fillRect(left + padding, barTop, barWidth, barHeight);
+
+  context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  context.font = `${fontSize * 0.85}px sans-serif`;
+  legend.ticks.forEach((tick, i) => {
+    context.textAlign = i === 0 ? 'left' : (i === legend.ticks.length - 1 ? 'right' : 'center');
+    context.fillText(tick.label, left + padding + tick.position * barWidth, barTop + barHeight + fontSize * 0.3);
+  });
+  context.textAlign = 'left';
+  return canvas;
+}
+
+/**
+ * Encode a canvas as an image file
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - Image type (default: 'image/png')
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be encoded'))), type);
+  });
+}
+
+/**
+ * Record a canvas as WebM video for a fixed time, calling onFrame before each animation frame
+ * @param {HTMLCanvasElement} canvas - Canvas to record, e.g. the renderer's
+ * @param {number} duration - Length of the recording in ms
+ * @param {Function} onFrame - Called with the fraction recorded (0-1), e.g. to turn the camera
+ * @returns {Object} - {done: Promise<Blob|null> resolving to the video, or null when cancelled, cancel()}
+ * @throws {Error} - When this browser cannot record the canvas
+ */
+export function recordCanvas(canvas, duration, onFrame) {
+  const type = getVideoType();
+  if (!type) {
+    throw new Error('This browser cannot record video of the model');
+  }
+
+  const stream = canvas.captureStream(VIDEO_FRAME_RATE);
+  const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+  const chunks = [];
+  let frame = null;
+  let cancelled = false;
+
+  const done = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      resolve(cancelled ? null : new Blob(chunks, { type: 'video/webm' }));
+    };
+    recorder.onerror = (event) => {
+      cancelAnimationFrame(frame);
+      stream.getTracks().forEach(track => track.stop());
+      reject(event.error || new Error('Recording failed'));
+    };
+  });
+
+  const start = performance.now();
+  const step = (time) => {
+    const progress = Math.min(1, (time - start) / duration);
+    onFrame(progress);
+    if (progress < 1) {
+      frame = requestAnimationFrame(step);
+    } else {
+      recorder.stop();
+    }
+  };
+  recorder.start();
+  frame = requestAnimationFrame(step);
+
+  return {
+    done,
+    cancel() {
+      if (recorder.state === 'inactive') return;
+      cancelled = true;
+      cancelAnimationFrame(frame);
+      recorder.stop();
+    }
+  };
+}
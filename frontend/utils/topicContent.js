@@ -0,0 +1,151 @@
+/**
+ * Topic Content
+ * Looks up and checks the topics of assets/data/topics.json: pages by their explicit slug, which
+ * topics and subtopics can be shown, and validation against the schemas of assets/data/schemas plus
+ * the references between files a schema cannot see (unique slugs, model layers, markdown articles).
+ * Errors name the exact field, e.g. {path: 'pregnancy.subTopics.changes.icon', message: 'is required'}.
+ *
+ * Usage:
+ * import { getContentBySlug, validateTopics } from '@/utils/topicContent'
+ * const content = getContentBySlug(topics, 'pregnancy-changes')
+ * const errors = validateTopics(topics, { markdownFiles: ['preganancy-changes'] })
+ */
+
+import modelManifest from '@/assets/data/models.json';
+import modelSchema from '@/assets/data/schemas/model.schema.json';
+import topicsSchema from '@/assets/data/schemas/topics.schema.json';
+import videosSchema from '@/assets/data/schemas/videos.schema.json';
+import { joinSchemaPath, validateSchema } from '@/utils/jsonSchema';
+
+const SCHEMAS = [topicsSchema, modelSchema, videosSchema];
+const TOPIC_SCHEMA = { $ref: 'topics.schema.json#/definitions/topic' };
+const SUBTOPIC_SCHEMA = { $ref: 'topics.schema.json#/definitions/subTopic' };
+
+/**
+ * Find the page of a slug
+ * @param {Object} topics - Topics as in topics.json
+ * @param {string} slug - Page slug, e.g. 'pregnancy-changes' (case-insensitive)
+ * @returns {Object|null} - The subtopic plus parentTopic: {key, heading, title}, or null when no subtopic has the slug
+ */
+export function getContentBySlug(topics, slug) {
+  const wanted = String(slug).toLowerCase();
+  for (const [topicKey, topic] of Object.entries(topics)) {
+    for (const subTopic of Object.values(topic.subTopics || {})) {
+      if (subTopic.slug === wanted) {
+        return {
+          ...subTopic,
+          parentTopic: { key: topicKey, heading: topic.heading, title: topic.title }
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Slug opened by a topic's navigation button, its first subtopic's
+ * @param {Object} topic - Topic from topics.json
+ * @returns {string} - '' when the first subtopic has no slug
+ */
+export function getDefaultSlug(topic) {
+  const first = Object.values(topic.subTopics || {})[0];
+  return first && first.slug ? first.slug : '';
+}
+
+/**
+ * Whether a subtopic cannot be shown because it fails its schema (see validateTopics for why)
+ * @param {Object} subTopic - Subtopic from topics.json
+ * @returns {boolean}
+ */
+export function isSubTopicDisabled(subTopic) {
+  return validateSchema(subTopic, SUBTOPIC_SCHEMA, { schemas: SCHEMAS }).length > 0;
+}
+
+/**
+ * Whether a topic cannot be shown: its own fields fail the schema or its first subtopic is disabled
+ * @param {Object} topic - Topic from topics.json
+ * @returns {boolean}
+ */
+export function isTopicDisabled(topic) {
+  const errors = validateSchema(topic, TOPIC_SCHEMA, { schemas: SCHEMAS })
+    .filter(error => !error.path.startsWith('subTopics.'));
+  return errors.length > 0 || isSubTopicDisabled(Object.values(topic.subTopics)[0]);
+}
+
+/**
+ * Validate topics against the schema and the files they refer to
+ * @param {Object} topics - Topics as in topics.json
+ * @param {Object} options - Validation options
+ * @param {Object} options.manifest - Model manifest for layer keys (default: assets/data/models.json)
+ * @param {string[]} options.markdownFiles - Article names available in assets/data/markdown, without .md;
+ *                                           when given, every dataFile must be one of them
+ * @returns {Array<Object>} - [{path, message}], empty when the topics are valid
+ */
+export function validateTopics(topics, { manifest = modelManifest, markdownFiles = null } = {}) {
+  const errors = validateSchema(topics, topicsSchema, { schemas: SCHEMAS });
+  if (!topics || typeof topics !== 'object' || Array.isArray(topics)) {
+    return errors;
+  }
+
+  const slugs = {};
+  Object.entries(topics).forEach(([topicKey, topic]) => {
+    if (!topic || typeof topic.subTopics !== 'object' || topic.subTopics === null) return;
+    Object.entries(topic.subTopics).forEach(([subKey, subTopic]) => {
+      if (!subTopic || typeof subTopic !== 'object') return;
+      const path = joinSchemaPath(joinSchemaPath(topicKey, 'subTopics'), subKey);
+
+      if (typeof subTopic.slug === 'string') {
+        if (slugs[subTopic.slug]) {
+          errors.push({ path: joinSchemaPath(path, 'slug'), message: `"${subTopic.slug}" is also the slug of ${slugs[subTopic.slug]}` });
+        } else {
+          slugs[subTopic.slug] = path;
+        }
+      }
+      if (markdownFiles && typeof subTopic.dataFile === 'string' && !markdownFiles.includes(subTopic.dataFile)) {
+        errors.push({ path: joinSchemaPath(path, 'dataFile'), message: `no article ${subTopic.dataFile}.md in assets/data/markdown` });
+      }
+      if (subTopic.model && typeof subTopic.model === 'object') {
+        validateModelReferences(subTopic.model, joinSchemaPath(path, 'model'), manifest, errors);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Validate videos against the schema
+ * @param {Object} videos - Videos as in videos.json
+ * @returns {Array<Object>} - [{path, message}], empty when the videos are valid
+ */
+export function validateVideos(videos) {
+  return validateSchema(videos, videosSchema);
+}
+
+// Layer keys must be in the manifest, and visible layers among the model's layers
+function validateModelReferences(model, path, manifest, errors) {
+  const fallback = manifest.models[manifest.defaultModel];
+  const layers = Array.isArray(model.layers) ? model.layers : fallback.layers;
+  const names = [];
+  layers.forEach((entry, index) => {
+    if (typeof entry === 'string') {
+      if (manifest.layers[entry]) {
+        names.push(manifest.layers[entry].layer);
+      } else if (Array.isArray(model.layers)) {
+        errors.push({ path: joinSchemaPath(joinSchemaPath(path, 'layers'), index), message: `no layer "${entry}" in models.json` });
+      }
+    } else if (entry && typeof entry.layer === 'string') {
+      names.push(entry.layer);
+    }
+  });
+
+  if (Array.isArray(model.visibleLayers)) {
+    model.visibleLayers.forEach((name, index) => {
+      if (typeof name === 'string' && !names.includes(name)) {
+        errors.push({
+          path: joinSchemaPath(joinSchemaPath(path, 'visibleLayers'), index),
+          message: `"${name}" is not one of the model's layers (${names.join(', ')})`
+        });
+      }
+    });
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Tour Parser
+ * Reads guided 3D tours written into the markdown articles of assets/data/markdown.
+ * A tour is a sequence of steps; each step moves the camera, picks the visible layers and
+ * highlights part of the tree while its caption is shown.
+ *
+ * Directives, each on its own lines:
+ *
+ * ::tour{title="A walk through the placenta"}
+ *
+ * :::step{view="modelView/noInfarct_view.json" layers="arterial" highlight="umbilical" duration="8"}
+ * Caption in **markdown**, shown beside the model during this step.
+ * :::
+ *
+ * Step attributes (all optional):
+ * - view:      a static/modelView JSON path, a camera preset (front, top, side, isometric, closeup, wide) or 'fit'
+ * - layers:    comma-separated layers to show, e.g. "arterial,venous"; others are hidden
+ * - colorBy:   data array to colour by, or "none" for each layer's single colour
+ * - highlight: comma-separated tree regions of utils/dopplerInterpretation.js TREE_REGIONS, e.g. "spiral-arteries"
+ * - segment:   a vessel segment to select, as "layer:segmentIndex" (the index shown by the segment inspector)
+ * - duration:  seconds before the next step while playing (default: 8)
+ *
+ * Directives are removed from the article text; everything else is left as markdown.
+ *
+ * Usage:
+ * import { parseTour } from '@/utils/tourParser'
+ * const { text, tour, warnings } = parseTour(markdown)
+ * // tour -> {title, steps: [{caption, view, layers, colorBy, regions, segment, duration}]} or null
+ */
+
+import { TREE_REGIONS } from '@/utils/dopplerInterpretation';
+
+export const TOUR_VIEW_PRESETS = ['front', 'top', 'side', 'isometric', 'closeup', 'wide', 'fit'];
+
+const DEFAULT_STEP_DURATION = 8;
+const HIGHLIGHT_COLOR = '#ffd600';
+const HIGHLIGHT_INTENSITY = 0.8;
+
+const STEP_ATTRIBUTES = ['view', 'layers', 'colorBy', 'highlight', 'segment', 'duration'];
+const TOUR_LINE = /^::tour(?:\{(.*)\})?\s*$/;
+const STEP_OPEN = /^:::step(?:\{(.*)\})?\s*$/;
+const STEP_CLOSE = /^:::\s*$/;
+const ATTRIBUTE = /([\w-]+)\s*=\s*(?:"([^"]*)"|(\S+))/g;
+
+/**
+ * Split a markdown article into its text and its tour
+ * Malformed directives are reported as warnings and skipped, never thrown, so a typo
+ * cannot stop an article from showing.
+ * @param {string} markdown - Article markdown
+ * @returns {Object} - {text, tour: {title, steps} | null, warnings: string[]}
+ */
+export function parseTour(markdown = '') {
+  const lines = markdown.split(/\r?\n/);
+  const textLines = [];
+  const steps = [];
+  const warnings = [];
+  let title = null;
+  let step = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+
+    if (step) {
+      if (STEP_CLOSE.test(line)) {
+        steps.push(finishStep(step));
+        step = null;
+      } else {
+        step.captionLines.push(line);
+      }
+      return;
+    }
+
+    const tourMatch = line.match(TOUR_LINE);
+    if (tourMatch) {
+      title = parseAttributes(tourMatch[1] || '').title || null;
+      return;
+    }
+
+    const stepMatch = line.match(STEP_OPEN);
+    if (stepMatch) {
+      step = createStep(parseAttributes(stepMatch[1] || ''), lineNumber, warnings);
+      return;
+    }
+
+    textLines.push(line);
+  });
+
+  if (step) {
+    warnings.push(`Line ${step.lineNumber}: step is not closed with ":::"`);
+    steps.push(finishStep(step));
+  }
+
+  return {
+    text: textLines.join('\n').trim(),
+    tour: steps.length > 0 ? { title: title || 'Guided tour', steps } : null,
+    warnings
+  };
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(source)) !== null) {
+    attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attributes;
+}
+
+function createStep(attributes, lineNumber, warnings) {
+  const warn = message => warnings.push(`Line ${lineNumber}: ${message}`);
+
+  Object.keys(attributes)
+    .filter(key => !STEP_ATTRIBUTES.includes(key))
+    .forEach(key => warn(`unknown step attribute "${key}"`));
+
+  let view = attributes.view || null;
+  if (view && !/\.json$/i.test(view) && !TOUR_VIEW_PRESETS.includes(view)) {
+    warn(`view "${view}" is neither a view JSON file nor one of ${TOUR_VIEW_PRESETS.join(', ')}`);
+    view = null;
+  }
+
+  const regions = listOf(attributes.highlight).flatMap((name) => {
+    const region = TREE_REGIONS[name];
+    if (!region) {
+      warn(`unknown highlight region "${name}"; use ${Object.keys(TREE_REGIONS).join(' or ')}`);
+      return [];
+    }
+    return [{ end: region.end, extent: region.extent, intensity: HIGHLIGHT_INTENSITY, color: HIGHLIGHT_COLOR }];
+  });
+
+  let segment = null;
+  if (attributes.segment) {
+    const match = attributes.segment.match(/^([\w-]+):(\d+)$/);
+    if (match) {
+      segment = { layer: match[1], segmentIndex: Number(match[2]) };
+    } else {
+      warn(`segment "${attributes.segment}" should look like "arterial:120"`);
+    }
+  }
+
+  let duration = DEFAULT_STEP_DURATION;
+  if (attributes.duration !== undefined) {
+    const seconds = parseFloat(attributes.duration);
+    if (Number.isFinite(seconds) && seconds > 0) {
+      duration = seconds;
+    } else {
+      warn(`duration "${attributes.duration}" should be a number of seconds`);
+    }
+  }
+
+  let colorBy;
+  if (attributes.colorBy !== undefined) {
+    colorBy = attributes.colorBy === 'none' ? null : attributes.colorBy;
+  }
+
+  return {
+    lineNumber,
+    captionLines: [],
+    view,
+    layers: attributes.layers !== undefined ? listOf(attributes.layers) : null,
+    colorBy,
+    regions,
+    segment,
+    duration
+  };
+}
+
+function finishStep({ lineNumber, captionLines, ...step }) {
+  return { caption: captionLines.join('\n').trim(), ...step };
+}
+
+function listOf(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
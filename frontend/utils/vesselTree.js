@@ -0,0 +1,373 @@
+/**
+ * Vessel Tree Model
+ * Builds a rooted tree from VTK line connectivity and computes morphometric statistics:
+ * branching generation, Strahler order, segment and vessel lengths, vessel volume,
+ * terminal-branch count and radius histograms. Independent of Three.js and the renderer,
+ * so it runs in the VTK worker and can be used directly on parsed datasets.
+ *
+ * Terms:
+ * - segment: one line between two consecutive points of a cell
+ * - vessel: an unbranched run of segments between the inlet, branch points and terminal ends
+ * - inlet: the umbilical cord insertion, taken as the widest end point
+ *
+ * Usage:
+ * import { analyzeVesselTree, compareTreeStats } from '@/utils/vesselTree'
+ * const stats = analyzeVesselTree(dataset.points, dataset.cellConnections, radiusData)
+ * const rows = compareTreeStats(stats, baselineStats) // [{key, label, current, baseline, change}]
+ *
+ * Lengths, radii and volumes are in the units of the model file.
+ */
+
+// Scalar statistics for display and comparison, in display order
+export const TREE_STAT_FIELDS = [
+  { key: 'vesselCount', label: 'Vessels' },
+  { key: 'terminalCount', label: 'Terminal branches' },
+  { key: 'maxGeneration', label: 'Generations' },
+  { key: 'maxStrahlerOrder', label: 'Strahler order' },
+  { key: 'totalLength', label: 'Total length' },
+  { key: 'meanVesselLength', label: 'Mean vessel length' },
+  { key: 'meanSegmentLength', label: 'Mean segment length' },
+  { key: 'totalVolume', label: 'Total volume' },
+  { key: 'inletRadius', label: 'Inlet radius' }
+];
+
+// Radius histogram bins are half octaves (edges at powers of sqrt(2)), so any two trees share bin edges
+const HISTOGRAM_BINS_PER_OCTAVE = 2;
+
+/**
+ * Call a function for every valid line segment (consecutive point pair) across all cells
+ * @param {Array} cellConnections - Cell connectivity, [count, i0, i1, ...] per cell
+ * @param {number} numPoints - Number of points in the dataset
+ * @param {Function} callback - Receives (idx1, idx2, cellIndex)
+ */
+export function forEachSegment(cellConnections, numPoints, callback) {
+  for (let cell = 0; cell < cellConnections.length; cell++) {
+    const connection = cellConnections[cell];
+    const cellSize = connection[0];
+    for (let j = 1; j < cellSize; j++) {
+      if (connection[j] < numPoints && connection[j + 1] < numPoints) {
+        callback(connection[j], connection[j + 1], cell);
+      }
+    }
+  }
+}
+
+/**
+ * Build a tree rooted at the inlet by walking the connectivity breadth-first
+ * The inlet is the widest end point (a point joined to a single segment), or the first
+ * end point when there is no radius data. For every point this gives:
+ * - depth: path length from the inlet, normalised to 0 (inlet) - 1 (furthest point)
+ * - parents: the next point towards the inlet
+ * - generations: branching generation, 1 for the inlet vessel and one more after each branch point
+ * - childCounts: number of points whose parent it is
+ * Points not connected to the inlet get depth -1, parent -1 and generation 0; the inlet's parent is -1.
+ * @param {Float32Array} points - Point coordinates
+ * @param {Array} cellConnections - Cell connectivity
+ * @param {ArrayLike<number>} radiusData - Radius per point (may be empty)
+ * @returns {Object} - {numPoints, inlet, depth: Float32Array, parents: Int32Array, generations: Uint16Array,
+ *                      childCounts: Uint32Array, visitOrder: Uint32Array (reached points, inlet first), visitedCount}
+ */
+export function buildVesselTree(points, cellConnections, radiusData) {
+  const numPoints = points.length / 3;
+  const depth = new Float32Array(numPoints).fill(-1);
+  const parents = new Int32Array(numPoints).fill(-1);
+  const generations = new Uint16Array(numPoints);
+  const childCounts = new Uint32Array(numPoints);
+  const visitOrder = new Uint32Array(numPoints);
+  if (numPoints === 0) {
+    return { numPoints, inlet: -1, depth, parents, generations, childCounts, visitOrder, visitedCount: 0 };
+  }
+
+  // Adjacency in compressed form: neighbours of point i are neighbours[offsets[i]..offsets[i + 1]]
+  const offsets = new Uint32Array(numPoints + 1);
+  forEachSegment(cellConnections, numPoints, (idx1, idx2) => {
+    offsets[idx1 + 1]++;
+    offsets[idx2 + 1]++;
+  });
+  for (let i = 0; i < numPoints; i++) {
+    offsets[i + 1] += offsets[i];
+  }
+  const neighbours = new Uint32Array(offsets[numPoints]);
+  const fill = offsets.slice(0, numPoints);
+  forEachSegment(cellConnections, numPoints, (idx1, idx2) => {
+    neighbours[fill[idx1]++] = idx2;
+    neighbours[fill[idx2]++] = idx1;
+  });
+
+  let inlet = -1;
+  for (let i = 0; i < numPoints; i++) {
+    if (offsets[i + 1] - offsets[i] !== 1) {
+      continue;
+    }
+    if (inlet === -1 || (radiusData.length > 0 && radiusData[i] > radiusData[inlet])) {
+      inlet = i;
+    }
+  }
+  if (inlet === -1) {
+    inlet = 0;
+  }
+
+  // Breadth-first walk accumulating segment lengths (exact path lengths for a tree)
+  const distance = new Float64Array(numPoints).fill(-1);
+  let head = 0;
+  let tail = 0;
+  let maxDistance = 0;
+  distance[inlet] = 0;
+  generations[inlet] = 1;
+  visitOrder[tail++] = inlet;
+  while (head < tail) {
+    const current = visitOrder[head++];
+    const isBranchPoint = current !== inlet && offsets[current + 1] - offsets[current] > 2;
+    for (let n = offsets[current]; n < offsets[current + 1]; n++) {
+      const next = neighbours[n];
+      if (distance[next] >= 0) {
+        continue;
+      }
+      const dx = points[next * 3] - points[current * 3];
+      const dy = points[next * 3 + 1] - points[current * 3 + 1];
+      const dz = points[next * 3 + 2] - points[current * 3 + 2];
+      distance[next] = distance[current] + Math.sqrt(dx * dx + dy * dy + dz * dz);
+      parents[next] = current;
+      generations[next] = generations[current] + (isBranchPoint ? 1 : 0);
+      childCounts[current]++;
+      maxDistance = Math.max(maxDistance, distance[next]);
+      visitOrder[tail++] = next;
+    }
+  }
+
+  for (let i = 0; i < numPoints; i++) {
+    if (distance[i] >= 0) {
+      depth[i] = maxDistance > 0 ? distance[i] / maxDistance : 0;
+    }
+  }
+  return { numPoints, inlet, depth, parents, generations, childCounts, visitOrder, visitedCount: tail };
+}
+
+/**
+ * List the points from a point back to the tree inlet
+ * @param {Int32Array} parents - Parent point per point, from buildVesselTree
+ * @param {number} pointIndex - Starting point
+ * @returns {number[]} - Point indices, starting with pointIndex and ending at the inlet
+ *                       (or the last reachable point when the point is not connected to it)
+ */
+export function tracePathToInlet(parents, pointIndex) {
+  const path = [pointIndex];
+  let current = pointIndex;
+  // A tree has no cycles, but never walk further than the number of points
+  while (parents[current] >= 0 && path.length <= parents.length) {
+    current = parents[current];
+    path.push(current);
+  }
+  return path;
+}
+
+/**
+ * Compute the Strahler order of the segment ending at each point
+ * Terminal segments have order 1. Where vessels join, the parent takes the highest child order,
+ * plus one when two or more children share it. Unbranched runs keep the order of their child.
+ * @param {Object} tree - Tree from buildVesselTree
+ * @returns {Uint8Array} - Order per point, 0 for points not connected to the inlet
+ */
+export function computeStrahlerOrders(tree) {
+  const { parents, childCounts, visitOrder, visitedCount } = tree;
+  const orders = new Uint8Array(tree.numPoints);
+  const maxChildOrder = new Uint8Array(tree.numPoints);
+  const maxChildCount = new Uint32Array(tree.numPoints);
+
+  // Children are visited after their parents, so walk the visit order backwards
+  for (let v = visitedCount - 1; v >= 0; v--) {
+    const point = visitOrder[v];
+    if (childCounts[point] === 0) {
+      orders[point] = 1;
+    } else {
+      orders[point] = maxChildOrder[point] + (maxChildCount[point] >= 2 ? 1 : 0);
+    }
+
+    const parent = parents[point];
+    if (parent >= 0) {
+      if (orders[point] > maxChildOrder[parent]) {
+        maxChildOrder[parent] = orders[point];
+        maxChildCount[parent] = 1;
+      } else if (orders[point] === maxChildOrder[parent]) {
+        maxChildCount[parent]++;
+      }
+    }
+  }
+  return orders;
+}
+
+/**
+ * Compute morphometric statistics of a tree
+ * Segment volumes treat each segment as a conical frustum between its end radii.
+ * @param {Object} tree - Tree from buildVesselTree
+ * @param {Float32Array} points - Point coordinates
+ * @param {Array} cellConnections - Cell connectivity
+ * @param {ArrayLike<number>} radiusData - Radius per point (may be empty)
+ * @returns {Object} - {segmentCount, disconnectedSegments, vesselCount, terminalCount, branchPointCount,
+ *                      maxGeneration, maxStrahlerOrder, totalLength, meanSegmentLength, meanVesselLength,
+ *                      totalVolume, inletRadius, generationCounts: [{generation, vessels}],
+ *                      strahlerCounts: [{order, vessels, meanRadius}], radiusHistogram: [{min, max, segments}]};
+ *                      radius-based values are null without radius data
+ */
+export function computeTreeStats(tree, points, cellConnections, radiusData) {
+  const { parents, generations, childCounts, inlet } = tree;
+  const hasRadius = radiusData.length > 0;
+  const orders = computeStrahlerOrders(tree);
+
+  let segmentCount = 0;
+  let disconnectedSegments = 0;
+  let totalLength = 0;
+  let totalVolume = 0;
+  const orderLength = [];
+  const orderRadiusLength = [];
+  const histogram = new Map();
+
+  forEachSegment(cellConnections, tree.numPoints, (idx1, idx2) => {
+    let downstream;
+    if (parents[idx2] === idx1) {
+      downstream = idx2;
+    } else if (parents[idx1] === idx2) {
+      downstream = idx1;
+    } else {
+      // Not part of the tree reached from the inlet (separate piece or a loop)
+      disconnectedSegments++;
+      return;
+    }
+    segmentCount++;
+
+    const dx = points[idx2 * 3] - points[idx1 * 3];
+    const dy = points[idx2 * 3 + 1] - points[idx1 * 3 + 1];
+    const dz = points[idx2 * 3 + 2] - points[idx1 * 3 + 2];
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    totalLength += length;
+
+    if (hasRadius) {
+      const r1 = radiusData[idx1];
+      const r2 = radiusData[idx2];
+      const radius = (r1 + r2) / 2;
+      totalVolume += Math.PI * length * (r1 * r1 + r1 * r2 + r2 * r2) / 3;
+
+      const order = orders[downstream];
+      orderLength[order] = (orderLength[order] || 0) + length;
+      orderRadiusLength[order] = (orderRadiusLength[order] || 0) + radius * length;
+
+      if (radius > 0) {
+        const bin = Math.floor(Math.log2(radius) * HISTOGRAM_BINS_PER_OCTAVE);
+        histogram.set(bin, (histogram.get(bin) || 0) + 1);
+      }
+    }
+  });
+
+  // Vessels start at the inlet and at every branch point, one per child
+  let vesselCount = 0;
+  let terminalCount = 0;
+  let branchPointCount = 0;
+  let maxGeneration = 0;
+  let maxStrahlerOrder = 0;
+  const generationCounts = [];
+  const strahlerCounts = [];
+  for (let v = 0; v < tree.visitedCount; v++) {
+    const point = tree.visitOrder[v];
+    const children = childCounts[point];
+    maxGeneration = Math.max(maxGeneration, generations[point]);
+    maxStrahlerOrder = Math.max(maxStrahlerOrder, orders[point]);
+    if (children === 0 && point !== inlet) {
+      terminalCount++;
+    }
+    if (children >= 2) {
+      branchPointCount++;
+    }
+
+    const parent = parents[point];
+    const startsVessel = parent >= 0 && (parent === inlet || childCounts[parent] >= 2);
+    if (startsVessel) {
+      vesselCount++;
+      generationCounts[generations[point]] = (generationCounts[generations[point]] || 0) + 1;
+      strahlerCounts[orders[point]] = (strahlerCounts[orders[point]] || 0) + 1;
+    }
+  }
+
+  const binEdge = bin => Math.pow(2, bin / HISTOGRAM_BINS_PER_OCTAVE);
+  const radiusHistogram = Array.from(histogram.keys())
+    .sort((a, b) => a - b)
+    .map(bin => ({ min: binEdge(bin), max: binEdge(bin + 1), segments: histogram.get(bin) }));
+
+  return {
+    segmentCount,
+    disconnectedSegments,
+    vesselCount,
+    terminalCount,
+    branchPointCount,
+    maxGeneration,
+    maxStrahlerOrder,
+    totalLength,
+    meanSegmentLength: segmentCount > 0 ? totalLength / segmentCount : null,
+    meanVesselLength: vesselCount > 0 ? totalLength / vesselCount : null,
+    totalVolume: hasRadius ? totalVolume : null,
+    inletRadius: hasRadius && inlet >= 0 ? radiusData[inlet] : null,
+    generationCounts: denseCounts(generationCounts, 'generation', 'vessels'),
+    strahlerCounts: denseCounts(strahlerCounts, 'order', 'vessels').map(entry => ({
+      ...entry,
+      meanRadius: hasRadius && orderLength[entry.order] > 0 ? orderRadiusLength[entry.order] / orderLength[entry.order] : null
+    })),
+    radiusHistogram: hasRadius ? radiusHistogram : null
+  };
+}
+
+/**
+ * Build the tree and compute its statistics in one step
+ * @param {Float32Array} points - Point coordinates
+ * @param {Array} cellConnections - Cell connectivity
+ * @param {ArrayLike<number>} radiusData - Radius per point (may be empty)
+ * @returns {Object} - Statistics, see computeTreeStats
+ */
+export function analyzeVesselTree(points, cellConnections, radiusData = []) {
+  const tree = buildVesselTree(points, cellConnections, radiusData);
+  return computeTreeStats(tree, points, cellConnections, radiusData);
+}
+
+/**
+ * Compare the scalar statistics of two trees
+ * @param {Object} current - Statistics from computeTreeStats
+ * @param {Object} baseline - Statistics to compare against
+ * @returns {Array<Object>} - [{key, label, current, baseline, change: relative change from the baseline or null}]
+ */
+export function compareTreeStats(current, baseline) {
+  return TREE_STAT_FIELDS.map(({ key, label }) => {
+    const a = current[key];
+    const b = baseline ? baseline[key] : null;
+    const comparable = typeof a === 'number' && typeof b === 'number' && b !== 0;
+    return { key, label, current: a, baseline: b, change: comparable ? (a - b) / b : null };
+  });
+}
+
+/**
+ * Line up two radius histograms on their shared half-octave bins
+ * @param {Array<Object>|null} current - Histogram from computeTreeStats
+ * @param {Array<Object>|null} baseline - Histogram to compare against, or null
+ * @returns {Array<Object>} - [{min, max, current, baseline}] segment counts per bin, smallest radii first
+ */
+export function alignRadiusHistograms(current, baseline = null) {
+  const bins = new Map();
+  const add = (histogram, key) => {
+    (histogram || []).forEach(({ min, max, segments }) => {
+      const id = Math.round(Math.log2(min) * HISTOGRAM_BINS_PER_OCTAVE);
+      const bin = bins.get(id) || { min, max, current: 0, baseline: 0 };
+      bin[key] = segments;
+      bins.set(id, bin);
+    });
+  };
+  add(current, 'current');
+  add(baseline, 'baseline');
+  return Array.from(bins.keys()).sort((a, b) => a - b).map(id => bins.get(id));
+}
+
+function denseCounts(sparse, key, countKey) {
+  const entries = [];
+  sparse.forEach((count, index) => {
+    if (count) {
+      entries.push({ [key]: index, [countKey]: count });
+    }
+  });
+  return entries;
+}
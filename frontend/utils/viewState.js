@@ -0,0 +1,221 @@
+/**
+ * View State
+ * The camera, layer display and colour mapping of the model view, encoded as URL query
+ * parameters so a view can be shared as a link, and named camera bookmarks kept in the browser.
+ *
+ * Cameras use the viewpoint format of static/modelView:
+ * { "nearPlane": 0.01, "farPlane": 1000, "eyePosition": [x, y, z], "targetPosition": [x, y, z], "upVector": [x, y, z] }
+ *
+ * Query parameters (each optional):
+ * - cam:    eye, target and up vectors then near and far planes, 11 comma-separated numbers
+ * - layers: per layer "name,visible (1|0),colorBy (- for a single colour),opacity", separated by ';'
+ * - colors: "colorMap,scale,clampMin,clampMax", clamps empty for the data range
+ *
+ * Usage:
+ * import { encodeViewState, decodeViewState } from '@/utils/viewState'
+ * router.replace({ query: { ...route.query, ...encodeViewState(state) } })
+ * const state = decodeViewState(route.query) // null when the query holds no view state
+ */
+
+import { COLOR_MAPS } from '@/utils/colorMaps';
+
+const BOOKMARK_STORAGE_KEY = 'pregnancy-app.viewBookmarks';
+const COLOR_SCALES = ['linear', 'log'];
+
+/**
+ * Validate a viewpoint read from JSON, e.g. a static/modelView file or a bookmark
+ * @param {Object} json - Parsed JSON
+ * @param {string} source - File name or URL, for error messages (default: 'viewpoint')
+ * @returns {Object} - {nearPlane, farPlane, eyePosition, targetPosition, upVector}
+ * @throws {Error} - When a vector is missing or malformed
+ */
+export function parseViewpoint(json, source = 'viewpoint') {
+  if (!json || typeof json !== 'object') {
+    throw new Error(`Invalid ${source}: expected a JSON object`);
+  }
+  const vector = (key) => {
+    const value = json[key];
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+      throw new Error(`Invalid ${source}: "${key}" must be three numbers`);
+    }
+    return value.slice();
+  };
+
+  const viewpoint = {
+    // Copper's defaults when a file leaves the planes out
+    nearPlane: Number.isFinite(json.nearPlane) && json.nearPlane > 0 ? json.nearPlane : 0.1,
+    farPlane: Number.isFinite(json.farPlane) && json.farPlane > 0 ? json.farPlane : 2000,
+    eyePosition: vector('eyePosition'),
+    targetPosition: vector('targetPosition'),
+    upVector: vector('upVector')
+  };
+  if (viewpoint.upVector.every(value => value === 0)) {
+    throw new Error(`Invalid ${source}: "upVector" must not be zero`);
+  }
+  return viewpoint;
+}
+
+/**
+ * Encode a view as URL query parameters
+ * @param {Object} state - {camera: viewpoint, layers: [{name, visible, colorBy, opacity}], colorScale}, any part optional
+ * @returns {Object} - {cam, layers, colors} for the parts given
+ */
+export function encodeViewState({ camera, layers, colorScale }) {
+  const query = {};
+  if (camera) {
+    query.cam = [...camera.eyePosition, ...camera.targetPosition, ...camera.upVector, camera.nearPlane, camera.farPlane]
+      .map(formatNumber)
+      .join(',');
+  }
+  if (layers && layers.length > 0) {
+    query.layers = layers
+      .map(layer => [
+        layer.name,
+        layer.visible ? '1' : '0',
+        layer.colorBy || '-',
+        formatNumber(layer.opacity)
+      ].map(encodeURIComponent).join(','))
+      .join(';');
+  }
+  if (colorScale) {
+    query.colors = [
+      colorScale.colorMap,
+      colorScale.scale,
+      colorScale.clampMin === null ? '' : formatNumber(colorScale.clampMin),
+      colorScale.clampMax === null ? '' : formatNumber(colorScale.clampMax)
+    ].join(',');
+  }
+  return query;
+}
+
+/**
+ * Decode a view from URL query parameters; malformed parameters are skipped with a warning
+ * @param {Object} query - Route query
+ * @returns {Object|null} - {camera, layers, colorScale} with null for parts not given,
+ *                          layers as [{name, visible, colorBy (undefined to keep), opacity (undefined to keep)}];
+ *                          null when no part is given
+ */
+export function decodeViewState(query = {}) {
+  const state = {
+    camera: decodeCamera(query.cam),
+    layers: decodeLayers(query.layers),
+    colorScale: decodeColorScale(query.colors)
+  };
+  return state.camera || state.layers || state.colorScale ? state : null;
+}
+
+/**
+ * Read the camera bookmarks saved in this browser
+ * @returns {Array<Object>} - [{name, viewpoint}] in the order saved
+ */
+export function loadBookmarks() {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return [];
+  }
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(BOOKMARK_STORAGE_KEY) || '[]');
+    return stored.flatMap((bookmark) => {
+      try {
+        return [{ name: String(bookmark.name), viewpoint: parseViewpoint(bookmark.viewpoint, `bookmark "${bookmark.name}"`) }];
+      } catch (error) {
+        console.warn('[ViewState] Dropping invalid bookmark:', error.message);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.warn('[ViewState] Could not read saved bookmarks:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the camera bookmarks in this browser, replacing those saved before
+ * @param {Array<Object>} bookmarks - [{name, viewpoint}]
+ * @returns {boolean} - Whether they were saved (storage may be full or disabled)
+ */
+export function storeBookmarks(bookmarks) {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return false;
+  }
+  try {
+    window.localStorage.setItem(BOOKMARK_STORAGE_KEY, JSON.stringify(bookmarks));
+    return true;
+  } catch (error) {
+    console.warn('[ViewState] Could not save bookmarks:', error);
+    return false;
+  }
+}
+
+function decodeCamera(value) {
+  if (!value) return null;
+
+  const numbers = String(value).split(',').map(Number);
+  if (numbers.length !== 11 || !numbers.every(Number.isFinite)) {
+    console.warn('[ViewState] Ignoring malformed "cam" parameter:', value);
+    return null;
+  }
+  try {
+    return parseViewpoint({
+      eyePosition: numbers.slice(0, 3),
+      targetPosition: numbers.slice(3, 6),
+      upVector: numbers.slice(6, 9),
+      nearPlane: numbers[9],
+      farPlane: numbers[10]
+    }, '"cam" parameter');
+  } catch (error) {
+    console.warn(`[ViewState] ${error.message}`);
+    return null;
+  }
+}
+
+function decodeLayers(value) {
+  if (!value) return null;
+
+  const layers = String(value).split(';').flatMap((entry) => {
+    let fields;
+    try {
+      fields = entry.split(',').map(decodeURIComponent);
+    } catch (error) {
+      console.warn('[ViewState] Ignoring badly escaped layer in "layers" parameter:', entry);
+      return [];
+    }
+    const [name, visible, colorBy, opacity] = fields;
+    if (!name) {
+      console.warn('[ViewState] Ignoring layer without a name in "layers" parameter:', entry);
+      return [];
+    }
+    const opacityValue = parseFloat(opacity);
+    return [{
+      name,
+      visible: visible !== '0',
+      colorBy: colorBy === '-' ? null : (colorBy || undefined),
+      opacity: Number.isFinite(opacityValue) ? Math.min(1, Math.max(0, opacityValue)) : undefined
+    }];
+  });
+  return layers.length > 0 ? layers : null;
+}
+
+function decodeColorScale(value) {
+  if (!value) return null;
+
+  const [colorMap, scale, clampMin, clampMax] = String(value).split(',');
+  if (!COLOR_MAPS[colorMap] || !COLOR_SCALES.includes(scale)) {
+    console.warn('[ViewState] Ignoring malformed "colors" parameter:', value);
+    return null;
+  }
+  const clamp = (text) => {
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? number : null;
+  };
+  return {
+    colorMap,
+    scale,
+    clampMin: clamp(clampMin),
+    clampMax: clamp(clampMax)
+  };
+}
+
+// Six significant digits keep links short without visibly moving the camera
+function formatNumber(value) {
+  return String(Number(value.toPrecision(6)));
+}
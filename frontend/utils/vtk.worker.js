@@ -0,0 +1,78 @@
+/**
+ * VTK Loading Worker
+ * Fetches, parses and builds geometry for a VTK file off the main thread, or reads it from the model
+ * cache (see utils/modelCache.js).
+ * Loaded through worker-loader (see nuxt.config.js) and driven by VTKLoader.
+ *
+ * Messages in:
+ *   { type: 'load', url, options: { useCylinderGeometry, radialSegments, colorBy, colorScale, units, cache } }
+ * Messages out:
+ *   { type: 'progress', message, progress }   // progress in percent
+ *   { type: 'result', result }                // typed arrays are transferred
+ *   { type: 'revalidated' }                   // after a stale cached result, once the file has been checked
+ *   { type: 'error', message }
+ */
+
+import { loadModelGeometry, revalidateModel } from '@/utils/modelCache';
+
+let lastReported = '';
+
+/**
+ * Post a progress update, skipping repeats of the same message and whole percentage
+ * @param {string} message - Progress message
+ * @param {number} progress - Progress in percent
+ */
+function reportProgress(message, progress) {
+  const key = `${message}:${Math.round(progress)}`;
+  if (key === lastReported) {
+    return;
+  }
+  lastReported = key;
+  self.postMessage({ type: 'progress', message, progress });
+}
+
+/**
+ * Collect the distinct array buffers of a result so they can be transferred
+ * @param {Object} result - Geometry arrays from loadModelGeometry
+ * @returns {ArrayBuffer[]} - Transferable buffers
+ */
+function getTransferables(result) {
+  const buffers = new Set();
+  const keys = [
+    'positions', 'normals', 'colors', 'indices', 'pointIndices', 'cellIndices', 'vertexSegments',
+    'segmentPoints', 'segmentCells', 'segmentRings', 'segmentExtras',
+    'radiusData', 'pressureData', 'pointPositions', 'depthData', 'parentIndices', 'generationData'
+  ];
+  for (const key of keys) {
+    if (result[key] && result[key].buffer) {
+      buffers.add(result[key].buffer);
+    }
+  }
+  result.arrays.forEach(array => buffers.add(array.values.buffer));
+  return Array.from(buffers);
+}
+
+self.onmessage = async (event) => {
+  const { type, url, options = {} } = event.data;
+  if (type !== 'load') {
+    return;
+  }
+
+  let result;
+  try {
+    result = await loadModelGeometry(url, options, reportProgress);
+    self.postMessage({ type: 'result', result }, getTransferables(result));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+    return;
+  }
+
+  if (result.stale) {
+    try {
+      await revalidateModel(url, options);
+    } catch (error) {
+      console.warn(`[ModelCache] Could not check ${url} for changes:`, error);
+    }
+    self.postMessage({ type: 'revalidated' });
+  }
+};
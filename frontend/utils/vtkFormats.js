@@ -0,0 +1,951 @@
+/**
+ * VTK File Format Readers
+ * Parses legacy ASCII/BINARY `.vtk` files and VTK XML PolyData (`.vtp`) files
+ * into one common, renderer-independent dataset structure. Triangle strips are not read; XML files
+ * with any are rejected, since their cells would shift the cell data of the polygons.
+ *
+ * Usage:
+ * import { parseVTKBuffer } from '@/utils/vtkFormats'
+ * const dataset = parseVTKBuffer(arrayBuffer, (fraction) => {...})
+ *
+ * Dataset structure:
+ * {
+ *   format: 'legacy-ascii' | 'legacy-binary' | 'xml',
+ *   numPoints: number,
+ *   points: Float32Array,               // x, y, z per point
+ *   cellConnections: Array<Array>,      // [pointCount, index0, index1, ...] per line/polygon cell
+ *   pointData: { [name]: DataArray },
+ *   cellData: { [name]: DataArray }     // indexed in the same order as cellConnections
+ * }
+ * DataArray: { name, kind, numComponents, values: Float32Array }
+ */
+
+import { unzlibSync } from 'fflate';
+
+// Byte sizes of legacy VTK data type names
+const LEGACY_TYPE_SIZES = {
+  bit: 1,
+  unsigned_char: 1,
+  char: 1,
+  unsigned_short: 2,
+  short: 2,
+  unsigned_int: 4,
+  int: 4,
+  unsigned_long: 8,
+  long: 8,
+  vtktypeint64: 8,
+  vtktypeuint64: 8,
+  vtkidtype: 8,
+  float: 4,
+  double: 8
+};
+
+// Byte sizes of XML VTK data type names
+const XML_TYPE_SIZES = {
+  Int8: 1,
+  UInt8: 1,
+  Int16: 2,
+  UInt16: 2,
+  Int32: 4,
+  UInt32: 4,
+  Int64: 8,
+  UInt64: 8,
+  Float32: 4,
+  Float64: 8
+};
+
+/**
+ * Detect the VTK file format from the file header
+ * @param {ArrayBuffer|Uint8Array|string} data - Raw file content
+ * @returns {string} - 'legacy-ascii', 'legacy-binary' or 'xml'
+ */
+export function detectVTKFormat(data) {
+  const head = typeof data === 'string'
+    ? data.slice(0, 512)
+    : decodeText(toBytes(data).subarray(0, 512));
+  const trimmed = head.replace(/^\uFEFF/, '').trimStart();
+
+  if (trimmed.startsWith('<?xml') || trimmed.startsWith('<VTKFile')) {
+    return 'xml';
+  }
+
+  if (trimmed.startsWith('# vtk DataFile')) {
+    // Third header line declares the encoding
+    const lines = trimmed.split('\n');
+    const encoding = (lines[2] || '').trim().toUpperCase();
+    if (encoding === 'BINARY') {
+      return 'legacy-binary';
+    }
+    if (encoding === 'ASCII') {
+      return 'legacy-ascii';
+    }
+    throw new Error(`Unknown legacy VTK encoding "${encoding}"`);
+  }
+
+  throw new Error('Unrecognised VTK file header');
+}
+
+/**
+ * Parse any supported VTK file into the common dataset structure
+ * @param {ArrayBuffer|Uint8Array|string} data - Raw file content
+ * @param {Function} onProgress - Optional callback receiving parse progress (0-1)
+ * @returns {Object} - Parsed dataset
+ */
+export function parseVTKBuffer(data, onProgress = null) {
+  const format = detectVTKFormat(data);
+  if (format === 'xml') {
+    return parseXMLPolyData(data, onProgress);
+  }
+  return parseLegacyVTK(data, onProgress);
+}
+
+/**
+ * Parse a legacy VTK file (ASCII or BINARY encoding)
+ * @param {ArrayBuffer|Uint8Array|string} data - Raw file content
+ * @param {Function} onProgress - Optional callback receiving parse progress (0-1)
+ * @returns {Object} - Parsed dataset
+ */
+export function parseLegacyVTK(data, onProgress = null) {
+  const format = detectVTKFormat(data);
+  const cursor = format === 'legacy-binary'
+    ? new BinaryCursor(toBytes(data))
+    : new AsciiCursor(typeof data === 'string' ? data : decodeText(toBytes(data)));
+  cursor.onProgress = onProgress;
+
+  // Header: version line, title line, encoding line
+  const versionLine = cursor.readRawLine();
+  const versionMatch = /Version\s+(\d+)(?:\.(\d+))?/i.exec(versionLine || '');
+  const majorVersion = versionMatch ? parseInt(versionMatch[1]) : 3;
+  cursor.readRawLine();
+  cursor.readRawLine();
+
+  const dataset = createDataset(format);
+  // Cells in canonical VTK order, needed to line up CELL_DATA with cellConnections
+  const cellBlocks = { VERTICES: 0, LINES: [], POLYGONS: [], TRIANGLE_STRIPS: 0, CELLS: [] };
+
+  let association = null; // 'point' or 'cell' once POINT_DATA/CELL_DATA is seen
+  let tupleCount = 0;
+  let rawCellData = {};
+
+  let line;
+  while ((line = cursor.readLine()) !== null) {
+    const parts = line.split(/\s+/);
+    const keyword = parts[0].toUpperCase();
+
+    switch (keyword) {
+      case 'DATASET':
+        if (!['POLYDATA', 'UNSTRUCTURED_GRID'].includes((parts[1] || '').toUpperCase())) {
+          throw new Error(`Unsupported legacy VTK dataset type "${parts[1]}"`);
+        }
+        break;
+
+      case 'POINTS': {
+        const count = parseInt(parts[1]);
+        dataset.numPoints = count;
+        dataset.points = Float32Array.from(cursor.readValues(count * 3, parts[2]));
+        break;
+      }
+
+      case 'VERTICES':
+      case 'LINES':
+      case 'POLYGONS':
+      case 'TRIANGLE_STRIPS':
+      case 'CELLS': {
+        const cells = readLegacyCells(cursor, parts, majorVersion);
+        if (Array.isArray(cellBlocks[keyword])) {
+          cellBlocks[keyword] = cells;
+        } else {
+          cellBlocks[keyword] = cells.length;
+        }
+        break;
+      }
+
+      case 'CELL_TYPES':
+        cursor.readValues(parseInt(parts[1]), 'int');
+        break;
+
+      case 'POINT_DATA':
+      case 'CELL_DATA':
+        association = keyword === 'POINT_DATA' ? 'point' : 'cell';
+        tupleCount = parseInt(parts[1]);
+        break;
+
+      case 'SCALARS': {
+        const numComponents = parts[3] ? parseInt(parts[3]) : 1;
+        // A LOOKUP_TABLE line normally follows the SCALARS declaration
+        const mark = cursor.pos;
+        const tableLine = cursor.readLine();
+        if (!tableLine || !tableLine.toUpperCase().startsWith('LOOKUP_TABLE')) {
+          cursor.pos = mark;
+        }
+        const values = cursor.readValues(tupleCount * numComponents, parts[2]);
+        storeArray(association, dataset, rawCellData, parts[1], 'scalars', numComponents, values);
+        break;
+      }
+
+      case 'COLOR_SCALARS': {
+        const numComponents = parseInt(parts[2]);
+        const type = cursor.binary ? 'unsigned_char' : 'float';
+        const values = cursor.readValues(tupleCount * numComponents, type);
+        storeArray(association, dataset, rawCellData, parts[1], 'color', numComponents, values);
+        break;
+      }
+
+      case 'LOOKUP_TABLE': {
+        // Stand-alone lookup table definition: RGBA per entry
+        const size = parseInt(parts[2]);
+        cursor.readValues(size * 4, cursor.binary ? 'unsigned_char' : 'float');
+        break;
+      }
+
+      case 'VECTORS':
+      case 'NORMALS': {
+        const values = cursor.readValues(tupleCount * 3, parts[2]);
+        storeArray(association, dataset, rawCellData, parts[1], keyword.toLowerCase(), 3, values);
+        break;
+      }
+
+      case 'TEXTURE_COORDINATES': {
+        const dimension = parseInt(parts[2]);
+        const values = cursor.readValues(tupleCount * dimension, parts[3]);
+        storeArray(association, dataset, rawCellData, parts[1], 'tcoords', dimension, values);
+        break;
+      }
+
+      case 'TENSORS': {
+        const values = cursor.readValues(tupleCount * 9, parts[2]);
+        storeArray(association, dataset, rawCellData, parts[1], 'tensors', 9, values);
+        break;
+      }
+
+      case 'FIELD': {
+        const arrayCount = parseInt(parts[2]);
+        for (let i = 0; i < arrayCount; i++) {
+          const arrayLine = cursor.readLine();
+          if (arrayLine === null) {
+            break;
+          }
+          const arrayParts = arrayLine.split(/\s+/);
+          const numComponents = parseInt(arrayParts[1]);
+          const numTuples = parseInt(arrayParts[2]);
+          const values = cursor.readValues(numComponents * numTuples, arrayParts[3]);
+          // Field arrays outside an attribute section describe the whole dataset
+          if (association) {
+            storeArray(association, dataset, rawCellData, arrayParts[0], 'field', numComponents, values);
+          }
+        }
+        break;
+      }
+
+      case 'METADATA':
+        cursor.skipBlock();
+        break;
+
+      default:
+        // Unknown sections (e.g. header comments from exporters) are skipped line by line
+        break;
+    }
+  }
+
+  dataset.cellConnections = [
+    ...cellBlocks.CELLS,
+    ...cellBlocks.LINES,
+    ...cellBlocks.POLYGONS
+  ];
+
+  // Cell data follows canonical order: vertices, lines, polygons, strips
+  const lineStart = cellBlocks.VERTICES;
+  const lineCount = cellBlocks.LINES.length + cellBlocks.CELLS.length;
+  const polygonCount = cellBlocks.POLYGONS.length;
+  dataset.cellData = selectCellData(rawCellData, [
+    [lineStart, lineCount],
+    [lineStart + lineCount, polygonCount]
+  ]);
+
+  return dataset;
+}
+
+/**
+ * Parse a VTK XML PolyData file (ascii, inline base64 or appended raw/base64 data,
+ * optionally zlib-compressed)
+ * @param {ArrayBuffer|Uint8Array|string} data - Raw file content
+ * @param {Function} onProgress - Optional callback receiving parse progress (0-1)
+ * @returns {Object} - Parsed dataset
+ */
+export function parseXMLPolyData(data, onProgress = null) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : toBytes(data);
+
+  // Appended data may be raw binary, so only the XML part in front of it is decoded as text
+  const appendedTag = indexOfAscii(bytes, '<AppendedData');
+  const xmlText = decodeText(appendedTag >= 0 ? bytes.subarray(0, appendedTag) : bytes);
+  const root = parseXMLTree(xmlText);
+
+  const vtkFile = findChild(root, 'VTKFile');
+  if (!vtkFile) {
+    throw new Error('Missing <VTKFile> element');
+  }
+  if (vtkFile.attrs.type !== 'PolyData') {
+    throw new Error(`Unsupported VTK XML dataset type "${vtkFile.attrs.type}"`);
+  }
+
+  const context = {
+    bytes,
+    littleEndian: vtkFile.attrs.byte_order !== 'BigEndian',
+    headerSize: vtkFile.attrs.header_type === 'UInt64' ? 8 : 4,
+    compressed: Boolean(vtkFile.attrs.compressor),
+    appended: null
+  };
+
+  if (context.compressed && vtkFile.attrs.compressor !== 'vtkZLibDataCompressor') {
+    throw new Error(`Unsupported VTK XML compressor "${vtkFile.attrs.compressor}"`);
+  }
+
+  if (appendedTag >= 0) {
+    const tagEnd = bytes.indexOf(0x3e, appendedTag); // '>'
+    const tagText = decodeText(bytes.subarray(appendedTag, tagEnd + 1));
+    const encoding = parseAttributes(tagText).encoding || 'raw';
+    const start = bytes.indexOf(0x5f, tagEnd); // '_' marks the start of the data
+    context.appended = { encoding, start: start + 1 };
+    if (encoding === 'base64') {
+      const end = indexOfAscii(bytes, '</AppendedData', start);
+      context.appended.text = decodeText(bytes.subarray(start + 1, end >= 0 ? end : bytes.length));
+    }
+  }
+
+  const polyData = findChild(vtkFile, 'PolyData');
+  const pieces = polyData ? polyData.children.filter(child => child.name === 'Piece') : [];
+  if (pieces.length === 0) {
+    throw new Error('VTK XML file contains no <Piece> elements');
+  }
+
+  const dataset = createDataset('xml');
+  const pointChunks = [];
+  const pointDataChunks = {};
+  const cellDataChunks = {};
+
+  pieces.forEach((piece, pieceIndex) => {
+    const numPoints = parseInt(piece.attrs.NumberOfPoints || '0');
+    const numVerts = parseInt(piece.attrs.NumberOfVerts || '0');
+    const numLines = parseInt(piece.attrs.NumberOfLines || '0');
+    const numPolys = parseInt(piece.attrs.NumberOfPolys || '0');
+    const numStrips = parseInt(piece.attrs.NumberOfStrips || '0');
+    const pointOffset = dataset.numPoints;
+    if (numStrips > 0) {
+      throw new Error(`Unsupported VTK XML triangle strips (${numStrips} in piece ${pieceIndex})`);
+    }
+
+    const pointsArray = findChild(findChild(piece, 'Points'), 'DataArray');
+    if (pointsArray && numPoints > 0) {
+      pointChunks.push(readXMLDataArray(pointsArray, context));
+    }
+
+    ['Lines', 'Polys'].forEach((section) => {
+      const element = findChild(piece, section);
+      if (!element) {
+        return;
+      }
+      const connectivity = readXMLDataArray(findNamedArray(element, 'connectivity'), context);
+      const offsets = readXMLDataArray(findNamedArray(element, 'offsets'), context);
+      let start = 0;
+      for (let i = 0; i < offsets.length; i++) {
+        const end = offsets[i];
+        const cell = [end - start];
+        for (let j = start; j < end; j++) {
+          cell.push(connectivity[j] + pointOffset);
+        }
+        dataset.cellConnections.push(cell);
+        start = end;
+      }
+    });
+
+    collectXMLArrays(findChild(piece, 'PointData'), context, pointDataChunks, [[0, numPoints]]);
+    collectXMLArrays(findChild(piece, 'CellData'), context, cellDataChunks, [[numVerts, numLines + numPolys]]);
+
+    dataset.numPoints += numPoints;
+
+    if (onProgress) {
+      onProgress((pieceIndex + 1) / pieces.length);
+    }
+  });
+
+  dataset.points = concatFloat32(pointChunks);
+  dataset.pointData = mergeChunks(pointDataChunks);
+  dataset.cellData = mergeChunks(cellDataChunks);
+
+  return dataset;
+}
+
+// ---------------------------------------------------------------------------
+// Legacy format helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Read cell connectivity in either the classic layout ("LINES n size" followed by
+ * [count, ids...] records) or the version 5 layout (OFFSETS and CONNECTIVITY arrays)
+ */
+function readLegacyCells(cursor, parts, majorVersion) {
+  const cells = [];
+
+  if (majorVersion >= 5) {
+    const offsetCount = parseInt(parts[1]);
+    const connectivityCount = parseInt(parts[2]);
+    const offsetsLine = cursor.readLine().split(/\s+/);
+    const offsets = cursor.readValues(offsetCount, offsetsLine[1]);
+    const connectivityLine = cursor.readLine().split(/\s+/);
+    const connectivity = cursor.readValues(connectivityCount, connectivityLine[1]);
+    for (let i = 0; i + 1 < offsets.length; i++) {
+      const cell = [offsets[i + 1] - offsets[i]];
+      for (let j = offsets[i]; j < offsets[i + 1]; j++) {
+        cell.push(connectivity[j]);
+      }
+      cells.push(cell);
+    }
+    return cells;
+  }
+
+  const cellCount = parseInt(parts[1]);
+  const size = parseInt(parts[2]);
+  const values = cursor.readValues(size, 'int');
+  let index = 0;
+  for (let i = 0; i < cellCount && index < values.length; i++) {
+    const count = values[index];
+    cells.push(Array.from(values.subarray(index, index + count + 1)));
+    index += count + 1;
+  }
+  return cells;
+}
+
+/**
+ * Cursor over ASCII legacy file content
+ */
+class AsciiCursor {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.binary = false;
+    this.onProgress = null;
+  }
+
+  readRawLine() {
+    if (this.pos >= this.text.length) {
+      return null;
+    }
+    let end = this.text.indexOf('\n', this.pos);
+    if (end < 0) {
+      end = this.text.length;
+    }
+    const line = this.text.slice(this.pos, end).replace(/\r$/, '');
+    this.pos = end + 1;
+    return line;
+  }
+
+  readLine() {
+    let line;
+    while ((line = this.readRawLine()) !== null) {
+      const trimmed = line.trim();
+      if (trimmed !== '') {
+        this.reportProgress();
+        return trimmed;
+      }
+    }
+    return null;
+  }
+
+  skipBlock() {
+    let line;
+    while ((line = this.readRawLine()) !== null && line.trim() !== '') {
+      // METADATA blocks end at the first blank line
+    }
+  }
+
+  readValues(count, type) {
+    const values = new Float64Array(count);
+    const text = this.text;
+    const length = text.length;
+    let pos = this.pos;
+
+    for (let i = 0; i < count; i++) {
+      // Skip whitespace
+      while (pos < length && text.charCodeAt(pos) <= 32) {
+        pos++;
+      }
+      const start = pos;
+      while (pos < length && text.charCodeAt(pos) > 32) {
+        pos++;
+      }
+      if (start === pos) {
+        throw new Error(`Unexpected end of file: expected ${count} values, found ${i}`);
+      }
+      values[i] = Number(text.slice(start, pos));
+
+      if ((i & 0xffff) === 0xffff) {
+        this.pos = pos;
+        this.reportProgress();
+      }
+    }
+
+    this.pos = pos;
+    return values;
+  }
+
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.pos / this.text.length);
+    }
+  }
+}
+
+/**
+ * Cursor over BINARY legacy file content: keyword lines are ASCII, data blocks are big-endian
+ */
+class BinaryCursor {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+    this.binary = true;
+    this.onProgress = null;
+  }
+
+  readRawLine() {
+    if (this.pos >= this.bytes.length) {
+      return null;
+    }
+    let end = this.bytes.indexOf(0x0a, this.pos);
+    if (end < 0) {
+      end = this.bytes.length;
+    }
+    const line = decodeText(this.bytes.subarray(this.pos, end)).replace(/\r$/, '');
+    this.pos = end + 1;
+    return line;
+  }
+
+  readLine() {
+    let line;
+    while ((line = this.readRawLine()) !== null) {
+      const trimmed = line.trim();
+      if (trimmed !== '') {
+        this.reportProgress();
+        return trimmed;
+      }
+    }
+    return null;
+  }
+
+  skipBlock() {
+    let line;
+    while ((line = this.readRawLine()) !== null && line.trim() !== '') {
+      // METADATA blocks end at the first blank line
+    }
+  }
+
+  readValues(count, type) {
+    const typeName = (type || 'float').toLowerCase();
+    const size = LEGACY_TYPE_SIZES[typeName];
+    if (!size) {
+      throw new Error(`Unsupported legacy VTK data type "${type}"`);
+    }
+    if (this.pos + count * size > this.bytes.length) {
+      throw new Error(`Unexpected end of file: expected ${count} ${typeName} values`);
+    }
+
+    const values = new Float64Array(count);
+    const reader = legacyValueReader(this.view, typeName);
+    let pos = this.pos;
+    for (let i = 0; i < count; i++) {
+      values[i] = reader(pos);
+      pos += size;
+    }
+    this.pos = pos;
+    this.reportProgress();
+    return values;
+  }
+
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.pos / this.bytes.length);
+    }
+  }
+}
+
+function legacyValueReader(view, typeName) {
+  switch (typeName) {
+    case 'bit':
+    case 'unsigned_char':
+      return pos => view.getUint8(pos);
+    case 'char':
+      return pos => view.getInt8(pos);
+    case 'unsigned_short':
+      return pos => view.getUint16(pos, false);
+    case 'short':
+      return pos => view.getInt16(pos, false);
+    case 'unsigned_int':
+      return pos => view.getUint32(pos, false);
+    case 'int':
+      return pos => view.getInt32(pos, false);
+    case 'unsigned_long':
+    case 'vtktypeuint64':
+      return pos => view.getUint32(pos, false) * 4294967296 + view.getUint32(pos + 4, false);
+    case 'long':
+    case 'vtktypeint64':
+    case 'vtkidtype':
+      return pos => view.getInt32(pos, false) * 4294967296 + view.getUint32(pos + 4, false);
+    case 'float':
+      return pos => view.getFloat32(pos, false);
+    case 'double':
+      return pos => view.getFloat64(pos, false);
+    default:
+      throw new Error(`Unsupported legacy VTK data type "${typeName}"`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// XML format helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Minimal XML parser producing {name, attrs, children, text} nodes.
+ * Works without DOMParser so it can also run inside Web Workers.
+ */
+function parseXMLTree(text) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w.:-]*)([^>]*?)(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(text)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += text.slice(lastIndex, match.index);
+    lastIndex = tagPattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.text += match[1];
+      continue;
+    }
+    if (!match[3]) {
+      continue; // comment or processing instruction
+    }
+
+    if (match[2] === '/') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+
+    const node = { name: match[3], attrs: parseAttributes(match[4]), children: [], text: '' };
+    current.children.push(node);
+    if (match[5] !== '/') {
+      stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+function parseAttributes(text) {
+  const attrs = {};
+  const pattern = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attrs[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attrs;
+}
+
+function findChild(node, name) {
+  if (!node) {
+    return null;
+  }
+  return node.children.find(child => child.name === name) || null;
+}
+
+function findNamedArray(node, name) {
+  const array = node.children.find(child => child.name === 'DataArray' && child.attrs.Name === name);
+  if (!array) {
+    throw new Error(`Missing "${name}" DataArray in <${node.name}>`);
+  }
+  return array;
+}
+
+/**
+ * Read the values of one <DataArray> element
+ * @returns {Float32Array|Float64Array} - Decoded values
+ */
+function readXMLDataArray(element, context) {
+  const type = element.attrs.type;
+  const format = element.attrs.format || 'ascii';
+
+  if (!XML_TYPE_SIZES[type]) {
+    throw new Error(`Unsupported VTK XML data type "${type}"`);
+  }
+
+  if (format === 'ascii') {
+    const tokens = element.text.trim().split(/\s+/).filter(token => token !== '');
+    return type === 'Float32' ? Float32Array.from(tokens, Number) : Float64Array.from(tokens, Number);
+  }
+
+  let raw;
+  if (format === 'binary') {
+    raw = decodeBase64Block(element.text.replace(/\s+/g, ''), 0, context);
+  } else if (format === 'appended') {
+    if (!context.appended) {
+      throw new Error('DataArray refers to missing <AppendedData>');
+    }
+    const offset = parseInt(element.attrs.offset || '0');
+    raw = context.appended.encoding === 'base64'
+      ? decodeBase64Block(context.appended.text, offset, context)
+      : decodeRawBlock(context.bytes, context.appended.start + offset, context);
+  } else {
+    throw new Error(`Unsupported DataArray format "${format}"`);
+  }
+
+  return convertTypedValues(raw, type, context.littleEndian);
+}
+
+/**
+ * Decode a base64 data block (header + data) starting at a character offset.
+ * Uncompressed blocks encode header and data together; compressed blocks encode
+ * the header separately from the compressed data.
+ */
+function decodeBase64Block(text, start, context) {
+  const headerSize = context.headerSize;
+  const firstWordChars = Math.ceil(headerSize / 3) * 4;
+  const firstWord = readHeaderWords(base64ToBytes(text.slice(start, start + firstWordChars)), 1, context)[0];
+
+  if (!context.compressed) {
+    const totalChars = Math.ceil((headerSize + firstWord) / 3) * 4;
+    const block = base64ToBytes(text.slice(start, start + totalChars));
+    return block.subarray(headerSize, headerSize + firstWord);
+  }
+
+  const blockCount = firstWord;
+  const headerChars = Math.ceil(((3 + blockCount) * headerSize) / 3) * 4;
+  const header = readHeaderWords(base64ToBytes(text.slice(start, start + headerChars)), 3 + blockCount, context);
+  const compressedSizes = header.slice(3);
+  const compressedTotal = compressedSizes.reduce((sum, size) => sum + size, 0);
+  const dataChars = Math.ceil(compressedTotal / 3) * 4;
+  const compressed = base64ToBytes(text.slice(start + headerChars, start + headerChars + dataChars));
+  return inflateBlocks(compressed, header, compressedSizes);
+}
+
+/**
+ * Decode a raw appended data block (header + data) starting at a byte offset
+ */
+function decodeRawBlock(bytes, start, context) {
+  const headerSize = context.headerSize;
+  const firstWord = readHeaderWords(bytes.subarray(start, start + headerSize), 1, context)[0];
+
+  if (!context.compressed) {
+    return bytes.subarray(start + headerSize, start + headerSize + firstWord);
+  }
+
+  const headerBytes = (3 + firstWord) * headerSize;
+  const header = readHeaderWords(bytes.subarray(start, start + headerBytes), 3 + firstWord, context);
+  const compressedSizes = header.slice(3);
+  const compressedTotal = compressedSizes.reduce((sum, size) => sum + size, 0);
+  const compressed = bytes.subarray(start + headerBytes, start + headerBytes + compressedTotal);
+  return inflateBlocks(compressed, header, compressedSizes);
+}
+
+/**
+ * Inflate zlib-compressed blocks described by a VTK compression header
+ * [blockCount, blockSize, lastBlockSize, compressedSize0, ...]
+ */
+function inflateBlocks(compressed, header, compressedSizes) {
+  const blockCount = header[0];
+  const blockSize = header[1];
+  const lastBlockSize = header[2];
+  const totalSize = blockCount === 0
+    ? 0
+    : (blockCount - 1) * blockSize + (lastBlockSize > 0 ? lastBlockSize : blockSize);
+
+  const output = new Uint8Array(totalSize);
+  let readOffset = 0;
+  let writeOffset = 0;
+  for (let i = 0; i < blockCount; i++) {
+    const block = unzlibSync(compressed.subarray(readOffset, readOffset + compressedSizes[i]));
+    output.set(block, writeOffset);
+    readOffset += compressedSizes[i];
+    writeOffset += block.length;
+  }
+  return output;
+}
+
+function readHeaderWords(bytes, count, context) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    const pos = i * context.headerSize;
+    if (context.headerSize === 8) {
+      const low = view.getUint32(context.littleEndian ? pos : pos + 4, context.littleEndian);
+      const high = view.getUint32(context.littleEndian ? pos + 4 : pos, context.littleEndian);
+      words.push(high * 4294967296 + low);
+    } else {
+      words.push(view.getUint32(pos, context.littleEndian));
+    }
+  }
+  return words;
+}
+
+/**
+ * Convert raw bytes into numeric values for an XML data type
+ */
+function convertTypedValues(raw, type, littleEndian) {
+  const size = XML_TYPE_SIZES[type];
+  const count = Math.floor(raw.length / size);
+  const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+  const values = type === 'Float32' ? new Float32Array(count) : new Float64Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const pos = i * size;
+    switch (type) {
+      case 'Int8': values[i] = view.getInt8(pos); break;
+      case 'UInt8': values[i] = view.getUint8(pos); break;
+      case 'Int16': values[i] = view.getInt16(pos, littleEndian); break;
+      case 'UInt16': values[i] = view.getUint16(pos, littleEndian); break;
+      case 'Int32': values[i] = view.getInt32(pos, littleEndian); break;
+      case 'UInt32': values[i] = view.getUint32(pos, littleEndian); break;
+      case 'Float32': values[i] = view.getFloat32(pos, littleEndian); break;
+      case 'Float64': values[i] = view.getFloat64(pos, littleEndian); break;
+      case 'Int64':
+      case 'UInt64': {
+        const low = view.getUint32(littleEndian ? pos : pos + 4, littleEndian);
+        const high = type === 'Int64'
+          ? view.getInt32(littleEndian ? pos + 4 : pos, littleEndian)
+          : view.getUint32(littleEndian ? pos + 4 : pos, littleEndian);
+        values[i] = high * 4294967296 + low;
+        break;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Read every DataArray of a <PointData>/<CellData> element into per-name chunks,
+ * keeping only the tuple ranges that belong to rendered points or cells
+ */
+function collectXMLArrays(element, context, chunks, ranges) {
+  if (!element) {
+    return;
+  }
+  element.children
+    .filter(child => child.name === 'DataArray')
+    .forEach((child) => {
+      const name = child.attrs.Name || `array${Object.keys(chunks).length}`;
+      const numComponents = parseInt(child.attrs.NumberOfComponents || '1');
+      const values = readXMLDataArray(child, context);
+      if (!chunks[name]) {
+        chunks[name] = { name, kind: 'scalars', numComponents, parts: [] };
+      }
+      ranges.forEach(([start, count]) => {
+        chunks[name].parts.push(values.subarray(start * numComponents, (start + count) * numComponents));
+      });
+    });
+}
+
+function mergeChunks(chunks) {
+  const arrays = {};
+  Object.values(chunks).forEach((chunk) => {
+    arrays[chunk.name] = {
+      name: chunk.name,
+      kind: chunk.kind,
+      numComponents: chunk.numComponents,
+      values: concatFloat32(chunk.parts)
+    };
+  });
+  return arrays;
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+function createDataset(format) {
+  return {
+    format,
+    numPoints: 0,
+    points: new Float32Array(0),
+    cellConnections: [],
+    pointData: {},
+    cellData: {}
+  };
+}
+
+function storeArray(association, dataset, rawCellData, name, kind, numComponents, values) {
+  const array = { name, kind, numComponents, values: Float32Array.from(values) };
+  if (association === 'cell') {
+    rawCellData[name] = array;
+  } else if (association === 'point') {
+    dataset.pointData[name] = array;
+  }
+}
+
+/**
+ * Keep only the cell data tuples of rendered cells, in cellConnections order
+ * @param {Object} rawCellData - Arrays indexed in canonical VTK cell order
+ * @param {Array} ranges - [start, count] tuple ranges to keep
+ */
+function selectCellData(rawCellData, ranges) {
+  const cellData = {};
+  Object.values(rawCellData).forEach((array) => {
+    const parts = ranges.map(([start, count]) =>
+      array.values.subarray(start * array.numComponents, (start + count) * array.numComponents)
+    );
+    cellData[array.name] = { ...array, values: concatFloat32(parts) };
+  });
+  return cellData;
+}
+
+function concatFloat32(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Float32Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+function decodeText(bytes) {
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+function indexOfAscii(bytes, text, from = 0) {
+  const first = text.charCodeAt(0);
+  for (let i = bytes.indexOf(first, from); i >= 0; i = bytes.indexOf(first, i + 1)) {
+    let match = true;
+    for (let j = 1; j < text.length; j++) {
+      if (bytes[i + j] !== text.charCodeAt(j)) {
+        match = false;
+        break;
+      }
+    }
+    if (match) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,869 @@
+/**
+ * VTK Geometry Builders
+ * Turns a parsed VTK dataset (see vtkFormats) into flat typed arrays ready for
+ * THREE.BufferGeometry. Does not depend on Three.js so it can run inside a Web Worker.
+ * Positions stay in file coordinates; VTKLoader places every layer in a shared frame.
+ *
+ * Usage:
+ * import { buildVTKGeometry } from '@/utils/vtkGeometry'
+ * const result = buildVTKGeometry(dataset, { useCylinderGeometry: true, colorBy: 'pressure' })
+ *
+ * Every vertex records the dataset point and cell it came from (pointIndices / cellIndices),
+ * so vertex colours can be recomputed from any point or cell data array without rebuilding.
+ * Segments are listed in build order (segmentPoints / segmentCells) and every vertex records the
+ * segment it belongs to (vertexSegments), so a picked vertex or triangle maps back to its vessel segment.
+ */
+
+import { DEFAULT_COLOR_SCALE, parseArrayUnit, resolveColorScale, scalarToColor } from '@/utils/colorMaps';
+import { buildVesselTree, computeTreeStats, forEachSegment } from '@/utils/vesselTree';
+
+// Default number of radial segments around each tube segment
+export const DEFAULT_RADIAL_SEGMENTS = 8;
+
+// Branches leaving a vessel at up to this angle (degrees) continue its surface; sharper ones meet it at a joint
+const BRANCH_SHARE_ANGLE = 45;
+
+/**
+ * Build renderable geometry arrays from a parsed VTK dataset
+ * @param {Object} dataset - Parsed dataset from vtkFormats
+ * @param {Object} options - Build options
+ * @param {boolean} options.useCylinderGeometry - Build tubes from radius data (default: false)
+ * @param {number} options.radialSegments - Radial segments per tube (default: 8)
+ * @param {string} options.colorBy - Data array key or name to colour by (default: 'pressure'), null for none
+ * @param {Object} options.colorScale - Colour scale settings, see utils/colorMaps.js (default: DEFAULT_COLOR_SCALE)
+ * @param {Object} options.units - File units by array name, e.g. {pressure: 'Pa'} (default: none)
+ * @param {Function} options.onProgress - Optional callback receiving build progress (0-1)
+ * @returns {Object} - {kind: 'tubes'|'lines'|'points', positions, normals?, indices?, pointIndices, cellIndices,
+ *                      vertexSegments, segmentPoints, segmentCells, colors, colorBy, arrays, radiusData, pressureData,
+ *                      pointPositions, inlet, depthData, parentIndices, generationData, treeStats}; see
+ *                      utils/vesselTree.js for the last five. Tubes also give segmentRings, segmentExtras and
+ *                      radialSegments, see buildTubeArrays; the point cloud fallback lists each point as a segment.
+ */
+export function buildVTKGeometry(dataset, options = {}) {
+  const {
+    useCylinderGeometry = false,
+    radialSegments = DEFAULT_RADIAL_SEGMENTS,
+    onProgress = null
+  } = options;
+
+  const points = dataset.points;
+  const cellConnections = dataset.cellConnections;
+  const radiusData = findPointScalars(dataset, 'radius');
+  const pressureData = findPointScalars(dataset, 'pressure');
+  const arrays = describeDataArrays(dataset);
+
+  let result;
+  if (useCylinderGeometry && radiusData.length > 0 && cellConnections.length > 0) {
+    result = { kind: 'tubes', ...buildTubeArrays(points, radiusData, cellConnections, radialSegments, onProgress) };
+  } else {
+    result = { kind: 'lines', ...buildLineSegmentArrays(points, cellConnections) };
+    if (result.positions.length === 0) {
+      console.warn("[VTKGeometry] No line segments created! Using point cloud fallback.");
+      // One vertex per point, each its own segment
+      const pointIndices = new Uint32Array(dataset.numPoints);
+      const segmentPoints = new Uint32Array(dataset.numPoints * 2);
+      for (let i = 0; i < pointIndices.length; i++) {
+        pointIndices[i] = i;
+        segmentPoints[i * 2] = i;
+        segmentPoints[i * 2 + 1] = i;
+      }
+      result = {
+        kind: 'points',
+        positions: Float32Array.from(points),
+        pointIndices,
+        cellIndices: null,
+        vertexSegments: pointIndices,
+        segmentPoints,
+        segmentCells: null
+      };
+    }
+  }
+
+  const tree = buildVesselTree(points, cellConnections, radiusData);
+
+  return {
+    ...result,
+    ...colorBuiltGeometry({ ...result, arrays }, options),
+    arrays,
+    radiusData,
+    pressureData,
+    pointPositions: points,
+    inlet: tree.inlet,
+    depthData: tree.depth,
+    parentIndices: tree.parents,
+    generationData: tree.generations,
+    treeStats: computeTreeStats(tree, points, cellConnections, radiusData)
+  };
+}
+
+/**
+ * Colour built geometry by one of its data arrays
+ * Kept apart from buildVTKGeometry so cached geometry can be coloured again without rebuilding.
+ * @param {Object} built - Geometry arrays from buildVTKGeometry; only arrays, pointIndices and cellIndices are read
+ * @param {Object} options - Colour options as for buildVTKGeometry: colorBy, colorScale and units
+ * @returns {Object} - {colors: Float32Array (3 floats per vertex) or null when no array matches, colorBy: array key or null}
+ */
+export function colorBuiltGeometry(built, { colorBy = 'pressure', colorScale = DEFAULT_COLOR_SCALE, units = {} } = {}) {
+  const colorArray = findDataArray(built.arrays, colorBy, built.cellIndices !== null);
+  const colors = colorArray ?
+    computeVertexColors(colorArray, built.pointIndices, built.cellIndices, null,
+      resolveColorScale(colorArray.range, colorScale, getArrayUnit(colorArray, units))) :
+    null;
+  return { colors, colorBy: colorArray ? colorArray.key : null };
+}
+
+/**
+ * Find a single-component point data array by name (case-insensitive)
+ * @param {Object} dataset - Parsed dataset from vtkFormats
+ * @param {string} name - Array name, e.g. 'radius' or 'pressure'
+ * @returns {Float32Array} - Array values, or an empty array if not present
+ */
+export function findPointScalars(dataset, name) {
+  const key = Object.keys(dataset.pointData).find(arrayName => arrayName.toLowerCase() === name);
+  if (!key || dataset.pointData[key].numComponents !== 1) {
+    return new Float32Array(0);
+  }
+  return dataset.pointData[key].values;
+}
+
+/**
+ * List every point and cell data array of a dataset with its value range
+ * Multi-component arrays (vectors, tensors...) are ranged by tuple magnitude.
+ * @param {Object} dataset - Parsed dataset from vtkFormats
+ * @returns {Array<Object>} - [{key, name, association, kind, numComponents, range: [min, max], values}]
+ */
+export function describeDataArrays(dataset) {
+  const arrays = [];
+  [['point', dataset.pointData], ['cell', dataset.cellData]].forEach(([association, data]) => {
+    Object.values(data).forEach((array) => {
+      const described = {
+        key: `${association}:${array.name}`,
+        name: array.name,
+        association,
+        kind: array.kind,
+        numComponents: array.numComponents,
+        range: [0, 0],
+        values: array.values
+      };
+      described.range = tupleRange(described);
+      arrays.push(described);
+    });
+  });
+  return arrays;
+}
+
+/**
+ * Find a described data array by key ('point:pressure') or by name (case-insensitive, point data first)
+ * @param {Array<Object>} arrays - Arrays from describeDataArrays
+ * @param {string} colorBy - Array key or name
+ * @param {boolean} allowCellData - Whether cell arrays can be used (false for point clouds)
+ * @returns {Object|null} - Matching array, or null
+ */
+export function findDataArray(arrays, colorBy, allowCellData = true) {
+  if (!colorBy) {
+    return null;
+  }
+  const candidates = allowCellData ? arrays : arrays.filter(array => array.association === 'point');
+  const name = colorBy.toLowerCase();
+  return candidates.find(array => array.key === colorBy) ||
+    candidates.find(array => array.name.toLowerCase() === name) ||
+    null;
+}
+
+/**
+ * Read one tuple of a data array as a scalar (the magnitude for multi-component arrays)
+ * @param {Object} array - Described data array
+ * @param {number} index - Tuple index
+ * @returns {number} - Scalar value
+ */
+export function getTupleValue(array, index) {
+  const { numComponents, values } = array;
+  if (numComponents === 1) {
+    return values[index];
+  }
+  let sum = 0;
+  for (let c = 0; c < numComponents; c++) {
+    const value = values[index * numComponents + c];
+    sum += value * value;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Compute the scalar range of a data array
+ * @param {Object} array - Described data array
+ * @returns {Array<number>} - [min, max]
+ */
+function tupleRange(array) {
+  if (array.numComponents === 1) {
+    const { min, max } = arrayRange(array.values);
+    return min <= max ? [min, max] : [0, 0];
+  }
+  let min = Infinity;
+  let max = -Infinity;
+  const tupleCount = array.values.length / array.numComponents;
+  for (let i = 0; i < tupleCount; i++) {
+    const value = getTupleValue(array, i);
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return min <= max ? [min, max] : [0, 0];
+}
+
+/**
+ * Get the file unit of a data array, from its name or else from declared units
+ * @param {Object} array - Described data array
+ * @param {Object} units - File units by array name, e.g. {pressure: 'Pa'}
+ * @returns {string|null} - Unit, or null when unknown
+ */
+export function getArrayUnit(array, units = {}) {
+  return parseArrayUnit(array.name) || units[array.name] || units[array.name.toLowerCase()] || null;
+}
+
+/**
+ * Compute per-vertex colours from a data array
+ * @param {Object} array - Described data array to colour by
+ * @param {Uint32Array} pointIndices - Dataset point index of each vertex
+ * @param {Uint32Array|null} cellIndices - Dataset cell index of each vertex
+ * @param {Float32Array} out - Optional array to write into (3 floats per vertex)
+ * @param {Object} colorScale - Resolved colour scale from resolveColorScale (default: the array's range, linear)
+ * @returns {Float32Array|null} - RGB colours, or null when the array cannot be mapped
+ */
+export function computeVertexColors(array, pointIndices, cellIndices, out = null, colorScale = null) {
+  const sourceIndices = array.association === 'cell' ? cellIndices : pointIndices;
+  if (!sourceIndices) {
+    return null;
+  }
+
+  const colors = out || new Float32Array(sourceIndices.length * 3);
+  const scale = colorScale || resolveColorScale(array.range);
+  const rgb = [0, 0, 0];
+  for (let v = 0; v < sourceIndices.length; v++) {
+    scalarToColor(getTupleValue(array, sourceIndices[v]), scale, rgb);
+    colors[v * 3] = rgb[0];
+    colors[v * 3 + 1] = rgb[1];
+    colors[v * 3 + 2] = rgb[2];
+  }
+  return colors;
+}
+
+/**
+ * Fill per-vertex colours with a single colour
+ * @param {Array} rgb - [r, g, b] in 0-1
+ * @param {number} vertexCount - Number of vertices
+ * @param {Float32Array} out - Optional array to write into (3 floats per vertex)
+ * @returns {Float32Array} - RGB colours
+ */
+export function fillVertexColors(rgb, vertexCount, out = null) {
+  const colors = out || new Float32Array(vertexCount * 3);
+  for (let v = 0; v < vertexCount; v++) {
+    colors[v * 3] = rgb[0];
+    colors[v * 3 + 1] = rgb[1];
+    colors[v * 3 + 2] = rgb[2];
+  }
+  return colors;
+}
+
+/**
+ * Blend highlight colours into vertex colours by each point's depth along the tree
+ * A region is strongest at its end of the tree and fades out linearly over its extent.
+ * @param {Float32Array} colors - RGB colours to modify in place (3 floats per vertex)
+ * @param {Float32Array} depthData - Normalised depth per point, -1 where unknown (see buildVesselTree)
+ * @param {Uint32Array} pointIndices - Dataset point index of each vertex
+ * @param {Array<Object>} regions - [{end: 0|1, extent: 0-1, intensity: 0-1, color: [r, g, b]}]
+ * @returns {Float32Array} - The modified colours
+ */
+export function applyDepthHighlight(colors, depthData, pointIndices, regions) {
+  for (let v = 0; v < pointIndices.length; v++) {
+    const depth = depthData[pointIndices[v]];
+    if (depth < 0) {
+      continue;
+    }
+    for (const region of regions) {
+      const weight = region.intensity * Math.max(0, 1 - Math.abs(depth - region.end) / region.extent);
+      if (weight > 0) {
+        colors[v * 3] += (region.color[0] - colors[v * 3]) * weight;
+        colors[v * 3 + 1] += (region.color[1] - colors[v * 3 + 1]) * weight;
+        colors[v * 3 + 2] += (region.color[2] - colors[v * 3 + 2]) * weight;
+      }
+    }
+  }
+  return colors;
+}
+
+/**
+ * Get the minimum and maximum of a numeric array without spreading it onto the call stack
+ * @param {ArrayLike<number>} values - Values to scan
+ * @returns {Object} - {min, max}; Infinity/-Infinity when empty
+ */
+export function arrayRange(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+}
+
+
+/**
+ * List the valid line segments (consecutive point pairs) across all cells, in build order
+ * @param {Array} cellConnections - Cell connectivity, [count, i0, i1, ...] per cell
+ * @param {number} numPoints - Number of points in the dataset
+ * @returns {Object} - {segmentPoints: Uint32Array (two points per segment), segmentCells: Uint32Array}
+ */
+function listSegments(cellConnections, numPoints) {
+  let count = 0;
+  forEachSegment(cellConnections, numPoints, () => {
+    count++;
+  });
+
+  const segmentPoints = new Uint32Array(count * 2);
+  const segmentCells = new Uint32Array(count);
+  let segment = 0;
+  forEachSegment(cellConnections, numPoints, (idx1, idx2, cell) => {
+    segmentPoints[segment * 2] = idx1;
+    segmentPoints[segment * 2 + 1] = idx2;
+    segmentCells[segment] = cell;
+    segment++;
+  });
+  return { segmentPoints, segmentCells };
+}
+
+/**
+ * Build line segment positions (two vertices per segment) from cell connectivity
+ * @param {Float32Array} points - Point coordinates
+ * @param {Array} cellConnections - Cell connectivity
+ * @returns {Object} - {positions, pointIndices, cellIndices, vertexSegments, segmentPoints, segmentCells}
+ */
+export function buildLineSegmentArrays(points, cellConnections) {
+  const { segmentPoints, segmentCells } = listSegments(cellConnections, points.length / 3);
+  const vertexCount = segmentPoints.length;
+  const positions = new Float32Array(vertexCount * 3);
+  const cellIndices = new Uint32Array(vertexCount);
+  const vertexSegments = new Uint32Array(vertexCount);
+
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    const point = segmentPoints[vertex];
+    positions[vertex * 3] = points[point * 3];
+    positions[vertex * 3 + 1] = points[point * 3 + 1];
+    positions[vertex * 3 + 2] = points[point * 3 + 2];
+    cellIndices[vertex] = segmentCells[vertex >> 1];
+    vertexSegments[vertex] = vertex >> 1;
+  }
+
+  return { positions, pointIndices: segmentPoints, cellIndices, vertexSegments, segmentPoints, segmentCells };
+}
+
+
+/**
+ * Build tube geometry for a vessel network: tapered tubes along the segments, with rounded caps
+ * on free ends and spherical joints where a branch leaves sharply, so bends and branch points
+ * show no gaps.
+ *
+ * The network is walked outwards from the inlet (the widest end point) and each point gets one
+ * ring, in the frame carried along from the segment before it (parallel transport), so tubes do
+ * not twist. Segments leaving a point start from its ring: at a bend the ring is mitred to the
+ * bisecting plane, at a branch point it is tilted towards the branches. Only a branch more than
+ * BRANCH_SHARE_ANGLE off its parent vessel starts from a ring of its own, with a joint at the branch
+ * point; so do loops where they close. Output arrays are preallocated from counts; no per-segment
+ * objects are created.
+ *
+ * Layout: segment s runs from ring segmentRings[2s] to ring segmentRings[2s + 1] (first vertex of
+ * each). The index holds every segment's walls in build order (radialSegments * 6 entries each),
+ * then the joint and cap triangles grouped by segment, indices segmentExtras[s] to segmentExtras[s + 1];
+ * a joint belongs to its widest segment. The first vertex of every wall triangle lies on the
+ * segment's second ring, which is labelled with it in vertexSegments, so face.a of a picked
+ * triangle finds its segment.
+ *
+ * @param {Float32Array} points - Point coordinates
+ * @param {ArrayLike<number>} radiusData - Radius per point
+ * @param {Array} cellConnections - Cell connectivity
+ * @param {number} radialSegments - Radial segments per tube
+ * @param {Function} onProgress - Optional callback receiving build progress (0-1)
+ * @returns {Object} - {positions, normals, indices, pointIndices, cellIndices, vertexSegments,
+ *                      segmentPoints, segmentCells, segmentRings, segmentExtras, radialSegments}
+ */
+export function buildTubeArrays(points, radiusData, cellConnections, radialSegments = DEFAULT_RADIAL_SEGMENTS, onProgress = null) {
+  const numPoints = points.length / 3;
+  const sides = radialSegments;
+  const { segmentPoints, segmentCells } = listSegments(cellConnections, numPoints);
+  const segmentCount = segmentCells.length;
+  const { offsets, pointSegments } = indexPointSegments(segmentPoints, numPoints);
+  const { order, walkFrom, arrival } = orderTubeWalk(segmentPoints, offsets, pointSegments, radiusData);
+  const startsShared = findSharedStarts(points, segmentPoints, offsets, walkFrom, arrival);
+
+  // Caps are domes of capBands latitude bands; joints are spheres of jointBands bands
+  const capBands = Math.max(2, Math.round(sides / 6));
+  const jointBands = Math.max(3, Math.round(sides / 3));
+  const capVertexCount = sides * (capBands - 1) + 1;
+  const capIndexCount = (capBands - 1) * sides * 6 + sides * 3;
+  const jointIndexCount = (jointBands - 2) * sides * 6 + sides * 6;
+
+  // Count pass: rings, cap and joint vertices, and each segment's joint and cap triangles.
+  // A joint goes where a segment starts from a ring of its own at a point other segments meet,
+  // or where a loop closes.
+  const segmentExtras = new Uint32Array(segmentCount + 1);
+  const joints = new Uint8Array(numPoints);
+  let ringCount = 0;
+  let extraVertexCount = 0;
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const from = walkFrom[segment];
+    const to = otherSegmentEnd(segmentPoints, segment, from);
+    ringCount++;
+    if (arrival[to] !== segment) {
+      joints[to] = 1; // Closing a loop
+    } else if (offsets[to + 1] - offsets[to] === 1) {
+      extraVertexCount += capVertexCount;
+      segmentExtras[segment + 1] += capIndexCount;
+    }
+    if (!startsShared[segment]) {
+      ringCount++;
+      if (offsets[from + 1] - offsets[from] === 1) {
+        extraVertexCount += capVertexCount;
+        segmentExtras[segment + 1] += capIndexCount;
+      } else {
+        joints[from] = 1;
+      }
+    }
+  }
+  for (let p = 0; p < numPoints; p++) {
+    if (joints[p]) {
+      extraVertexCount += sides * (jointBands - 1) + 2;
+      segmentExtras[widestSegment(segmentPoints, offsets, pointSegments, radiusData, p) + 1] += jointIndexCount;
+    }
+  }
+  segmentExtras[0] = segmentCount * sides * 6;
+  for (let segment = 0; segment < segmentCount; segment++) {
+    segmentExtras[segment + 1] += segmentExtras[segment];
+  }
+
+  const vertexCount = ringCount * sides + extraVertexCount;
+  const mesh = {
+    points,
+    radiusData,
+    segmentCells,
+    sides,
+    cosTable: new Float32Array(sides),
+    sinTable: new Float32Array(sides),
+    positions: new Float32Array(vertexCount * 3),
+    normals: new Float32Array(vertexCount * 3),
+    pointIndices: new Uint32Array(vertexCount),
+    cellIndices: new Uint32Array(vertexCount),
+    vertexSegments: new Uint32Array(vertexCount),
+    indices: vertexCount > 65535
+      ? new Uint32Array(segmentExtras[segmentCount])
+      : new Uint16Array(segmentExtras[segmentCount]),
+    extraCursor: segmentExtras.slice(0, segmentCount),
+    vertex: 0
+  };
+  // Unit circle lookup shared by every ring
+  for (let s = 0; s < sides; s++) {
+    const angle = (s / sides) * Math.PI * 2;
+    mesh.cosTable[s] = Math.cos(angle);
+    mesh.sinTable[s] = Math.sin(angle);
+  }
+
+  const segmentRings = new Uint32Array(segmentCount * 2);
+  const frame = new Float64Array(9);
+  const pointRings = new Int32Array(numPoints).fill(-1);
+  const pointNormals = new Float32Array(numPoints * 3);
+  const incoming = new Float64Array(3);
+  const outgoing = new Float64Array(3);
+  const leaving = new Float64Array(3);
+  const miter = new Float64Array(3);
+  const progressStep = Math.max(1, Math.floor(segmentCount / 20));
+
+  for (let built = 0; built < segmentCount; built++) {
+    const segment = order[built];
+    const from = walkFrom[segment];
+    const to = otherSegmentEnd(segmentPoints, segment, from);
+    pointDirection(points, from, to, incoming);
+
+    let startRing;
+    if (startsShared[segment]) {
+      startRing = pointRings[from];
+      frame[3] = pointNormals[from * 3]; frame[4] = pointNormals[from * 3 + 1]; frame[5] = pointNormals[from * 3 + 2];
+    } else {
+      const hasFrame = pointRings[from] >= 0;
+      if (hasFrame) {
+        frame[3] = pointNormals[from * 3]; frame[4] = pointNormals[from * 3 + 1]; frame[5] = pointNormals[from * 3 + 2];
+      }
+      setFrameTangent(frame, incoming[0], incoming[1], incoming[2], hasFrame);
+      startRing = addTubeRing(mesh, frame, from, segment, null, 1);
+      if (offsets[from + 1] - offsets[from] === 1) {
+        addCap(mesh, frame, from, segment, startRing, false, capBands);
+      }
+    }
+
+    let endRing;
+    if (arrival[to] === segment) {
+      // The ring of the point this segment reaches: mitred to the one segment leaving it from this
+      // ring, tilted halfway towards several, square to the segment otherwise
+      let leavingCount = 0;
+      leaving[0] = 0; leaving[1] = 0; leaving[2] = 0;
+      for (let i = offsets[to]; i < offsets[to + 1]; i++) {
+        const next = pointSegments[i];
+        if (next === segment || walkFrom[next] !== to || !startsShared[next]) continue;
+        pointDirection(points, to, otherSegmentEnd(segmentPoints, next, to), outgoing);
+        leaving[0] += outgoing[0]; leaving[1] += outgoing[1]; leaving[2] += outgoing[2];
+        leavingCount++;
+      }
+
+      let tx = incoming[0], ty = incoming[1], tz = incoming[2];
+      let scale = 1;
+      if (leavingCount > 0) {
+        const spread = Math.sqrt(leaving[0] * leaving[0] + leaving[1] * leaving[1] + leaving[2] * leaving[2]);
+        if (spread > 1e-6) {
+          leaving[0] /= spread; leaving[1] /= spread; leaving[2] /= spread;
+        }
+        const bx = incoming[0] + leaving[0], by = incoming[1] + leaving[1], bz = incoming[2] + leaving[2];
+        const length = Math.sqrt(bx * bx + by * by + bz * bz);
+        // Folding back on itself leaves no useful bisector
+        if (length > 1e-3) {
+          tx = bx / length; ty = by / length; tz = bz / length;
+          if (leavingCount === 1) {
+            miter[0] = leaving[0] - incoming[0]; miter[1] = leaving[1] - incoming[1]; miter[2] = leaving[2] - incoming[2];
+            const miterLength = Math.sqrt(miter[0] * miter[0] + miter[1] * miter[1] + miter[2] * miter[2]);
+            if (miterLength > 1e-6) {
+              miter[0] /= miterLength; miter[1] /= miterLength; miter[2] /= miterLength;
+              scale = 1 / Math.max(0.5, tx * leaving[0] + ty * leaving[1] + tz * leaving[2]);
+            }
+          }
+        }
+      }
+      setFrameTangent(frame, tx, ty, tz, true);
+      endRing = addTubeRing(mesh, frame, to, segment, scale !== 1 ? miter : null, scale);
+      pointRings[to] = endRing;
+      pointNormals[to * 3] = frame[3]; pointNormals[to * 3 + 1] = frame[4]; pointNormals[to * 3 + 2] = frame[5];
+      if (offsets[to + 1] - offsets[to] === 1) {
+        addCap(mesh, frame, to, segment, endRing, true, capBands);
+      }
+    } else {
+      setFrameTangent(frame, incoming[0], incoming[1], incoming[2], true);
+      endRing = addTubeRing(mesh, frame, to, segment, null, 1);
+    }
+
+    segmentRings[segment * 2] = startRing;
+    segmentRings[segment * 2 + 1] = endRing;
+    stitchRings(mesh.indices, segment * sides * 6, startRing, endRing, sides);
+
+    if (onProgress && (built + 1) % progressStep === 0) {
+      onProgress((built + 1) / segmentCount);
+    }
+  }
+  for (let p = 0; p < numPoints; p++) {
+    if (joints[p]) {
+      addJoint(mesh, frame, p, widestSegment(segmentPoints, offsets, pointSegments, radiusData, p), jointBands);
+    }
+  }
+
+  const { positions, normals, indices, pointIndices, cellIndices, vertexSegments } = mesh;
+  return {
+    positions, normals, indices, pointIndices, cellIndices, vertexSegments,
+    segmentPoints, segmentCells, segmentRings, segmentExtras, radialSegments: sides
+  };
+}
+
+/**
+ * Index the segments meeting at each point
+ * @param {Uint32Array} segmentPoints - Two points per segment, see listSegments
+ * @param {number} numPoints - Number of points in the dataset
+ * @returns {Object} - {offsets, pointSegments}: the segments of point p are pointSegments[offsets[p]..offsets[p + 1]]
+ */
+function indexPointSegments(segmentPoints, numPoints) {
+  const offsets = new Uint32Array(numPoints + 1);
+  for (let i = 0; i < segmentPoints.length; i++) {
+    offsets[segmentPoints[i] + 1]++;
+  }
+  for (let p = 0; p < numPoints; p++) {
+    offsets[p + 1] += offsets[p];
+  }
+  const pointSegments = new Uint32Array(segmentPoints.length);
+  const fill = offsets.slice(0, numPoints);
+  for (let i = 0; i < segmentPoints.length; i++) {
+    pointSegments[fill[segmentPoints[i]]++] = i >> 1;
+  }
+  return { offsets, pointSegments };
+}
+
+/**
+ * Order the segments breadth first from the inlet (the widest end point), then from any end point
+ * or point left unreached
+ * @param {Uint32Array} segmentPoints - Two points per segment
+ * @param {Uint32Array} offsets - Per-point offsets into pointSegments, see indexPointSegments
+ * @param {Uint32Array} pointSegments - Segments meeting at each point
+ * @param {ArrayLike<number>} radiusData - Radius per point
+ * @returns {Object} - {order: segments in walk order, walkFrom: point each segment is walked from,
+ *                      arrival: segment that first reached each point, -1 for walk starts}
+ */
+function orderTubeWalk(segmentPoints, offsets, pointSegments, radiusData) {
+  const numPoints = offsets.length - 1;
+  const segmentCount = segmentPoints.length / 2;
+  const order = new Uint32Array(segmentCount);
+  const walkFrom = new Uint32Array(segmentCount);
+  const arrival = new Int32Array(numPoints).fill(-1);
+  const reached = new Uint8Array(numPoints);
+  const walked = new Uint8Array(segmentCount);
+  const queue = new Uint32Array(numPoints);
+  let walkCount = 0;
+  let queueEnd = 0;
+
+  const walkFromPoint = (start) => {
+    reached[start] = 1;
+    let head = queueEnd;
+    queue[queueEnd++] = start;
+    while (head < queueEnd) {
+      const point = queue[head++];
+      for (let i = offsets[point]; i < offsets[point + 1]; i++) {
+        const segment = pointSegments[i];
+        if (walked[segment]) continue;
+        walked[segment] = 1;
+        walkFrom[segment] = point;
+        order[walkCount++] = segment;
+        const other = otherSegmentEnd(segmentPoints, segment, point);
+        if (!reached[other]) {
+          reached[other] = 1;
+          arrival[other] = segment;
+          queue[queueEnd++] = other;
+        }
+      }
+    }
+  };
+
+  let inlet = -1;
+  for (let p = 0; p < numPoints; p++) {
+    if (offsets[p + 1] - offsets[p] === 1 && (inlet < 0 || (radiusData[p] || 0.1) > (radiusData[inlet] || 0.1))) {
+      inlet = p;
+    }
+  }
+  if (inlet >= 0) {
+    walkFromPoint(inlet);
+  }
+  for (let p = 0; p < numPoints; p++) {
+    if (offsets[p + 1] - offsets[p] === 1 && !reached[p]) walkFromPoint(p);
+  }
+  for (let p = 0; p < numPoints; p++) {
+    if (offsets[p + 1] > offsets[p] && !reached[p]) walkFromPoint(p);
+  }
+  return { order, walkFrom, arrival };
+}
+
+/**
+ * Flag the segments that start from the ring of the point they are walked from: always past a
+ * bend, and past a branch point when within BRANCH_SHARE_ANGLE of the segment arriving there
+ * @param {Float32Array} points - Point coordinates
+ * @param {Uint32Array} segmentPoints - Two points per segment
+ * @param {Uint32Array} offsets - Per-point offsets into pointSegments, see indexPointSegments
+ * @param {Uint32Array} walkFrom - Point each segment is walked from, see orderTubeWalk
+ * @param {Int32Array} arrival - Segment that first reached each point, see orderTubeWalk
+ * @returns {Uint8Array} - 1 per sharing segment
+ */
+function findSharedStarts(points, segmentPoints, offsets, walkFrom, arrival) {
+  const segmentCount = walkFrom.length;
+  const shareCos = Math.cos((BRANCH_SHARE_ANGLE * Math.PI) / 180);
+  const startsShared = new Uint8Array(segmentCount);
+  const incoming = new Float64Array(3);
+  const outgoing = new Float64Array(3);
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const from = walkFrom[segment];
+    const before = arrival[from];
+    if (before < 0) continue;
+    if (offsets[from + 1] - offsets[from] === 2) {
+      startsShared[segment] = 1;
+      continue;
+    }
+    pointDirection(points, walkFrom[before], from, incoming);
+    pointDirection(points, from, otherSegmentEnd(segmentPoints, segment, from), outgoing);
+    if (incoming[0] * outgoing[0] + incoming[1] * outgoing[1] + incoming[2] * outgoing[2] > shareCos) {
+      startsShared[segment] = 1;
+    }
+  }
+  return startsShared;
+}
+
+function otherSegmentEnd(segmentPoints, segment, point) {
+  return segmentPoints[segment * 2] === point ? segmentPoints[segment * 2 + 1] : segmentPoints[segment * 2];
+}
+
+// Widest segment at a point: the one whose far end has the largest radius
+function widestSegment(segmentPoints, offsets, pointSegments, radiusData, point) {
+  let widest = pointSegments[offsets[point]];
+  let widestRadius = radiusData[otherSegmentEnd(segmentPoints, widest, point)] || 0.1;
+  for (let i = offsets[point] + 1; i < offsets[point + 1]; i++) {
+    const radius = radiusData[otherSegmentEnd(segmentPoints, pointSegments[i], point)] || 0.1;
+    if (radius > widestRadius) {
+      widest = pointSegments[i];
+      widestRadius = radius;
+    }
+  }
+  return widest;
+}
+
+// Unit direction from one point to another into `out`; zero-length segments keep the previous direction
+function pointDirection(points, from, to, out) {
+  const dx = points[to * 3] - points[from * 3];
+  const dy = points[to * 3 + 1] - points[from * 3 + 1];
+  const dz = points[to * 3 + 2] - points[from * 3 + 2];
+  const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (length > 0) {
+    out[0] = dx / length; out[1] = dy / length; out[2] = dz / length;
+  }
+}
+
+/**
+ * Give a ring frame [tangent, normal, binormal = normal x tangent] a new tangent, carrying its
+ * normal over (transport) or picking any normal when there is no frame yet
+ */
+function setFrameTangent(frame, x, y, z, transport) {
+  frame[0] = x; frame[1] = y; frame[2] = z;
+  let nx = frame[3], ny = frame[4], nz = frame[5];
+  let length = 0;
+  if (transport) {
+    const along = nx * x + ny * y + nz * z;
+    nx -= along * x; ny -= along * y; nz -= along * z;
+    length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  }
+  if (length < 1e-4) {
+    // right = tangent x up(0,1,0); fall back to tangent x (1,0,0) when nearly parallel
+    nx = -z; ny = 0; nz = x;
+    length = Math.sqrt(x * x + z * z);
+    if (length * length < 0.1) {
+      nx = 0; ny = z; nz = -y;
+      length = Math.sqrt(y * y + z * z) || 1;
+    }
+  }
+  nx /= length; ny /= length; nz /= length;
+  frame[3] = nx; frame[4] = ny; frame[5] = nz;
+  frame[6] = ny * z - nz * y;
+  frame[7] = nz * x - nx * z;
+  frame[8] = nx * y - ny * x;
+}
+
+function writeVertex(mesh, x, y, z, nx, ny, nz, point, segment) {
+  const vertex = mesh.vertex++;
+  const o = vertex * 3;
+  mesh.positions[o] = x; mesh.positions[o + 1] = y; mesh.positions[o + 2] = z;
+  mesh.normals[o] = nx; mesh.normals[o + 1] = ny; mesh.normals[o + 2] = nz;
+  mesh.pointIndices[vertex] = point;
+  mesh.cellIndices[vertex] = mesh.segmentCells[segment];
+  mesh.vertexSegments[vertex] = segment;
+  return vertex;
+}
+
+// A ring of vertices around a point at `radius`, pointing `across` the frame's tangent and
+// `along` it (0 for a tube wall); returns its first vertex
+function writeRing(mesh, frame, point, segment, radius, across, along) {
+  const { points, positions, normals, cosTable, sinTable, sides } = mesh;
+  const start = mesh.vertex;
+  const px = points[point * 3], py = points[point * 3 + 1], pz = points[point * 3 + 2];
+  const nx0 = frame[3] * across, ny0 = frame[4] * across, nz0 = frame[5] * across;
+  const bx0 = frame[6] * across, by0 = frame[7] * across, bz0 = frame[8] * across;
+  const tx = frame[0] * along, ty = frame[1] * along, tz = frame[2] * along;
+  let o = start * 3;
+  for (let s = 0; s < sides; s++) {
+    const nx = nx0 * cosTable[s] + bx0 * sinTable[s] + tx;
+    const ny = ny0 * cosTable[s] + by0 * sinTable[s] + ty;
+    const nz = nz0 * cosTable[s] + bz0 * sinTable[s] + tz;
+    positions[o] = px + nx * radius; positions[o + 1] = py + ny * radius; positions[o + 2] = pz + nz * radius;
+    normals[o] = nx; normals[o + 1] = ny; normals[o + 2] = nz;
+    o += 3;
+  }
+  mesh.pointIndices.fill(point, start, start + sides);
+  mesh.cellIndices.fill(mesh.segmentCells[segment], start, start + sides);
+  mesh.vertexSegments.fill(segment, start, start + sides);
+  mesh.vertex += sides;
+  return start;
+}
+
+// A tube ring around a point in the frame. At a bend (miter set) the ring lies in the bisecting
+// plane, stretched along the bend by `scale`, so the wall keeps its width through the bend.
+function addTubeRing(mesh, frame, point, segment, miter, scale) {
+  const radius = mesh.radiusData[point] || 0.1;
+  const start = writeRing(mesh, frame, point, segment, radius, 1, 0);
+  if (miter) {
+    const { positions, normals } = mesh;
+    const mx = miter[0], my = miter[1], mz = miter[2];
+    for (let o = start * 3; o < mesh.vertex * 3; o += 3) {
+      const stretch = (normals[o] * mx + normals[o + 1] * my + normals[o + 2] * mz) * (scale - 1) * radius;
+      positions[o] += stretch * mx; positions[o + 1] += stretch * my; positions[o + 2] += stretch * mz;
+    }
+  }
+  return start;
+}
+
+// Two triangles per quad between two rings, the front ring lying ahead along the tangent;
+// every triangle starts on the front ring
+function stitchRings(indices, at, back, front, sides) {
+  let index = at;
+  for (let s = 0; s < sides; s++) {
+    const next = s + 1 < sides ? s + 1 : 0;
+    indices[index++] = front + s;
+    indices[index++] = back + s;
+    indices[index++] = back + next;
+    indices[index++] = front + next;
+    indices[index++] = front + s;
+    indices[index++] = back + next;
+  }
+  return index;
+}
+
+// Triangle fan from a ring to a pole ahead of it (ahead) or behind it
+function fanToPole(indices, at, ring, pole, sides, ahead) {
+  let index = at;
+  for (let s = 0; s < sides; s++) {
+    const next = s + 1 < sides ? s + 1 : 0;
+    if (ahead) {
+      indices[index++] = ring + s;
+      indices[index++] = ring + next;
+      indices[index++] = pole;
+    } else {
+      indices[index++] = pole;
+      indices[index++] = ring + next;
+      indices[index++] = ring + s;
+    }
+  }
+  return index;
+}
+
+// A dome closing a ring at a free end, bulging ahead of the ring (ahead) or behind it
+function addCap(mesh, frame, point, segment, ring, ahead, bands) {
+  const { points, indices, sides } = mesh;
+  const radius = mesh.radiusData[point] || 0.1;
+  const sign = ahead ? 1 : -1;
+  let index = mesh.extraCursor[segment];
+  let previous = ring;
+  for (let band = 1; band < bands; band++) {
+    const angle = (band / bands) * (Math.PI / 2);
+    const start = writeRing(mesh, frame, point, segment, radius, Math.cos(angle), Math.sin(angle) * sign);
+    index = ahead ? stitchRings(indices, index, previous, start, sides) : stitchRings(indices, index, start, previous, sides);
+    previous = start;
+  }
+  const tx = frame[0] * sign, ty = frame[1] * sign, tz = frame[2] * sign;
+  const pole = writeVertex(mesh, points[point * 3] + tx * radius, points[point * 3 + 1] + ty * radius,
+    points[point * 3 + 2] + tz * radius, tx, ty, tz, point, segment);
+  mesh.extraCursor[segment] = fanToPole(indices, index, previous, pole, sides, ahead);
+}
+
+// A sphere filling the space between the tube ends at a branch point, labelled with `segment`
+function addJoint(mesh, frame, point, segment, bands) {
+  const { points, indices, sides } = mesh;
+  const radius = mesh.radiusData[point] || 0.1;
+  const px = points[point * 3], py = points[point * 3 + 1], pz = points[point * 3 + 2];
+  setFrameTangent(frame, 0, 0, 1, false);
+  let index = mesh.extraCursor[segment];
+  const bottom = writeVertex(mesh, px, py, pz - radius, 0, 0, -1, point, segment);
+  let previous = -1;
+  for (let band = 1; band < bands; band++) {
+    const polar = Math.PI - (band / bands) * Math.PI; // From the bottom pole up
+    const start = writeRing(mesh, frame, point, segment, radius, Math.sin(polar), Math.cos(polar));
+    index = previous < 0
+      ? fanToPole(indices, index, start, bottom, sides, false)
+      : stitchRings(indices, index, previous, start, sides);
+    previous = start;
+  }
+  const top = writeVertex(mesh, px, py, pz + radius, 0, 0, 1, point, segment);
+  mesh.extraCursor[segment] = fanToPole(indices, index, previous, top, sides, true);
+}
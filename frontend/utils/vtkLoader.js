@@ -1,13 +1,90 @@
 /**
  * VTK File Loader Utility
  * Provides reusable functions for loading and processing VTK files in Three.js
+ * Supports legacy ASCII/BINARY .vtk files and VTK XML PolyData (.vtp) files
  * 
  * Usage:
  * import VTKLoader from '@/utils/vtkLoader'
  * const loader = new VTKLoader(THREE, scene)
- * await loader.loadVTKFile('/path/to/file.vtk', options)
+ * await loader.loadVTKFile('/path/to/file.vtk', { layer: 'arterial', ...options })
+ *
+ * Each loaded file is a named layer. All layers share one coordinate frame: geometry keeps
+ * its file coordinates and a common root group centres and scales the union of their bounds,
+ * so trees generated in the same space stay registered with each other.
+ *
+ * Layers coloured by arrays of the same name share one colour scale spanning all of their
+ * values, so one legend (getColorLegend) reads correctly for every layer.
+ *
+ * A lesion set (see utils/lesions.js) draws infarct regions in the same frame and dims or
+ * hides the vessels inside them on every layer.
+ *
+ * Annotations (see utils/annotations.js) are labels pinned to points of the trees; projectAnnotations
+ * gives their screen positions for an overlay to draw.
+ *
+ * Tube layers are built and drawn at the level of detail of the performance mode (see utils/levelOfDetail.js):
+ * updateLevelOfDetail, called every frame, redraws them from the same vertices when the mode or the
+ * zoom calls for it, and 'auto' picks the level from frame rates passed to reportFrameRate. Layers
+ * built for a lower mode are built again by rebuildCoarseLayers.
  */
 
+import { parseVTKBuffer } from '@/utils/vtkFormats';
+import {
+  applyDepthHighlight,
+  buildTubeArrays,
+  buildVTKGeometry,
+  computeVertexColors,
+  fillVertexColors,
+  findDataArray,
+  getArrayUnit,
+  getTupleValue
+} from '@/utils/vtkGeometry';
+import { tracePathToInlet } from '@/utils/vesselTree';
+import { loadModelGeometry, revalidateModel } from '@/utils/modelCache';
+import { DEFAULT_COLOR_SCALE, buildColorLegend, getDisplayUnit, resolveColorScale } from '@/utils/colorMaps';
+import FlowParticles, { buildFlowNetwork } from '@/utils/flowParticles';
+import {
+  AUTO_DETAIL_ORDER,
+  DETAIL_LEVELS,
+  buildDetailIndices,
+  describeTubeSegments,
+  getBuildSegments,
+  nextAutoLevel
+} from '@/utils/levelOfDetail';
+import {
+  applyLesionDimming,
+  buildVisibleIndex,
+  computeLesionMask,
+  resolveLesions,
+  serializeLesionSet,
+  toFileCoordinates
+} from '@/utils/lesions';
+
+// Flow particles per layer for each level of detail
+const FLOW_PARTICLE_COUNTS = { high: 4000, medium: 2000, low: 800 };
+
+// After 'auto' lowers the detail, how long before it may raise it again, so it does not flip back and forth
+const AUTO_RAISE_HOLD_MS = 30000;
+
+// How long the view must be still before annotation occlusion is tested again
+const ANNOTATION_OCCLUSION_DELAY_MS = 150;
+
+/**
+ * Create a VTK loading worker, or null when workers are unavailable (SSR, old browsers)
+ * @returns {Worker|null}
+ */
+function createVTKWorker() {
+  if (!process.client || typeof Worker === 'undefined') {
+    return null;
+  }
+  try {
+    const VTKWorker = require('@/utils/vtk.worker.js').default;
+    return new VTKWorker();
+  } catch (error) {
+    console.warn("[VTKLoader] Web Worker unavailable, loading on the main thread:", error);
+    return null;
+  }
+}
+
 export default class VTKLoader {
   /**
    * Initialize VTK Loader
@@ -17,33 +94,66 @@ export default class VTKLoader {
   constructor(THREE, scene) {
     this.THREE = THREE;
     this.scene = scene;
-    this.currentVTKMesh = null;
-    this.wireframeMesh = null;
+    this.layers = new Map();       // Layer name -> {mesh, wireframeMesh, data arrays, display settings}
+    this.activeLoads = new Map();  // Layer name -> load in progress, used for cancellation
+    this.modelSize = 420;          // Size of the shared frame in scene units
     this.lightingInitialized = false;
     this.performanceMode = 'high'; // Default performance mode
+    this.autoDetail = { level: 'medium', holdUntil: 0 }; // Level chosen by 'auto', see reportFrameRate
+    this.highlightRegions = [];    // Tree regions tinted on every layer, see setRegionHighlight
+    this.colorScale = { ...DEFAULT_COLOR_SCALE }; // Colour map, scaling and clamp range, see setColorScale
+    this.selection = null;         // Picked segment and its highlight objects, see setSegmentSelection
+    this.flowParticles = null;     // Layer name -> FlowParticles while the flow animation is on, see setFlowParticles
+    this.frame = null;             // Bounds of all layers in file coordinates: {center: [x, y, z], size}
+    this.lesionSet = null;         // Infarct regions shown over the trees, see setLesionSet
+    this.lesionObjects = [];       // Meshes drawing the lesions
+    this.selectedLesionId = null;  // Lesion highlighted and moved by placeLesion while editing
+    this.viewAnimation = null;     // requestAnimationFrame id of the camera transition, see animateToView
+    this.annotations = [];         // Labels pinned to the trees, see setAnnotations
+    // Which annotations vessels hide, and the view they were tested for, see updateAnnotationOcclusion
+    this.annotationOcclusion = { key: null, changedAt: 0, checked: false, occluded: new Map() };
+
+    // Root of every layer; its transform is the shared frame
+    this.root = new THREE.Group();
+    this.root.name = 'vtk-layers';
+    this.scene.add(this.root);
   }
 
   /**
    * Generic VTK file loader - can load any VTK file with custom settings
-   * @param {string} vtkFilePath - Path to VTK file
+   * Fetching, parsing and geometry building run in a Web Worker when available.
+   * The file is shown as a named layer, replacing any earlier layer of the same name;
+   * starting a new load for a layer cancels that layer's load still in progress.
+   * @param {string} vtkFilePath - Path to VTK file (.vtk legacy ASCII/BINARY or .vtp XML)
    * @param {Object} options - Configuration options
+   * @param {string} options.layer - Layer name (default: 'default')
    * @param {string} options.displayName - Display name for user (default: 'VTK Model')
    * @param {number} options.color - Hex color for the model (default: 0xff2222)
    * @param {number} options.opacity - Opacity value 0-1 (default: 0.9)
    * @param {number} options.lineWidth - Line width for line segments (auto-calculated if not provided)
    * @param {number} options.pointSize - Point size for point cloud (auto-calculated if not provided)
-   * @param {number} options.modelSize - Target model size in units (default: 420)
+   * @param {number} options.modelSize - Target size of the shared frame in units (default: 420)
    * @param {boolean} options.enableWireframe - Enable wireframe overlay (default: true)
    * @param {boolean} options.useCylinderGeometry - Use cylinder geometry with radius data (default: false)
-   * @param {number} options.cylinderSegments - Number of radial segments for cylinders (default: 8)
+   * @param {number} options.cylinderSegments - Number of radial segments for cylinders
+   *                                            (default: as the performance mode builds them, see getBuildSegments)
+   * @param {string} options.colorBy - Point/cell data array to colour by, as key ('cell:generation') or name
+   *                                     (default: the layer's current choice, else 'pressure')
+   * @param {Object} options.units - File units of data arrays by name, e.g. {pressure: 'Pa'}, for arrays
+   *                                 whose names do not state one (default: none)
+   * @param {boolean} options.cache - Reuse geometry kept in the browser's model cache (default: true), see utils/modelCache.js
    * @param {Function} options.onProgress - Progress callback function
    * @param {Function} options.onComplete - Completion callback function
-   * @returns {Promise<Object>} - {success: boolean, mesh: THREE.Object3D, error?: Error}
+   * @returns {Promise<Object>} - {success: boolean, mesh: THREE.Object3D, layer: Object, error?: Error, cancelled?: boolean}
    */
   async loadVTKFile(vtkFilePath, options = {}) {
+    const layerName = options.layer || 'default';
+    const previousLayer = this.layers.get(layerName);
+
     // Set default options with auto-scaling based on model size
     const modelSize = options.modelSize || 420; // Default target size
     const config = {
+      layer: layerName,
       displayName: 'VTK Model',
       color: 0xff2222,
       opacity: 0.9,
@@ -53,643 +163,1386 @@ export default class VTKLoader {
       pointSize: options.pointSize || Math.max(8, Math.round(modelSize / 17)), // Scale: 420→25, 280→16, 140→8
       enableWireframe: true,
       useCylinderGeometry: false, // New option for cylinder rendering
-      cylinderSegments: 8, // Number of radial segments for cylinders
+      cylinderSegments: null, // Number of radial segments for cylinders, null to follow the performance mode
+      colorBy: previousLayer ? previousLayer.colorBy : 'pressure', // Data array used for vertex colours, null for a single colour
+      units: {},
+      cache: true,
       onProgress: null,
       onComplete: null,
       ...options
     };
 
+    // One load per layer - a newer request for the same layer replaces the one in flight
+    this.cancelLoad(layerName);
+    const load = { cancelled: false, worker: null, resolve: null };
+    this.activeLoads.set(layerName, load);
+
     // Call progress callback
     if (config.onProgress) {
       config.onProgress(`Loading ${config.displayName}...`, 0);
     }
 
     try {
-      // Fetch and parse VTK file
-      const vtkData = await this.fetchVTKFile(vtkFilePath, config.onProgress);
-      const parseResult = this.parseVTKData(vtkData, config.onProgress, config.modelSize, config.useCylinderGeometry);
-      const { geometry, isPointCloud, radiusData, pressureData } = parseResult;
+      // Fetch, parse and build geometry arrays
+      const built = await this.buildGeometryArrays(vtkFilePath, config, load);
+      if (load.cancelled || built.cancelled) {
+        console.log(`[VTKLoader] Load of ${vtkFilePath} was cancelled`);
+        return { success: false, cancelled: true };
+      }
+      if (built.fromCache) {
+        console.log(`[VTKLoader] ${vtkFilePath} loaded from the model cache`);
+      }
+      this.activeLoads.delete(layerName);
+
+      const { geometry, isPointCloud, radiusData, pressureData } = this.createBufferGeometry(built);
       
       // Create appropriate mesh with custom settings
       const mesh = this.createVTKMesh(geometry, isPointCloud, config, radiusData, pressureData);
       
-      // Add to scene with enhanced lighting
-      this.addToScene(mesh, config);
+      // Add to scene as a layer with enhanced lighting
+      const layer = {
+        name: layerName,
+        displayName: config.displayName,
+        source: vtkFilePath,
+        mesh,
+        wireframeMesh: mesh.userData.wireframeMesh || null,
+        detailLines: mesh.userData.detailLines || null,
+        // Keep the user's display settings when a layer is reloaded
+        visible: previousLayer ? previousLayer.visible : true,
+        opacity: previousLayer ? previousLayer.opacity : config.opacity,
+        baseColor: config.color,
+        colorBy: built.colorBy,
+        arrays: built.arrays,
+        pointIndices: built.pointIndices,
+        cellIndices: built.cellIndices,
+        depthData: built.depthData,
+        units: config.units,
+        // What the layer was loaded with, for rebuildCoarseLayers
+        loadOptions: {
+          displayName: config.displayName,
+          color: config.color,
+          units: config.units,
+          useCylinderGeometry: config.useCylinderGeometry,
+          cylinderSegments: config.cylinderSegments,
+          cache: config.cache
+        },
+        // Tree structure for picking, see pickSegment
+        kind: built.kind,
+        vertexSegments: built.vertexSegments,
+        segmentPoints: built.segmentPoints,
+        segmentCells: built.segmentCells,
+        pointPositions: built.pointPositions,
+        radiusData: built.radiusData,
+        inlet: built.inlet,
+        parentIndices: built.parentIndices,
+        generationData: built.generationData,
+        treeStats: built.treeStats,
+        // Draw index of tube geometry at the current level of detail, restored when lesions stop hiding vessels
+        baseIndex: built.kind === 'tubes' ? built.indices : null,
+        lesionMask: null,
+        // Level of detail, see applyLevelOfDetail
+        fullIndex: built.kind === 'tubes' ? built.indices : null,
+        segmentRings: built.segmentRings || null,
+        segmentExtras: built.segmentExtras || null,
+        radialSegments: built.radialSegments || null,
+        tubeSegments: null,
+        detailLineIndex: null,
+        detailKey: null
+      };
+      if (layer.kind === 'tubes') {
+        layer.tubeSegments = describeTubeSegments(layer);
+      }
+      this.modelSize = config.modelSize;
+      this.addLayer(layer);
+      // Colours built with the layer's own range are final only while it is the sole layer
+      if (this.layers.size > 1 || this.highlightRegions.length > 0) {
+        this.applyAllLayerColors();
+      }
       
       // Call completion callback
       if (config.onComplete) {
         config.onComplete(mesh, isPointCloud, radiusData, pressureData);
       }
       
-      return { success: true, mesh, isPointCloud, radiusData, pressureData };
+      return {
+        success: true,
+        mesh,
+        isPointCloud,
+        radiusData,
+        pressureData,
+        layer: this.describeLayer(layer)
+      };
       
     } catch (error) {
+      if (load.cancelled) {
+        return { success: false, cancelled: true };
+      }
+      this.activeLoads.delete(layerName);
       console.error(`[VTKLoader] Failed to load VTK file ${vtkFilePath}:`, error);
       return { success: false, error };
     }
   }
 
   /**
-   * Fetch VTK file from server
+   * Cancel loads in progress
+   * Each pending loadVTKFile call resolves with {success: false, cancelled: true}
+   * @param {string} layerName - Layer whose load to cancel; all layers when omitted
+   */
+  cancelLoad(layerName = null) {
+    const names = layerName ? [layerName] : Array.from(this.activeLoads.keys());
+    names.forEach((name) => {
+      const load = this.activeLoads.get(name);
+      if (!load) {
+        return;
+      }
+
+      load.cancelled = true;
+      if (load.worker) {
+        load.worker.terminate();
+      }
+      if (load.resolve) {
+        load.resolve({ cancelled: true });
+      }
+      this.activeLoads.delete(name);
+    });
+  }
+
+  /**
+   * Fetch, parse and build geometry arrays, in a Web Worker when possible, or take them from the model cache
    * @param {string} vtkFilePath - Path to VTK file
-   * @param {Function} onProgress - Progress callback
-   * @returns {Promise<string>} - VTK file content as text
+   * @param {Object} config - Load configuration
+   * @param {Object} load - Active load record used for cancellation
+   * @returns {Promise<Object>} - Geometry arrays from loadModelGeometry, or {cancelled: true}
    */
-  async fetchVTKFile(vtkFilePath, onProgress = null) {
-    
-    if (onProgress) {
-      onProgress("Downloading file...", 10);
-    }
+  async buildGeometryArrays(vtkFilePath, config, load) {
+    const buildOptions = {
+      useCylinderGeometry: config.useCylinderGeometry,
+      radialSegments: config.cylinderSegments || getBuildSegments(this.getPerformanceMode()),
+      colorBy: config.colorBy,
+      colorScale: this.colorScale,
+      units: config.units,
+      cache: config.cache
+    };
+    // Workers resolve relative URLs against their own script, and cache keys need the full URL
+    const url = new URL(vtkFilePath, window.location.href).href;
 
-    const response = await fetch(vtkFilePath);
-    
-    // Check if file was found
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const worker = createVTKWorker();
+    if (worker) {
+      return this.buildInWorker(worker, url, buildOptions, config.onProgress, load);
     }
-    
-    // Read VTK file content as text
-    const vtkData = await response.text();
-    
-    if (onProgress) {
-      onProgress("File downloaded, parsing data...", 30);
+
+    // Fallback: run on the main thread
+    const built = await loadModelGeometry(url, buildOptions, config.onProgress);
+    if (built.stale) {
+      revalidateModel(url, buildOptions).catch((error) => {
+        console.warn(`[ModelCache] Could not check ${url} for changes:`, error);
+      });
     }
-    
-    return vtkData;
+    return load.cancelled ? { cancelled: true } : built;
   }
 
   /**
-   * Parse VTK file format and convert to Three.js geometry
-   * @param {string} vtkData - VTK file content
+   * Run a load in a worker and resolve with its transferred geometry arrays
+   * @param {Worker} worker - VTK worker instance
+   * @param {string} url - Absolute URL of the VTK file
+   * @param {Object} buildOptions - Options passed to loadModelGeometry
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} load - Active load record used for cancellation
+   * @returns {Promise<Object>} - Geometry arrays, or {cancelled: true}
+   */
+  buildInWorker(worker, url, buildOptions, onProgress, load) {
+    return new Promise((resolve, reject) => {
+      load.worker = worker;
+      load.resolve = resolve;
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'progress') {
+          if (onProgress && !load.cancelled) {
+            onProgress(message.message, message.progress);
+          }
+          return;
+        }
+
+        if (message.type === 'revalidated') {
+          worker.terminate();
+          return;
+        }
+        // A stale cached model is shown at once; the worker stays to check its file in the background
+        if (message.type !== 'result' || !message.result.stale) {
+          worker.terminate();
+        }
+        if (message.type === 'result') {
+          resolve(message.result);
+        } else {
+          reject(new Error(message.message));
+        }
+      };
+
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(event.message || 'VTK worker failed'));
+      };
+
+      worker.postMessage({ type: 'load', url, options: buildOptions });
+    });
+  }
+
+  /**
+   * Parse raw VTK content into a dataset, reporting progress in the 30-70% band
+   * @param {ArrayBuffer|string} vtkData - VTK file content
+   * @param {Function} onProgress - Progress callback
+   * @returns {Object} - Parsed dataset (see vtkFormats)
+   */
+  parseVTKDataset(vtkData, onProgress = null) {
+    return parseVTKBuffer(vtkData, (fraction) => {
+      if (onProgress) {
+        onProgress("Parsing VTK data...", 30 + fraction * 40); // 30-70% progress
+      }
+    });
+  }
+
+  /**
+   * Parse VTK file content and convert to Three.js geometry on the main thread
+   * Supports legacy ASCII, legacy BINARY and XML PolyData (.vtp) files.
+   * The geometry is centred and scaled on its own, outside the shared layer frame.
+   * @param {ArrayBuffer|string} vtkData - VTK file content
    * @param {Function} onProgress - Progress callback
    * @param {number} modelSize - Target model size in units (default: 420)
    * @param {boolean} useCylinderGeometry - Whether to create cylinder geometry
-   * @returns {Object} - {geometry: THREE.BufferGeometry, isPointCloud: boolean, radiusData: Array, pressureData: Array}
+   * @returns {Object} - {geometry: THREE.BufferGeometry, isPointCloud: boolean, radiusData: Float32Array, pressureData: Float32Array}
    */
   parseVTKData(vtkData, onProgress = null, modelSize, useCylinderGeometry = false) {
-    
-    if (onProgress) {
-      onProgress("Parsing VTK data structure...", 40);
+    const dataset = this.parseVTKDataset(vtkData, onProgress);
+    const built = buildVTKGeometry(dataset, { useCylinderGeometry });
+    const result = this.createBufferGeometry(built);
+
+    const { geometry } = result;
+    const center = geometry.boundingBox.getCenter(new this.THREE.Vector3());
+    const size = geometry.boundingBox.getSize(new this.THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scale = maxDim > 0 ? (modelSize || 420) / maxDim : 1;
+    geometry.translate(-center.x, -center.y, -center.z);
+    geometry.scale(scale, scale, scale);
+    geometry.computeBoundingBox();
+
+    return result;
+  }
+
+  /**
+   * Wrap geometry arrays from buildVTKGeometry in a Three.js BufferGeometry
+   * @param {Object} built - {kind, positions, normals?, indices?, colors, radiusData, pressureData}
+   * @returns {Object} - {geometry: THREE.BufferGeometry, isPointCloud: boolean, radiusData: Float32Array, pressureData: Float32Array}
+   */
+  createBufferGeometry(built) {
+    const { kind, positions, normals, colors, indices, radiusData, pressureData } = built;
+    const geometry = new this.THREE.BufferGeometry();
+    geometry.setAttribute('position', new this.THREE.BufferAttribute(positions, 3));
+
+    if (kind === 'tubes') {
+      geometry.setAttribute('normal', new this.THREE.BufferAttribute(normals, 3));
+      geometry.setIndex(new this.THREE.BufferAttribute(indices, 1));
+    } else if (kind === 'points') {
+      // Add radius and pressure data as attributes if available
+      if (radiusData.length > 0) {
+        geometry.setAttribute('radius', new this.THREE.BufferAttribute(radiusData, 1));
+      }
+      if (pressureData.length > 0) {
+        geometry.setAttribute('pressure', new this.THREE.BufferAttribute(pressureData, 1));
+      }
     }
-    
-    // Split file content into lines for processing
-    const lines = vtkData.split('\n');
-    const vertices = [];        // Final array of vertex coordinates for Three.js
-    let isReadingPoints = false; // Flag: currently reading point coordinates
-    let isReadingCells = false;  // Flag: currently reading cell connectivity
-    let isReadingScalars = false; // Flag: currently reading scalar data
-    let isReadingRadius = false;  // Flag: currently reading radius scalar data
-    let isReadingPressure = false; // Flag: currently reading pressure scalar data
-    let points = [];            // Temporary storage for all point coordinates
-    let radiusData = [];        // Array to store radius values for each point
-    let pressureData = [];      // Array to store pressure values for each point
-    let pointCount = 0;         // Total number of points in file
-    let cellCount = 0;
-    let cellConnections = [];   // Store cell connectivity information
-
-    // Process each line of the VTK file
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Update progress periodically
-      if (onProgress && i % 1000 === 0) {
-        const progress = 40 + (i / lines.length) * 30; // 40-70% progress
-        onProgress("Parsing VTK data...", progress);
+    if (colors) {
+      geometry.setAttribute('color', new this.THREE.BufferAttribute(colors, 3));
+    }
+
+    geometry.computeBoundingBox();
+    return { geometry, isPointCloud: kind === 'points', radiusData, pressureData };
+  }
+
+  /**
+   * Recolour a layer by another data array without reloading it
+   * @param {string} layerName - Layer name
+   * @param {string|null} colorBy - Array key or name, null for the layer's single colour
+   * @returns {string|null} - Key of the array now used, or null
+   */
+  setLayerColorBy(layerName, colorBy) {
+    const layer = this.layers.get(layerName);
+    if (!layer) {
+      return null;
+    }
+
+    const array = findDataArray(layer.arrays, colorBy, layer.cellIndices !== null);
+    layer.colorBy = array ? array.key : null;
+    // The shared range of the old and new arrays may change
+    this.applyAllLayerColors();
+    return layer.colorBy;
+  }
+
+  /**
+   * Change the colour map, scaling or clamp range used by every data-coloured layer
+   * @param {Object} settings - Any of {colorMap: 'legacy'|'viridis'|'puor', scale: 'linear'|'log',
+   *                            clampMin, clampMax (display units, null for the data range)}
+   * @returns {Object|null} - Updated legend, see getColorLegend
+   */
+  setColorScale(settings) {
+    this.colorScale = { ...this.colorScale, ...settings };
+    this.applyAllLayerColors();
+    return this.getColorLegend();
+  }
+
+  /**
+   * Resolve the colour scale for an array of a layer, spanning every layer coloured by an array of that name
+   * @param {Object} layer - Layer record
+   * @param {Object} array - Data array of that layer
+   * @returns {Object} - Resolved colour scale, see resolveColorScale
+   */
+  getLayerColorScale(layer, array) {
+    const unit = getArrayUnit(array, layer.units);
+    const { factor } = resolveColorScale([0, 0], this.colorScale, unit);
+
+    // Shared range in this layer's file unit
+    let min = Infinity;
+    let max = -Infinity;
+    this.layers.forEach((other) => {
+      const otherArray = other.colorBy ? other.arrays.find(item => item.key === other.colorBy) : null;
+      if (!otherArray || otherArray.name !== array.name) {
+        return;
       }
-      
-      // Detect POINTS section - contains 3D coordinates
-      if (line.startsWith('POINTS')) {
-        const parts = line.split(' ');
-        pointCount = parseInt(parts[1]); // Extract number of points
-        isReadingPoints = true;
-        isReadingCells = false;
-        isReadingScalars = false;
-        isReadingRadius = false;
-        isReadingPressure = false;
-        continue;
+      const otherFactor = resolveColorScale([0, 0], this.colorScale, getArrayUnit(otherArray, other.units)).factor;
+      min = Math.min(min, otherArray.range[0] * otherFactor / factor);
+      max = Math.max(max, otherArray.range[1] * otherFactor / factor);
+    });
+
+    return resolveColorScale(min <= max ? [min, max] : array.range, this.colorScale, unit);
+  }
+
+  /**
+   * Legend for the array shown on the first visible data-coloured layer
+   * @returns {Object|null} - Legend from buildColorLegend plus the current settings, or null when no layer is coloured by data
+   */
+  getColorLegend() {
+    const layer = Array.from(this.layers.values()).find(item => item.visible && item.colorBy);
+    const array = layer && layer.arrays.find(item => item.key === layer.colorBy);
+    if (!array) {
+      return null;
+    }
+    return {
+      ...buildColorLegend(this.getLayerColorScale(layer, array), array.name),
+      settings: { ...this.colorScale }
+    };
+  }
+
+  /**
+   * Tint regions of every layer by depth along the tree, e.g. the umbilical end
+   * @param {Array<Object>} regions - [{end: 0 (inlet) | 1 (terminal branches), extent: 0-1, intensity: 0-1, color: '#rrggbb'}],
+   *                                  empty to clear
+   */
+  setRegionHighlight(regions = []) {
+    this.highlightRegions = regions.map(region => ({
+      ...region,
+      color: new this.THREE.Color(region.color).toArray()
+    }));
+    this.applyAllLayerColors();
+  }
+
+  /**
+   * Recompute vertex colours on every layer
+   */
+  applyAllLayerColors() {
+    this.layers.forEach(layer => this.applyLayerColors(layer));
+  }
+
+  /**
+   * Recompute a layer's vertex colours from its colour-by array, base colour and region highlight
+   * @param {Object} layer - Layer record
+   */
+  applyLayerColors(layer) {
+    const { mesh, arrays, pointIndices, cellIndices, baseColor, colorBy, depthData } = layer;
+    const array = colorBy ? arrays.find(item => item.key === colorBy) : null;
+    const highlight = depthData && depthData.length > 0 && this.highlightRegions.length > 0;
+    const geometry = mesh.geometry;
+    const existing = geometry.getAttribute('color');
+    const out = existing ? existing.array : null;
+
+    let colors = array ? computeVertexColors(array, pointIndices, cellIndices, out, this.getLayerColorScale(layer, array)) : null;
+    if (!colors && highlight) {
+      colors = fillVertexColors(new this.THREE.Color(baseColor).toArray(), pointIndices.length, out);
+    }
+    if (colors && highlight) {
+      applyDepthHighlight(colors, depthData, pointIndices, this.highlightRegions);
+    }
+    const dimLesions = layer.lesionMask && this.lesionSet && this.lesionSet.vesselEffect === 'dim';
+    if (!colors && dimLesions) {
+      colors = fillVertexColors(new this.THREE.Color(baseColor).toArray(), pointIndices.length, out);
+    }
+    if (colors && dimLesions) {
+      applyLesionDimming(colors, layer.lesionMask, pointIndices);
+    }
+
+    if (colors) {
+      if (existing) {
+        existing.needsUpdate = true;
+      } else {
+        geometry.setAttribute('color', new this.THREE.BufferAttribute(colors, 3));
       }
-      
-      // Detect CELLS/POLYGONS/LINES section - contains connectivity information
-      if (line.startsWith('CELLS') || line.startsWith('POLYGONS') || line.startsWith('LINES')) {
-        const parts = line.split(' ');
-        if (parts.length > 1) {
-          cellCount = parseInt(parts[1]); // Extract number of cells
-        }
-        isReadingPoints = false;
-        isReadingCells = true;
-        isReadingScalars = false;
-        isReadingRadius = false;
-        isReadingPressure = false;
-        continue;
+    }
+
+    const useVertexColors = !!colors;
+    mesh.material.vertexColors = useVertexColors;
+    mesh.material.color.set(useVertexColors ? 0xffffff : baseColor);
+    mesh.material.needsUpdate = true;
+
+    // Thin vessels drawn as lines share the tube's colour attribute
+    if (layer.detailLines) {
+      const { geometry: lineGeometry, material: lineMaterial } = layer.detailLines;
+      if (colors && lineGeometry.getAttribute('color') !== geometry.getAttribute('color')) {
+        lineGeometry.setAttribute('color', geometry.getAttribute('color'));
       }
+      lineMaterial.vertexColors = useVertexColors;
+      lineMaterial.color.copy(mesh.material.color);
+      lineMaterial.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Create appropriate mesh from geometry based on type
+   * @param {THREE.BufferGeometry} geometry - Parsed geometry
+   * @param {boolean} isPointCloud - Whether to create point cloud or line segments
+   * @param {Object} config - Configuration options
+   * @param {Array} radiusData - Radius data for points (optional)
+   * @param {Array} pressureData - Pressure data for points (optional)
+   * @returns {THREE.Object3D} - Created mesh
+   */
+  createVTKMesh(geometry, isPointCloud, config, radiusData = null, pressureData = null) {
+    let vtkMesh;
+    // Vertex colours are present when the model is coloured by a data array
+    const hasVertexColors = !!geometry.getAttribute('color');
+    
+    if (isPointCloud) {
+      // Create enhanced point cloud material
+      const material = new this.THREE.PointsMaterial({
+        color: hasVertexColors ? 0xffffff : config.color,
+        vertexColors: hasVertexColors,
+        size: config.pointSize,
+        transparent: true,
+        opacity: config.opacity,
+        sizeAttenuation: true // Points get smaller with distance
+      });
+      vtkMesh = new this.THREE.Points(geometry, material);
       
-      // Detect POINT_DATA section - contains scalar data
-      if (line.startsWith('POINT_DATA')) {
-        isReadingPoints = false;
-        isReadingCells = false;
-        isReadingScalars = true;
-        isReadingRadius = false;
-        isReadingPressure = false;
-        continue;
-      }
+    } else if (config.useCylinderGeometry && radiusData && radiusData.length > 0) {
+      // Create cylinder mesh with proper material for 3D rendering
       
-      // Detect SCALARS section - check if it's radius or pressure data
-      if (line.startsWith('SCALARS')) {
-        const parts = line.split(' ');
-        if (parts.length > 1) {
-          const scalarName = parts[1].toLowerCase();
-          if (scalarName === 'radius') {
-            isReadingRadius = true;
-            isReadingPressure = false;
-          } else if (scalarName === 'pressure') {
-            isReadingRadius = false;
-            isReadingPressure = true;
-          } else {
-            isReadingRadius = false;
-            isReadingPressure = false;
-          }
-        }
-        isReadingPoints = false;
-        isReadingCells = false;
-        continue;
-      }
+      // Use vertex colors when coloured by a data array
+      const material = new this.THREE.MeshPhongMaterial({
+        color: hasVertexColors ? 0xffffff : config.color,
+        transparent: true,
+        opacity: config.opacity,
+        shininess: 30,
+        vertexColors: hasVertexColors
+      });
       
-      // Skip LOOKUP_TABLE line
-      if (line.startsWith('LOOKUP_TABLE')) {
-        continue;
+      vtkMesh = new this.THREE.Mesh(geometry, material);
+
+      // Vessels too thin to see as tubes at the current level of detail, see applyLevelOfDetail.
+      // Shares the tube's vertices; its index starts empty.
+      const lineGeometry = new this.THREE.BufferGeometry();
+      lineGeometry.setAttribute('position', geometry.getAttribute('position'));
+      if (hasVertexColors) {
+        lineGeometry.setAttribute('color', geometry.getAttribute('color'));
       }
+      lineGeometry.setIndex(new this.THREE.BufferAttribute(new Uint16Array(0), 1));
+      lineGeometry.boundingBox = geometry.boundingBox;
+      vtkMesh.userData.detailLines = new this.THREE.LineSegments(lineGeometry, new this.THREE.LineBasicMaterial({
+        color: hasVertexColors ? 0xffffff : config.color,
+        vertexColors: hasVertexColors,
+        transparent: true,
+        opacity: config.opacity
+      }));
       
-      // Read point coordinates (x, y, z values)
-      if (isReadingPoints && points.length < pointCount * 3) {
-        // Split line into numbers, filter empty strings, convert to float
-        const coords = line.split(' ').filter(x => x !== '').map(parseFloat);
-        points.push(...coords); // Add all coordinates to points array
-      }
+    } else {
+      // Create line segment visualization
       
-      // Read radius scalar data
-      if (isReadingRadius && radiusData.length < pointCount) {
-        const radii = line.split(' ').filter(x => x !== '').map(parseFloat);
-        radiusData.push(...radii);
-      }
+      // Main vessel material
+      const vesselMaterial = new this.THREE.LineBasicMaterial({
+        color: hasVertexColors ? 0xffffff : config.color,
+        vertexColors: hasVertexColors,
+        linewidth: config.lineWidth,
+        transparent: true,
+        opacity: config.opacity
+      });
       
-      // Read pressure scalar data
-      if (isReadingPressure && pressureData.length < pointCount) {
-        const pressures = line.split(' ').filter(x => x !== '').map(parseFloat);
-        pressureData.push(...pressures);
-      }
+      vtkMesh = new this.THREE.LineSegments(geometry, vesselMaterial);
       
-      // Read cell connectivity data
-      if (isReadingCells && line.trim() !== '' && 
-          !line.startsWith('CELL_TYPES') && 
-          !line.startsWith('POINT_DATA') && 
-          !line.startsWith('SCALARS') &&
-          !line.startsWith('LOOKUP_TABLE')) {
+      // Add wireframe overlay for enhanced detail if enabled
+      if (config.enableWireframe) {
+        const wireframeMaterial = new this.THREE.LineBasicMaterial({
+          color: (config.color & 0xffffff) | 0x888888, // Lighter version of main color
+          linewidth: Math.max(1, config.lineWidth - 2),
+          transparent: true,
+          opacity: config.opacity * 0.3
+        });
         
-        // Parse indices that define how points connect to form lines/polygons
-        const parts = line.split(' ').filter(x => x !== '');
-        const indices = parts.map(x => parseInt(x)).filter(x => !isNaN(x)); // Filter out NaN values
+        const wireframeMesh = new this.THREE.LineSegments(geometry, wireframeMaterial);
+        // Very slightly larger for wireframe effect (reduced from 1.01), scaled about the geometry centre
+        const wireframeScale = 1.005;
+        const center = geometry.boundingBox.getCenter(new this.THREE.Vector3());
+        wireframeMesh.scale.setScalar(wireframeScale);
+        wireframeMesh.position.copy(center).multiplyScalar(1 - wireframeScale);
         
-        if (indices.length > 1) {
-          const cellSize = indices[0]; // First number = how many points in this cell
-          
-          // Store cell connection for later processing
-          if (indices.length === cellSize + 1) {
-            cellConnections.push(indices);
-            
-            // For non-cylinder geometry, create line segments immediately
-            if (!useCylinderGeometry) {
-            // For VTK lines/polylines, connect consecutive points in sequence
-            for (let j = 1; j < cellSize; j++) {
-              const idx1 = indices[j];     // Current point index
-              const idx2 = indices[j + 1]; // Next point index
-              
-              // Check if we have a valid next point (not the last point in cell)
-              if (idx2 !== undefined && !isNaN(idx1) && !isNaN(idx2)) {
-                // Ensure indices are valid (within bounds of points array)
-                if (idx1 * 3 + 2 < points.length && idx2 * 3 + 2 < points.length) {
-                  // Add line segment: 6 coordinates (x1,y1,z1,x2,y2,z2)
-                  vertices.push(
-                    points[idx1 * 3], points[idx1 * 3 + 1], points[idx1 * 3 + 2], // First point
-                    points[idx2 * 3], points[idx2 * 3 + 1], points[idx2 * 3 + 2]  // Second point
-                  );
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-      
-      // Stop reading cells if we encounter other sections
-      if (line.startsWith('CELL_TYPES') || line.startsWith('POINT_DATA')) {
-        isReadingCells = false;
+        vtkMesh.userData.wireframeMesh = wireframeMesh;
       }
     }
+    
+    return vtkMesh;
+  }
 
+  /**
+   * Add a layer to the scene with enhanced lighting, replacing any layer of the same name
+   * @param {Object} layer - Layer record created by loadVTKFile
+   */
+  addLayer(layer) {
+    // A replaced layer keeps its place in the layer order
+    const previousLayer = this.layers.get(layer.name);
+    if (previousLayer) {
+      this.disposeLayerObjects(previousLayer);
+    }
+    if (this.selection && this.selection.segment.layer === layer.name) {
+      this.clearSegmentSelection();
+    }
     
-    // Create Three.js BufferGeometry from parsed data
-    const geometry = new this.THREE.BufferGeometry();
+    // Setup enhanced lighting (only once)
+    this.setupSceneLighting();
     
-    // If cylinder geometry is requested and we have radius data, create cylinders
-    if (useCylinderGeometry && radiusData.length > 0 && cellConnections.length > 0) {
-      const cylinderGeometry = this.createCylinderGeometry(points, radiusData, pressureData, cellConnections, modelSize);
-      return { geometry: cylinderGeometry, isPointCloud: false, radiusData, pressureData };
-    }
+    this.layers.set(layer.name, layer);
+    this.root.add(layer.mesh);
     
-    // Debug: if no vertices created, there might be an issue with cell parsing
-    if (vertices.length === 0) {
-      console.warn("[VTKLoader] No line segments created! Using point cloud fallback.");
+    // Add wireframe overlay if it exists
+    if (layer.wireframeMesh) {
+      this.root.add(layer.wireframeMesh);
+    }
+    if (layer.detailLines) {
+      this.root.add(layer.detailLines);
     }
     
-    // If no line segments were created, create a point cloud as fallback
-    if (vertices.length === 0 && points.length > 0) {
-      // Use original points for point cloud
-      geometry.setAttribute('position', new this.THREE.Float32BufferAttribute(points, 3));
-      
-      // Add radius and pressure data as attributes if available
+    if (this.flowParticles) {
+      this.createFlowParticles(layer);
+    }
+
+    this.setLayerVisibility(layer.name, layer.visible);
+    this.setLayerOpacity(layer.name, layer.opacity);
+    this.updateSharedFrame();
+  }
+
+  /**
+   * Remove a layer from the scene and free its GPU resources
+   * @param {string} layerName - Layer name
+   * @param {boolean} updateFrame - Re-fit the shared frame and colour scales to the remaining layers (default: true)
+   * @returns {boolean} - Whether a layer was removed
+   */
+  removeLayer(layerName, updateFrame = true) {
+    const layer = this.layers.get(layerName);
+    if (!layer) {
+      return false;
+    }
+
+    this.disposeLayerObjects(layer);
+    this.layers.delete(layerName);
+    if (this.selection && this.selection.segment.layer === layerName) {
+      this.clearSegmentSelection();
+    }
+
+    if (updateFrame) {
+      this.updateSharedFrame();
+      this.applyAllLayerColors();
+    }
+    return true;
+  }
+
+  /**
+   * Detach a layer's meshes from the scene and dispose their geometry and materials
+   * @param {Object} layer - Layer record
+   */
+  disposeLayerObjects(layer) {
+    [layer.mesh, layer.wireframeMesh, layer.detailLines].filter(Boolean).forEach((object) => {
+      this.root.remove(object);
+      object.material.dispose();
+    });
+    layer.mesh.geometry.dispose();
+    if (layer.detailLines) {
+      layer.detailLines.geometry.dispose();
+    }
+    this.disposeFlowParticles(layer.name);
+  }
+
+  /**
+   * Fit the shared frame to the union of all layer bounds:
+   * centred on the origin, largest dimension equal to modelSize
+   * Hidden layers still count, so toggling visibility never moves the model.
+   */
+  updateSharedFrame() {
+    const bounds = new this.THREE.Box3();
+    this.layers.forEach((layer) => {
+      if (layer.mesh.geometry.boundingBox) {
+        bounds.union(layer.mesh.geometry.boundingBox);
+      }
+    });
+
+    if (bounds.isEmpty()) {
+      this.root.position.set(0, 0, 0);
+      this.root.scale.setScalar(1);
+      this.frame = null;
+      this.applyLesions();
+      return;
+    }
+
+    const center = bounds.getCenter(new this.THREE.Vector3());
+    const size = bounds.getSize(new this.THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scale = maxDim > 0 ? this.modelSize / maxDim : 1;
+
+    this.root.scale.setScalar(scale);
+    this.root.position.copy(center).multiplyScalar(-scale);
+    this.root.updateMatrixWorld(true);
+
+    // Lesions in normalized coordinates follow the frame
+    this.frame = { center: center.toArray(), size: maxDim };
+    this.applyLesions();
+  }
+
+  /**
+   * Change the size of the shared frame, rescaling the loaded layers without reloading them
+   * @param {number} modelSize - Target size of the largest dimension in units
+   */
+  setModelSize(modelSize) {
+    this.modelSize = modelSize;
+    this.updateSharedFrame();
+    if (this.flowParticles) {
+      this.flowParticles.forEach(particles => particles.setSize(this.getFlowParticleSize()));
+    }
+  }
+
+  /**
+   * Show or hide a layer
+   * @param {string} layerName - Layer name
+   * @param {boolean} visible - Visibility
+   */
+  setLayerVisibility(layerName, visible) {
+    const layer = this.layers.get(layerName);
+    if (!layer) {
+      return;
+    }
+    layer.visible = visible;
+    layer.mesh.visible = visible;
+    if (layer.wireframeMesh) {
+      layer.wireframeMesh.visible = visible;
+    }
+    if (layer.detailLines) {
+      layer.detailLines.visible = visible;
+    }
+    if (this.flowParticles && this.flowParticles.has(layerName)) {
+      this.flowParticles.get(layerName).object.visible = visible;
+    }
+  }
+
+  /**
+   * Set the opacity of a layer
+   * @param {string} layerName - Layer name
+   * @param {number} opacity - Opacity value 0-1
+   */
+  setLayerOpacity(layerName, opacity) {
+    const layer = this.layers.get(layerName);
+    if (!layer) {
+      return;
+    }
+    layer.opacity = opacity;
+    layer.mesh.material.opacity = opacity;
+    // Opaque layers write depth so overlapping trees sort correctly
+    layer.mesh.material.depthWrite = opacity >= 1;
+    layer.mesh.material.needsUpdate = true;
+    if (layer.wireframeMesh) {
+      layer.wireframeMesh.material.opacity = opacity * 0.3;
+    }
+    if (layer.detailLines) {
+      layer.detailLines.material.opacity = opacity;
+    }
+  }
+
+  /**
+   * Find the vessel segment under a ray, e.g. from a pointer click
+   * @param {THREE.Raycaster} raycaster - Raycaster set from the camera and pointer position
+   * @returns {Object|null} - Segment description (see describeSegment), or null when no visible layer is hit
+   */
+  pickSegment(raycaster) {
+    const layers = Array.from(this.layers.values()).filter(layer => layer.visible && layer.pointPositions);
+    const hits = raycaster.intersectObjects(layers.map(layer => layer.mesh), false);
+    if (hits.length === 0) {
+      return null;
+    }
+
+    const hit = hits[0];
+    const layer = layers.find(item => item.mesh === hit.object);
+    // Tube hits report a triangle, line and point hits a vertex
+    const vertex = hit.face ? hit.face.a : hit.index;
+    return this.describeSegment(layer, layer.vertexSegments[vertex]);
+  }
+
+  /**
+   * Select a segment by layer and build-order index, e.g. for a tour step
+   * @param {string} layerName - Layer name
+   * @param {number} segmentIndex - Segment index in build order, as shown by the segment inspector
+   * @returns {Object|null} - Segment description (see describeSegment), or null when the layer has no such segment
+   */
+  selectSegment(layerName, segmentIndex) {
+    const layer = this.layers.get(layerName);
+    const segmentCount = layer && layer.pointPositions ? layer.segmentPoints.length / 2 : 0;
+    if (!(segmentIndex >= 0 && segmentIndex < segmentCount)) {
+      console.warn(`[VTKLoader] No segment ${segmentIndex} in layer ${layerName}`);
+      this.clearSegmentSelection();
+      return null;
+    }
+
+    const segment = this.describeSegment(layer, segmentIndex);
+    this.setSegmentSelection(segment);
+    return segment;
+  }
+
+  /**
+   * Describe one vessel segment of a layer for the segment inspector
+   * Point data are averaged over the segment's two end points; values with a known file unit
+   * are converted for display as on the colour legend. Lengths and radii are in file units.
+   * @param {Object} layer - Layer record
+   * @param {number} segmentIndex - Segment index in build order
+   * @returns {Object} - {layer, layerDisplayName, segmentIndex, cellIndex, pointIndices: [upstream, downstream],
+   *                      length, generation, depth, values: [{name, association, value, unit}],
+   *                      path: {length, segmentCount, branchPoints, vessels: [{generation, length, radius}]}}
+   */
+  describeSegment(layer, segmentIndex) {
+    const { segmentPoints, segmentCells, parentIndices } = layer;
+    let upstream = segmentPoints[segmentIndex * 2];
+    let downstream = segmentPoints[segmentIndex * 2 + 1];
+    if (parentIndices[upstream] === downstream) {
+      [upstream, downstream] = [downstream, upstream];
+    }
+    const cellIndex = segmentCells ? segmentCells[segmentIndex] : null;
+
+    const values = layer.arrays.map((array) => {
+      const raw = array.association === 'cell' ?
+        (cellIndex !== null ? getTupleValue(array, cellIndex) : null) :
+        (getTupleValue(array, upstream) + getTupleValue(array, downstream)) / 2;
+      const display = getDisplayUnit(getArrayUnit(array, layer.units));
+      return {
+        name: array.name,
+        association: array.association,
+        value: raw !== null ? raw * display.factor : null,
+        unit: display.unit
+      };
+    });
+
+    return {
+      layer: layer.name,
+      layerDisplayName: layer.displayName,
+      segmentIndex,
+      cellIndex,
+      pointIndices: [upstream, downstream],
+      length: this.pointDistance(layer, upstream, downstream),
+      generation: layer.generationData[downstream] || null,
+      depth: layer.depthData[downstream] >= 0 ? layer.depthData[downstream] : null,
+      values,
+      path: this.describePathToInlet(layer, downstream)
+    };
+  }
+
+  /**
+   * Summarise the path from a point back to the umbilical insertion, one entry per vessel generation
+   * @param {Object} layer - Layer record
+   * @param {number} pointIndex - Starting point
+   * @returns {Object} - {length, segmentCount, branchPoints, vessels: [{generation, length, radius}] from the point to the inlet}
+   */
+  describePathToInlet(layer, pointIndex) {
+    const { generationData, radiusData } = layer;
+    const path = tracePathToInlet(layer.parentIndices, pointIndex);
+    const vessels = [];
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+      const point = path[i - 1];
+      const segmentLength = this.pointDistance(layer, point, path[i]);
+      const generation = generationData[point];
+      let vessel = vessels[vessels.length - 1];
+      if (!vessel || vessel.generation !== generation) {
+        vessel = { generation, length: 0, radius: radiusData.length > 0 ? radiusData[point] : null };
+        vessels.push(vessel);
+      }
+      vessel.length += segmentLength;
+      // Report the widest radius along each vessel, i.e. where it leaves its parent
       if (radiusData.length > 0) {
-        geometry.setAttribute('radius', new this.THREE.Float32BufferAttribute(radiusData, 1));
+        vessel.radius = Math.max(vessel.radius, radiusData[path[i]]);
       }
-      if (pressureData.length > 0) {
-        geometry.setAttribute('pressure', new this.THREE.Float32BufferAttribute(pressureData, 1));
+      length += segmentLength;
+    }
+
+    return {
+      length,
+      segmentCount: path.length - 1,
+      branchPoints: Math.max(0, vessels.length - 1),
+      vessels
+    };
+  }
+
+  /**
+   * Distance between two points of a layer in file units
+   * @param {Object} layer - Layer record
+   * @param {number} a - Point index
+   * @param {number} b - Point index
+   * @returns {number}
+   */
+  pointDistance(layer, a, b) {
+    const p = layer.pointPositions;
+    const dx = p[a * 3] - p[b * 3];
+    const dy = p[a * 3 + 1] - p[b * 3 + 1];
+    const dz = p[a * 3 + 2] - p[b * 3 + 2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * Highlight a picked segment and draw its path back to the inlet
+   * @param {Object} segment - Segment description from pickSegment/describeSegment
+   */
+  setSegmentSelection(segment) {
+    this.clearSegmentSelection();
+    const layer = this.layers.get(segment.layer);
+    if (!layer) {
+      return;
+    }
+
+    const THREE = this.THREE;
+    const objects = [];
+    const [upstream, downstream] = segment.pointIndices;
+    const ends = new Float32Array(6);
+    [upstream, downstream].forEach((point, i) => {
+      ends.set(layer.pointPositions.subarray(point * 3, point * 3 + 3), i * 3);
+    });
+
+    if (layer.kind === 'tubes') {
+      // A slightly wider tube around the segment
+      const radius = Float32Array.from([upstream, downstream], point => layer.radiusData[point] * 1.3);
+      const tube = buildTubeArrays(ends, radius, [[2, 0, 1]], 12);
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(tube.positions, 3));
+      geometry.setAttribute('normal', new THREE.BufferAttribute(tube.normals, 3));
+      geometry.setIndex(new THREE.BufferAttribute(tube.indices, 1));
+      objects.push(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0xffd600, transparent: true, opacity: 0.85 })));
+    } else {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(ends, 3));
+      objects.push(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffd600, linewidth: 3 })));
+    }
+
+    // Path to the inlet, drawn on top of the vessels so it stays visible inside the tree
+    const pathPoints = tracePathToInlet(layer.parentIndices, downstream);
+    const pathPositions = new Float32Array(pathPoints.length * 3);
+    pathPoints.forEach((point, i) => {
+      pathPositions.set(layer.pointPositions.subarray(point * 3, point * 3 + 3), i * 3);
+    });
+    const pathGeometry = new THREE.BufferGeometry();
+    pathGeometry.setAttribute('position', new THREE.BufferAttribute(pathPositions, 3));
+    const pathLine = new THREE.Line(pathGeometry, new THREE.LineBasicMaterial({ color: 0x4dd0e1, depthTest: false, transparent: true }));
+    pathLine.renderOrder = 10;
+    objects.push(pathLine);
+
+    objects.forEach(object => this.root.add(object));
+    this.selection = { segment, objects };
+  }
+
+  /**
+   * Remove the picked segment highlight
+   */
+  clearSegmentSelection() {
+    if (!this.selection) {
+      return;
+    }
+    this.selection.objects.forEach((object) => {
+      this.root.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    this.selection = null;
+  }
+
+  /**
+   * Turn the blood flow particle animation on or off for every layer
+   * Particles run away from the umbilical cord insertion through the arterial tree and towards it
+   * through the venous tree. Call updateFlowParticles every frame to move them.
+   * @param {boolean} enabled - Whether to show flow particles
+   */
+  setFlowParticles(enabled) {
+    if (!enabled) {
+      Array.from(this.layers.keys()).forEach(layerName => this.disposeFlowParticles(layerName));
+      this.flowParticles = null;
+      return;
+    }
+    if (this.flowParticles) {
+      return;
+    }
+    this.flowParticles = new Map();
+    this.layers.forEach(layer => this.createFlowParticles(layer));
+  }
+
+  /**
+   * Create the flow particles of one layer, replacing any it has
+   * @param {Object} layer - Layer record
+   */
+  createFlowParticles(layer) {
+    this.disposeFlowParticles(layer.name);
+    const network = buildFlowNetwork(layer, layer.name === 'venous');
+    if (network.segmentCount === 0) {
+      return;
+    }
+
+    const particles = new FlowParticles(this.THREE, network, {
+      count: FLOW_PARTICLE_COUNTS[this.getDetailLevel()],
+      size: this.getFlowParticleSize()
+    });
+    particles.object.visible = layer.visible;
+    this.root.add(particles.object);
+    this.flowParticles.set(layer.name, particles);
+    console.log(`[VTKLoader] Flow particles for ${layer.name}: speed from ${network.flowArray || 'uniform flow'}`);
+  }
+
+  /**
+   * Remove one layer's flow particles
+   * @param {string} layerName - Layer name
+   */
+  disposeFlowParticles(layerName) {
+    const particles = this.flowParticles && this.flowParticles.get(layerName);
+    if (!particles) {
+      return;
+    }
+    this.root.remove(particles.object);
+    particles.dispose();
+    this.flowParticles.delete(layerName);
+  }
+
+  /**
+   * Move the flow particles of the visible layers
+   * @param {number} dt - Seconds since the last update
+   * @param {number} pulse - Flow velocity relative to its cycle mean, e.g. from the waveform playhead (default: 1)
+   */
+  updateFlowParticles(dt, pulse = 1) {
+    if (!this.flowParticles) {
+      return;
+    }
+    this.flowParticles.forEach((particles, layerName) => {
+      if (this.layers.get(layerName).visible) {
+        particles.update(dt, pulse);
       }
-      
-      return { geometry, isPointCloud: true, radiusData, pressureData }; 
+    });
+  }
+
+  // Particle size in scene units; particles are not scaled with the shared frame
+  getFlowParticleSize() {
+    return this.modelSize / 120;
+  }
+
+  /**
+   * Show a lesion set over the trees, replacing any shown
+   * @param {Object|null} lesionSet - Set from lesions.parseLesionSet, or null to remove the lesions
+   */
+  setLesionSet(lesionSet) {
+    this.lesionSet = lesionSet;
+    this.selectedLesionId = null;
+    this.applyLesions();
+  }
+
+  /**
+   * Redraw the lesions and reapply their effect on every layer's vessels
+   */
+  applyLesions() {
+    this.lesionObjects.forEach((object) => {
+      this.root.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    this.lesionObjects = [];
+
+    const hadLesions = Array.from(this.layers.values()).some(layer => layer.lesionMask);
+    const lesions = this.lesionSet && this.frame ? resolveLesions(this.lesionSet, this.frame) : [];
+    lesions.forEach((lesion) => {
+      const object = this.createLesionObject(lesion);
+      this.root.add(object);
+      this.lesionObjects.push(object);
+    });
+
+    this.layers.forEach((layer) => {
+      layer.lesionMask = lesions.length > 0 ? computeLesionMask(layer.pointPositions, lesions) : null;
+      this.applyLesionVisibility(layer);
+    });
+    if (hadLesions || lesions.length > 0) {
+      this.applyAllLayerColors();
+    }
+  }
+
+  /**
+   * Create a translucent mesh for a lesion in file coordinates
+   * @param {Object} lesion - Lesion from resolveLesions
+   * @returns {THREE.Mesh}
+   */
+  createLesionObject(lesion) {
+    const THREE = this.THREE;
+    let geometry;
+    if (lesion.type === 'sphere') {
+      geometry = new THREE.SphereGeometry(lesion.radius, 32, 16);
+      geometry.translate(...lesion.center);
     } else {
-      // Set vertex positions for line segments (each vertex has 3 coordinates: x, y, z)
-      geometry.setAttribute('position', new this.THREE.Float32BufferAttribute(vertices, 3));
+      geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(Float32Array.from(lesion.vertices.flat()), 3));
+      geometry.setIndex(lesion.faces.flat());
+      geometry.computeVertexNormals();
     }
-    
-    // Calculate bounding box for centering and scaling
-    geometry.computeBoundingBox();
-    const center = geometry.boundingBox.getCenter(new this.THREE.Vector3()); // Center point
-    const size = geometry.boundingBox.getSize(new this.THREE.Vector3());     // Dimensions
-    const maxDim = Math.max(size.x, size.y, size.z);                        // Largest dimension
-    const scale = modelSize / maxDim; // Use configurable model size 
-    
-    // Transform geometry: center at origin and scale to appropriate size
-    geometry.translate(-center.x, -center.y, -center.z); // Move to center
-    geometry.scale(scale, scale, scale);                  // Scale uniformly
-    
-    return { geometry, isPointCloud: false, radiusData, pressureData };
+
+    const selected = lesion.id === this.selectedLesionId;
+    const material = new THREE.MeshPhongMaterial({
+      color: selected ? 0xffd600 : 0xe8d5b0,
+      transparent: true,
+      opacity: selected ? 0.35 : 0.25,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `lesion:${lesion.id}`;
+    mesh.renderOrder = 5;
+    return mesh;
+  }
+
+  /**
+   * Hide or restore the vessels of a layer inside lesions, following the set's vessel effect
+   * @param {Object} layer - Layer record
+   */
+  applyLesionVisibility(layer) {
+    const geometry = layer.mesh.geometry;
+    const hide = layer.lesionMask && this.lesionSet && this.lesionSet.vesselEffect === 'hide';
+    if (hide) {
+      const index = buildVisibleIndex(layer.lesionMask, layer.pointIndices, layer.kind, layer.baseIndex);
+      geometry.setIndex(new this.THREE.BufferAttribute(index, 1));
+    } else if (layer.baseIndex) {
+      if (!geometry.index || geometry.index.array !== layer.baseIndex) {
+        geometry.setIndex(new this.THREE.BufferAttribute(layer.baseIndex, 1));
+      }
+    } else if (geometry.index) {
+      geometry.setIndex(null);
+    }
+
+    if (layer.detailLines && layer.detailLineIndex) {
+      const lineIndex = hide ?
+        buildVisibleIndex(layer.lesionMask, layer.pointIndices, 'lines', layer.detailLineIndex) :
+        layer.detailLineIndex;
+      layer.detailLines.geometry.setIndex(new this.THREE.BufferAttribute(lineIndex, 1));
+    }
+  }
+
+  /**
+   * Get the shown lesions for the lesion editor, in file coordinates
+   * @returns {Object|null} - {name, label, description, vesselEffect, frameSize, selectedLesionId,
+   *                           lesions: [{id, label, type, center, radius}]}; meshes report their bounds' centre
+   *                           and a null radius. Null when no set is shown.
+   */
+  getLesionState() {
+    if (!this.lesionSet) {
+      return null;
+    }
+    const lesions = this.frame ? resolveLesions(this.lesionSet, this.frame) : [];
+    return {
+      name: this.lesionSet.name,
+      label: this.lesionSet.label,
+      description: this.lesionSet.description,
+      vesselEffect: this.lesionSet.vesselEffect,
+      frameSize: this.frame ? this.frame.size : null,
+      selectedLesionId: this.selectedLesionId,
+      lesions: lesions.map(lesion => ({
+        id: lesion.id,
+        label: lesion.label,
+        type: lesion.type,
+        center: lesion.type === 'sphere' ? lesion.center : lesion.bounds.min.map((min, c) => (min + lesion.bounds.max[c]) / 2),
+        radius: lesion.type === 'sphere' ? lesion.radius : null
+      }))
+    };
+  }
+
+  /**
+   * Switch the shown set to file coordinates so edits are made in the trees' own units
+   * @returns {Object|null} - The editable set, or null when there is no set or no loaded tree
+   */
+  getEditableLesionSet() {
+    if (!this.lesionSet || !this.frame) {
+      return null;
+    }
+    if (this.lesionSet.coordinates !== 'file') {
+      this.lesionSet = toFileCoordinates(this.lesionSet, this.frame);
+    }
+    return this.lesionSet;
+  }
+
+  /**
+   * Place a lesion on a picked vessel segment: moves the selected lesion there, or adds a new
+   * sphere when none is selected
+   * @param {Object} segment - Segment description from pickSegment
+   * @returns {string|null} - Id of the placed lesion, or null when nothing could be placed
+   */
+  placeLesion(segment) {
+    const layer = this.layers.get(segment.layer);
+    if (!layer || !this.frame) {
+      return null;
+    }
+    if (!this.lesionSet) {
+      this.lesionSet = { version: 1, name: 'Custom', label: 'Custom lesions', coordinates: 'file', vesselEffect: 'dim', lesions: [] };
+    }
+    const lesionSet = this.getEditableLesionSet();
+    const point = segment.pointIndices[1];
+    const center = Array.from(layer.pointPositions.subarray(point * 3, point * 3 + 3));
+
+    let lesion = lesionSet.lesions.find(item => item.id === this.selectedLesionId);
+    if (lesion && lesion.type === 'sphere') {
+      lesion.center = center;
+    } else {
+      let number = lesionSet.lesions.length + 1;
+      while (lesionSet.lesions.some(item => item.id === `lesion-${number}`)) {
+        number++;
+      }
+      lesion = { id: `lesion-${number}`, label: `Lesion ${number}`, type: 'sphere', center, radius: this.frame.size * 0.08 };
+      lesionSet.lesions.push(lesion);
+      this.selectedLesionId = lesion.id;
+    }
+    this.applyLesions();
+    return lesion.id;
+  }
+
+  /**
+   * Change a lesion's radius or label
+   * @param {string} lesionId - Lesion id
+   * @param {Object} changes - Any of {radius (file units), label}
+   */
+  updateLesion(lesionId, changes) {
+    const lesionSet = this.getEditableLesionSet();
+    const lesion = lesionSet && lesionSet.lesions.find(item => item.id === lesionId);
+    if (!lesion) {
+      return;
+    }
+    if (changes.radius > 0 && lesion.type === 'sphere') {
+      lesion.radius = changes.radius;
+    }
+    if (changes.label) {
+      lesion.label = changes.label;
+    }
+    this.applyLesions();
   }
 
   /**
-   * Create cylinder geometry from VTK data with radius and pressure information
-   * @param {Array} points - Array of point coordinates
-   * @param {Array} radiusData - Array of radius values for each point
-   * @param {Array} pressureData - Array of pressure values for each point
-   * @param {Array} cellConnections - Array of cell connectivity data
-   * @param {number} modelSize - Target model size for scaling
-   * @returns {THREE.BufferGeometry} - Combined cylinder geometry with color mapping
+   * Remove a lesion from the shown set
+   * @param {string} lesionId - Lesion id
    */
-  createCylinderGeometry(points, radiusData, pressureData, cellConnections, modelSize) {
-    
-    const combinedGeometry = new this.THREE.BufferGeometry();
-    const vertices = [];
-    const normals = [];
-    const colors = [];  // Add color array for pressure mapping
-    const indices = [];
-    let indexOffset = 0;
-    
-    // Number of radial segments for each cylinder
-    const radialSegments = 8;
-    
-    // Calculate pressure range for color mapping
-    let minPressure = Infinity;
-    let maxPressure = -Infinity;
-    if (pressureData.length > 0) {
-      minPressure = Math.min(...pressureData);
-      maxPressure = Math.max(...pressureData);
+  removeLesion(lesionId) {
+    const lesionSet = this.getEditableLesionSet();
+    if (!lesionSet) {
+      return;
     }
-    
-    // Process each cell connection
-    for (const connection of cellConnections) {
-      const cellSize = connection[0];
-      
-      // Create cylinders for each segment in the cell
-      for (let i = 1; i < cellSize; i++) {
-        const idx1 = connection[i];
-        const idx2 = connection[i + 1];
-        
-        if (idx2 !== undefined && idx1 < points.length / 3 && idx2 < points.length / 3) {
-          // Get point coordinates
-          const p1 = new this.THREE.Vector3(
-            points[idx1 * 3], 
-            points[idx1 * 3 + 1], 
-            points[idx1 * 3 + 2]
-          );
-          const p2 = new this.THREE.Vector3(
-            points[idx2 * 3], 
-            points[idx2 * 3 + 1], 
-            points[idx2 * 3 + 2]
-          );
-          
-          // Get radius values
-          let radius1 = radiusData[idx1] || 0.1;
-          let radius2 = radiusData[idx2] || 0.1;
-          
-          // Get pressure values and map to colors
-          let pressure1 = pressureData[idx1] || 0;
-          let pressure2 = pressureData[idx2] || 0;
-          
-          // Map pressure to color (blue = low pressure, red = high pressure)
-          const color1 = this.pressureToColor(pressure1, minPressure, maxPressure);
-          const color2 = this.pressureToColor(pressure2, minPressure, maxPressure);
-          
-          // Create tapered cylinder segment
-          const cylinderSegment = this.createTaperedCylinder(p1, p2, radius1, radius2, radialSegments, color1, color2);
-          
-          // Add vertices, normals, colors, and indices to combined geometry
-          const segmentVertices = cylinderSegment.vertices;
-          const segmentNormals = cylinderSegment.normals;
-          const segmentColors = cylinderSegment.colors;
-          const segmentIndices = cylinderSegment.indices;
-          
-          // Add vertices, normals, and colors
-          vertices.push(...segmentVertices);
-          normals.push(...segmentNormals);
-          colors.push(...segmentColors);
-          
-          // Add indices with offset
-          for (const index of segmentIndices) {
-            indices.push(index + indexOffset);
-          }
-          
-          // Update index offset
-          indexOffset += segmentVertices.length / 3;
-        }
-      }
+    lesionSet.lesions = lesionSet.lesions.filter(item => item.id !== lesionId);
+    if (this.selectedLesionId === lesionId) {
+      this.selectedLesionId = null;
     }
-    
-    // Set geometry attributes
-    combinedGeometry.setAttribute('position', new this.THREE.Float32BufferAttribute(vertices, 3));
-    combinedGeometry.setAttribute('normal', new this.THREE.Float32BufferAttribute(normals, 3));
-    combinedGeometry.setAttribute('color', new this.THREE.Float32BufferAttribute(colors, 3));
-    combinedGeometry.setIndex(indices);
-    
-    // Calculate bounding box and apply scaling
-    combinedGeometry.computeBoundingBox();
-    const center = combinedGeometry.boundingBox.getCenter(new this.THREE.Vector3());
-    const size = combinedGeometry.boundingBox.getSize(new this.THREE.Vector3());
-    const maxDim = Math.max(size.x, size.y, size.z);
-    const scale = modelSize / maxDim;
-    
-    // Transform geometry: center at origin and scale to appropriate size
-    combinedGeometry.translate(-center.x, -center.y, -center.z);
-    combinedGeometry.scale(scale, scale, scale);
-    
-    return combinedGeometry;
+    this.applyLesions();
   }
 
   /**
-   * Map pressure value to color using simplified blood pressure color scheme
-   * 3-color gradient: Green (low) → Orange (medium) → Red (high)
-   * @param {number} pressure - Pressure value
-   * @param {number} minPressure - Minimum pressure in dataset
-   * @param {number} maxPressure - Maximum pressure in dataset
-   * @returns {THREE.Color} - Color object
+   * Highlight a lesion; placeLesion then moves it
+   * @param {string|null} lesionId - Lesion id, or null to place new lesions
    */
-  pressureToColor(pressure, minPressure, maxPressure) {
-    // Normalize and apply non-linear mapping
-    const linear = maxPressure > minPressure ? 
-      (pressure - minPressure) / (maxPressure - minPressure) : 0.5;
-    const t = Math.pow(linear, 0.4); // Non-linear for more red colors
-    
-    const color = new this.THREE.Color();
-    
-    if (t < 0.5) {
-      // Green to Orange (low to medium pressure)
-      const factor = t * 2; // 0 to 1
-      color.setRGB(
-        0.23 + factor * 0.75,  // 0.23 → 0.98 (green to orange red)
-        0.70 + factor * 0.23,  // 0.70 → 0.93 (green to orange green)  
-        0.27 - factor * 0.27   // 0.27 → 0.00 (green to orange blue)
-      );
-    } else {
-      // Orange to Dark Red (medium to high pressure)
-      const factor = (t - 0.5) * 2; // 0 to 1
-      color.setRGB(
-        0.98 - factor * 0.42,  // 0.98 → 0.56 (orange to dark red)
-        0.93 - factor * 0.81,  // 0.93 → 0.12 (orange to dark red)
-        0.00                   // Keep blue at 0
-      );
-    }
-    
-    return color;
+  selectLesion(lesionId) {
+    this.selectedLesionId = lesionId;
+    this.applyLesions();
   }
 
   /**
-   * Get simplified pressure color mapping information for UI display
-   * @param {number} minPressure - Minimum pressure in dataset
-   * @param {number} maxPressure - Maximum pressure in dataset
-   * @returns {Object} - Color mapping info with samples
+   * Choose how vessels inside lesions are shown
+   * @param {string} effect - 'dim', 'hide' or 'none'
    */
-  getPressureColorMapping(minPressure, maxPressure) {
-    const samples = [];
-    const numSamples = 15; // Fewer samples for simpler display
-    
-    for (let i = 0; i < numSamples; i++) {
-      const t = i / (numSamples - 1);
-      const pressure = minPressure + (maxPressure - minPressure) * t;
-      const color = this.pressureToColor(pressure, minPressure, maxPressure);
-      
-      samples.push({
-        pressure: pressure,
-        normalizedValue: t,
-        color: `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`
-      });
+  setLesionEffect(effect) {
+    if (!this.lesionSet) {
+      return;
     }
-    
-    return {
-      minPressure,
-      maxPressure,
-      samples,
-      description: 'Pressure Color Scale',
-      colorStops: [
-        { color: '#3BB245', label: 'Low', position: 0 },
-        { color: '#FA8722', label: 'Medium', position: 0.5 },
-        { color: '#8E202A', label: 'High', position: 1 }
-      ]
-    };
+    this.lesionSet = { ...this.lesionSet, vesselEffect: effect };
+    this.applyLesions();
   }
 
   /**
-   * Create a tapered cylinder between two points with different radii and colors
-   * @param {THREE.Vector3} p1 - Start point
-   * @param {THREE.Vector3} p2 - End point
-   * @param {number} radius1 - Radius at start point
-   * @param {number} radius2 - Radius at end point
-   * @param {number} radialSegments - Number of radial segments
-   * @param {THREE.Color} color1 - Color at start point
-   * @param {THREE.Color} color2 - Color at end point
-   * @returns {Object} - {vertices: Array, normals: Array, colors: Array, indices: Array}
+   * Get the shown lesion set as a JSON file object, in file coordinates
+   * @returns {Object|null} - See lesions.serializeLesionSet; null when no set is shown
    */
-  createTaperedCylinder(p1, p2, radius1, radius2, radialSegments, color1, color2) {
-    const vertices = [];
-    const normals = [];
-    const colors = [];
-    const indices = [];
-    
-    // Calculate cylinder direction and perpendicular vectors
-    const direction = new this.THREE.Vector3().subVectors(p2, p1).normalize();
-    const length = p1.distanceTo(p2);
-    
-    // Create perpendicular vectors for cylinder cross-section
-    const up = new this.THREE.Vector3(0, 1, 0);
-    const right = new this.THREE.Vector3().crossVectors(direction, up).normalize();
-    if (right.lengthSq() < 0.1) {
-      // Direction is parallel to up vector, use different reference
-      right.crossVectors(direction, new this.THREE.Vector3(1, 0, 0)).normalize();
-    }
-    const forward = new this.THREE.Vector3().crossVectors(right, direction).normalize();
-    
-    // Generate vertices for cylinder caps
-    for (let ring = 0; ring <= 1; ring++) {
-      const t = ring; // 0 for start, 1 for end
-      const currentPos = new this.THREE.Vector3().lerpVectors(p1, p2, t);
-      const currentRadius = radius1 + (radius2 - radius1) * t;
-      const currentColor = new this.THREE.Color().lerpColors(color1, color2, t);
-      
-      for (let segment = 0; segment < radialSegments; segment++) {
-        const angle = (segment / radialSegments) * Math.PI * 2;
-        const x = Math.cos(angle) * currentRadius;
-        const y = Math.sin(angle) * currentRadius;
-        
-        // Calculate vertex position
-        const vertexPos = new this.THREE.Vector3()
-          .copy(currentPos)
-          .add(right.clone().multiplyScalar(x))
-          .add(forward.clone().multiplyScalar(y));
-        
-        vertices.push(vertexPos.x, vertexPos.y, vertexPos.z);
-        
-        // Calculate normal (pointing outward from cylinder axis)
-        const normal = new this.THREE.Vector3()
-          .copy(right.clone().multiplyScalar(x))
-          .add(forward.clone().multiplyScalar(y))
-          .normalize();
-        
-        normals.push(normal.x, normal.y, normal.z);
-        
-        // Add color
-        colors.push(currentColor.r, currentColor.g, currentColor.b);
-      }
-    }
-    
-    // Generate indices for cylinder walls
-    for (let ring = 0; ring < 1; ring++) {
-      for (let segment = 0; segment < radialSegments; segment++) {
-        const current = ring * radialSegments + segment;
-        const next = ring * radialSegments + ((segment + 1) % radialSegments);
-        const currentNext = (ring + 1) * radialSegments + segment;
-        const nextNext = (ring + 1) * radialSegments + ((segment + 1) % radialSegments);
-        
-        // Two triangles per quad
-        indices.push(current, next, currentNext);
-        indices.push(currentNext, next, nextNext);
+  exportLesionSet() {
+    const lesionSet = this.getEditableLesionSet() || this.lesionSet;
+    return lesionSet ? serializeLesionSet(lesionSet) : null;
+  }
+
+  /**
+   * Pin labels to the trees, replacing any shown
+   * Anchors are placed on demand, so labels on a layer still loading appear once it is shown.
+   * @param {Array<Object>} annotations - Annotations from annotations.parseAnnotationSet, or [] to remove them
+   */
+  setAnnotations(annotations) {
+    this.annotations = annotations;
+    this.annotationOcclusion.key = null;
+    this.annotationOcclusion.occluded.clear();
+  }
+
+  /**
+   * Place the annotations on screen for the current camera
+   * Labels behind the camera, off screen, on hidden layers or behind tube vessels are not visible.
+   * @param {THREE.Camera} camera - Scene camera
+   * @param {number} width - Canvas width in CSS pixels
+   * @param {number} height - Canvas height in CSS pixels
+   * @returns {Array<Object>} - [{id, x, y, visible}] in annotation order, x and y in pixels from the canvas's top left
+   */
+  projectAnnotations(camera, width, height) {
+    const anchors = this.annotations.map(annotation => this.getAnnotationAnchor(annotation));
+    this.updateAnnotationOcclusion(camera, anchors);
+
+    const projected = new this.THREE.Vector3();
+    return this.annotations.map((annotation, i) => {
+      const anchor = anchors[i];
+      if (!anchor) {
+        return { id: annotation.id, x: 0, y: 0, visible: false };
       }
-    }
-    
-    return { vertices, normals, colors, indices };
+      projected.copy(anchor.position).project(camera);
+      // Depths outside -1 to 1 are behind the camera or beyond the far plane
+      const inView = Math.abs(projected.z) < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+      return {
+        id: annotation.id,
+        x: (projected.x + 1) / 2 * width,
+        y: (1 - projected.y) / 2 * height,
+        visible: inView && !this.annotationOcclusion.occluded.get(annotation.id)
+      };
+    });
   }
 
   /**
-   * Create appropriate mesh from geometry based on type
-   * @param {THREE.BufferGeometry} geometry - Parsed geometry
-   * @param {boolean} isPointCloud - Whether to create point cloud or line segments
-   * @param {Object} config - Configuration options
-   * @param {Array} radiusData - Radius data for points (optional)
-   * @param {Array} pressureData - Pressure data for points (optional)
-   * @returns {THREE.Object3D} - Created mesh
+   * Find where an annotation is pinned in scene coordinates
+   * @param {Object} annotation - Annotation from annotations.parseAnnotationSet
+   * @returns {Object|null} - {position: THREE.Vector3, radius: vessel radius in scene units, 0 for position anchors};
+   *                          null when its layer is hidden or not loaded, or has no such segment
    */
-  createVTKMesh(geometry, isPointCloud, config, radiusData = null, pressureData = null) {
-    let vtkMesh;
-    
-    if (isPointCloud) {
-      // Create enhanced point cloud material
-      const material = new this.THREE.PointsMaterial({
-        color: config.color,
-        size: config.pointSize,
-        transparent: true,
-        opacity: config.opacity,
-        sizeAttenuation: true // Points get smaller with distance
-      });
-      vtkMesh = new this.THREE.Points(geometry, material);
-      
-    } else if (config.useCylinderGeometry && radiusData && radiusData.length > 0) {
-      // Create cylinder mesh with proper material for 3D rendering
-      
-      // Use vertex colors if pressure data is available
-      const material = new this.THREE.MeshPhongMaterial({
-        color: pressureData && pressureData.length > 0 ? 0xffffff : config.color,
-        transparent: true,
-        opacity: config.opacity,
-        shininess: 30,
-        vertexColors: pressureData && pressureData.length > 0 // Enable vertex colors for pressure mapping
-      });
-      
-      vtkMesh = new this.THREE.Mesh(geometry, material);
-      
+  getAnnotationAnchor({ anchor }) {
+    const position = new this.THREE.Vector3();
+    let radius = 0;
+
+    if (anchor.type === 'position') {
+      if (!this.frame) {
+        return null;
+      }
+      const { center, size } = this.frame;
+      position.fromArray(anchor.coordinates === 'normalized' ?
+        anchor.position.map((value, c) => center[c] + value * size) :
+        anchor.position);
     } else {
-      // Create line segment visualization
-      
-      // Main vessel material
-      const vesselMaterial = new this.THREE.LineBasicMaterial({
-        color: config.color,
-        linewidth: config.lineWidth,
-        transparent: true,
-        opacity: config.opacity
-      });
-      
-      vtkMesh = new this.THREE.LineSegments(geometry, vesselMaterial);
-      
-      // Add wireframe overlay for enhanced detail if enabled
-      if (config.enableWireframe) {
-        const wireframeMaterial = new this.THREE.LineBasicMaterial({
-          color: (config.color & 0xffffff) | 0x888888, // Lighter version of main color
-          linewidth: Math.max(1, config.lineWidth - 2),
-          transparent: true,
-          opacity: config.opacity * 0.3
-        });
-        
-        const wireframeMesh = new this.THREE.LineSegments(geometry, wireframeMaterial);
-        wireframeMesh.position.copy(vtkMesh.position);
-        wireframeMesh.scale.copy(vtkMesh.scale);
-        wireframeMesh.scale.multiplyScalar(1.005); // Very slightly larger for wireframe effect (reduced from 1.01)
-        
-        this.wireframeMesh = wireframeMesh;
+      const layer = this.layers.get(anchor.layer);
+      if (!layer || !layer.visible || !layer.pointPositions) {
+        return null;
+      }
+      let points = [];
+      if (anchor.type === 'inlet') {
+        points = layer.inlet >= 0 ? [layer.inlet] : [];
+      } else {
+        const first = anchor.segmentIndex * 2;
+        if (first + 2 <= layer.segmentPoints.length) {
+          points = [layer.segmentPoints[first], layer.segmentPoints[first + 1]];
+        }
+      }
+      if (points.length === 0) {
+        return null;
       }
+      // The middle of a segment, or the inlet point itself
+      points.forEach((point) => {
+        position.x += layer.pointPositions[point * 3] / points.length;
+        position.y += layer.pointPositions[point * 3 + 1] / points.length;
+        position.z += layer.pointPositions[point * 3 + 2] / points.length;
+        if (layer.radiusData.length > 0) {
+          radius += layer.radiusData[point] / points.length;
+        }
+      });
     }
-    
-    return vtkMesh;
+
+    // The root's scale is uniform, see updateSharedFrame
+    return { position: this.root.localToWorld(position), radius: radius * this.root.scale.x };
   }
 
   /**
-   * Add mesh to scene with enhanced lighting
-   * @param {THREE.Object3D} mesh - Mesh to add
-   * @param {Object} config - Configuration options
+   * Test which annotations are hidden behind tube vessels, by casting a ray from the camera to each anchor
+   * Ray casts through large trees are slow, so they wait until the camera and layers have been still
+   * for a moment; while the view moves, labels keep the occlusion last found.
+   * @param {THREE.Camera} camera - Scene camera
+   * @param {Array<Object|null>} anchors - Anchor of each annotation, see getAnnotationAnchor
    */
-  addToScene(mesh, config) {
-    // Clear existing meshes
-    if (this.currentVTKMesh) {
-      this.scene.remove(this.currentVTKMesh);
-    }
-    if (this.wireframeMesh && this.wireframeMesh !== mesh) {
-      this.scene.remove(this.wireframeMesh);
+  updateAnnotationOcclusion(camera, anchors) {
+    const THREE = this.THREE;
+    const state = this.annotationOcclusion;
+    // Line and point layers are too thin to hide a label
+    const occluders = Array.from(this.layers.values())
+      .filter(layer => layer.visible && layer.kind === 'tubes' && layer.opacity >= 0.5)
+      .map(layer => layer.mesh);
+
+    const key = [...camera.matrixWorld.elements, this.modelSize, ...occluders.map(mesh => mesh.id)].join(',');
+    const now = performance.now();
+    if (key !== state.key) {
+      state.key = key;
+      state.changedAt = now;
+      state.checked = false;
     }
-    
-    // Setup enhanced lighting (only once)
-    this.setupSceneLighting();
-    
-    // Store reference and add to scene
-    this.currentVTKMesh = mesh;
-    this.scene.add(mesh);
-    
-    // Add wireframe overlay if it exists
-    if (this.wireframeMesh) {
-      this.scene.add(this.wireframeMesh);
+    if (state.checked || now - state.changedAt < ANNOTATION_OCCLUSION_DELAY_MS) {
+      return;
     }
+    state.checked = true;
+
+    const eye = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+    const raycaster = new THREE.Raycaster();
+    anchors.forEach((anchor, i) => {
+      const { id } = this.annotations[i];
+      if (!anchor || occluders.length === 0) {
+        state.occluded.set(id, false);
+        return;
+      }
+      const direction = anchor.position.clone().sub(eye);
+      // Stop short of the anchor so the wall of its own vessel does not count
+      const far = direction.length() - (anchor.radius * 1.5 + this.modelSize * 0.005);
+      raycaster.set(eye, direction.normalize());
+      raycaster.far = Math.max(0, far);
+      state.occluded.set(id, far > 0 && raycaster.intersectObjects(occluders, false).length > 0);
+    });
+  }
+
+  /**
+   * Get a UI-friendly summary of a layer
+   * @param {Object} layer - Layer record
+   * @returns {Object} - {name, displayName, source, visible, opacity, colorBy, dataArrays, treeStats}
+   */
+  describeLayer(layer) {
+    return {
+      name: layer.name,
+      displayName: layer.displayName,
+      source: layer.source,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      colorBy: layer.colorBy,
+      // Data arrays without their values: [{key, name, association, kind, numComponents, range}]
+      dataArrays: layer.arrays.map(({ values, ...info }) => info),
+      // Branching statistics of the vessel tree, see utils/vesselTree.js
+      treeStats: layer.treeStats || null
+    };
+  }
+
+  /**
+   * List the loaded layers in load order
+   * @returns {Array<Object>} - Layer summaries, see describeLayer
+   */
+  getLayers() {
+    return Array.from(this.layers.values()).map(layer => this.describeLayer(layer));
   }
 
   /**
@@ -841,12 +1694,225 @@ export default class VTKLoader {
     };
 
     if (views[viewName]) {
-      this.setCameraPosition(views[viewName]);
+      // Preset distances suit the default 420-unit model; keep the framing for other sizes
+      const view = views[viewName];
+      const scale = this.modelSize / 420;
+      this.animateToCamera({ ...view, position: view.position.map(value => value * scale) });
     } else {
       console.warn(`[VTKLoader] Unknown view: ${viewName}`);
     }
   }
 
+  /**
+   * Move the camera smoothly to a viewpoint, e.g. one of static/modelView
+   * Eye and target travel in straight lines with ease-in-out; a newer call takes over from wherever the camera is.
+   * @param {Object} viewpoint - {eyePosition, targetPosition, upVector, nearPlane, farPlane}
+   * @param {number} duration - Transition time in ms, 0 to jump straight there (default: 800)
+   */
+  animateToView(viewpoint, duration = 800) {
+    this.cancelViewAnimation();
+    if (!this.copperScene || !this.copperScene.camera) {
+      console.warn("[VTKLoader] Camera not accessible through current scene setup");
+      return;
+    }
+
+    const THREE = this.THREE;
+    const controls = this.copperScene.controls;
+    const current = this.getCurrentView();
+    const from = {
+      eye: new THREE.Vector3(...current.eyePosition),
+      target: new THREE.Vector3(...current.targetPosition),
+      up: new THREE.Vector3(...current.upVector)
+    };
+    const to = {
+      eye: new THREE.Vector3(...viewpoint.eyePosition),
+      target: new THREE.Vector3(...viewpoint.targetPosition),
+      up: new THREE.Vector3(...viewpoint.upVector).normalize()
+    };
+
+    const applyStep = (t) => {
+      const target = from.target.clone().lerp(to.target, t);
+      const up = from.up.clone().lerp(to.up, t);
+      this.copperScene.loadView({
+        nearPlane: viewpoint.nearPlane,
+        farPlane: viewpoint.farPlane,
+        eyePosition: from.eye.clone().lerp(to.eye, t).toArray(),
+        targetPosition: target.toArray(),
+        // Opposite up vectors pass through zero halfway; use the destination's instead
+        upVector: (up.lengthSq() > 1e-6 ? up.normalize() : to.up).toArray()
+      });
+      // Keep orbiting centred on what the camera looks at
+      if (controls && controls.target) {
+        controls.target.copy(target);
+      }
+    };
+
+    if (!(duration > 0)) {
+      applyStep(1);
+      return;
+    }
+
+    const start = performance.now();
+    const step = (time) => {
+      const progress = Math.min(1, (time - start) / duration);
+      applyStep(progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2);
+      this.viewAnimation = progress < 1 ? requestAnimationFrame(step) : null;
+    };
+    this.viewAnimation = requestAnimationFrame(step);
+  }
+
+  /**
+   * Move the camera smoothly to a camera configuration as used by setCameraPosition
+   * @param {Object} cameraConfig - {position, target, up} as [x, y, z]
+   */
+  animateToCamera({ position, target, up }) {
+    if (!this.copperScene || !this.copperScene.camera) {
+      console.warn("[VTKLoader] Camera not accessible through current scene setup");
+      return;
+    }
+    const camera = this.copperScene.camera;
+    const distance = new this.THREE.Vector3(...position).distanceTo(new this.THREE.Vector3(...target));
+    this.animateToView({
+      nearPlane: camera.near,
+      // Keep the far side of the model inside the far plane
+      farPlane: Math.max(camera.far, distance + this.modelSize * 2),
+      eyePosition: position,
+      targetPosition: target,
+      upVector: up
+    });
+  }
+
+  /**
+   * Frame every loaded layer, see getOptimalCameraPosition
+   */
+  fitView() {
+    this.animateToCamera(this.getOptimalCameraPosition());
+  }
+
+  /**
+   * Read the current camera as a viewpoint in the format of static/modelView
+   * @returns {Object|null} - {nearPlane, farPlane, eyePosition, targetPosition, upVector}, null without a scene
+   */
+  getCurrentView() {
+    if (!this.copperScene || !this.copperScene.camera) {
+      return null;
+    }
+    const camera = this.copperScene.camera;
+    const controls = this.copperScene.controls;
+    const current = this.copperScene.viewPoint;
+    let target = [0, 0, 0];
+    if (controls && controls.target) {
+      target = controls.target.toArray();
+    } else if (current && current.targetPosition) {
+      target = current.targetPosition.slice();
+    }
+    return {
+      nearPlane: camera.near,
+      farPlane: camera.far,
+      eyePosition: camera.position.toArray(),
+      targetPosition: target,
+      upVector: camera.up.toArray()
+    };
+  }
+
+  /**
+   * Show a viewpoint turned about its target, around its up vector, e.g. for each frame of a turntable video
+   * @param {Object} viewpoint - Viewpoint to turn, in the format of static/modelView
+   * @param {number} angle - Turn in radians
+   */
+  showOrbitedView(viewpoint, angle) {
+    if (!this.copperScene || !this.copperScene.camera) {
+      return;
+    }
+    const THREE = this.THREE;
+    const target = new THREE.Vector3(...viewpoint.targetPosition);
+    const axis = new THREE.Vector3(...viewpoint.upVector).normalize();
+    const eye = new THREE.Vector3(...viewpoint.eyePosition).sub(target).applyAxisAngle(axis, angle).add(target);
+    this.copperScene.loadView({ ...viewpoint, eyePosition: eye.toArray() });
+    if (this.copperScene.controls && this.copperScene.controls.target) {
+      this.copperScene.controls.target.copy(target);
+    }
+  }
+
+  /**
+   * Render the current view at a higher resolution than the screen, e.g. for slides and letters
+   * The renderer draws once at the raised pixel ratio and is then restored; the size is capped by the
+   * largest texture the GPU supports.
+   * @param {number} scale - Resolution relative to the on-screen canvas (default: 2)
+   * @returns {HTMLCanvasElement|null} - A copy of the render, null without a scene
+   */
+  renderSnapshot(scale = 2) {
+    if (!this.copperScene || !this.copperScene.renderer || !this.copperScene.camera) {
+      return null;
+    }
+    const { renderer, camera } = this.copperScene;
+    const pixelRatio = renderer.getPixelRatio();
+    const size = renderer.getSize(new this.THREE.Vector2());
+    const maxRatio = renderer.capabilities.maxTextureSize / Math.max(size.x, size.y, 1);
+
+    renderer.setPixelRatio(Math.min(pixelRatio * scale, maxRatio));
+    try {
+      renderer.render(this.scene, camera);
+      // Copy before the browser presents the frame and clears the drawing buffer
+      const snapshot = document.createElement('canvas');
+      snapshot.width = renderer.domElement.width;
+      snapshot.height = renderer.domElement.height;
+      snapshot.getContext('2d').drawImage(renderer.domElement, 0, 0);
+      return snapshot;
+    } finally {
+      renderer.setPixelRatio(pixelRatio);
+      renderer.render(this.scene, camera);
+    }
+  }
+
+  /**
+   * Collect the visible layers' geometry for export, in file coordinates, see utils/meshExport.js
+   * Vessels hidden by lesions stay hidden; colours are those shown on screen. Tubes are written at
+   * full detail, whatever the performance mode.
+   * @returns {Array<Object>} - [{name, mode, positions, normals, colors, indices, color, opacity}]
+   */
+  getExportMeshes() {
+    return Array.from(this.layers.values())
+      .filter(layer => layer.visible)
+      .map((layer) => {
+        const { geometry, material } = layer.mesh;
+        const colors = material.vertexColors && geometry.getAttribute('color');
+        const normals = geometry.getAttribute('normal');
+        const index = layer.kind === 'tubes' ? this.getFullDetailIndex(layer) : (geometry.index ? geometry.index.array : null);
+        return {
+          name: layer.displayName,
+          mode: { tubes: 'triangles', lines: 'lines', points: 'points' }[layer.kind],
+          positions: geometry.getAttribute('position').array,
+          normals: normals ? normals.array : null,
+          colors: colors ? colors.array : null,
+          // The exporters write 32-bit indices
+          indices: index && !(index instanceof Uint32Array) ? Uint32Array.from(index) : index,
+          color: new this.THREE.Color(layer.baseColor).toArray(),
+          opacity: layer.opacity
+        };
+      });
+  }
+
+  /**
+   * A tube layer's draw index with every side and segment, less any vessels lesions hide
+   * @param {Object} layer - Tube layer record
+   * @returns {Uint16Array|Uint32Array}
+   */
+  getFullDetailIndex(layer) {
+    const hide = layer.lesionMask && this.lesionSet && this.lesionSet.vesselEffect === 'hide';
+    return hide ? buildVisibleIndex(layer.lesionMask, layer.pointIndices, 'tubes', layer.fullIndex) : layer.fullIndex;
+  }
+
+  /**
+   * Stop a camera transition in progress, leaving the camera where it is
+   */
+  cancelViewAnimation() {
+    if (this.viewAnimation) {
+      cancelAnimationFrame(this.viewAnimation);
+      this.viewAnimation = null;
+    }
+  }
+
   /**
    * Set reference to copper scene for camera control
    * @param {Object} copperScene - Copper3d scene object
@@ -860,13 +1926,12 @@ export default class VTKLoader {
    * @returns {Object} - Optimal camera configuration
    */
   getOptimalCameraPosition() {
-    if (!this.currentVTKMesh || !this.currentVTKMesh.geometry) {
+    if (this.layers.size === 0) {
       return { position: [140, 105, 140], target: [0, 0, 0], up: [0, 1, 0] }; // Adjusted for 420-unit model
     }
 
-    // Calculate bounding box
-    this.currentVTKMesh.geometry.computeBoundingBox();
-    const box = this.currentVTKMesh.geometry.boundingBox;
+    // Calculate bounding box of all layers in scene coordinates
+    const box = new this.THREE.Box3().setFromObject(this.root);
     const size = box.getSize(new this.THREE.Vector3());
     const center = box.getCenter(new this.THREE.Vector3());
     
@@ -890,10 +1955,11 @@ export default class VTKLoader {
    * @param {string} mode - Performance mode: 'high', 'medium', 'low', 'auto'
    */
   setPerformanceMode(mode) {
+    const level = this.getDetailLevel();
     this.performanceMode = mode;
-    
-    // Future implementation: adjust rendering quality based on performance mode
-    // This could affect cylinder segments, line width, point size, etc.
+    if (this.getDetailLevel() !== level) {
+      this.onDetailLevelChanged();
+    }
   }
 
   /**
@@ -905,18 +1971,150 @@ export default class VTKLoader {
   }
 
   /**
-   * Clean up resources
+   * The level of detail drawn: the performance mode, or the level 'auto' has chosen
+   * @returns {string} - 'high', 'medium' or 'low'
    */
-  dispose() {
-    if (this.currentVTKMesh) {
-      this.scene.remove(this.currentVTKMesh);
-      this.currentVTKMesh = null;
+  getDetailLevel() {
+    const mode = this.getPerformanceMode();
+    if (mode === 'auto') {
+      return this.autoDetail.level;
     }
-    
-    if (this.wireframeMesh) {
-      this.scene.remove(this.wireframeMesh);
-      this.wireframeMesh = null;
+    return DETAIL_LEVELS[mode] ? mode : 'high';
+  }
+
+  /**
+   * Let 'auto' step the level of detail from a measured frame rate
+   * Ignored in the other modes and while no layer is shown.
+   * @param {number} fps - Frames per second measured over the last few seconds
+   * @returns {boolean} - Whether the level changed
+   */
+  reportFrameRate(fps) {
+    if (this.getPerformanceMode() !== 'auto' || this.layers.size === 0) {
+      return false;
+    }
+
+    const { level, holdUntil } = this.autoDetail;
+    const next = nextAutoLevel(level, fps);
+    const raising = AUTO_DETAIL_ORDER.indexOf(next) > AUTO_DETAIL_ORDER.indexOf(level);
+    if (next === level || (raising && performance.now() < holdUntil)) {
+      return false;
+    }
+
+    this.autoDetail = {
+      level: next,
+      holdUntil: raising ? holdUntil : performance.now() + AUTO_RAISE_HOLD_MS
+    };
+    console.log(`[VTKLoader] Auto detail ${raising ? 'raised' : 'lowered'} to ${next} at ${Math.round(fps)} fps`);
+    this.onDetailLevelChanged();
+    return true;
+  }
+
+  /**
+   * Load tube layers again that were built with fewer sides than the performance mode builds,
+   * e.g. after switching from 'low' to 'high'. Layers loaded with a set cylinderSegments are kept.
+   * @returns {Promise<boolean>} - Whether any layer was loaded again
+   */
+  async rebuildCoarseLayers() {
+    const sides = getBuildSegments(this.getPerformanceMode());
+    const coarse = Array.from(this.layers.values()).filter(layer =>
+      layer.kind === 'tubes' && !layer.loadOptions.cylinderSegments && layer.radialSegments < sides
+    );
+    if (coarse.length === 0) {
+      return false;
+    }
+
+    console.log(`[VTKLoader] Rebuilding ${coarse.length} layer(s) with ${sides} sides per tube`);
+    const results = await Promise.all(coarse.map(layer => this.loadVTKFile(layer.source, {
+      ...layer.loadOptions,
+      layer: layer.name,
+      opacity: layer.opacity,
+      modelSize: this.modelSize
+    })));
+    return results.some(result => result.success);
+  }
+
+  /**
+   * Follow a change of detail level: flow particle counts now, tube indices on the next updateLevelOfDetail
+   */
+  onDetailLevelChanged() {
+    if (this.flowParticles) {
+      this.layers.forEach(layer => this.createFlowParticles(layer));
+    }
+  }
+
+  /**
+   * Redraw tube layers at the level of detail for the current mode and zoom
+   * Thin vessels become lines when narrower on screen than the level allows, measured at the
+   * distance of the camera's orbit target. Cheap when nothing changed, so it can run every frame.
+   * @param {THREE.Camera} camera - Scene camera
+   * @param {number} height - Height of the canvas in CSS pixels
+   */
+  updateLevelOfDetail(camera, height) {
+    if (!this.frame || height <= 0) {
+      return;
+    }
+
+    const THREE = this.THREE;
+    const level = DETAIL_LEVELS[this.getDetailLevel()];
+    const controls = this.copperScene && this.copperScene.controls;
+    const focus = controls && controls.target ?
+      controls.target.clone() :
+      new THREE.Vector3(...this.frame.center).applyMatrix4(this.root.matrixWorld);
+
+    // Screen pixels per file unit at the focus
+    let pixelsPerUnit;
+    if (camera.isOrthographicCamera) {
+      pixelsPerUnit = (height * camera.zoom) / (camera.top - camera.bottom);
+    } else {
+      const distance = Math.max(camera.position.distanceTo(focus), 1e-6);
+      pixelsPerUnit = height / (2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)));
+    }
+    pixelsPerUnit *= this.root.scale.x;
+
+    // Half-octave steps, so zooming only redraws when the threshold moves noticeably
+    const minRadius = level.lineDiameter / 2 / pixelsPerUnit;
+    const settings = {
+      radialSegments: level.radialSegments,
+      minRadius: Math.pow(2, Math.floor(Math.log2(minRadius) * 2) / 2),
+      cullLength: level.terminalCull * this.frame.size
+    };
+    this.layers.forEach(layer => this.applyLevelOfDetail(layer, settings));
+  }
+
+  /**
+   * Rebuild a tube layer's draw indices unless they already match the settings
+   * @param {Object} layer - Layer record
+   * @param {Object} settings - {radialSegments, minRadius, cullLength}, see buildDetailIndices
+   */
+  applyLevelOfDetail(layer, settings) {
+    if (!layer.tubeSegments) {
+      return;
+    }
+    const key = `${settings.radialSegments}:${settings.minRadius}:${settings.cullLength}`;
+    if (layer.detailKey === key) {
+      return;
     }
+
+    const { triangles, lines } = buildDetailIndices(layer.tubeSegments, settings);
+    layer.baseIndex = triangles;
+    layer.detailLineIndex = lines;
+    layer.detailKey = key;
+    this.applyLesionVisibility(layer);
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.cancelLoad();
+    this.cancelViewAnimation();
+    this.clearSegmentSelection();
+    this.setFlowParticles(false);
+    this.setLesionSet(null);
+    this.setAnnotations([]);
+
+    Array.from(this.layers.keys()).forEach(layerName => this.removeLayer(layerName, false));
+    this.scene.remove(this.root);
     
     this.copperScene = null;
   }
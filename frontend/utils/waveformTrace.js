@@ -0,0 +1,344 @@
+/**
+ * Waveform Trace Loader
+ * Parses measured Doppler velocity traces and derives per-cycle indices from them.
+ *
+ * Supported files:
+ * - CSV / TSV with time and velocity columns. Column names may carry units,
+ *   e.g. "time (ms), velocity (m/s)"; without a header the first two numeric columns are used.
+ * - JSON as {time: [], velocity: []}, [{time, velocity}], or {velocity: [], sampleRate},
+ *   with optional units: {time: 's'|'ms', velocity: 'cm/s'|'m/s'|'mm/s'}.
+ * - Spectral envelope exports: "key=value" or "key: value" header lines (SampleRate or
+ *   SampleInterval, VelocityUnit, TimeUnit) followed by one envelope velocity per line.
+ *
+ * Traces are returned in seconds and cm/s.
+ *
+ * Usage:
+ * import { parseWaveformTrace, analyzeTrace } from '@/utils/waveformTrace'
+ * const trace = parseWaveformTrace(fileText, 'trace.csv')
+ * const analysis = analyzeTrace(trace) // analysis.averages -> {psv, edv, vmean, pi, ri, sd, heartRate}
+ */
+
+const TIME_SCALES = { s: 1, sec: 1, ms: 0.001 };
+const VELOCITY_SCALES = { 'cm/s': 1, 'm/s': 100, 'mm/s': 0.1 };
+
+// Fastest heart rate considered when separating systolic peaks (bpm)
+const MAX_HEART_RATE = 220;
+
+/**
+ * Parse a waveform trace file
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to pick the format from its extension
+ * @returns {Object} - {time: number[] (s), velocity: number[] (cm/s), format: 'csv'|'json'|'envelope', name}
+ */
+export function parseWaveformTrace(text, fileName = '') {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  const trimmed = text.trim();
+
+  let trace;
+  if (extension === 'json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    trace = { ...parseJSONTrace(JSON.parse(trimmed)), format: 'json' };
+  } else if (isEnvelopeExport(trimmed)) {
+    trace = { ...parseEnvelopeTrace(trimmed), format: 'envelope' };
+  } else {
+    trace = { ...parseDelimitedTrace(trimmed), format: 'csv' };
+  }
+
+  validateTrace(trace);
+  return { ...trace, name: fileName };
+}
+
+/**
+ * Detect cardiac cycles and compute indices for each one and on average
+ * Cycles run from one end-diastolic minimum to the next, so each contains one systolic peak.
+ * @param {Object} trace - {time, velocity} from parseWaveformTrace
+ * @returns {Object} - {cycles: [{startIndex, endIndex, psvIndex, psv, edv, vmean, pi, ri, sd, heartRate}],
+ *                      averages: {psv, edv, vmean, pi, ri, sd, heartRate} (null values when no cycle was found)}
+ */
+export function analyzeTrace({ time, velocity }) {
+  const peaks = findSystolicPeaks(time, velocity);
+
+  // End diastole is the lowest point between consecutive systolic peaks
+  const minima = [];
+  for (let p = 0; p + 1 < peaks.length; p++) {
+    minima.push(indexOfMin(velocity, peaks[p], peaks[p + 1]));
+  }
+
+  const cycles = [];
+  for (let m = 0; m + 1 < minima.length; m++) {
+    cycles.push(computeCycleIndices(time, velocity, minima[m], minima[m + 1]));
+  }
+
+  const average = key => {
+    const values = cycles.map(cycle => cycle[key]).filter(value => value !== null);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  };
+
+  return {
+    cycles,
+    averages: {
+      psv: average('psv'),
+      edv: average('edv'),
+      vmean: average('vmean'),
+      pi: average('pi'),
+      ri: average('ri'),
+      sd: average('sd'),
+      heartRate: average('heartRate')
+    }
+  };
+}
+
+/**
+ * Compute PSV, EDV, time-averaged maximum velocity and the indices of one cycle
+ * @param {number[]} time - Sample times (s)
+ * @param {number[]} velocity - Velocities (cm/s)
+ * @param {number} start - Index of the cycle's opening end-diastolic point
+ * @param {number} end - Index of the cycle's closing end-diastolic point
+ * @returns {Object} - {startIndex, endIndex, psvIndex, psv, edv, vmean, pi, ri, sd, heartRate}
+ */
+export function computeCycleIndices(time, velocity, start, end) {
+  let psvIndex = start;
+  let area = 0;
+  for (let i = start; i <= end; i++) {
+    if (velocity[i] > velocity[psvIndex]) {
+      psvIndex = i;
+    }
+    if (i > start) {
+      area += (velocity[i] + velocity[i - 1]) / 2 * (time[i] - time[i - 1]);
+    }
+  }
+
+  const duration = time[end] - time[start];
+  const psv = velocity[psvIndex];
+  const edv = velocity[end];
+  const vmean = duration > 0 ? area / duration : null;
+
+  return {
+    startIndex: start,
+    endIndex: end,
+    psvIndex,
+    psv,
+    edv,
+    vmean,
+    pi: vmean ? (psv - edv) / vmean : null,
+    ri: psv ? (psv - edv) / psv : null,
+    sd: edv > 0 ? psv / edv : null,
+    heartRate: duration > 0 ? 60 / duration : null
+  };
+}
+
+/**
+ * Find systolic peaks: local maxima in the upper half of the velocity range,
+ * at least one shortest-possible heartbeat apart
+ * @param {number[]} time - Sample times (s)
+ * @param {number[]} velocity - Velocities (cm/s)
+ * @returns {number[]} - Peak sample indices in time order
+ */
+function findSystolicPeaks(time, velocity) {
+  const smoothed = movingAverage(velocity, 2);
+  let min = Infinity;
+  let max = -Infinity;
+  smoothed.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  const threshold = min + (max - min) * 0.5;
+  const minSeparation = 60 / MAX_HEART_RATE;
+
+  const peaks = [];
+  for (let i = 1; i + 1 < smoothed.length; i++) {
+    const isPeak = smoothed[i] >= threshold && smoothed[i] >= smoothed[i - 1] && smoothed[i] > smoothed[i + 1];
+    if (!isPeak) {
+      continue;
+    }
+    const last = peaks[peaks.length - 1];
+    if (last !== undefined && time[i] - time[last] < minSeparation) {
+      // Keep the taller of two peaks that are too close to be separate beats
+      if (smoothed[i] > smoothed[last]) {
+        peaks[peaks.length - 1] = i;
+      }
+    } else {
+      peaks.push(i);
+    }
+  }
+  return peaks;
+}
+
+function movingAverage(values, radius) {
+  return values.map((_, i) => {
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - radius); j <= Math.min(values.length - 1, i + radius); j++) {
+      sum += values[j];
+      count++;
+    }
+    return sum / count;
+  });
+}
+
+function indexOfMin(values, from, to) {
+  let index = from;
+  for (let i = from; i <= to; i++) {
+    if (values[i] < values[index]) {
+      index = i;
+    }
+  }
+  return index;
+}
+
+/**
+ * Parse a JSON trace
+ * @param {Object|Array} json - Parsed JSON
+ * @returns {Object} - {time, velocity} in s and cm/s
+ */
+function parseJSONTrace(json) {
+  let time;
+  let velocity;
+  let units = {};
+
+  if (Array.isArray(json)) {
+    time = json.map(sample => Number(sample.time !== undefined ? sample.time : sample.t));
+    velocity = json.map(sample => Number(sample.velocity !== undefined ? sample.velocity : sample.v));
+  } else {
+    units = json.units || {};
+    velocity = (json.velocity || []).map(Number);
+    if (Array.isArray(json.time)) {
+      time = json.time.map(Number);
+    } else if (json.sampleRate > 0) {
+      time = velocity.map((_, i) => i / json.sampleRate);
+      units = { ...units, time: 's' };
+    } else {
+      throw new Error('JSON trace needs a "time" array or a "sampleRate"');
+    }
+  }
+
+  return scaleTrace(time, velocity, units.time, units.velocity);
+}
+
+/**
+ * Parse a CSV/TSV trace with optional header row
+ * @param {string} text - File content
+ * @returns {Object} - {time, velocity} in s and cm/s
+ */
+function parseDelimitedTrace(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  const delimiter = lines[0].includes('\t') ? '\t' : (lines[0].includes(';') ? ';' : ',');
+  const split = line => line.split(delimiter).map(cell => cell.trim());
+
+  let timeColumn = 0;
+  let velocityColumn = 1;
+  let timeUnit = null;
+  let velocityUnit = null;
+
+  const header = split(lines[0]);
+  const hasHeader = header.some(cell => cell !== '' && isNaN(Number(cell)));
+  if (hasHeader) {
+    lines.shift();
+    const timeIndex = header.findIndex(cell => /^(time|t)\b|sec/i.test(cell));
+    const velocityIndex = header.findIndex(cell => /vel|^v\b|speed|envelope/i.test(cell));
+    timeColumn = timeIndex >= 0 ? timeIndex : 0;
+    velocityColumn = velocityIndex >= 0 ? velocityIndex : (timeColumn === 0 ? 1 : 0);
+    timeUnit = unitFromHeader(header[timeColumn], TIME_SCALES);
+    velocityUnit = unitFromHeader(header[velocityColumn], VELOCITY_SCALES);
+  }
+
+  const time = [];
+  const velocity = [];
+  lines.forEach((line) => {
+    const cells = split(line);
+    const t = Number(cells[timeColumn]);
+    const v = Number(cells[velocityColumn]);
+    if (isFinite(t) && isFinite(v)) {
+      time.push(t);
+      velocity.push(v);
+    }
+  });
+
+  return scaleTrace(time, velocity, timeUnit, velocityUnit);
+}
+
+/**
+ * Whether text looks like a spectral envelope export (key/value header then single values)
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+function isEnvelopeExport(text) {
+  return /^\s*(SampleRate|SampleInterval)\s*[=:]/im.test(text);
+}
+
+/**
+ * Parse a spectral envelope export
+ * @param {string} text - File content
+ * @returns {Object} - {time, velocity} in s and cm/s
+ */
+function parseEnvelopeTrace(text) {
+  const metadata = {};
+  const velocity = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    const entry = trimmed.match(/^([A-Za-z][\w ]*?)\s*[=:]\s*(.+)$/);
+    if (entry) {
+      metadata[entry[1].toLowerCase().replace(/\s+/g, '')] = entry[2].trim();
+    } else if (trimmed && isFinite(Number(trimmed))) {
+      velocity.push(Number(trimmed));
+    }
+  });
+
+  const timeUnit = metadata.timeunit || 's';
+  let interval = parseFloat(metadata.sampleinterval);
+  if (!(interval > 0)) {
+    const rate = parseFloat(metadata.samplerate);
+    if (!(rate > 0)) {
+      throw new Error('Envelope export needs a SampleRate or SampleInterval');
+    }
+    // SampleRate is per second whatever the time unit
+    interval = 1 / rate / (TIME_SCALES[timeUnit] || 1);
+  }
+
+  const time = velocity.map((_, i) => i * interval);
+  return scaleTrace(time, velocity, timeUnit, metadata.velocityunit || null);
+}
+
+/**
+ * Convert a trace to seconds and cm/s
+ * @param {number[]} time - Times in timeUnit
+ * @param {number[]} velocity - Velocities in velocityUnit
+ * @param {string|null} timeUnit - 's' or 'ms' (default: 's')
+ * @param {string|null} velocityUnit - 'cm/s', 'm/s' or 'mm/s' (default: 'cm/s')
+ * @returns {Object} - {time, velocity}
+ */
+function scaleTrace(time, velocity, timeUnit, velocityUnit) {
+  const timeScale = TIME_SCALES[(timeUnit || 's').toLowerCase()];
+  const velocityScale = VELOCITY_SCALES[(velocityUnit || 'cm/s').toLowerCase()];
+  if (timeScale === undefined) {
+    throw new Error(`Unknown time unit "${timeUnit}"`);
+  }
+  if (velocityScale === undefined) {
+    throw new Error(`Unknown velocity unit "${velocityUnit}"`);
+  }
+  return {
+    time: time.map(t => t * timeScale),
+    velocity: velocity.map(v => v * velocityScale)
+  };
+}
+
+function unitFromHeader(cell, scales) {
+  const match = (cell || '').match(/[([]\s*([^)\]]+?)\s*[)\]]/);
+  if (match && scales[match[1].toLowerCase()] !== undefined) {
+    return match[1];
+  }
+  return null;
+}
+
+function validateTrace({ time, velocity }) {
+  if (time.length < 10 || time.length !== velocity.length) {
+    throw new Error('Trace needs at least 10 time/velocity samples');
+  }
+  if (time.some(t => !isFinite(t)) || velocity.some(v => !isFinite(v))) {
+    throw new Error('Trace contains non-numeric values');
+  }
+  for (let i = 1; i < time.length; i++) {
+    if (time[i] <= time[i - 1]) {
+      throw new Error('Trace times must increase');
+    }
+  }
+}